@@ -1,6 +1,15 @@
 #!/usr/bin/env node
-// Quick assertions for explicit detection and safelist false positives
-import { containsExplicit } from '../src/filters.js';
+// Quick assertions for explicit detection, safelist false positives, link domain policy, custom
+// rule patterns, durations, night mode windows, federation feed checks and the escalation strike
+// counting rules
+import crypto from 'node:crypto';
+import { containsExplicit, extractLinks, normalizeDomainPattern, domainMatchesPattern, findDisallowedLinks } from '../src/filters.js';
+import { unsafeRegexReason, compileCustomPattern, findCustomRuleMatch } from '../src/moderation/customRules.js';
+import { parseDuration, formatDuration } from '../src/moderation/duration.js';
+import { countStrikes, strikeWindow, ladderStep } from '../src/moderation/escalation.js';
+import { currentNightWindow, nextBoundary } from '../src/moderation/nightmode.js';
+import { localClock } from '../src/moderation/digest.js';
+import { verifySignedFeed, parsePublicKey, parsePrivateKey, exportPublicKey, applyFeed } from '../src/moderation/federation.js';
 
 const cases = [
   // Safelist false positives — should be false
@@ -36,6 +45,201 @@ for (const c of cases) {
   if (!ok) failures++;
 }
 
+// Link domain policy (no_links allow/deny lists)
+const policy = { allow: ['example.org', '*.youtube.com'], deny: ['ads.youtube.com'] };
+const json = (v) => JSON.stringify(v);
+const linkCases = [
+  { label: 'pattern normalized (scheme, www, case)', got: () => normalizeDomainPattern('HTTPS://www.Example.org/path'), expect: 'example.org' },
+  { label: 'wildcard pattern kept', got: () => normalizeDomainPattern('*.YouTube.com'), expect: '*.youtube.com' },
+  { label: 'invalid pattern rejected', got: () => normalizeDomainPattern('not a domain'), expect: '' },
+  { label: 'wildcard matches subdomain', got: () => domainMatchesPattern('m.youtube.com', '*.youtube.com'), expect: true },
+  { label: 'wildcard matches bare domain', got: () => domainMatchesPattern('youtube.com', '*.youtube.com'), expect: true },
+  { label: 'plain pattern skips subdomain', got: () => domainMatchesPattern('sub.example.org', 'example.org'), expect: false },
+  { label: 'look-alike suffix not matched', got: () => domainMatchesPattern('example.org.evil.com', 'example.org'), expect: false },
+  { label: 'look-alike prefix not matched', got: () => domainMatchesPattern('evilyoutube.com', '*.youtube.com'), expect: false },
+  { label: 'allowlisted links pass', got: () => findDisallowedLinks(['https://example.org/a', 'www.youtube.com/watch?v=1', 'music.youtube.com'], policy), expect: [] },
+  { label: 'deny overrides wildcard allow', got: () => findDisallowedLinks(['https://ads.youtube.com/x'], policy), expect: ['https://ads.youtube.com/x'] },
+  { label: 'look-alike domain blocked', got: () => findDisallowedLinks(['https://example.org.evil.com/login'], policy), expect: ['https://example.org.evil.com/login'] },
+  { label: 'unlisted domain blocked', got: () => findDisallowedLinks(['spam.example.net'], policy), expect: ['spam.example.net'] },
+  {
+    label: 'text_link entity target extracted',
+    got: () => extractLinks('click here', [{ type: 'text_link', offset: 0, length: 10, url: 'https://evil.example.net/x' }]),
+    expect: ['https://evil.example.net/x'],
+  },
+  {
+    label: 'hidden text_link target blocked',
+    got: () => findDisallowedLinks(extractLinks('example.org', [{ type: 'text_link', offset: 0, length: 11, url: 'https://example.org.evil.com' }]), policy),
+    expect: ['https://example.org.evil.com'],
+  },
+  { label: 'links found in plain text', got: () => extractLinks('see https://example.org/a, then t.me/spam!'), expect: ['https://example.org/a', 't.me/spam'] },
+];
+
+// Cases of { label, got: () => value, expect }, compared as JSON
+function runCases(list) {
+  for (const c of list) {
+    let got;
+    try { got = c.got(); } catch (e) { got = `error:${e?.message || e}`; }
+    const ok = json(got) === json(c.expect);
+    // eslint-disable-next-line no-console
+    console.log(`${ok ? '✅' : '❌'} ${c.label} — expect=${json(c.expect)} got=${json(got)}`);
+    if (!ok) failures++;
+  }
+}
+runCases(linkCases);
+
+// Custom rules: regexes that can backtrack exponentially are refused, keywords match whole words,
+// and each rule only looks at the parts of a message in its scope
+const nested = 'nested quantifiers or repeated alternatives are not allowed';
+const upiPattern = '/[\\w.-]{2,}@(?:upi|ybl|okaxis|oksbi|paytm)\\b/i';
+const phonePattern = '/(?:\\+91[\\s-]?)?[6-9]\\d{9}\\b/';
+const rule = (pattern, scope) => ({ name: 'r', pattern, scope, action: 'delete', enabled: true });
+const matchScope = (pattern, scope, fields) => findCustomRuleMatch([rule(pattern, scope)], fields)?.scope || null;
+runCases([
+  { label: 'nested quantifier refused', got: () => unsafeRegexReason('(a+)+'), expect: nested },
+  { label: 'repeated alternation refused', got: () => unsafeRegexReason('(a|b)+'), expect: nested },
+  { label: 'repeated optional-tail group refused', got: () => unsafeRegexReason('(\\w+\\s?)+$'), expect: nested },
+  { label: 'deeper nesting refused', got: () => unsafeRegexReason('(?:x(?:y|z))*'), expect: nested },
+  { label: 'backreference refused', got: () => unsafeRegexReason('(a)\\1'), expect: 'backreferences are not allowed' },
+  { label: 'unbalanced group refused', got: () => unsafeRegexReason('(a'), expect: 'unbalanced parentheses' },
+  { label: 'group repeated once allowed', got: () => unsafeRegexReason('(a+){1}'), expect: null },
+  { label: 'quantifier inside a class allowed', got: () => unsafeRegexReason('([+*])+'), expect: null },
+  { label: 'UPI pattern allowed', got: () => unsafeRegexReason(upiPattern.slice(1, -2)), expect: null },
+  { label: 'phone pattern allowed', got: () => unsafeRegexReason(phonePattern.slice(1, -1)), expect: null },
+  { label: 'unsafe /regex/ does not compile', got: () => compileCustomPattern('/(a+)+$/'), expect: `error:${nested}` },
+  { label: 'unsafe rule never matches', got: () => matchScope('/(a+)+$/', ['text'], { text: 'aaaa' }), expect: null },
+  { label: 'keyword matches a whole word', got: () => matchScope('casino', ['text'], { text: 'Best CASINO bonus' }), expect: 'text' },
+  { label: 'keyword inside a word does not match', got: () => matchScope('casino', ['text'], { text: 'casinos and more' }), expect: null },
+  { label: 'UPI id matched in a caption', got: () => findCustomRuleMatch([rule(upiPattern, ['caption'])], { caption: 'pay to shop.deals@okaxis now' })?.match, expect: 'shop.deals@okaxis' },
+  { label: 'phone matched in a name', got: () => matchScope(phonePattern, ['name'], { name: 'Call +91 9876543210' }), expect: 'name' },
+  { label: 'phone matched in a bio', got: () => matchScope(phonePattern, ['bio'], { bio: 'dm 9876543210' }), expect: 'bio' },
+  { label: 'keyword matched in a poll', got: () => matchScope('casino', ['poll'], { poll: 'Which casino?\nA\nB' }), expect: 'poll' },
+  { label: 'field outside the scope is ignored', got: () => matchScope('casino', ['text'], { caption: 'casino', name: 'casino', bio: 'casino', poll: 'casino' }), expect: null },
+  { label: 'first scope that matches is reported', got: () => matchScope('casino', ['text', 'caption', 'bio'], { caption: 'casino', bio: 'casino' }), expect: 'caption' },
+  { label: 'disabled rule is skipped', got: () => findCustomRuleMatch([{ ...rule('casino', ['text']), enabled: false }], { text: 'casino' }), expect: null },
+]);
+
+// Durations: <1-6 digits><s|m|h|d|w>, positive only; formatted as the two largest units
+runCases([
+  { label: 'seconds parsed', got: () => parseDuration('30s'), expect: 30 },
+  { label: 'units parsed case-insensitively, trimmed', got: () => [parseDuration(' 15M '), parseDuration('2H'), parseDuration('1d'), parseDuration('2w')], expect: [900, 7200, 86400, 1209600] },
+  { label: 'largest accepted number', got: () => parseDuration('999999s'), expect: 999999 },
+  { label: 'zero is not a duration', got: () => [parseDuration('0s'), parseDuration('000m')], expect: [null, null] },
+  { label: 'negative is not a duration', got: () => parseDuration('-5m'), expect: null },
+  { label: 'more than six digits refused', got: () => [parseDuration('1000000s'), parseDuration('99999999999999999999w')], expect: [null, null] },
+  { label: 'garbage refused', got: () => ['', null, undefined, '15', 'm', '1.5h', '1h30m', '15 m', '5y', 'abc'].map(parseDuration), expect: Array(10).fill(null) },
+  { label: 'single unit formatted', got: () => [formatDuration(30), formatDuration(900), formatDuration(7200), formatDuration(1209600)], expect: ['30s', '15m', '2h', '2w'] },
+  { label: 'two largest units kept', got: () => [formatDuration(90061), formatDuration(3661), formatDuration(694861)], expect: ['1d 1h', '1h 1m', '1w 1d'] },
+  { label: 'fractions truncated', got: () => formatDuration(3600.9), expect: '1h' },
+  { label: 'zero and negative format as 0s', got: () => [formatDuration(0), formatDuration(-60)], expect: ['0s', '0s'] },
+  { label: 'garbage formats as 0s', got: () => [formatDuration(), formatDuration(null), formatDuration('abc'), formatDuration(NaN), formatDuration(Infinity)], expect: ['0s', '0s', '0s', '0s', '0s'] },
+  { label: 'large values stay in weeks', got: () => formatDuration(parseDuration('999999w')), expect: '999999w' },
+  { label: 'parse and format round-trip', got: () => ['45s', '10m', '6h', '3d', '4w'].map((s) => formatDuration(parseDuration(s))), expect: ['45s', '10m', '6h', '3d', '4w'] },
+]);
+
+// Night mode: windows may cross midnight, their end minute is outside them, and the next job
+// runs at the following start or end in the chat's time zone
+const overnight = { start: '22:00', end: '05:00' };
+const evening = { start: '18:00', end: '20:00' };
+const at = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3));
+const nextJob = (windows, iso, timeZone) => new Date(nextBoundary(windows, localClock(new Date(iso), timeZone), Date.parse(iso))).toISOString();
+runCases([
+  { label: 'overnight window covers its start', got: () => currentNightWindow([overnight], at('22:00')), expect: overnight },
+  { label: 'overnight window covers midnight', got: () => ['23:59', '00:00', '04:59'].map((t) => currentNightWindow([overnight], at(t))), expect: [overnight, overnight, overnight] },
+  { label: 'overnight window ends at its end minute', got: () => currentNightWindow([overnight], at('05:00')), expect: null },
+  { label: 'outside the overnight window', got: () => ['05:01', '12:00', '21:59'].map((t) => currentNightWindow([overnight], at(t))), expect: [null, null, null] },
+  { label: 'same-day window ends at its end minute', got: () => [currentNightWindow([evening], at('19:59')), currentNightWindow([evening], at('20:00'))], expect: [evening, null] },
+  { label: 'matching window picked among several', got: () => currentNightWindow([evening, overnight], at('02:00')), expect: overnight },
+  { label: 'no windows, no match', got: () => currentNightWindow([], at('02:00')), expect: null },
+  { label: 'next boundary is the window end', got: () => nextJob([overnight], '2024-05-10T23:30:00.000Z', 'UTC'), expect: '2024-05-11T05:00:00.000Z' },
+  { label: 'next boundary is the window start', got: () => nextJob([overnight], '2024-05-10T12:00:00.000Z', 'UTC'), expect: '2024-05-10T22:00:00.000Z' },
+  { label: 'window ending this minute moves to the next start', got: () => nextJob([overnight], '2024-05-10T05:00:00.000Z', 'UTC'), expect: '2024-05-10T22:00:00.000Z' },
+  { label: 'window starting this minute moves to its end', got: () => nextJob([overnight], '2024-05-10T22:00:30.000Z', 'UTC'), expect: '2024-05-11T05:00:00.000Z' },
+  { label: 'nearest boundary across windows', got: () => nextJob([overnight, evening], '2024-05-10T19:15:00.000Z', 'UTC'), expect: '2024-05-10T20:00:00.000Z' },
+  { label: 'boundary in the chat time zone', got: () => nextJob([overnight], '2024-05-10T18:00:00.000Z', 'Asia/Kolkata'), expect: '2024-05-10T23:30:00.000Z' },
+]);
+
+// Escalation strikes: which logged actions count, the decay window and strike resets, ladder steps
+const ladder = [{ action: 'warn' }, { action: 'warn' }, { action: 'mute', seconds: 3600 }, { action: 'ban' }];
+runCases([
+  {
+    label: 'strike actions count, escalation actions do not',
+    got: () => countStrikes({ byAction: { delete_message: 2, warn_message: 1, restrict_member: 1, escalation_warn: 3 }, byViolation: { no_links: 4 } }),
+    expect: 4,
+  },
+  {
+    label: 'rate rule deletions are subtracted',
+    got: () => countStrikes({ byAction: { delete_message: 9 }, byViolation: { no_links: 2, anti_flood: 4, anti_duplicate: 1, slowmode: 1, nightmode: 1 } }),
+    expect: 2,
+  },
+  { label: 'strikes never go negative', got: () => countStrikes({ byAction: {}, byViolation: { anti_flood: 3 } }), expect: 0 },
+  { label: 'no counters, no strikes', got: () => countStrikes(null), expect: 0 },
+  { label: 'window is the decay days without a reset', got: () => strikeWindow(7, null, '2024-05-10'), expect: { days: 7, offset: 0 } },
+  { label: 'reset today counts only later strikes', got: () => strikeWindow(7, { day: '2024-05-10', offset: 2 }, '2024-05-10'), expect: { days: 1, offset: 2 } },
+  { label: 'reset inside the window starts it', got: () => strikeWindow(7, { day: '2024-05-08', offset: 2 }, '2024-05-10'), expect: { days: 3, offset: 2 } },
+  { label: 'reset on the last day of the window', got: () => strikeWindow(7, { day: '2024-05-04', offset: 1 }, '2024-05-10'), expect: { days: 7, offset: 1 } },
+  { label: 'reset older than the window is ignored', got: () => strikeWindow(7, { day: '2024-05-03', offset: 2 }, '2024-05-10'), expect: { days: 7, offset: 0 } },
+  { label: 'unreadable reset day is ignored', got: () => strikeWindow(7, { day: 'someday', offset: 2 }, '2024-05-10'), expect: { days: 7, offset: 0 } },
+  { label: 'no strikes, no step', got: () => ladderStep(ladder, 0), expect: null },
+  { label: 'first strike takes the first step', got: () => ladderStep(ladder, 1), expect: { stepIndex: 0, step: ladder[0], next: ladder[1] } },
+  { label: 'third strike mutes', got: () => ladderStep(ladder, 3), expect: { stepIndex: 2, step: ladder[2], next: ladder[3] } },
+  { label: 'strikes past the ladder repeat the last step', got: () => ladderStep(ladder, 9), expect: { stepIndex: 3, step: ladder[3], next: ladder[3] } },
+  { label: 'empty ladder, no step', got: () => ladderStep([], 2), expect: null },
+]);
+
+// Federation feeds: signed with a key pair made here, verified against the pinned public key,
+// and an older copy than the one applied is refused
+const { privateKey: feedKey } = crypto.generateKeyPairSync('ed25519');
+const signerKey = parsePrivateKey(feedKey.export({ format: 'der', type: 'pkcs8' }).toString('base64'));
+const pinnedKey = parsePublicKey(exportPublicKey(signerKey));
+const otherKey = parsePublicKey(exportPublicKey(crypto.generateKeyPairSync('ed25519').privateKey));
+const rsaPublic = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 }).publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+const feedEntry = { user_id: '123456', action: 'mute', reason: 'spam', added_at: '2024-05-01T00:00:00.000Z', expires_at: null };
+const signFeed = (payload) => {
+  const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  return { payload: text, signature: crypto.sign(null, Buffer.from(text), signerKey).toString('base64') };
+};
+const feedDoc = (over = {}) => signFeed({ version: 1, name: 'peer', generated_at: '2024-05-10T00:00:00.000Z', entries: [feedEntry], ...over });
+const verified = (doc, key = pinnedKey) => {
+  const feed = verifySignedFeed(doc, key);
+  return { name: feed.name, generatedAt: feed.generatedAt, entries: Object.fromEntries(feed.entries) };
+};
+const applied = (docs) => {
+  const state = { entries: new Map(), generatedAt: null };
+  const out = [];
+  for (const doc of docs) {
+    try { out.push(applyFeed(state, verifySignedFeed(doc, pinnedKey))); } catch (e) { out.push(`error:${e.message}`); }
+  }
+  return { out, generatedAt: state.generatedAt, users: [...state.entries.keys()] };
+};
+runCases([
+  {
+    label: 'signed feed round-trips',
+    got: () => verified(feedDoc()),
+    expect: { name: 'peer', generatedAt: '2024-05-10T00:00:00.000Z', entries: { 123456: { action: 'mute', reason: 'spam', addedAt: '2024-05-01T00:00:00.000Z', expiresAt: null } } },
+  },
+  { label: 'bad user ids dropped, unknown actions kick', got: () => Object.fromEntries([...verifySignedFeed(feedDoc({ entries: [{ user_id: 'x1' }, { user_id: 42, action: 'ban' }] }), pinnedKey).entries].map(([id, e]) => [id, e.action])), expect: { 42: 'kick' } },
+  { label: 'signature from another key refused', got: () => verified(feedDoc(), otherKey), expect: 'error:signature does not match the pinned key' },
+  { label: 'tampered payload refused', got: () => verified({ ...feedDoc(), payload: feedDoc().payload.replace('123456', '654321') }), expect: 'error:signature does not match the pinned key' },
+  { label: 'unsigned document refused', got: () => verified({ payload: '{}' }), expect: 'error:not a signed feed' },
+  { label: 'non-Ed25519 public key refused', got: () => parsePublicKey(rsaPublic), expect: 'error:not an Ed25519 public key' },
+  { label: 'non-Ed25519 private key refused', got: () => parsePrivateKey(crypto.generateKeyPairSync('x25519').privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64')), expect: 'error:not an Ed25519 private key' },
+  { label: 'unsupported version refused', got: () => verified(feedDoc({ version: 2 })), expect: 'error:unsupported feed version' },
+  { label: 'feed without entries refused', got: () => verified(feedDoc({ entries: null })), expect: 'error:unsupported feed version' },
+  { label: 'oversized feed refused', got: () => verified(feedDoc({ entries: Array(100001).fill({}) })), expect: 'error:feed has more than 100000 entries' },
+  { label: 'feed without generated_at refused', got: () => verified(feedDoc({ generated_at: 'soon' })), expect: 'error:feed has no generated_at' },
+  {
+    label: 'newer feed replaces the applied one',
+    got: () => applied([feedDoc(), feedDoc({ generated_at: '2024-05-11T00:00:00.000Z', entries: [{ ...feedEntry, user_id: '777' }] })]),
+    expect: { out: [{ added: 1, removed: 0 }, { added: 1, removed: 1 }], generatedAt: '2024-05-11T00:00:00.000Z', users: ['777'] },
+  },
+  {
+    label: 'replayed older feed refused and the newer copy kept',
+    got: () => applied([feedDoc({ generated_at: '2024-05-11T00:00:00.000Z', entries: [] }), feedDoc()]),
+    expect: { out: [{ added: 0, removed: 0 }, 'error:feed is older than the copy already applied'], generatedAt: '2024-05-11T00:00:00.000Z', users: [] },
+  },
+  { label: 'same feed applied again', got: () => applied([feedDoc(), feedDoc()]).out, expect: [{ added: 1, removed: 0 }, { added: 0, removed: 0 }] },
+]);
+
 if (failures) {
   console.error(`Failures: ${failures}`);
   process.exit(1);
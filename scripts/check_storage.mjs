@@ -0,0 +1,362 @@
+#!/usr/bin/env node
+// Conformance checks for settings storage adapters (src/store/adapters) and anti-spam state
+// backends (src/store/spamState.js).
+// Usage: node scripts/check_storage.mjs [file] [sqlite] [postgres] [supabase] [spam:redis] [spam:supabase]
+// Defaults to file and sqlite in a temp directory. postgres/supabase run against DATABASE_URL /
+// SUPABASE_URL when named: they use a separate global key and throwaway chat ids, removed afterwards
+// (blacklist rows are history and stay; they use a made-up user id; appeal cases expire within an hour).
+// The memory spam state always runs; spam:redis / spam:supabase run against REDIS_URL / SUPABASE_URL
+// with throwaway keys that expire within a minute.
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { createSettingsAdapter, SETTINGS_BACKENDS } from '../src/store/adapters/index.js';
+import { CHAT_FIELDS, emptyChatSettings } from '../src/store/adapters/common.js';
+import { createSpamState, withMemoryFallback, SPAM_STATE_BACKENDS } from '../src/store/spamState.js';
+
+const requested = process.argv.slice(2);
+const spamNamed = requested.filter((b) => b.startsWith('spam:')).map((b) => b.slice('spam:'.length));
+const backends = requested.length ? requested.filter((b) => !b.startsWith('spam:')) : ['file', 'sqlite'];
+const spamBackends = ['memory', ...spamNamed.filter((b) => b !== 'memory')];
+const unknown = [
+  ...backends.filter((b) => !SETTINGS_BACKENDS.includes(b)),
+  ...spamNamed.filter((b) => !SPAM_STATE_BACKENDS.includes(b)).map((b) => `spam:${b}`),
+];
+if (unknown.length) {
+  console.error(`Unknown backend(s): ${unknown.join(', ')} (expected ${SETTINGS_BACKENDS.join('|')} or spam:${SPAM_STATE_BACKENDS.join('|spam:')})`);
+  process.exit(2);
+}
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'settings-check-'));
+const run = crypto.randomBytes(3).toString('hex');
+const chatA = `-100${run}1`;
+const chatB = `-100${run}2`;
+// Blacklist rows are never deleted, so remote runs use user ids no real account has
+const userA = `9${Date.now()}`;
+// Appeal cases expire on their own, so remote runs leave nothing behind for long
+const appealExpiry = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+function optionsFor(kind) {
+  if (kind === 'file') return { file: path.join(tmpDir, 'settings.json') };
+  if (kind === 'sqlite') return { file: path.join(tmpDir, 'settings.sqlite') };
+  return { globalKey: `conformance_${run}` };
+}
+
+const isLocal = (kind) => kind === 'file' || kind === 'sqlite';
+
+async function open(kind) {
+  const adapter = await createSettingsAdapter(kind, optionsFor(kind));
+  await adapter.init();
+  return adapter;
+}
+
+const globalDoc = {
+  bot_admin_ids: [1, 2],
+  global_rules: { no_links: false },
+  global_limits: { max_len: 300, flood_max_messages: 8 },
+  global_link_policy: { allow: ['example.org'], deny: [] },
+  commands_initialized: true,
+};
+
+const chatDoc = {
+  ...emptyChatSettings(),
+  rules: { no_edit: false },
+  limits: { max_len: 120 },
+  whitelist: [7, 8],
+  captcha: { enabled: true, mode: 'math', timeout_seconds: 60 },
+  notices: { locale: 'hi', templates: {} },
+  bans: { 555: { action: 'ban', reason: 'spam', addedBy: 7, addedAt: '2024-01-01T00:00:00.000Z' } },
+  join_requests: { enabled: true, passed: 'approve', flagged: 'hold' },
+  raid: { enabled: true, joins: 15, window_seconds: 60 },
+  slowmode: { seconds: 30, since: '2024-01-01T00:00:00.000Z', until: null, by: 7 },
+  nightmode: { enabled: true, windows: [{ start: '02:00', end: '05:00' }], block: ['media'], action: 'delete', timezone: null, active: false, permissions: null },
+  media_policy: { sticker: 'deny', voice: 7 },
+};
+
+const checks = [
+  ['fresh store has no chats', async (a) => {
+    assert.equal(await a.loadChat(chatA), null);
+    assert.ok(!(await a.listChatIds()).includes(chatA));
+  }],
+  ['global document round-trips', async (a, kind) => {
+    if (isLocal(kind)) assert.equal(await a.loadGlobal(), null);
+    await a.saveGlobal(globalDoc);
+    assert.deepEqual(await a.loadGlobal(), globalDoc);
+  }],
+  ['global document drops chat_* maps', async (a) => {
+    await a.saveGlobal({ ...globalDoc, chat_rules: { [chatA]: { no_edit: true } } });
+    assert.deepEqual(await a.loadGlobal(), globalDoc);
+    assert.equal(await a.loadChat(chatA), null);
+  }],
+  ['chat document round-trips with every field', async (a) => {
+    await a.saveChat(chatA, chatDoc);
+    const got = await a.loadChat(chatA);
+    assert.deepEqual(Object.keys(got).sort(), [...CHAT_FIELDS].sort());
+    assert.deepEqual(got, chatDoc);
+    assert.ok(Array.isArray(got.whitelist));
+  }],
+  ['missing chat fields come back empty', async (a) => {
+    await a.saveChat(chatB, { rules: { no_links: false } });
+    assert.deepEqual(await a.loadChat(chatB), { ...emptyChatSettings(), rules: { no_links: false } });
+  }],
+  ['chats are isolated and overwritten whole', async (a) => {
+    await a.saveChat(chatB, { limits: { dup_repeat_limit: 4 } });
+    assert.deepEqual((await a.loadChat(chatB)).rules, {});
+    assert.deepEqual(await a.loadChat(chatA), chatDoc);
+  }],
+  ['saving a chat keeps the global document', async (a) => {
+    assert.deepEqual(await a.loadGlobal(), globalDoc);
+  }],
+  ['returned documents are copies', async (a) => {
+    const got = await a.loadChat(chatA);
+    got.whitelist.push(99);
+    got.rules.no_edit = true;
+    assert.deepEqual(await a.loadChat(chatA), chatDoc);
+  }],
+  ['lists stored chats', async (a) => {
+    const ids = await a.listChatIds();
+    assert.ok(ids.includes(chatA) && ids.includes(chatB));
+    const chats = new Map(await a.listChats());
+    assert.deepEqual(chats.get(chatA), chatDoc);
+    assert.deepEqual(chats.get(chatB).limits, { dup_repeat_limit: 4 });
+  }],
+  ['blacklist starts empty for a user', async (a) => {
+    assert.equal(await a.getBlacklistEntry(userA), null);
+    assert.deepEqual(await a.blacklistHistory(userA), []);
+    assert.equal(await a.revokeBlacklistEntry(userA, { revoked_by: 1 }), false);
+  }],
+  ['blacklist add, replace and revoke keep history', async (a) => {
+    await a.addBlacklistEntry({ user_id: userA, action: 'kick', reason: 'spam', added_by: 1, added_at: '2024-01-01T00:00:00.000Z' });
+    await a.addBlacklistEntry({ user_id: userA, action: 'mute', reason: 'scam', added_by: 2, added_at: '2024-01-02T00:00:00.000Z', expires_at: '2030-01-01T00:00:00.000Z' });
+    const open = await a.getBlacklistEntry(userA);
+    assert.equal(open.action, 'mute');
+    assert.equal(open.expires_at, '2030-01-01T00:00:00.000Z');
+    assert.ok((await a.listBlacklist()).some((r) => r.user_id === userA && r.action === 'mute'));
+    assert.equal(await a.revokeBlacklistEntry(userA, { revoked_at: '2024-01-03T00:00:00.000Z', revoked_by: 3 }), true);
+    assert.equal(await a.getBlacklistEntry(userA), null);
+    const history = await a.blacklistHistory(userA);
+    assert.deepEqual(history.map((r) => [r.action, r.added_by, r.revoked_at, r.revoked_by]), [
+      ['kick', 1, '2024-01-02T00:00:00.000Z', 2],
+      ['mute', 2, '2024-01-03T00:00:00.000Z', 3],
+    ]);
+    assert.ok((await a.listBlacklistRows()).filter((r) => r.user_id === userA).length === 2);
+  }],
+  ['scheduled jobs are replaced per type and chat', async (a) => {
+    await a.putScheduledJob({ type: 'slowmode_end', chat_id: chatA, run_at: '2024-01-01T02:00:00.000Z' });
+    await a.putScheduledJob({ type: 'slowmode_end', chat_id: chatA, run_at: '2024-01-01T01:00:00.000Z', data: { by: 7 } });
+    await a.putScheduledJob({ type: 'lockdown_end', chat_id: chatA, run_at: '2024-01-01T03:00:00.000Z', attempts: 2 });
+    await a.putScheduledJob({ type: 'slowmode_end', chat_id: chatB, run_at: '2030-01-01T00:00:00.000Z' });
+    const mine = (await a.listScheduledJobs()).filter((j) => j.chat_id === chatA || j.chat_id === chatB);
+    assert.deepEqual(mine, [
+      { type: 'slowmode_end', chat_id: chatA, run_at: '2024-01-01T01:00:00.000Z', data: { by: 7 }, attempts: 0 },
+      { type: 'lockdown_end', chat_id: chatA, run_at: '2024-01-01T03:00:00.000Z', data: {}, attempts: 2 },
+      { type: 'slowmode_end', chat_id: chatB, run_at: '2030-01-01T00:00:00.000Z', data: {}, attempts: 0 },
+    ]);
+  }],
+  ['taking due jobs returns each once', async (a) => {
+    const [first, second] = await Promise.all([
+      a.takeDueScheduledJobs(Date.parse('2024-01-01T02:00:00.000Z')),
+      a.takeDueScheduledJobs(Date.parse('2024-01-01T02:00:00.000Z')),
+    ]);
+    const taken = [...first, ...second].filter((j) => j.chat_id === chatA);
+    assert.deepEqual(taken.map((j) => j.type), ['slowmode_end']);
+    assert.equal(await a.removeScheduledJob('lockdown_end', chatA), true);
+    assert.equal(await a.removeScheduledJob('lockdown_end', chatA), false);
+  }],
+  ['appeal cases change status once', async (a) => {
+    const first = {
+      id: `${run}a1`,
+      user_id: userA,
+      created_at: '2024-01-01T00:00:00.000Z',
+      expires_at: appealExpiry,
+      chat: { id: -1001, title: 'A' },
+      user: { id: Number(userA), first_name: 'U' },
+      violation: 'no_links',
+      muted: true,
+    };
+    await a.putAppealCase(first);
+    await a.putAppealCase({ ...first, id: `${run}a2`, status: 'submitted', created_at: '2024-01-02T00:00:00.000Z' });
+    const row = await a.getAppealCase(`${run}a1`);
+    assert.equal(row.status, 'open');
+    assert.deepEqual(row.chat, { id: -1001, title: 'A' });
+    assert.equal(row.muted, true);
+    assert.equal(row.awaiting_until, null);
+    const won = await Promise.all([
+      a.updateAppealCase({ ...row, status: 'submitted', appeal_text: 'first' }, 'open'),
+      a.updateAppealCase({ ...row, status: 'submitted', appeal_text: 'second' }, 'open'),
+    ]);
+    assert.equal(won.filter(Boolean).length, 1);
+    const after = await a.getAppealCase(`${run}a1`);
+    assert.equal(after.status, 'submitted');
+    assert.equal(after.appeal_text, won[0] ? 'first' : 'second');
+    assert.equal(await a.updateAppealCase({ ...after, status: 'approved' }, 'open'), false);
+    assert.deepEqual((await a.listUserAppealCases(userA)).map((r) => r.id), [`${run}a1`, `${run}a2`]);
+    assert.equal(await a.getAppealCase(`${run}missing`), null);
+  }],
+  ['prunes expired and surplus appeal cases', async (a, kind) => {
+    // Pruning a shared store would remove real cases
+    if (!isLocal(kind)) return;
+    const base = { user_id: userA, user: { id: Number(userA) }, chat: { id: -1001 } };
+    await a.putAppealCase({ ...base, id: `${run}a3`, created_at: '2024-01-03T00:00:00.000Z', expires_at: '2024-01-04T00:00:00.000Z' });
+    await a.putAppealCase({ ...base, id: `${run}a4`, created_at: '2024-01-04T00:00:00.000Z', expires_at: appealExpiry });
+    await a.putAppealCase({ ...base, id: `${run}a5`, created_at: '2024-01-05T00:00:00.000Z', expires_at: appealExpiry });
+    assert.equal(await a.pruneAppealCases(Date.parse('2024-06-01T00:00:00.000Z'), 1), 2);
+    assert.deepEqual((await a.listAppealCases()).map((r) => r.id), [`${run}a1`, `${run}a2`, `${run}a5`]);
+  }],
+  ['persists across reopen', async (a, kind) => {
+    await a.close();
+    const b = await open(kind);
+    try {
+      assert.deepEqual(await b.loadGlobal(), globalDoc);
+      assert.deepEqual(await b.loadChat(chatA), chatDoc);
+      assert.equal((await b.blacklistHistory(userA)).length, 2);
+      assert.ok((await b.listScheduledJobs()).some((j) => j.chat_id === chatB && j.type === 'slowmode_end'));
+      assert.equal((await b.getAppealCase(`${run}a1`))?.status, 'submitted');
+    } finally {
+      await b.close();
+    }
+  }],
+  ['deletes chats', async (a, kind) => {
+    const b = await open(kind);
+    try {
+      await b.deleteChat(chatA);
+      assert.equal(await b.loadChat(chatA), null);
+      assert.ok(!(await b.listChatIds()).includes(chatA));
+    } finally {
+      await b.close();
+    }
+  }],
+];
+
+// Spam state keys are unique to the run; probation reads compare against the clock, so those
+// checks use the current time
+const spamKey = (name) => `conformance:${run}:${name}`;
+
+const spamChecks = [
+  ['counts flood hits inside the window', async (s) => {
+    const key = spamKey('flood');
+    const t0 = Date.now();
+    const counts = [];
+    for (const dt of [0, 1000, 2000]) counts.push(await s.floodHit(key, t0 + dt, 3000));
+    assert.deepEqual(counts, [1, 2, 3]);
+    // t0 and t0+1000 fall out; a hit exactly one window old still counts
+    assert.equal(await s.floodHit(key, t0 + 4500, 3000), 2);
+    assert.equal(await s.floodHit(key, t0 + 7500, 3000), 2);
+    assert.equal(await s.floodHit(spamKey('flood-other'), t0 + 7500, 3000), 1);
+  }],
+  ['counts consecutive duplicates', async (s) => {
+    const key = spamKey('dup');
+    const t0 = Date.now();
+    const counts = [];
+    for (const [text, dt] of [['buy now', 0], ['buy now', 1000], ['buy now', 2000], ['hello', 2500], ['buy now', 3000], ['buy now', 9000]]) {
+      counts.push(await s.duplicateHit(key, text, t0 + dt, 5000));
+    }
+    // Another text resets the run, and so does a gap longer than the window
+    assert.deepEqual(counts, [1, 2, 3, 1, 1, 1]);
+    assert.equal(await s.duplicateHit(spamKey('dup-other'), 'buy now', t0 + 9000, 5000), 1);
+  }],
+  ['stores probation', async (s) => {
+    const until = Date.now() + 60 * 1000;
+    assert.equal(await s.getProbation(spamKey('probation')), null);
+    await s.setProbation(spamKey('probation'), until);
+    assert.equal(await s.getProbation(spamKey('probation')), until);
+    await s.setProbation(spamKey('probation-past'), Date.now() - 1000);
+    assert.equal(await s.getProbation(spamKey('probation-past')), null);
+  }],
+  ['claims probation once until it expires', async (s) => {
+    const key = spamKey('claim');
+    const now = Date.now();
+    assert.equal(await s.claimProbation(key, now, now + 1000), null);
+    assert.equal(await s.claimProbation(key, now + 500, now + 60 * 1000), now + 1000);
+    assert.equal(await s.claimProbation(key, now + 1000, now + 60 * 1000), null);
+    assert.equal(await s.getProbation(key), now + 60 * 1000);
+  }],
+  ['gives a contested claim to one caller', async (s) => {
+    const key = spamKey('claim-race');
+    const now = Date.now();
+    const results = await Promise.all(Array.from({ length: 5 }, (_, i) => s.claimProbation(key, now, now + 60 * 1000 + i)));
+    assert.equal(results.filter((r) => r === null).length, 1);
+    const held = await s.getProbation(key);
+    assert.ok(results.every((r) => r === null || r === held));
+  }],
+  ['cached reads see probation set by another worker', async (s) => {
+    const key = spamKey('cached');
+    const worker = withMemoryFallback(s);
+    assert.equal(await worker.getProbation(key), null);
+    const until = Date.now() + 60 * 1000;
+    await s.setProbation(key, until);
+    assert.equal(await worker.getProbation(key), until);
+    assert.equal(await worker.claimProbation(key, Date.now(), until + 1000), until);
+  }],
+  ['prunes without losing live state', async (s) => {
+    const now = Date.now();
+    await s.setProbation(spamKey('prune'), now + 60 * 1000);
+    await s.floodHit(spamKey('prune'), now, 3000);
+    await s.prune(now);
+    assert.equal(await s.getProbation(spamKey('prune')), now + 60 * 1000);
+    assert.equal(await s.floodHit(spamKey('prune'), now + 1000, 3000), 2);
+  }],
+];
+
+let failures = 0;
+for (const kind of backends) {
+  let adapter;
+  try {
+    adapter = await open(kind);
+  } catch (e) {
+    failures++;
+    console.error(`❌ ${kind}: could not open — ${e?.message || e}`);
+    continue;
+  }
+  for (const [label, fn] of checks) {
+    try {
+      await fn(adapter, kind);
+      console.log(`✅ ${kind}: ${label}`);
+    } catch (e) {
+      failures++;
+      console.error(`❌ ${kind}: ${label} — ${e?.message || e}`);
+    }
+  }
+  // Remote stores: remove what this run wrote
+  if (!isLocal(kind)) {
+    const cleanup = await open(kind).catch(() => null);
+    if (cleanup) {
+      for (const id of [chatA, chatB]) await cleanup.deleteChat(id).catch(() => {});
+      await cleanup.removeScheduledJob('slowmode_end', chatB).catch(() => {});
+      console.log(`ℹ️ ${kind}: left global key ${optionsFor(kind).globalKey} in bot_settings; delete it by hand if unwanted`);
+      await cleanup.close();
+    }
+  }
+}
+
+for (const kind of spamBackends) {
+  let state;
+  try {
+    state = await createSpamState(kind);
+  } catch (e) {
+    failures++;
+    console.error(`❌ spam:${kind}: could not open — ${e?.message || e}`);
+    continue;
+  }
+  for (const [label, fn] of spamChecks) {
+    try {
+      await fn(state, kind);
+      console.log(`✅ spam:${kind}: ${label}`);
+    } catch (e) {
+      failures++;
+      console.error(`❌ spam:${kind}: ${label} — ${e?.message || e}`);
+    }
+  }
+  await state.close().catch(() => {});
+}
+
+await fs.rm(tmpDir, { recursive: true, force: true });
+
+if (failures) {
+  console.error(`Failures: ${failures}`);
+  process.exit(1);
+} else {
+  console.log('All storage adapter checks passed.');
+}
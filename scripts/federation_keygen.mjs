@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+// Generates an Ed25519 key pair for publishing a federation feed.
+// Put FEDERATION_PRIVATE_KEY in the bot's environment and hand the public key to subscribers.
+import crypto from 'node:crypto';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+console.log(`FEDERATION_PRIVATE_KEY=${privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64')}`);
+console.log(`# public key for /federation_subscribe: ${publicKey.export({ format: 'der', type: 'spki' }).toString('base64')}`);
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// Copies all bot settings (global document and every chat) from one storage backend to another.
+import 'dotenv/config';
+import process from 'node:process';
+import { isDeepStrictEqual } from 'node:util';
+import { createSettingsAdapter, SETTINGS_BACKENDS } from '../src/store/adapters/index.js';
+
+const args = process.argv.slice(2);
+const positional = args.filter((a) => !a.startsWith('--'));
+const options = { force: false, dryRun: false, fromPath: null, toPath: null };
+for (const arg of args) {
+  if (arg === '--force') options.force = true;
+  else if (arg === '--dry-run') options.dryRun = true;
+  else if (arg.startsWith('--from-path=')) options.fromPath = arg.split('=')[1] || null;
+  else if (arg.startsWith('--to-path=')) options.toPath = arg.split('=')[1] || null;
+  else if (arg === '--help') {
+    printHelp();
+    process.exit(0);
+  }
+}
+
+function printHelp() {
+  console.log(`Usage: node scripts/migrate_settings.mjs <from> <to> [options]
+
+Backends: ${SETTINGS_BACKENDS.join(', ')}
+  file      SETTINGS_FILE (default data/settings.json)
+  sqlite    SQLITE_PATH (default data/settings.sqlite)
+  postgres  DATABASE_URL (tables from sql/schema.sql)
+  supabase  SUPABASE_URL / SUPABASE_KEY (tables from sql/schema.sql)
+
+Options:
+  --from-path=P, --to-path=P   File path for a file/sqlite side (overrides the env var)
+  --dry-run                    Read the source and report what would be copied
+  --force                      Write even if the target already holds settings
+`);
+}
+
+const [from, to] = positional;
+if (!SETTINGS_BACKENDS.includes(from) || !SETTINGS_BACKENDS.includes(to)) {
+  printHelp();
+  process.exit(2);
+}
+
+const source = await createSettingsAdapter(from, options.fromPath ? { file: options.fromPath } : {});
+const target = await createSettingsAdapter(to, options.toPath ? { file: options.toPath } : {});
+if (source.name === target.name && source.location === target.location) {
+  console.error('Source and target are the same store.');
+  process.exit(2);
+}
+
+try {
+  await source.init();
+  await target.init();
+
+  const globalDoc = await source.loadGlobal();
+  const chats = await source.listChats();
+  const blacklist = await source.listBlacklistRows();
+  const jobs = await source.listScheduledJobs();
+  const appeals = await source.listAppealCases();
+  console.log(`Source ${from} (${source.location}): global settings ${globalDoc ? 'found' : 'missing'}, ${chats.length} chat(s), ${blacklist.length} blacklist row(s), ${jobs.length} scheduled job(s), ${appeals.length} appeal case(s)`);
+
+  const existing = (await target.listChatIds()).length;
+  const targetHasGlobal = Boolean(await target.loadGlobal());
+  const targetBlacklist = (await target.listBlacklistRows()).length;
+  if (targetBlacklist && options.force) {
+    // History rows can't be merged safely; --force replaces settings but never doubles up the blacklist
+    console.error(`Target ${to} (${target.location}) already has ${targetBlacklist} blacklist row(s); empty its blacklist table first.`);
+    process.exitCode = 1;
+  } else if ((existing || targetHasGlobal || targetBlacklist) && !options.force) {
+    console.error(`Target ${to} (${target.location}) already holds settings (${existing} chat(s)); rerun with --force to overwrite them.`);
+    process.exitCode = 1;
+  } else if (options.dryRun) {
+    console.log(`Dry run: nothing written to ${to} (${target.location}).`);
+  } else {
+    if (globalDoc) await target.saveGlobal(globalDoc);
+    for (const [chatId, doc] of chats) await target.saveChat(chatId, doc);
+    if (blacklist.length) await target.importBlacklistRows(blacklist);
+    for (const job of jobs) await target.putScheduledJob(job);
+    for (const row of appeals) await target.putAppealCase(row);
+
+    // Read everything back so a partial copy is noticed
+    let mismatches = 0;
+    for (const [chatId, doc] of chats) {
+      if (!isDeepStrictEqual(await target.loadChat(chatId), doc)) {
+        mismatches++;
+        console.error(`Chat ${chatId} differs after copy`);
+      }
+    }
+    if ((await target.listBlacklistRows()).length !== blacklist.length) {
+      mismatches++;
+      console.error('Blacklist row count differs after copy');
+    }
+    if (mismatches) process.exitCode = 1;
+    console.log(`Copied ${globalDoc ? 'global settings, ' : ''}${chats.length} chat(s), ${blacklist.length} blacklist row(s), ${jobs.length} scheduled job(s) and ${appeals.length} appeal case(s) to ${to} (${target.location})${mismatches ? `, ${mismatches} mismatch(es)` : ''}.`);
+  }
+} finally {
+  await source.close();
+  await target.close();
+}
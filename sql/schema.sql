@@ -27,13 +27,100 @@ create table if not exists chat_settings (
   rules jsonb not null default '{}'::jsonb,
   limits jsonb not null default '{}'::jsonb,
   whitelist jsonb not null default '[]'::jsonb,
+  escalation jsonb not null default '{}'::jsonb,
+  strike_resets jsonb not null default '{}'::jsonb,
+  custom_rules jsonb not null default '{}'::jsonb,
+  link_policy jsonb not null default '{}'::jsonb,
+  captcha jsonb not null default '{}'::jsonb,
+  digest jsonb not null default '{}'::jsonb,
+  notices jsonb not null default '{}'::jsonb,
+  bans jsonb not null default '{}'::jsonb,
+  join_requests jsonb not null default '{}'::jsonb,
+  raid jsonb not null default '{}'::jsonb,
+  lockdown jsonb not null default '{}'::jsonb,
+  slowmode jsonb not null default '{}'::jsonb,
+  nightmode jsonb not null default '{}'::jsonb,
+  media_policy jsonb not null default '{}'::jsonb,
   updated_at timestamptz not null default now()
 );
+-- Columns added after the initial release (per-chat feature sections)
+alter table chat_settings add column if not exists escalation jsonb not null default '{}'::jsonb;
+alter table chat_settings add column if not exists strike_resets jsonb not null default '{}'::jsonb;
+alter table chat_settings add column if not exists custom_rules jsonb not null default '{}'::jsonb;
+alter table chat_settings add column if not exists link_policy jsonb not null default '{}'::jsonb;
+alter table chat_settings add column if not exists captcha jsonb not null default '{}'::jsonb;
+alter table chat_settings add column if not exists digest jsonb not null default '{}'::jsonb;
+alter table chat_settings add column if not exists notices jsonb not null default '{}'::jsonb;
+alter table chat_settings add column if not exists bans jsonb not null default '{}'::jsonb;
+alter table chat_settings add column if not exists join_requests jsonb not null default '{}'::jsonb;
+alter table chat_settings add column if not exists raid jsonb not null default '{}'::jsonb;
+alter table chat_settings add column if not exists lockdown jsonb not null default '{}'::jsonb;
+alter table chat_settings add column if not exists slowmode jsonb not null default '{}'::jsonb;
+alter table chat_settings add column if not exists nightmode jsonb not null default '{}'::jsonb;
+alter table chat_settings add column if not exists media_policy jsonb not null default '{}'::jsonb;
 drop trigger if exists trg_chat_settings_updated on chat_settings;
 create trigger trg_chat_settings_updated
 before update on chat_settings
 for each row execute function set_updated_at();
 
+-- Global blacklist: one row per grant, kept as history. Removal sets revoked_at/revoked_by;
+-- the open row (revoked_at is null) is the user's current entry.
+create table if not exists global_blacklist (
+  id bigserial primary key,
+  user_id text not null,
+  action text not null default 'kick' check (action in ('kick', 'mute')),
+  reason text not null default '',
+  added_by bigint,
+  added_at timestamptz not null default now(),
+  expires_at timestamptz,
+  revoked_at timestamptz,
+  revoked_by bigint
+);
+create index if not exists idx_global_blacklist_user on global_blacklist (user_id, added_at);
+create unique index if not exists uq_global_blacklist_open on global_blacklist (user_id) where revoked_at is null;
+
+-- Closes the user's open blacklist row and inserts the new one (Supabase adapter). The function
+-- runs as one transaction, so a failed insert leaves the open row as it was.
+create or replace function global_blacklist_add(
+  p_user_id text,
+  p_action text,
+  p_reason text,
+  p_added_by bigint,
+  p_added_at timestamptz,
+  p_expires_at timestamptz
+) returns void language plpgsql as $$
+begin
+  update global_blacklist set revoked_at = p_added_at, revoked_by = p_added_by
+  where user_id = p_user_id and revoked_at is null;
+  insert into global_blacklist (user_id, action, reason, added_by, added_at, expires_at)
+  values (p_user_id, p_action, p_reason, p_added_by, p_added_at, p_expires_at);
+end $$;
+
+-- Scheduled jobs (lockdown/slow mode ends, night mode windows): one per (type, chat).
+-- Due jobs are taken with one `delete ... returning`, so each runs on one worker.
+create table if not exists scheduled_jobs (
+  type text not null,
+  chat_id text not null,
+  run_at timestamptz not null,
+  data jsonb not null default '{}'::jsonb,
+  attempts integer not null default 0,
+  primary key (type, chat_id)
+);
+create index if not exists idx_scheduled_jobs_run_at on scheduled_jobs (run_at);
+
+-- Appeal cases (moderation notices' Appeal links), so links work after a restart and on every
+-- worker. Status changes are conditional updates (`where status = ...`), so one reviewer wins.
+create table if not exists appeal_cases (
+  id text primary key,
+  user_id text not null,
+  status text not null default 'open' check (status in ('open', 'submitted', 'approved', 'rejected')),
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  data jsonb not null default '{}'::jsonb
+);
+create index if not exists idx_appeal_cases_user on appeal_cases (user_id);
+create index if not exists idx_appeal_cases_created on appeal_cases (created_at);
+
 -- Global daily stats
 create table if not exists stats_global_daily (
   day date primary key,
@@ -78,7 +165,7 @@ create trigger trg_stats_user_daily_updated
 before update on stats_user_daily
 for each row execute function set_updated_at();
 
--- Optional moderation logs (read by logger.getRecentLogsSupabase)
+-- Moderation audit log (written by logAction via store/modlog.js; read by /modlog)
 create table if not exists moderation_logs (
   id bigserial primary key,
   ts timestamptz,
@@ -99,6 +186,8 @@ create table if not exists moderation_logs (
 create index if not exists idx_mlogs_ts on moderation_logs (ts desc, created_at desc);
 create index if not exists idx_mlogs_chat on moderation_logs (chat_id);
 create index if not exists idx_mlogs_violation on moderation_logs (violation);
+create index if not exists idx_mlogs_user on moderation_logs (user_id, ts desc);
+create index if not exists idx_mlogs_action on moderation_logs (action);
 
 -- Presence (used for user_groups and health candidates)
 create table if not exists user_chat_presence (
@@ -144,3 +233,74 @@ create table if not exists explicit_terms (
   created_at timestamptz not null default now()
 );
 
+
+-- Shared anti-spam state (SPAM_STATE_BACKEND=supabase, see src/store/spamState.js)
+-- Flood hits and duplicate counters, keyed 'flood:<chat>:<user>' / 'dup:<chat>:<user>'
+create table if not exists spam_state (
+  key text primary key,
+  hits bigint[] not null default '{}',
+  text_hash text,
+  repeat_count integer not null default 0,
+  last_ts bigint not null default 0,
+  expires_at timestamptz not null
+);
+create index if not exists idx_spam_state_expires on spam_state (expires_at);
+
+-- New member probation windows, keyed '<chat>:<user>'
+create table if not exists member_probation (
+  key text primary key,
+  until_at timestamptz not null
+);
+create index if not exists idx_member_probation_until on member_probation (until_at);
+
+-- Sliding-window flood counter; the upsert locks the row so concurrent workers never lose a hit
+create or replace function spam_flood_hit(p_key text, p_now bigint, p_window_ms bigint)
+returns integer language plpgsql as $$
+declare
+  v_hits bigint[];
+begin
+  insert into spam_state as s (key, hits, expires_at)
+  values ('flood:' || p_key, array[p_now], to_timestamp((p_now + p_window_ms) / 1000.0))
+  on conflict (key) do update
+    set hits = array(select h from unnest(s.hits) as h where h >= p_now - p_window_ms) || p_now,
+        expires_at = excluded.expires_at
+  returning hits into v_hits;
+  return cardinality(v_hits);
+end $$;
+
+-- Consecutive identical messages within the window (same text hash)
+create or replace function spam_duplicate_hit(p_key text, p_hash text, p_now bigint, p_window_ms bigint)
+returns integer language plpgsql as $$
+declare
+  v_count integer;
+begin
+  insert into spam_state as s (key, text_hash, repeat_count, last_ts, expires_at)
+  values ('dup:' || p_key, p_hash, 1, p_now, to_timestamp((p_now + p_window_ms) / 1000.0))
+  on conflict (key) do update
+    set repeat_count = case when s.text_hash = p_hash and p_now - s.last_ts <= p_window_ms then s.repeat_count + 1 else 1 end,
+        text_hash = p_hash,
+        last_ts = p_now,
+        expires_at = excluded.expires_at
+  returning repeat_count into v_count;
+  return v_count;
+end $$;
+
+-- Claims a probation key unless it is still held (slow mode intervals): returns null when this
+-- call claimed it, else the current until in ms. The conditional upsert locks the row, so two
+-- workers never both claim it.
+create or replace function spam_claim_probation(p_key text, p_now bigint, p_until bigint)
+returns bigint language plpgsql as $$
+declare
+  v_until timestamptz;
+begin
+  insert into member_probation as m (key, until_at)
+  values (p_key, to_timestamp(p_until / 1000.0))
+  on conflict (key) do update
+    set until_at = excluded.until_at
+    where m.until_at <= to_timestamp(p_now / 1000.0);
+  if found then
+    return null;
+  end if;
+  select until_at into v_until from member_probation where key = p_key;
+  return (extract(epoch from v_until) * 1000)::bigint;
+end $$;
@@ -3,13 +3,32 @@ import { Bot, webhookCallback } from 'grammy';
 import { run, sequentialize } from '@grammyjs/runner';
 import { autoRetry } from '@grammyjs/auto-retry';
 import throttlerModule from '@grammyjs/transformer-throttler';
-import http from 'node:http';
 import { securityMiddleware, markNewMemberJoined } from './middleware/security.js';
 import { settingsMiddleware } from './middleware/settings.js';
-import { bootstrapAdminsFromEnv, areCommandsInitialized, markCommandsInitialized, getBlacklistEntry, isRuleEnabled } from './store/settings.js';
-import { logActionPinned, logAction, recordUserPresence, removeChatPresenceUsers } from './logger.js';
-import { defaultCommands, adminCommands, ownerPrivateCommands } from './commands/menu.js';
+import { settingsPanelMiddleware } from './middleware/settingsPanel.js';
+import { captchaMiddleware, startCaptcha } from './middleware/captcha.js';
+import { appealsMiddleware } from './middleware/appeals.js';
+import { federationMiddleware } from './middleware/federation.js';
+import { chatBansMiddleware } from './middleware/chatBans.js';
+import { joinRequestsMiddleware } from './middleware/joinRequests.js';
+import { lockdownMiddleware } from './middleware/lockdown.js';
+import { bootstrapAdminsFromEnv, areCommandsInitialized, markCommandsInitialized, getBlacklistEntry, getChatBanEntry, isRuleEnabled } from './store/settings.js';
+import { logActionPinned, logAction, recordUserPresence } from './logger.js';
+import { publishCommandMenus, clearCommandMenus } from './commands/menu.js';
 import { textHasLink, containsExplicit } from './filters.js';
+import { createHttpServer } from './http/server.js';
+import { createApiHandler } from './http/api.js';
+import { createDashboardHandler } from './http/dashboard.js';
+import { createMetricsHandler, metricsEnabled } from './http/metrics.js';
+import { createFederationFeedHandler, federationFeedEnabled } from './http/federation.js';
+import { telegramApiTransformers } from './metrics.js';
+import { startDigestScheduler } from './moderation/digest.js';
+import { applyBlacklistAction, applyChatBanAction } from './moderation/members.js';
+import { startBlacklistSweeper } from './moderation/blacklist.js';
+import { startFederationSync } from './moderation/federation.js';
+import { recordChatJoins, restrictLockdownJoiner } from './moderation/lockdown.js';
+import { startScheduler } from './moderation/scheduler.js';
+import { noticeRenderer } from './i18n/index.js';
 
 const { apiThrottler } = throttlerModule;
 const token = process.env.BOT_TOKEN;
@@ -20,27 +39,16 @@ if (!token) {
 
 const bot = new Bot(token);
 
-const BLACKLIST_MUTE_PERMISSIONS = {
-  can_send_messages: false,
-  can_send_audios: false,
-  can_send_documents: false,
-  can_send_photos: false,
-  can_send_videos: false,
-  can_send_video_notes: false,
-  can_send_voice_notes: false,
-  can_send_polls: false,
-  can_send_other_messages: false,
-  can_add_web_page_previews: false,
-  can_change_info: false,
-  can_invite_users: false,
-  can_pin_messages: false,
-};
+// Metrics: `inner` times each request on the wire, `outer` also sees time queued (see metrics.js)
+const apiMetrics = telegramApiTransformers();
+bot.api.config.use(apiMetrics.inner);
 
 // Reliability: auto-retry transient network errors and 429s with backoff
 bot.api.config.use(autoRetry());
 
 // Flood limits: queue API calls to respect Telegram rate limits
 bot.api.config.use(apiThrottler());
+bot.api.config.use(apiMetrics.outer);
 
 // Concurrency safety: ensure per-chat (or user) sequential processing
 bot.use(
@@ -55,9 +63,28 @@ bot.use(
 // Security middleware with all group rules
 bot.use(securityMiddleware());
 
-// Settings middleware and commands
+// Appeals: deep-link /start, appeal text in DM, log chat decisions
+bot.use(appealsMiddleware());
+
+// Join captcha answers
+bot.use(captchaMiddleware());
+
+// Join request screening and the admin review buttons
+bot.use(joinRequestsMiddleware());
+
+// Inline settings panel (/settings for group admins), then settings commands
+bot.use(settingsPanelMiddleware());
 bot.use(settingsMiddleware());
 
+// Per-chat ban lists (chat admins)
+bot.use(chatBansMiddleware());
+
+// Manual lockdown and slow mode (chat admins)
+bot.use(lockdownMiddleware());
+
+// Federation feeds (subscriptions and overrides, bot admins)
+bot.use(federationMiddleware());
+
 // (message and edited_message handling moved into security middleware)
 
 // Presence tracking: record user→chat presence on messages
@@ -92,23 +119,59 @@ bot.on('message:new_chat_members', async (ctx) => {
         .join(' ');
     }
 
+    const t = await noticeRenderer(ctx.chat.id);
     const checkNameLinks = await isRuleEnabled('no_links', ctx.chat.id);
     const checkNameExplicit = await isRuleEnabled('no_explicit', ctx.chat.id);
+    // Raid detection counts every batch; during a lockdown new members are muted instead of welcomed
+    const lockdown = await recordChatJoins(ctx.api, ctx.chat, candidates.length);
     const allowed = [];
+    const lockedDown = [];
     const blockedNotices = [];
+    const chatBanNotices = [];
     const flaggedNameNotices = [];
     for (const member of candidates) {
-      markNewMemberJoined(ctx.chat.id, member.id);
+      await markNewMemberJoined(ctx.chat.id, member.id);
       const entry = await getBlacklistEntry(member.id);
+      // The chat's own ban list applies when the global blacklist doesn't
+      const chatBan = entry ? null : await getChatBanEntry(ctx.chat.id, member.id);
+      if (chatBan) {
+        const reason = chatBan.reason ? chatBan.reason.slice(0, 180) : '';
+        try {
+          await applyChatBanAction(ctx.api, ctx.chat.id, member.id, chatBan);
+          chatBanNotices.push(t(`join_chat_ban_${chatBan.action}`, { user: mention(member), reason: reason ? t('reason_suffix', { reason: esc(reason) }) : '' }));
+          await logAction(ctx, {
+            action: `chat_ban_${chatBan.action}`,
+            action_type: 'security',
+            violation: 'chat_ban',
+            user: member,
+            chat: ctx.chat,
+            content: `action=${chatBan.action}; origin=join; reason=${reason || '-'}`,
+          });
+        } catch (err) {
+          const errMsg = String(err?.description || err?.message || err || '').slice(0, 160);
+          await logAction(ctx, {
+            action: 'chat_ban_failed',
+            action_type: 'security',
+            violation: 'chat_ban',
+            user: member,
+            chat: ctx.chat,
+            content: `action=${chatBan.action}; origin=join; error=${errMsg}`,
+          });
+          allowed.push(member);
+        }
+        continue;
+      }
       if (!entry) {
         const dn = displayName(member);
         const hasNameLink = checkNameLinks && dn ? textHasLink(dn) : false;
         const hasNameExplicit = checkNameExplicit && dn ? containsExplicit(dn) : false;
         if (hasNameLink || hasNameExplicit) {
-          const reasons = [];
-          if (hasNameLink) reasons.push('link in name/username');
-          if (hasNameExplicit) reasons.push('explicit content in name/username');
-          flaggedNameNotices.push(`• ${mention(member)} flagged: <b>${esc(reasons.join(' and '))}</b>.`);
+          const reasonKey = hasNameLink && hasNameExplicit
+            ? 'reason_name_link_explicit'
+            : hasNameLink
+              ? 'reason_name_link'
+              : 'reason_name_explicit';
+          flaggedNameNotices.push(t('join_name_flagged', { user: mention(member), reason: t(reasonKey) }));
           await logAction(ctx, {
             action: 'name_check_flagged_on_join',
             action_type: 'security',
@@ -118,21 +181,33 @@ bot.on('message:new_chat_members', async (ctx) => {
             content: dn,
           });
         }
-        allowed.push(member);
+        if (lockdown) {
+          try {
+            await restrictLockdownJoiner(ctx.api, ctx.chat.id, member.id, lockdown);
+            lockedDown.push(member.id);
+          } catch (err) {
+            const errMsg = String(err?.description || err?.message || err || '').slice(0, 160);
+            await logAction(ctx, {
+              action: 'lockdown_restrict_failed',
+              action_type: 'security',
+              violation: 'raid',
+              user: member,
+              chat: ctx.chat,
+              content: `error=${errMsg}`,
+            });
+          }
+          continue;
+        }
+        // Members with a pending captcha get the challenge instead of the welcome
+        if (!(await startCaptcha(ctx, member))) allowed.push(member);
         continue;
       }
       const action = entry.action === 'mute' ? 'mute' : 'kick';
       const reason = entry.reason ? entry.reason.slice(0, 180) : '';
-      const reasonHtml = reason ? ` Reason: <i>${esc(reason)}</i>` : '';
+      const reasonHtml = reason ? t('reason_suffix', { reason: esc(reason) }) : '';
       try {
-        if (action === 'mute') {
-          await ctx.api.restrictChatMember(ctx.chat.id, member.id, { permissions: BLACKLIST_MUTE_PERMISSIONS });
-        } else {
-          await ctx.api.banChatMember(ctx.chat.id, member.id, { until_date: Math.floor(Date.now() / 1000) + 60 });
-          try { await ctx.api.unbanChatMember(ctx.chat.id, member.id); } catch {}
-          try { await removeChatPresenceUsers(ctx.chat.id, [member.id]); } catch {}
-        }
-        blockedNotices.push(`• ${mention(member)} ${action === 'mute' ? 'muted' : 'removed'} by global blacklist.${reasonHtml}`);
+        await applyBlacklistAction(ctx.api, ctx.chat.id, member.id, entry);
+        blockedNotices.push(t(`join_blacklist_${action}`, { user: mention(member), reason: reasonHtml }));
         await logAction(ctx, {
           action: action === 'mute' ? 'global_blacklist_mute' : 'global_blacklist_kick',
           action_type: 'security',
@@ -155,18 +230,33 @@ bot.on('message:new_chat_members', async (ctx) => {
       }
     }
 
+    if (lockedDown.length) {
+      await logAction(ctx, {
+        action: 'lockdown_joiners_restricted',
+        action_type: 'security',
+        violation: 'raid',
+        chat: ctx.chat,
+        content: `count=${lockedDown.length}; until=${lockdown.until}; users=${lockedDown.join(',')}`,
+      });
+    }
     if (blockedNotices.length) {
-      const notice = ['🚫 <b>Global blacklist enforcement</b>', ...blockedNotices].join('\n');
+      const notice = [t('join_blacklist_header'), ...blockedNotices].join('\n');
+      try {
+        await ctx.api.sendMessage(ctx.chat.id, notice, { parse_mode: 'HTML', disable_web_page_preview: true });
+      } catch {}
+    }
+    if (chatBanNotices.length) {
+      const notice = [t('join_chat_ban_header'), ...chatBanNotices].join('\n');
       try {
         await ctx.api.sendMessage(ctx.chat.id, notice, { parse_mode: 'HTML', disable_web_page_preview: true });
       } catch {}
     }
     if (flaggedNameNotices.length) {
       const notice = [
-        '⚠️ <b>Name/username policy warning</b>',
+        t('join_name_header'),
         ...flaggedNameNotices,
         '',
-        'Update your display name/username to avoid moderation actions.',
+        t('join_name_footer'),
       ].join('\n');
       try {
         await ctx.api.sendMessage(ctx.chat.id, notice, { parse_mode: 'HTML', disable_web_page_preview: true });
@@ -175,16 +265,10 @@ bot.on('message:new_chat_members', async (ctx) => {
 
     if (!allowed.length) return;
 
-    const names = allowed.map(mention).join(', ');
-    const title = esc(ctx.chat?.title || 'this group');
-    const rules = [
-      '• No links',
-      '• No explicit content',
-      '• Keep it concise, be respectful',
-      '• No edits to messages',
-    ].join('\n');
-
-    const msg = `👋 Welcome ${names} to <b>${title}</b>!\n\nPlease follow the rules:\n${rules}\n\nUse /settings for options.`;
+    const msg = t('welcome', {
+      members: allowed.map(mention).join(', '),
+      chat: esc(ctx.chat?.title || 'this group'),
+    });
     await ctx.reply(msg, { parse_mode: 'HTML', disable_web_page_preview: true });
   } catch (_) {}
 });
@@ -278,15 +362,9 @@ async function ensureBotCommands() {
     const force = forceFlag === '1' || forceFlag === 'true' || forceFlag === 'yes' || forceFlag === 'on';
     if (already && !force) return;
     // Clear any previously published commands so only the current set remains active
-    await bot.api.deleteMyCommands({ scope: { type: 'default' } });
-    await bot.api.deleteMyCommands({ scope: { type: 'all_chat_administrators' } });
-    await bot.api.deleteMyCommands({ scope: { type: 'all_private_chats' } });
-    // Default (all users) concise commands
-    await bot.api.setMyCommands(defaultCommands, { scope: { type: 'default' } });
-    // Admin commands menu for all chat administrators
-    await bot.api.setMyCommands(adminCommands, { scope: { type: 'all_chat_administrators' } });
-    // Owner-level commands for private chats
-    await bot.api.setMyCommands(ownerPrivateCommands, { scope: { type: 'all_private_chats' } });
+    await clearCommandMenus(bot.api);
+    // Default, chat-administrator and private-chat menus, plus one translation per language_code
+    await publishCommandMenus(bot.api);
     await markCommandsInitialized();
     console.log('Bot commands initialized.');
   } catch (e) {
@@ -295,11 +373,19 @@ async function ensureBotCommands() {
 }
 
 // Startup: webhook (worker/server) or high-load runner
-const allowedUpdates = ['message', 'edited_message', 'my_chat_member', 'callback_query', 'poll', 'poll_answer'];
+const allowedUpdates = ['message', 'edited_message', 'my_chat_member', 'callback_query', 'poll', 'poll_answer', 'chat_join_request'];
 
 const USE_WEBHOOK = Boolean(process.env.WEBHOOK_URL);
 // Kick off first-run command setup (best-effort)
 ensureBotCommands();
+// Per-chat scheduled moderation digests
+startDigestScheduler(bot.api);
+// Lift expired global blacklist entries
+startBlacklistSweeper(bot.api);
+// Fetch subscribed federation feeds
+startFederationSync(bot.api);
+// Persisted jobs: lockdown and slow mode expiry
+startScheduler(bot.api);
 if (USE_WEBHOOK) {
   const PORT = Number(process.env.PORT || 3000);
   const SECRET = process.env.WEBHOOK_SECRET;
@@ -310,7 +396,16 @@ if (USE_WEBHOOK) {
       allowed_updates: allowedUpdates,
       secret_token: SECRET,
     });
-    const server = http.createServer(webhookCallback(bot, 'http'));
+    const routes = [];
+    // Admin dashboard is on unless DASHBOARD_ENABLE=false
+    if (!/^(0|false|no|off)$/i.test(String(process.env.DASHBOARD_ENABLE || ''))) routes.push(createDashboardHandler(bot));
+    // JSON management API (only when API_TOKEN is set)
+    routes.push(createApiHandler(bot));
+    // Prometheus metrics (only when METRICS_ENABLE is on)
+    routes.push(createMetricsHandler());
+    // Signed blacklist feed for other deployments (only when FEDERATION_PRIVATE_KEY is set)
+    routes.push(createFederationFeedHandler());
+    const server = createHttpServer({ routes, fallback: webhookCallback(bot, 'http') });
     server.listen(PORT, () => {
       console.log(`Webhook server listening on :${PORT}`);
     });
@@ -333,7 +428,20 @@ if (USE_WEBHOOK) {
   const concurrency = Number(process.env.RUNNER_CONCURRENCY || 100);
   const runner = run(bot, { fetch: { allowed_updates: allowedUpdates }, runner: { concurrency } });
   console.log('Runner started. Listening for updates...');
+  // No webhook server in polling mode: serve the management API, metrics and federation feed on their own port
+  let apiServer = null;
+  if (process.env.API_TOKEN || metricsEnabled() || federationFeedEnabled()) {
+    const API_PORT = Number(process.env.API_PORT || 3001);
+    apiServer = createHttpServer({ routes: [createApiHandler(bot), createMetricsHandler(), createFederationFeedHandler()] });
+    apiServer.listen(API_PORT, () => {
+      console.log(`Management API/metrics/federation feed listening on :${API_PORT}`);
+    });
+  }
   // Graceful shutdown
-  process.once('SIGINT', () => { runner.stop(); });
-  process.once('SIGTERM', () => { runner.stop(); });
+  const shutdown = () => {
+    runner.stop();
+    apiServer?.close();
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
 }
@@ -1,46 +1,124 @@
-// Centralized bot command menus to avoid drift between startup and /set_mycommands
+// Centralized bot command menus to avoid drift between startup, /set_mycommands and /help.
+// `usage` documents the arguments for /help; descriptions are translated in src/i18n/locales.
+import { LOCALES, DEFAULT_LOCALE } from '../i18n/index.js';
 
 export const defaultCommands = [
   { command: 'start', description: 'Add bot to a group' },
   { command: 'help', description: 'Show help and commands' },
   { command: 'ping', description: 'Check bot availability' },
-  { command: 'settings', description: 'Show settings help' },
+  { command: 'settings', description: 'Settings panel (admins) or help' },
   { command: 'rules_status', description: 'Show rules status' },
   { command: 'group_stats', description: "Show this chat's stats" },
-  { command: 'user_stats', description: 'Show your stats (or reply/id)' },
-  { command: 'user_stats_global', description: 'Show your global stats' },
-  { command: 'top_violators', description: 'List top violators' },
+  { command: 'user_stats', usage: '[user_id]', description: 'Show your stats (or reply/id)' },
+  { command: 'user_stats_global', usage: '[user_id]', description: 'Show your global stats' },
+  { command: 'top_violators', usage: '[days] [global]', description: 'List top violators' },
 ];
 
 export const adminCommands = [
   { command: 'rules_status', description: 'Show rules status' },
   { command: 'group_stats', description: "Show this chat's stats" },
-  { command: 'user_stats', description: 'Show user stats (reply/id)' },
-  { command: 'user_stats_global', description: 'Show global user stats' },
-  { command: 'rule_chat_enable', description: 'Enable a rule in this chat' },
-  { command: 'rule_chat_disable', description: 'Disable a rule in this chat' },
-  { command: 'maxlen_chat_set', description: 'Set max message length for chat' },
-  { command: 'whitelist_add', description: 'Whitelist a user ID in this chat' },
-  { command: 'whitelist_remove', description: 'Remove a whitelisted user ID' },
+  { command: 'user_stats', usage: '[user_id]', description: 'Show user stats (reply/id)' },
+  { command: 'user_stats_global', usage: '[user_id]', description: 'Show global user stats' },
+  { command: 'rule_chat_enable', usage: '<rule>', description: 'Enable a rule in this chat' },
+  { command: 'rule_chat_disable', usage: '<rule>', description: 'Disable a rule in this chat' },
+  { command: 'maxlen_chat_set', usage: '<n>', description: 'Set max message length for chat' },
+  { command: 'limits', description: 'Show flood/duplicate/probation limits' },
+  { command: 'limit_chat_set', usage: '<limit> <number|default>', description: 'Set a flood/duplicate/probation limit' },
+  { command: 'whitelist_add', usage: '<user_id>', description: 'Whitelist a user ID in this chat' },
+  { command: 'whitelist_remove', usage: '<user_id>', description: 'Remove a whitelisted user ID' },
   { command: 'whitelist_list', description: 'List chat whitelist' },
-  { command: 'top_violators', description: 'List top violators' },
-  { command: 'group_kick_all_abort', description: 'Abort an in-flight group purge' },
+  { command: 'chat_ban_add', usage: '<user_id> [ban|mute] [reason]', description: "Add a user to this chat's ban list" },
+  { command: 'chat_ban_remove', usage: '<user_id>', description: "Remove a user from this chat's ban list" },
+  { command: 'chat_ban_list', description: "Show this chat's ban list" },
+  { command: 'chat_ban_export', description: 'Export the ban list as a JSON file' },
+  { command: 'chat_ban_import', usage: '[replace] [user_id…]', description: 'Import a ban list (reply to a file)' },
+  { command: 'top_violators', usage: '[days] [global]', description: 'List top violators' },
+  { command: 'links_allow', usage: '[global] [remove] <domain…>', description: 'Allow link domains in this chat' },
+  { command: 'links_deny', usage: '[global] [remove] <domain…>', description: 'Block link domains in this chat' },
+  { command: 'links_list', description: 'Show link domain lists' },
+  { command: 'media_policy', usage: '[type=allow|deny|7d …] | reset', description: 'Allow or block media types per chat' },
+  { command: 'customrule_add', usage: '<name> <scopes|all> <action> <pattern>', description: 'Add a custom keyword/regex rule' },
+  { command: 'customrule_remove', usage: '<name>', description: 'Remove a custom rule' },
+  { command: 'customrule_list', description: 'List custom rules' },
+  { command: 'escalation_show', description: 'Show warn/mute/ban ladder' },
+  { command: 'escalation_set', usage: '<steps…|default>', description: 'Configure escalation ladder' },
+  { command: 'escalation_decay', usage: '<days>', description: 'Days after which strikes expire' },
+  { command: 'strikes', usage: '[user_id]', description: 'Show user strikes (reply/id)' },
+  { command: 'strikes_reset', usage: '[user_id]', description: 'Reset user strikes (reply/id)' },
+  { command: 'captcha', usage: '[on|off] [button|math|emoji] [timeout]', description: 'Join captcha: on|off, mode, timeout' },
+  { command: 'join_screening', usage: '[on|off] [passed=approve|hold] [flagged=decline|hold]', description: 'Screen join requests: approve, decline or hold' },
+  { command: 'raid', usage: '[on|off] [joins=N] [window=1m] [cooldown=15m] [probation=1d] [revoke=on|off]', description: 'Raid detection: on|off, threshold, cooldown' },
+  { command: 'lockdown', usage: '[on|off|duration]', description: 'Show, start (read-only) or end a lockdown' },
+  { command: 'slowmode', usage: '[off|interval] [duration]', description: 'One message per interval per member' },
+  { command: 'digest', usage: '[on|off|now] [daily|weekly] [HH:MM] [mon…sun] [group|admins] [tz=Area/City]', description: 'Scheduled moderation digest' },
+  { command: 'nightmode', usage: '[on|off] [HH:MM-HH:MM] [block=media,stickers,gifs,links,all] [delete|restrict] [tz=Area/City]', description: 'Night-time content restrictions' },
+  { command: 'language', usage: '[en|hi|hinglish|default]', description: 'Bot language: en|hi|hinglish' },
+  { command: 'template_set', usage: '<key> [text|default]', description: 'Override a notice template' },
+  { command: 'template_list', description: 'List notice templates' },
+  { command: 'modlog', usage: '[user:id] [violation:v] [action:a] [since:7d|date] [until:date]', description: 'Search the moderation log' },
+  { command: 'group_kick_all_abort', usage: '<chat_id>', description: 'Abort an in-flight group purge' },
 ];
 
 export const ownerPrivateCommands = [
   { command: 'bot_stats', description: 'Show bot-wide stats' },
-  { command: 'botadmin_add', description: 'Add a bot admin (owner only)' },
-  { command: 'botadmin_remove', description: 'Remove a bot admin' },
-  { command: 'rule_global_enable', description: 'Enable a rule globally' },
-  { command: 'rule_global_disable', description: 'Disable a rule globally' },
-  { command: 'maxlen_global_set', description: 'Set global max length' },
-  { command: 'user_stats', description: 'Show user stats (reply/id)' },
-  { command: 'user_stats_global', description: 'Show global user stats' },
-  { command: 'user_groups', description: 'Show user group presence' },
-  { command: 'group_kick_all', description: 'DM: kick all members from a group' },
-  { command: 'blacklist_add', description: 'Add user to global blacklist' },
-  { command: 'blacklist_remove', description: 'Remove user from global blacklist' },
+  { command: 'botadmin_add', usage: '<user_id>', description: 'Add a bot admin (owner only)' },
+  { command: 'botadmin_remove', usage: '<user_id>', description: 'Remove a bot admin' },
+  { command: 'rule_global_enable', usage: '<rule>', description: 'Enable a rule globally' },
+  { command: 'rule_global_disable', usage: '<rule>', description: 'Disable a rule globally' },
+  { command: 'maxlen_global_set', usage: '<n>', description: 'Set global max length' },
+  { command: 'limit_global_set', usage: '<limit> <number|default>', description: 'Set a global flood/duplicate/probation limit' },
+  { command: 'user_stats', usage: '[user_id]', description: 'Show user stats (reply/id)' },
+  { command: 'user_stats_global', usage: '[user_id]', description: 'Show global user stats' },
+  { command: 'user_groups', usage: '[user_id] [limit]', description: 'Show user group presence' },
+  { command: 'group_kick_all', usage: '<chat_id> confirm|inspect', description: 'DM: kick all members from a group' },
+  { command: 'blacklist_add', usage: '<user_id> [kick|mute] [duration] [reason]', description: 'Add user to global blacklist' },
+  { command: 'blacklist_remove', usage: '<user_id>', description: 'Remove user from global blacklist' },
   { command: 'blacklist_list', description: 'List global blacklist entries' },
+  { command: 'blacklist_history', usage: '<user_id>', description: 'Show who blacklisted or removed a user' },
+  { command: 'federation_list', description: 'Show federation feeds and subscriptions' },
+  { command: 'federation_subscribe', usage: '<name> <url> <public_key> [full|mute|observe]', description: "Subscribe to another bot's blacklist feed" },
+  { command: 'federation_unsubscribe', usage: '<name>', description: 'Drop a feed subscription' },
+  { command: 'federation_sync', description: 'Fetch subscribed feeds now' },
+  { command: 'federation_override', usage: '<user_id> [ignore|kick|mute|default]', description: 'Ignore or override a federated entry' },
   { command: 'set_mycommands', description: 'Publish command menus' },
   { command: 'remove_mycommands', description: 'Clear command menus' },
 ];
+
+// Menu scopes in the order /help lists them
+export const COMMAND_MENUS = [
+  { scope: { type: 'default' }, commands: defaultCommands },
+  { scope: { type: 'all_chat_administrators' }, commands: adminCommands },
+  { scope: { type: 'all_private_chats' }, commands: ownerPrivateCommands },
+];
+
+export function commandDescription(entry, locale) {
+  return LOCALES[locale]?.commands?.[entry.command] || entry.description;
+}
+
+// Telegram only accepts { command, description }
+export function localizeCommands(commands, locale) {
+  return commands.map((entry) => ({ command: entry.command, description: commandDescription(entry, locale) }));
+}
+
+// Locales with a Telegram language code get their own menus (Hinglish has none and uses the default)
+function menuLanguages() {
+  return Object.keys(LOCALES).filter((code) => LOCALES[code].languageCode);
+}
+
+export async function publishCommandMenus(api) {
+  for (const { scope, commands } of COMMAND_MENUS) {
+    await api.setMyCommands(localizeCommands(commands, DEFAULT_LOCALE), { scope });
+    for (const code of menuLanguages()) {
+      await api.setMyCommands(localizeCommands(commands, code), { scope, language_code: LOCALES[code].languageCode });
+    }
+  }
+}
+
+export async function clearCommandMenus(api, scopes = COMMAND_MENUS.map((m) => m.scope)) {
+  for (const scope of scopes) {
+    await api.deleteMyCommands({ scope });
+    for (const code of menuLanguages()) {
+      await api.deleteMyCommands({ scope, language_code: LOCALES[code].languageCode });
+    }
+  }
+}
@@ -17,6 +17,74 @@ export function entitiesContainLink(entities = []) {
   return entities.some((e) => e.type === "url" || e.type === "text_link");
 }
 
+// --- Link extraction and domain policy ---
+
+// Extraction needs whole URLs (urlRegex only detects); scheme URLs or bare host[/path]
+const linkExtractRegex = /(?:(?:https?|tg):\/\/[^\s<>"']+|(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}(?:\/[^\s<>"']*)?)/gi;
+
+// Collect link candidates from Telegram entities (url text, text_link targets) and regex matches
+export function extractLinks(text = "", entities = []) {
+  const out = [];
+  for (const e of entities || []) {
+    if (e.type === "text_link" && e.url) out.push(e.url);
+    else if (e.type === "url" && text) out.push(text.slice(e.offset, e.offset + e.length));
+  }
+  if (text) {
+    linkExtractRegex.lastIndex = 0;
+    let m;
+    while ((m = linkExtractRegex.exec(text)) !== null) {
+      out.push(m[0].replace(/[.,;:!?)\]]+$/, ""));
+      if (out.length > 50) break;
+    }
+  }
+  return Array.from(new Set(out.map((u) => u.trim()).filter(Boolean)));
+}
+
+// Hostname of a link candidate (lowercased, without leading www.), or '' if none
+export function linkDomain(link = "") {
+  let s = String(link || "").trim();
+  if (!s) return "";
+  if (/^tg:/i.test(s)) return "t.me";
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(s)) s = `http://${s}`;
+  try {
+    return new URL(s).hostname.toLowerCase().replace(/^www\./, "").replace(/\.$/, "");
+  } catch {
+    return "";
+  }
+}
+
+// Normalize an admin-supplied domain pattern: "example.com" or "*.example.com".
+// Returns '' when the input is not a usable domain.
+export function normalizeDomainPattern(input = "") {
+  let s = String(input || "").trim().toLowerCase();
+  const wildcard = s.startsWith("*.");
+  if (wildcard) s = s.slice(2);
+  const host = linkDomain(s);
+  if (!host || !/^([a-z0-9-]+\.)+[a-z0-9-]{2,}$/.test(host)) return "";
+  return wildcard ? `*.${host}` : host;
+}
+
+// "example.com" matches example.com itself; "*.example.com" also matches any subdomain
+export function domainMatchesPattern(domain = "", pattern = "") {
+  if (!domain || !pattern) return false;
+  if (pattern.startsWith("*.")) {
+    const base = pattern.slice(2);
+    return domain === base || domain.endsWith(`.${base}`);
+  }
+  return domain === pattern;
+}
+
+// Links that still violate no_links after applying allow/deny lists.
+// Deny wins over allow; links that are neither are blocked as before.
+export function findDisallowedLinks(links = [], { allow = [], deny = [] } = {}) {
+  return links.filter((link) => {
+    const domain = linkDomain(link);
+    if (!domain) return true;
+    if (deny.some((p) => domainMatchesPattern(domain, p))) return true;
+    return !allow.some((p) => domainMatchesPattern(domain, p));
+  });
+}
+
 // Explicit / sexual content list (expand as needed)
 // Note: This is a best-effort keyword filter. It won’t catch all variants.
 
@@ -78,6 +146,7 @@ const explicitTermsLoose = explicitTerms.map((rx) => {
 const runtimeExplicit = [];
 const runtimeExplicitLoose = [];
 const runtimeExplicitSources = new Set(); // dedupe additions
+const runtimeExplicitKeys = []; // source key per runtimeExplicit index (for removal)
 export function addExplicitRuntime(terms = []) {
   let added = 0;
   for (const t of terms) {
@@ -98,18 +167,37 @@ export function addExplicitRuntime(terms = []) {
       rx = t;
     }
     if (!rx) continue;
-    runtimeExplicitSources.add(typeof t === 'string' ? t : rx.source);
-    runtimeExplicit.push(rx);
+    const key = typeof t === 'string' ? t : rx.source;
     // Build loose version for normalized scanning
     const looseSrc = rx.source.replace(/\\b/g, '');
     let flags = rx.flags || '';
     if (!flags.includes('i')) flags += 'i';
-    try { runtimeExplicitLoose.push(new RegExp(looseSrc, flags)); } catch {}
+    let loose;
+    try { loose = new RegExp(looseSrc, flags); } catch { continue; }
+    runtimeExplicitSources.add(key);
+    runtimeExplicitKeys.push(key);
+    runtimeExplicit.push(rx);
+    runtimeExplicitLoose.push(loose);
     added++;
   }
   return added;
 }
 
+// Drop terms added at runtime. Terms compiled into the lexicon at startup stay until restart.
+export function removeExplicitRuntime(terms = []) {
+  let removed = 0;
+  for (const t of terms) {
+    const i = runtimeExplicitKeys.indexOf(t);
+    if (i < 0) continue;
+    runtimeExplicitKeys.splice(i, 1);
+    runtimeExplicit.splice(i, 1);
+    runtimeExplicitLoose.splice(i, 1);
+    runtimeExplicitSources.delete(t);
+    removed++;
+  }
+  return removed;
+}
+
 function normalizeForExplicit(input = '') {
   // Lowercase
   let s = String(input).toLowerCase();
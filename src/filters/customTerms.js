@@ -430,3 +430,75 @@ export async function addSafeTerms(terms = []) {
   }
   return { added, persisted, dbError };
 }
+
+// --- Management helpers (used by the REST API) ---
+const TERM_SOURCES = {
+  explicit: { file: () => path.join(process.cwd(), 'data', 'explicit_terms_custom.txt'), table: () => process.env.EXPLICIT_TERMS_TABLE || 'explicit_terms', columns: ['pattern'] },
+  safe: { file: () => SAFE_TXT, table: () => process.env.SAFE_TERMS_TABLE || 'safe_terms', columns: ['term', 'pattern'] },
+};
+
+function readTermLines(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith('#'));
+  } catch {
+    return [];
+  }
+}
+
+// Custom terms added at runtime (file + Supabase), deduplicated, for kind 'explicit' | 'safe'
+export async function listCustomTerms(kind) {
+  const src = TERM_SOURCES[kind];
+  if (!src) throw new Error('Unknown term kind');
+  const out = new Set(readTermLines(src.file()));
+  const sb = getSupabase();
+  if (sb) {
+    for (const col of src.columns) {
+      try {
+        const { data, error } = await sb.from(src.table()).select(col).limit(5000);
+        if (error) continue;
+        for (const row of data || []) {
+          const term = String(row[col] ?? '').trim();
+          if (term) out.add(term);
+        }
+      } catch {}
+    }
+  }
+  return Array.from(out);
+}
+
+// Remove terms from the custom file and Supabase. Safelist entries stop applying at once;
+// explicit terms loaded at startup keep matching until restart (callers drop runtime ones).
+export async function removeCustomTerms(kind, terms = []) {
+  const src = TERM_SOURCES[kind];
+  if (!src) throw new Error('Unknown term kind');
+  const drop = new Set(terms.map((t) => String(t || '').trim()).filter(Boolean));
+  if (!drop.size) return 0;
+  const file = src.file();
+  const lines = readTermLines(file);
+  const kept = lines.filter((l) => !drop.has(l));
+  let removed = lines.length - kept.length;
+  if (removed) {
+    try { fs.writeFileSync(file, kept.length ? `${kept.join('\n')}\n` : ''); } catch {}
+  }
+  const sb = getSupabase();
+  if (sb) {
+    for (const col of src.columns) {
+      try {
+        const { data, error } = await sb.from(src.table()).delete().in(col, Array.from(drop)).select(col);
+        if (!error) removed = Math.max(removed, (data || []).length);
+      } catch {}
+    }
+  }
+  if (kind === 'safe') {
+    const sources = new Set();
+    for (const t of drop) {
+      const n = normalizeLite(t);
+      if (n) sources.add(escapeRegex(n));
+      for (const rx of compileSafeRegexes(t)) sources.add(rx.source);
+    }
+    for (let i = customSafePatternsNormalized.length - 1; i >= 0; i -= 1) {
+      if (sources.has(customSafePatternsNormalized[i].source)) customSafePatternsNormalized.splice(i, 1);
+    }
+  }
+  return removed;
+}
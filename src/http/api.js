@@ -0,0 +1,329 @@
+import { RULE_KEYS, LIMIT_RANGES } from '../rules.js';
+import {
+  getSettings,
+  setGlobalRule,
+  setGlobalLimit,
+  getChatRules,
+  getEffectiveRules,
+  setChatRule,
+  clearChatRule,
+  getChatLimits,
+  getEffectiveLimits,
+  setChatLimit,
+  clearChatLimit,
+  getChatWhitelist,
+  addChatWhitelistUser,
+  removeChatWhitelistUser,
+  listGlobalBlacklist,
+  getBlacklistEntry,
+  getBlacklistHistory,
+  setGlobalBlacklistEntry,
+  removeGlobalBlacklistEntry,
+  addBotAdmin,
+  removeBotAdmin,
+} from '../store/settings.js';
+import {
+  logAction,
+  getBotStatsPeriod,
+  getGroupStatsPeriod,
+  getTopViolators,
+  getUserRiskSummary,
+} from '../logger.js';
+import { addExplicitRuntime, removeExplicitRuntime } from '../filters.js';
+import { addExplicitTerms, addSafeTerms, listCustomTerms, removeCustomTerms } from '../filters/customTerms.js';
+import { parseDuration } from '../moderation/duration.js';
+import { bearerTokenMatches } from './auth.js';
+import { readBody, sendJson } from './util.js';
+
+// JSON management API for ops tooling, served next to the webhook (or on API_PORT in polling mode).
+// Every request needs `Authorization: Bearer <API_TOKEN>`; without API_TOKEN the API is off.
+// Errors always look like { "error": { "code": "...", "message": "..." } }.
+const BASE = (process.env.API_PATH || '/api/v1').replace(/\/+$/, '');
+const TERM_KINDS = ['explicit', 'safe'];
+const MAX_TERMS_PER_REQUEST = 500;
+
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  413: 'payload_too_large',
+  500: 'internal',
+};
+
+function fail(status, message) {
+  throw Object.assign(new Error(message), { status });
+}
+
+function sendError(res, status, message) {
+  sendJson(res, status, { error: { code: ERROR_CODES[status] || 'internal', message } });
+}
+
+async function readJson(req) {
+  const raw = await readBody(req);
+  if (!raw.trim()) return {};
+  try {
+    const body = JSON.parse(raw);
+    if (body && typeof body === 'object' && !Array.isArray(body)) return body;
+  } catch {}
+  fail(400, 'Body must be a JSON object');
+}
+
+function userIdParam(value) {
+  const id = Number(value);
+  if (!Number.isSafeInteger(id) || id <= 0) fail(400, 'Invalid user id');
+  return id;
+}
+
+function ruleParam(value) {
+  if (!RULE_KEYS.includes(value)) fail(404, `Unknown rule: ${value}`);
+  return value;
+}
+
+function boolField(body, key = 'enabled') {
+  if (typeof body[key] !== 'boolean') fail(400, `"${key}" must be true or false`);
+  return body[key];
+}
+
+function limitParam(value) {
+  if (!LIMIT_RANGES[value]) fail(404, `Unknown limit: ${value}`);
+  return value;
+}
+
+// { max_len: 500, flood_max_messages: 8, ... } — every key must be a known limit
+function limitsField(body) {
+  const entries = Object.entries(body || {});
+  if (!entries.length) fail(400, `Body must set at least one of: ${Object.keys(LIMIT_RANGES).join(', ')}`);
+  for (const [key, value] of entries) {
+    if (!LIMIT_RANGES[key]) fail(400, `Unknown limit: ${key}`);
+    const { min, max } = LIMIT_RANGES[key];
+    if (!Number.isInteger(value) || value < min || value > max) fail(400, `"${key}" must be an integer between ${min} and ${max}`);
+  }
+  return entries;
+}
+
+function daysParam(url, fallback = 7) {
+  const raw = url.searchParams.get('days');
+  if (raw == null) return fallback;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 1 || n > 365) fail(400, '"days" must be an integer between 1 and 365');
+  return n;
+}
+
+function chatIdParam(url) {
+  const raw = url.searchParams.get('chat_id');
+  if (raw == null || raw === '') return null;
+  if (!/^-?\d+$/.test(raw)) fail(400, 'Invalid chat_id');
+  return raw;
+}
+
+function termsField(body) {
+  const terms = Array.isArray(body.terms) ? body.terms.map((t) => String(t ?? '').trim()).filter(Boolean) : [];
+  if (!terms.length) fail(400, '"terms" must be a non-empty array of strings');
+  if (terms.length > MAX_TERMS_PER_REQUEST) fail(400, `At most ${MAX_TERMS_PER_REQUEST} terms per request`);
+  return terms;
+}
+
+export function createApiHandler(bot) {
+  const token = process.env.API_TOKEN;
+
+  async function audit(action, chatId, content) {
+    await logAction(bot.api, {
+      action,
+      action_type: 'settings',
+      violation: '-',
+      chat: chatId != null ? { id: chatId } : undefined,
+      content: `${content} (via api)`,
+    });
+  }
+
+  // [method, path pattern, handler(params, ctx)] — params are the regex groups
+  const routes = [
+    // Global rules and limits
+    ['GET', /^\/global\/rules$/, async () => (await getSettings()).global_rules],
+    ['PUT', /^\/global\/rules\/([a-z_]+)$/, async ([rule], { body }) => {
+      const enabled = boolField(body);
+      await setGlobalRule(ruleParam(rule), enabled);
+      await audit('global_rule_set', null, `${rule}=${enabled ? 'on' : 'off'}`);
+      return { rule, enabled };
+    }],
+    ['GET', /^\/global\/limits$/, async () => (await getSettings()).global_limits],
+    ['PUT', /^\/global\/limits$/, async (_, { body }) => {
+      for (const [key, value] of limitsField(body)) {
+        await setGlobalLimit(key, value);
+        await audit(key === 'max_len' ? 'maxlen_global_set' : 'limit_global_set', null, `${key}=${value}`);
+      }
+      return (await getSettings()).global_limits;
+    }],
+
+    // Per-chat rules, limits and whitelist
+    ['GET', /^\/chats\/(-?\d+)\/rules$/, async ([chatId]) => ({
+      overrides: await getChatRules(chatId),
+      effective: await getEffectiveRules(chatId),
+    })],
+    ['PUT', /^\/chats\/(-?\d+)\/rules\/([a-z_]+)$/, async ([chatId, rule], { body }) => {
+      const enabled = boolField(body);
+      await setChatRule(chatId, ruleParam(rule), enabled);
+      await audit('chat_rule_set', chatId, `${rule}=${enabled ? 'on' : 'off'}`);
+      return { rule, enabled };
+    }],
+    ['DELETE', /^\/chats\/(-?\d+)\/rules\/([a-z_]+)$/, async ([chatId, rule]) => {
+      await clearChatRule(chatId, ruleParam(rule));
+      await audit('chat_rule_clear', chatId, `${rule} follows global`);
+      return { rule, enabled: (await getEffectiveRules(chatId))[rule] };
+    }],
+    ['GET', /^\/chats\/(-?\d+)\/limits$/, async ([chatId]) => ({
+      overrides: await getChatLimits(chatId),
+      effective: await getEffectiveLimits(chatId),
+    })],
+    ['PUT', /^\/chats\/(-?\d+)\/limits$/, async ([chatId], { body }) => {
+      for (const [key, value] of limitsField(body)) {
+        await setChatLimit(chatId, key, value);
+        await audit(key === 'max_len' ? 'maxlen_chat_set' : 'limit_chat_set', chatId, `${key}=${value}`);
+      }
+      return await getChatLimits(chatId);
+    }],
+    ['DELETE', /^\/chats\/(-?\d+)\/limits\/([a-z_]+)$/, async ([chatId, key]) => {
+      await clearChatLimit(chatId, limitParam(key));
+      await audit(key === 'max_len' ? 'maxlen_chat_clear' : 'limit_chat_clear', chatId, `${key} follows global`);
+      return { [key]: (await getEffectiveLimits(chatId))[key] };
+    }],
+    ['GET', /^\/chats\/(-?\d+)\/whitelist$/, async ([chatId]) => ({ user_ids: await getChatWhitelist(chatId) })],
+    ['PUT', /^\/chats\/(-?\d+)\/whitelist\/(\d+)$/, async ([chatId, userId]) => {
+      const id = userIdParam(userId);
+      await addChatWhitelistUser(chatId, id);
+      await audit('whitelist_add', chatId, `user=${id}`);
+      return { user_ids: await getChatWhitelist(chatId) };
+    }],
+    ['DELETE', /^\/chats\/(-?\d+)\/whitelist\/(\d+)$/, async ([chatId, userId]) => {
+      const id = userIdParam(userId);
+      await removeChatWhitelistUser(chatId, id);
+      await audit('whitelist_remove', chatId, `user=${id}`);
+      return { user_ids: await getChatWhitelist(chatId) };
+    }],
+
+    // Global blacklist
+    ['GET', /^\/blacklist$/, async () => ({ entries: await listGlobalBlacklist() })],
+    ['GET', /^\/blacklist\/(\d+)$/, async ([userId]) => {
+      const entry = await getBlacklistEntry(userIdParam(userId));
+      if (!entry) fail(404, `User ${userId} is not blacklisted`);
+      return { userId, ...entry };
+    }],
+    ['GET', /^\/blacklist\/(\d+)\/history$/, async ([userId]) => ({ userId, history: await getBlacklistHistory(userIdParam(userId)) })],
+    ['PUT', /^\/blacklist\/(\d+)$/, async ([userId], { body }) => {
+      const id = userIdParam(userId);
+      if (body.action != null && !['kick', 'mute'].includes(body.action)) fail(400, '"action" must be "kick" or "mute"');
+      const seconds = body.duration == null ? null : parseDuration(body.duration);
+      if (body.duration != null && !seconds) fail(400, '"duration" must look like 30m, 12h, 7d or 2w');
+      const reason = String(body.reason || '').trim();
+      const entry = await setGlobalBlacklistEntry(id, {
+        action: body.action,
+        reason,
+        addedAt: new Date().toISOString(),
+        expiresAt: seconds ? new Date(Date.now() + seconds * 1000).toISOString() : null,
+      });
+      await audit('global_blacklist_add', null, `user=${id}; action=${entry.action}; reason=${reason || '-'}; expires=${entry.expiresAt || 'never'}`);
+      return { userId: String(id), ...entry };
+    }],
+    ['DELETE', /^\/blacklist\/(\d+)$/, async ([userId]) => {
+      const id = userIdParam(userId);
+      if (!(await removeGlobalBlacklistEntry(id))) fail(404, `User ${id} is not blacklisted`);
+      await audit('global_blacklist_remove', null, `Removed ${id} from global blacklist`);
+      return { removed: true };
+    }],
+
+    // Bot admins
+    ['GET', /^\/admins$/, async () => ({ user_ids: (await getSettings()).bot_admin_ids })],
+    ['PUT', /^\/admins\/(\d+)$/, async ([userId]) => {
+      const id = userIdParam(userId);
+      await addBotAdmin(id);
+      await audit('bot_admin_add', null, `user=${id}`);
+      return { user_ids: (await getSettings()).bot_admin_ids };
+    }],
+    ['DELETE', /^\/admins\/(\d+)$/, async ([userId]) => {
+      const id = userIdParam(userId);
+      await removeBotAdmin(id);
+      await audit('bot_admin_remove', null, `user=${id}`);
+      return { user_ids: (await getSettings()).bot_admin_ids };
+    }],
+
+    // Custom explicit/safe terms
+    ['GET', /^\/terms\/([a-z]+)$/, async ([kind]) => {
+      if (!TERM_KINDS.includes(kind)) fail(404, `Unknown term kind: ${kind}`);
+      return { terms: await listCustomTerms(kind) };
+    }],
+    ['POST', /^\/terms\/([a-z]+)$/, async ([kind], { body }) => {
+      if (!TERM_KINDS.includes(kind)) fail(404, `Unknown term kind: ${kind}`);
+      const terms = termsField(body);
+      let added;
+      if (kind === 'explicit') {
+        addExplicitRuntime(terms);
+        added = await addExplicitTerms(terms);
+      } else {
+        ({ added } = await addSafeTerms(terms));
+      }
+      await audit(`${kind}_terms_add`, null, `${added} term(s): ${terms.slice(0, 20).join(', ')}`);
+      return { added };
+    }],
+    ['DELETE', /^\/terms\/([a-z]+)$/, async ([kind], { body }) => {
+      if (!TERM_KINDS.includes(kind)) fail(404, `Unknown term kind: ${kind}`);
+      const terms = termsField(body);
+      if (kind === 'explicit') removeExplicitRuntime(terms);
+      const removed = await removeCustomTerms(kind, terms);
+      await audit(`${kind}_terms_remove`, null, `${removed} term(s): ${terms.slice(0, 20).join(', ')}`);
+      return { removed };
+    }],
+
+    // Stats (period stats come from Supabase; without it they cover the time since restart)
+    ['GET', /^\/stats\/bot$/, async (_, { url }) => {
+      const days = daysParam(url, 1);
+      return { days, ...(await getBotStatsPeriod(days)) };
+    }],
+    ['GET', /^\/stats\/chats\/(-?\d+)$/, async ([chatId], { url }) => {
+      const days = daysParam(url, 1);
+      return { days, ...(await getGroupStatsPeriod(chatId, days)) };
+    }],
+    ['GET', /^\/stats\/top-violators$/, async (_, { url }) => {
+      const days = daysParam(url, 7);
+      const limit = Math.max(1, Math.min(Number(url.searchParams.get('limit')) || 10, 100));
+      return { days, violators: await getTopViolators(days, chatIdParam(url), limit) };
+    }],
+    ['GET', /^\/stats\/users\/(\d+)\/risk$/, async ([userId], { url }) => {
+      const id = userIdParam(userId);
+      return { userId: String(id), ...(await getUserRiskSummary(id, chatIdParam(url))) };
+    }],
+  ];
+
+  async function route(req, res, url) {
+    if (!bearerTokenMatches(req.headers.authorization, token)) {
+      return sendError(res, 401, 'Missing or invalid bearer token');
+    }
+    const path = url.pathname.slice(BASE.length) || '/';
+    let pathMatched = false;
+    for (const [method, pattern, handler] of routes) {
+      const m = path.match(pattern);
+      if (!m) continue;
+      pathMatched = true;
+      if (method !== req.method) continue;
+      const body = ['POST', 'PUT', 'DELETE'].includes(req.method) ? await readJson(req) : {};
+      const result = await handler(m.slice(1), { body, url });
+      return sendJson(res, 200, result ?? {});
+    }
+    if (pathMatched) return sendError(res, 405, `${req.method} is not allowed here`);
+    return sendError(res, 404, 'Unknown endpoint');
+  }
+
+  // Returns true when the request belonged to the API
+  return async function handleApi(req, res, url) {
+    if (!token) return false;
+    if (url.pathname !== BASE && !url.pathname.startsWith(`${BASE}/`)) return false;
+    try {
+      await route(req, res, url);
+    } catch (err) {
+      const status = ERROR_CODES[err?.status] ? err.status : 500;
+      if (status === 500) console.warn('[api] request failed:', err?.message || err);
+      if (!res.headersSent) sendError(res, status, status === 500 ? 'Internal error' : err.message);
+    }
+    return true;
+  };
+}
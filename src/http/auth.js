@@ -0,0 +1,69 @@
+import crypto from 'node:crypto';
+
+// Telegram Login Widget verification
+// https://core.telegram.org/widgets/login#checking-authorization
+const LOGIN_MAX_AGE_SEC = Number(process.env.DASHBOARD_LOGIN_MAX_AGE_SECONDS || 24 * 60 * 60);
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+// params: query fields sent by the widget (id, first_name, username, photo_url, auth_date, hash, ...)
+// Returns the Telegram user on success, null otherwise.
+export function verifyTelegramLogin(params, botToken, now = Date.now()) {
+  const { hash, ...fields } = params || {};
+  if (!hash || !fields.id || !fields.auth_date || !botToken) return null;
+  const dataCheck = Object.keys(fields)
+    .sort()
+    .map((k) => `${k}=${fields[k]}`)
+    .join('\n');
+  const secret = crypto.createHash('sha256').update(botToken).digest();
+  const expected = crypto.createHmac('sha256', secret).update(dataCheck).digest('hex');
+  if (!safeEqual(expected, hash)) return null;
+  const age = Math.floor(now / 1000) - Number(fields.auth_date);
+  if (!Number.isFinite(age) || age < -60 || age > LOGIN_MAX_AGE_SEC) return null;
+  const id = Number(fields.id);
+  if (!Number.isFinite(id)) return null;
+  return { id, first_name: fields.first_name, last_name: fields.last_name, username: fields.username };
+}
+
+// Signed session cookie value: `<userId>.<expiresAtSec>.<hmac>`
+function sign(value, secret) {
+  return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+export function createSession(userId, secret, ttlSeconds) {
+  const value = `${userId}.${Math.floor(Date.now() / 1000) + ttlSeconds}`;
+  return `${value}.${sign(value, secret)}`;
+}
+
+// Returns { userId, expires } or null
+export function readSession(cookie, secret) {
+  const parts = String(cookie || '').split('.');
+  if (parts.length !== 3) return null;
+  const value = `${parts[0]}.${parts[1]}`;
+  if (!safeEqual(sign(value, secret), parts[2])) return null;
+  const userId = Number(parts[0]);
+  const expires = Number(parts[1]);
+  if (!Number.isFinite(userId) || !(expires > Date.now() / 1000)) return null;
+  return { userId, expires };
+}
+
+// `Authorization: Bearer <token>` check for the API and metrics endpoints
+export function bearerTokenMatches(header, token) {
+  const m = String(header || '').match(/^Bearer\s+(.+)$/i);
+  if (!m || !token) return false;
+  const digest = (v) => crypto.createHash('sha256').update(v).digest();
+  return crypto.timingSafeEqual(digest(m[1].trim()), digest(token));
+}
+
+// Form token bound to the session cookie
+export function csrfToken(sessionCookie, secret) {
+  return sign(`csrf:${sessionCookie}`, secret);
+}
+
+export function checkCsrf(sessionCookie, token, secret) {
+  return Boolean(token) && safeEqual(csrfToken(sessionCookie, secret), token);
+}
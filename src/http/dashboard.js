@@ -0,0 +1,323 @@
+import crypto from 'node:crypto';
+import { RULE_KEYS } from '../rules.js';
+import {
+  getChatRules,
+  getEffectiveRules,
+  setChatRule,
+  getChatMaxLen,
+  getEffectiveMaxLen,
+  setChatMaxLenLimit,
+  getChatWhitelist,
+  addChatWhitelistUser,
+  removeChatWhitelistUser,
+  listGlobalBlacklist,
+  setGlobalBlacklistEntry,
+  removeGlobalBlacklistEntry,
+  listConfiguredChatIds,
+} from '../store/settings.js';
+import { logAction, getBotStatsPeriod, getGroupStatsPeriod } from '../logger.js';
+import { getSupabase } from '../store/supabase.js';
+import { queryModerationLogs } from '../store/modlog.js';
+import { parseDuration, formatDuration } from '../moderation/duration.js';
+import { isBotAdminOrOwner, isChatAdminWithBan } from '../permissions.js';
+import { verifyTelegramLogin, createSession, readSession, csrfToken, checkCsrf } from './auth.js';
+import { readForm, parseCookies, sendHtml, redirect, escapeHtml as esc } from './util.js';
+
+// Admin dashboard served next to the webhook (see bot.js).
+// Login uses the Telegram Login Widget; the bot's domain must be set with @BotFather /setdomain.
+// Bot admins/owner see every chat and the global blacklist; group admins with ban rights
+// can open the chats they administer. Every change goes through store/settings.js and logAction.
+const BASE = (process.env.DASHBOARD_PATH || '/dashboard').replace(/\/+$/, '');
+const SESSION_COOKIE = 'tgsb_session';
+const SESSION_TTL_SEC = Math.max(1, Number(process.env.DASHBOARD_SESSION_HOURS || 12)) * 60 * 60;
+const STAT_PERIODS = [1, 7, 30];
+
+const CSS = `
+body{font:14px/1.45 system-ui,sans-serif;margin:0;background:#f6f7f9;color:#1d2329}
+header{background:#24292f;color:#fff;padding:10px 20px;display:flex;justify-content:space-between;align-items:center}
+header a{color:#cfe3ff}
+main{max-width:960px;margin:0 auto;padding:16px}
+section{background:#fff;border:1px solid #dde1e6;border-radius:6px;padding:12px 16px;margin-bottom:16px}
+h2{font-size:16px;margin:0 0 8px}
+table{border-collapse:collapse;width:100%}
+td,th{border-bottom:1px solid #eef0f3;padding:4px 6px;text-align:left;vertical-align:top}
+form.inline{display:inline}
+input,select,button{font:inherit;padding:2px 6px}
+.on{color:#1a7f37;font-weight:600}.off{color:#cf222e;font-weight:600}
+.muted{color:#6e7781}
+.flash{background:#fff8c5;border:1px solid #d4a72c;padding:6px 10px;border-radius:6px;margin-bottom:12px}
+`;
+
+function layout(title, body, user) {
+  const who = user ? `<span>${esc(user.label)} · <a href="${BASE}/logout">Log out</a></span>` : '';
+  return `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${esc(title)}</title><style>${CSS}</style></head>
+<body><header><a href="${BASE}"><b>Group Security · Admin</b></a>${who}</header><main>${body}</main></body></html>`;
+}
+
+// Horizontal bar chart as inline SVG
+function barChart(counts = {}, { max = 10 } = {}) {
+  const rows = Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, max);
+  if (!rows.length) return '<p class="muted">No data.</p>';
+  const top = rows[0][1] || 1;
+  const rowH = 22;
+  const bars = rows
+    .map(([k, v], i) => {
+      const w = Math.max(2, Math.round((v / top) * 420));
+      const y = i * rowH;
+      return `<text x="0" y="${y + 15}" font-size="12">${esc(k)}</text>`
+        + `<rect x="170" y="${y + 4}" width="${w}" height="14" fill="#4c8bf5" rx="2"></rect>`
+        + `<text x="${176 + w}" y="${y + 15}" font-size="12">${v}</text>`;
+    })
+    .join('');
+  return `<svg width="640" height="${rows.length * rowH}" role="img">${bars}</svg>`;
+}
+
+function statsSection(title, stats, days, href) {
+  const periodLinks = STAT_PERIODS.map((d) => (d === days ? `<b>${d}d</b>` : `<a href="${href}?days=${d}">${d}d</a>`)).join(' · ');
+  const scope = getSupabase() ? `last ${days} day(s)` : 'since last restart (no Supabase)';
+  return `<section><h2>${esc(title)}</h2>
+<p>${periodLinks} — <b>${stats.total || 0}</b> actions, ${esc(scope)}</p>
+<h3>By violation</h3>${barChart(stats.byViolation)}
+<h3>By action</h3>${barChart(stats.byAction)}</section>`;
+}
+
+function hidden(csrf) {
+  return `<input type="hidden" name="csrf" value="${esc(csrf)}">`;
+}
+
+export function createDashboardHandler(bot) {
+  const secret = process.env.DASHBOARD_SECRET
+    || crypto.createHash('sha256').update(`dashboard:${bot.token}`).digest('hex');
+
+  const permCtx = (userId, chatId) => ({ from: { id: userId }, chat: chatId != null ? { id: chatId } : undefined, api: bot.api });
+  const isBotAdmin = (userId) => isBotAdminOrOwner(permCtx(userId));
+  const canManageChat = async (userId, chatId) =>
+    (await isBotAdmin(userId)) || (await isChatAdminWithBan(permCtx(userId, chatId), userId));
+
+  async function chatTitle(chatId) {
+    try {
+      const chat = await bot.api.getChat(chatId);
+      return chat.title || chat.username || String(chatId);
+    } catch {
+      return String(chatId);
+    }
+  }
+
+  async function audit(userId, chatId, action, content) {
+    await logAction(bot.api, {
+      action,
+      action_type: 'settings',
+      violation: '-',
+      user: { id: userId },
+      chat: chatId != null ? { id: chatId, title: await chatTitle(chatId) } : undefined,
+      content: `${content} (via dashboard)`,
+    });
+  }
+
+  async function loginPage(res) {
+    if (!bot.isInited()) await bot.init();
+    const username = bot.botInfo.username;
+    const body = `<section><h2>Sign in</h2>
+<p>Sign in with Telegram. Bot admins manage every chat; group admins with ban rights manage their own groups.</p>
+<script async src="https://telegram.org/js/telegram-widget.js?22" data-telegram-login="${esc(username)}" data-size="large" data-auth-url="${BASE}/auth" data-request-access="write"></script>
+</section>`;
+    sendHtml(res, 200, layout('Sign in', body));
+  }
+
+  async function indexPage(res, session, url) {
+    const botAdmin = await isBotAdmin(session.userId);
+    const days = STAT_PERIODS.includes(Number(url.searchParams.get('days'))) ? Number(url.searchParams.get('days')) : 7;
+    const parts = [];
+    const flash = url.searchParams.get('msg');
+    if (flash) parts.push(`<div class="flash">${esc(flash)}</div>`);
+    parts.push(`<section><h2>Open a chat</h2><form method="get" action="${BASE}/chat">
+<input name="id" placeholder="-100…" required> <button>Open</button></form>`);
+    if (botAdmin) {
+      const ids = await listConfiguredChatIds();
+      if (ids.length) {
+        parts.push('<p>Chats with custom settings:</p><ul>');
+        for (const id of ids.slice(0, 100)) parts.push(`<li><a href="${BASE}/chat/${encodeURIComponent(id)}">${esc(id)}</a></li>`);
+        parts.push('</ul>');
+      }
+    }
+    parts.push('</section>');
+    if (botAdmin) {
+      parts.push(statsSection('Bot-wide moderation', await getBotStatsPeriod(days), days, BASE));
+      const entries = await listGlobalBlacklist();
+      const rows = entries
+        .sort((a, b) => (a.userId > b.userId ? 1 : -1))
+        .map((e) => `<tr><td><code>${esc(e.userId)}</code></td><td>${esc(e.action)}</td><td>${esc(e.reason || '')}</td><td class="muted">${esc(e.addedAt || '')}</td>
+<td class="muted">${e.remainingSeconds != null ? `${esc(formatDuration(e.remainingSeconds))} left` : 'never'}</td>
+<td><form class="inline" method="post" action="${BASE}/blacklist">${hidden(session.csrf)}<input type="hidden" name="op" value="remove"><input type="hidden" name="user_id" value="${esc(e.userId)}"><button>Remove</button></form></td></tr>`)
+        .join('');
+      parts.push(`<section><h2>Global blacklist (${entries.length})</h2>
+<table><tr><th>User</th><th>Action</th><th>Reason</th><th>Added</th><th>Expires</th><th></th></tr>${rows}</table>
+<form method="post" action="${BASE}/blacklist">${hidden(session.csrf)}<input type="hidden" name="op" value="add">
+<input name="user_id" placeholder="user id" required> <select name="action"><option>kick</option><option>mute</option></select>
+<input name="duration" placeholder="duration (7d), empty = permanent" size="12"> <input name="reason" placeholder="reason" maxlength="200"> <button>Add</button></form>
+<p class="muted">New entries are enforced the next time the user posts or joins.</p></section>`);
+    }
+    sendHtml(res, 200, layout('Dashboard', parts.join('\n'), session));
+  }
+
+  async function chatPage(res, session, chatId, url) {
+    if (!(await canManageChat(session.userId, chatId))) return sendHtml(res, 403, layout('Forbidden', '<section>You are not an admin with ban rights in this chat.</section>', session));
+    const days = STAT_PERIODS.includes(Number(url.searchParams.get('days'))) ? Number(url.searchParams.get('days')) : 7;
+    const [title, chatRules, effective, chatMax, effMax, whitelist, logs, stats] = await Promise.all([
+      chatTitle(chatId),
+      getChatRules(chatId),
+      getEffectiveRules(chatId),
+      getChatMaxLen(chatId),
+      getEffectiveMaxLen(chatId),
+      getChatWhitelist(chatId),
+      queryModerationLogs({ chatId }, { limit: 25 }),
+      getGroupStatsPeriod(chatId, days),
+    ]);
+    const action = `${BASE}/chat/${encodeURIComponent(chatId)}`;
+    const parts = [`<h1>${esc(title)} <span class="muted">${esc(chatId)}</span></h1>`];
+    const flash = url.searchParams.get('msg');
+    if (flash) parts.push(`<div class="flash">${esc(flash)}</div>`);
+
+    const ruleRows = RULE_KEYS.map((k) => {
+      const chatFlag = chatRules[k];
+      const next = effective[k] ? '0' : '1';
+      return `<tr><td><code>${k}</code></td><td class="${effective[k] ? 'on' : 'off'}">${effective[k] ? 'ON' : 'off'}</td>
+<td class="muted">${chatFlag === undefined ? 'inherits global' : chatFlag ? 'chat: on' : 'chat: off'}</td>
+<td><form class="inline" method="post" action="${action}/rules">${hidden(session.csrf)}<input type="hidden" name="rule" value="${k}"><input type="hidden" name="enabled" value="${next}"><button>${next === '1' ? 'Enable' : 'Disable'}</button></form></td></tr>`;
+    }).join('');
+    parts.push(`<section><h2>Rules</h2><table>${ruleRows}</table>
+<p class="muted">A rule that is off globally stays off whatever the chat setting.</p></section>`);
+
+    parts.push(`<section><h2>Max message length</h2>
+<p>Effective: <b>${effMax}</b> ${chatMax == null ? '<span class="muted">(global default)</span>' : ''}</p>
+<form method="post" action="${action}/maxlen">${hidden(session.csrf)}<input type="number" name="max_len" min="1" value="${esc(chatMax ?? effMax)}" required> <button>Save</button></form></section>`);
+
+    const wlRows = whitelist
+      .map((id) => `<li><code>${esc(id)}</code> <form class="inline" method="post" action="${action}/whitelist">${hidden(session.csrf)}<input type="hidden" name="op" value="remove"><input type="hidden" name="user_id" value="${esc(id)}"><button>Remove</button></form></li>`)
+      .join('');
+    parts.push(`<section><h2>Whitelist (${whitelist.length})</h2><ul>${wlRows}</ul>
+<form method="post" action="${action}/whitelist">${hidden(session.csrf)}<input type="hidden" name="op" value="add"><input name="user_id" placeholder="user id" required> <button>Add</button></form></section>`);
+
+    parts.push(statsSection('Moderation stats', stats, days, action));
+
+    const logRows = logs.rows
+      .map((r) => `<tr><td class="muted">${esc(String(r.ts).slice(0, 16).replace('T', ' '))}</td><td>${esc(r.action)}</td><td>${esc(r.violation)}</td>
+<td>${r.user?.id ? `<code>${esc(r.user.id)}</code>` : ''}</td><td>${esc(String(r.content || '').slice(0, 120))}</td></tr>`)
+      .join('');
+    parts.push(`<section><h2>Recent moderation log</h2>
+<table><tr><th>Time (UTC)</th><th>Action</th><th>Violation</th><th>User</th><th>Content</th></tr>${logRows}</table></section>`);
+
+    sendHtml(res, 200, layout(title, parts.join('\n'), session));
+  }
+
+  async function chatPost(res, session, chatId, what, form) {
+    if (!(await canManageChat(session.userId, chatId))) return sendHtml(res, 403, layout('Forbidden', '<section>Forbidden.</section>', session));
+    const back = (msg) => redirect(res, `${BASE}/chat/${encodeURIComponent(chatId)}?msg=${encodeURIComponent(msg)}`);
+    if (what === 'rules') {
+      if (!RULE_KEYS.includes(form.rule)) return back('Unknown rule.');
+      const enabled = form.enabled === '1';
+      await setChatRule(chatId, form.rule, enabled);
+      await audit(session.userId, chatId, enabled ? 'rule_chat_enable' : 'rule_chat_disable', `${enabled ? 'Enabled' : 'Disabled'} ${form.rule} for chat`);
+      return back(`${form.rule} ${enabled ? 'enabled' : 'disabled'}.`);
+    }
+    if (what === 'maxlen') {
+      const n = Number(form.max_len);
+      if (!Number.isFinite(n) || n < 1) return back('Invalid length.');
+      await setChatMaxLenLimit(chatId, n);
+      await audit(session.userId, chatId, 'maxlen_chat_set', `Chat max_len=${Math.trunc(n)}`);
+      return back(`max_len set to ${Math.trunc(n)}.`);
+    }
+    if (what === 'whitelist') {
+      const userId = Number(form.user_id);
+      if (!Number.isFinite(userId)) return back('Invalid user id.');
+      if (form.op === 'remove') {
+        await removeChatWhitelistUser(chatId, userId);
+        await audit(session.userId, chatId, 'whitelist_remove', `Removed user ${userId} from whitelist`);
+        return back(`Removed ${userId} from whitelist.`);
+      }
+      await addChatWhitelistUser(chatId, userId);
+      await audit(session.userId, chatId, 'whitelist_add', `Whitelisted user ${userId}`);
+      return back(`Whitelisted ${userId}.`);
+    }
+    return sendHtml(res, 404, layout('Not found', '<section>Not found.</section>', session));
+  }
+
+  async function blacklistPost(res, session, form) {
+    if (!(await isBotAdmin(session.userId))) return sendHtml(res, 403, layout('Forbidden', '<section>Bot admins only.</section>', session));
+    const back = (msg) => redirect(res, `${BASE}?msg=${encodeURIComponent(msg)}`);
+    const userId = Number(form.user_id);
+    if (!Number.isFinite(userId)) return back('Invalid user id.');
+    if (form.op === 'remove') {
+      const removed = await removeGlobalBlacklistEntry(userId, { by: session.userId });
+      if (removed) await audit(session.userId, null, 'global_blacklist_remove', `Removed ${userId} from global blacklist`);
+      return back(removed ? `Removed ${userId} from the blacklist.` : `${userId} was not blacklisted.`);
+    }
+    const duration = String(form.duration || '').trim();
+    const seconds = duration ? parseDuration(duration) : null;
+    if (duration && !seconds) return back('Invalid duration (use e.g. 30m, 12h, 7d, 2w).');
+    const reason = String(form.reason || '').trim();
+    const entry = await setGlobalBlacklistEntry(userId, {
+      action: form.action,
+      reason,
+      addedBy: session.userId,
+      addedAt: new Date().toISOString(),
+      expiresAt: seconds ? new Date(Date.now() + seconds * 1000).toISOString() : null,
+    });
+    await audit(session.userId, null, 'global_blacklist_add', `user=${userId}; action=${entry.action}; reason=${reason || '-'}; expires=${entry.expiresAt || 'never'}`);
+    return back(`Blacklisted ${userId} (${entry.action}).`);
+  }
+
+  async function route(req, res, url) {
+    const path = url.pathname.slice(BASE.length) || '/';
+    const cookies = parseCookies(req);
+    const raw = cookies[SESSION_COOKIE];
+    const session = readSession(raw, secret);
+    const cookieAttrs = `Path=${BASE || '/'}; HttpOnly; Secure; SameSite=Lax`;
+
+    if (req.method === 'GET' && path === '/auth') {
+      const user = verifyTelegramLogin(Object.fromEntries(url.searchParams), bot.token);
+      if (!user) return sendHtml(res, 401, layout('Sign in failed', `<section>Login could not be verified. <a href="${BASE}">Try again</a>.</section>`));
+      const value = createSession(user.id, secret, SESSION_TTL_SEC);
+      return redirect(res, BASE, { 'set-cookie': `${SESSION_COOKIE}=${encodeURIComponent(value)}; Max-Age=${SESSION_TTL_SEC}; ${cookieAttrs}` });
+    }
+    if (path === '/logout') {
+      return redirect(res, BASE, { 'set-cookie': `${SESSION_COOKIE}=; Max-Age=0; ${cookieAttrs}` });
+    }
+    if (!session) {
+      if (req.method !== 'GET') return sendHtml(res, 401, layout('Signed out', `<section>Session expired. <a href="${BASE}">Sign in</a>.</section>`));
+      return loginPage(res);
+    }
+    session.csrf = csrfToken(raw, secret);
+    session.label = `User ${session.userId}`;
+
+    if (req.method === 'POST') {
+      const form = await readForm(req);
+      if (!checkCsrf(raw, form.csrf, secret)) return sendHtml(res, 403, layout('Forbidden', '<section>Invalid form token. Reload the page.</section>', session));
+      if (path === '/blacklist') return blacklistPost(res, session, form);
+      const m = path.match(/^\/chat\/(-?\d+)\/(rules|maxlen|whitelist)$/);
+      if (m) return chatPost(res, session, m[1], m[2], form);
+      return sendHtml(res, 404, layout('Not found', '<section>Not found.</section>', session));
+    }
+    if (path === '/') return indexPage(res, session, url);
+    if (path === '/chat') {
+      const id = String(url.searchParams.get('id') || '').trim();
+      return /^-?\d+$/.test(id) ? redirect(res, `${BASE}/chat/${id}`) : redirect(res, `${BASE}?msg=${encodeURIComponent('Invalid chat id.')}`);
+    }
+    const m = path.match(/^\/chat\/(-?\d+)$/);
+    if (m) return chatPage(res, session, m[1], url);
+    return sendHtml(res, 404, layout('Not found', '<section>Not found.</section>', session));
+  }
+
+  // Returns true when the request belonged to the dashboard
+  return async function handleDashboard(req, res, url) {
+    if (url.pathname !== BASE && !url.pathname.startsWith(`${BASE}/`)) return false;
+    try {
+      await route(req, res, url);
+    } catch (err) {
+      console.warn('[dashboard] request failed:', err?.message || err);
+      if (!res.headersSent) sendHtml(res, err?.status || 500, layout('Error', '<section>Something went wrong.</section>'));
+    }
+    return true;
+  };
+}
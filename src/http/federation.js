@@ -0,0 +1,34 @@
+import { buildSignedFeed, getPublishingKey } from '../moderation/federation.js';
+import { sendJson, sendText } from './util.js';
+
+// Public signed blacklist feed for other deployments (see moderation/federation.js).
+// Served at FEDERATION_FEED_PATH when FEDERATION_PRIVATE_KEY is set; no token needed,
+// subscribers check the signature instead.
+const FEED_PATH = process.env.FEDERATION_FEED_PATH || '/federation/feed';
+const FEED_CACHE_MS = 60 * 1000;
+
+export function federationFeedEnabled() {
+  return Boolean(process.env.FEDERATION_PRIVATE_KEY);
+}
+
+// Returns true when the request was for the feed
+export function createFederationFeedHandler() {
+  let cached = null; // { until, body }
+  return async function handleFederationFeed(req, res, url) {
+    const key = getPublishingKey();
+    if (!key) return false;
+    if (url.pathname !== FEED_PATH) return false;
+    if (req.method !== 'GET') {
+      sendText(res, 405, 'Method not allowed');
+      return true;
+    }
+    try {
+      if (!cached || cached.until <= Date.now()) cached = { until: Date.now() + FEED_CACHE_MS, body: await buildSignedFeed(key) };
+      sendJson(res, 200, cached.body, { 'cache-control': `public, max-age=${FEED_CACHE_MS / 1000}` });
+    } catch (e) {
+      console.warn('[federation] could not build the feed:', e?.message || e);
+      sendText(res, 503, 'Feed unavailable');
+    }
+    return true;
+  };
+}
@@ -0,0 +1,29 @@
+import { renderMetrics } from '../metrics.js';
+import { bearerTokenMatches } from './auth.js';
+import { sendText } from './util.js';
+
+// Prometheus scrape endpoint. Off unless METRICS_ENABLE is on; set METRICS_TOKEN to
+// require `Authorization: Bearer <token>` (Prometheus `authorization` scrape config).
+const METRICS_PATH = process.env.METRICS_PATH || '/metrics';
+
+export function metricsEnabled() {
+  return /^(1|true|yes|on)$/i.test(String(process.env.METRICS_ENABLE || ''));
+}
+
+// Returns true when the request was a metrics scrape
+export function createMetricsHandler() {
+  const enabled = metricsEnabled();
+  const token = process.env.METRICS_TOKEN;
+  return async function handleMetrics(req, res, url) {
+    if (!enabled) return false;
+    if (url.pathname !== METRICS_PATH) return false;
+    if (req.method !== 'GET') {
+      sendText(res, 405, 'Method not allowed');
+    } else if (token && !bearerTokenMatches(req.headers.authorization, token)) {
+      sendText(res, 401, 'Unauthorized', { 'www-authenticate': 'Bearer' });
+    } else {
+      sendText(res, 200, renderMetrics(), { 'content-type': 'text/plain; version=0.0.4; charset=utf-8' });
+    }
+    return true;
+  };
+}
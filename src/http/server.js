@@ -0,0 +1,29 @@
+import http from 'node:http';
+import { sendText } from './util.js';
+
+// One HTTP server for the webhook and the built-in endpoints.
+// Each route handler gets (req, res, url) and returns true when it handled the request; anything
+// left over goes to the fallback (the grammY webhook callback in webhook mode). The URL is parsed
+// once here, so a malformed request line is a 400 rather than an unhandled rejection.
+export function createHttpServer({ routes = [], fallback } = {}) {
+  return http.createServer(async (req, res) => {
+    try {
+      let url;
+      try {
+        url = new URL(req.url, 'http://localhost');
+      } catch {
+        sendText(res, 400, 'Bad request');
+        return;
+      }
+      for (const handle of routes) {
+        if (await handle(req, res, url)) return;
+      }
+      if (fallback) return await fallback(req, res);
+      sendText(res, 404, 'Not found');
+    } catch (err) {
+      console.warn('[http] request failed:', err?.message || err);
+      if (!res.headersSent) sendText(res, 500, 'Internal error');
+      else res.destroy();
+    }
+  });
+}
@@ -0,0 +1,90 @@
+// Notice templates, command replies and locales. A chat picks a locale with /language and can
+// override single notice templates with /template_set; everything else comes from the locale files.
+import { getChatNotices } from '../store/settings.js';
+import en from './locales/en.js';
+import hi from './locales/hi.js';
+import hinglish from './locales/hinglish.js';
+
+export const LOCALES = { en, hi, hinglish };
+export const LOCALE_CODES = Object.keys(LOCALES);
+export const NOTICE_KEYS = Object.keys(en.notices);
+
+const envLocale = String(process.env.DEFAULT_LOCALE || '').toLowerCase();
+export const DEFAULT_LOCALE = LOCALE_CODES.includes(envLocale) ? envLocale : 'en';
+
+function escapeHtml(s = '') {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;');
+}
+
+// Placeholders used by a built-in template, e.g. ['user', 'limit']
+export function templatePlaceholders(key) {
+  return Array.from(new Set((en.notices[key] || '').match(/\{(\w+)\}/g) || [])).map((p) => p.slice(1, -1));
+}
+
+// Replace {name} with vars[name]; unknown placeholders are left as typed
+export function formatTemplate(template, vars = {}) {
+  return String(template).replace(/\{(\w+)\}/g, (m, name) => (vars[name] != null ? String(vars[name]) : m));
+}
+
+export function resolveLocale(code) {
+  return LOCALE_CODES.includes(code) ? code : DEFAULT_LOCALE;
+}
+
+export function builtinTemplate(locale, key) {
+  return LOCALES[resolveLocale(locale)].notices[key] ?? en.notices[key] ?? key;
+}
+
+// Per-chat renderer: vars must already be HTML (mentions, <b>, escaped user text).
+// Admin overrides are plain text, so they are escaped before substitution.
+export async function noticeRenderer(chatId) {
+  let cfg = { locale: null, templates: {} };
+  if (chatId != null) {
+    try { cfg = await getChatNotices(chatId); } catch {}
+  }
+  const locale = resolveLocale(cfg.locale);
+  const render = (key, vars = {}) => {
+    const override = cfg.templates[key];
+    const template = override ? escapeHtml(override) : builtinTemplate(locale, key);
+    return formatTemplate(template, vars);
+  };
+  render.locale = locale;
+  return render;
+}
+
+export async function renderNotice(chatId, key, vars = {}) {
+  return (await noticeRenderer(chatId))(key, vars);
+}
+
+// Telegram language_code (IETF tag such as "hi" or "en-US") -> locale
+export function localeForLanguageCode(code) {
+  const primary = String(code || '').toLowerCase().split('-')[0];
+  return LOCALE_CODES.find((c) => LOCALES[c].languageCode === primary) || DEFAULT_LOCALE;
+}
+
+// Command replies follow the chat's /language setting in groups, otherwise the user's Telegram language
+export async function replyLocale(ctx) {
+  const chatId = ctx.chat?.id;
+  if (chatId != null && ctx.chat.type !== 'private') {
+    try {
+      const { locale } = await getChatNotices(chatId);
+      if (LOCALE_CODES.includes(locale)) return locale;
+    } catch {}
+  }
+  return localeForLanguageCode(ctx.from?.language_code);
+}
+
+// Replies are trusted HTML; vars must already be escaped
+export function translate(locale, key, vars = {}) {
+  const template = LOCALES[resolveLocale(locale)].replies?.[key] ?? en.replies[key] ?? key;
+  return formatTemplate(template, vars);
+}
+
+export async function replyTranslator(ctx) {
+  const locale = await replyLocale(ctx);
+  const t = (key, vars) => translate(locale, key, vars);
+  t.locale = locale;
+  return t;
+}
@@ -0,0 +1,547 @@
+// English (reference locale: every key must exist here; other locales fall back to it)
+// Notices are Telegram HTML. Placeholders: {user} mention, {rule}, {limit}, {duration},
+// {reason}, {strikes}, {warn}/{warnings}, {next}, {members}, {chat}, {admin}, {joins}, {window}, {count}.
+// Replies are command responses; most are HTML, a few (help, rules status, button labels and
+// callback answers) are plain text. Command menu descriptions live in src/commands/menu.js.
+export default {
+  name: 'English',
+  languageCode: 'en',
+  notices: {
+    no_edit: '✏️ {user} <b>Editing is not allowed</b>. Your message was removed.',
+    max_len: '📏 {user} <b>messages longer than {limit} characters</b> are not allowed.',
+    no_links: '🔗 {user} <b>links are not allowed</b> in this group.',
+    no_explicit: '🚫 {user} <b>explicit or sexual content</b> is not allowed.',
+    name_no_links: '🏷️ {user} <b>Link in name is not allowed</b>. Please remove links from your display name to participate.',
+    name_no_explicit: '🏷️ {user} <b>Explicit content in name</b>. Please change it to participate.',
+    bio_block: '🧬 {user} <b>cannot post</b> because your bio contains {reason}. Please update your bio to participate.',
+    anti_flood: '⏱️ {user} <b>too many messages too quickly</b>. Please slow down.',
+    anti_flood_muted: '⏱️ {user} <b>too many messages too quickly</b>. Please slow down. Muted for {duration}.',
+    anti_duplicate: '🌀 {user} <b>repeated messages are not allowed</b>.',
+    new_member_probation: '🛡️ {user} <b>new-member probation is active</b>. {reason} are temporarily restricted.',
+    blacklist_mute: '🚫 {user} <b>muted by global blacklist</b>.{reason}',
+    blacklist_kick: '🚫 {user} <b>removed by global blacklist</b>.{reason}',
+    chat_ban_ban: "⛔ {user} <b>banned by this chat's ban list</b>.{reason}",
+    chat_ban_mute: "🔇 {user} <b>muted by this chat's ban list</b>.{reason}",
+    custom_rule: '🚫 {user} <b>this content is not allowed here</b> ({rule}).',
+    custom_rule_muted: ' Muted for {duration}.',
+    custom_rule_banned: ' Banned.',
+    escalation_warn: '⚠️ {user} <b>warning {warn}/{warnings}</b> (strike {strikes}).{next}',
+    escalation_mute: '🔇 {user} <b>muted for {duration}</b> after {strikes} strikes.{next}',
+    escalation_ban: '⛔ {user} <b>banned</b> after {strikes} strikes.',
+    escalation_next: ' Next: <b>{next}</b>.',
+    step_warn: 'warning',
+    step_mute: 'mute {duration}',
+    step_ban: 'ban',
+    missing_delete_permission: '⚠️ <b>Missing permission:</b> I need admin permission <b>Delete messages</b> to enforce group rules. Please promote the bot and enable this permission.',
+    welcome: '👋 Welcome {members} to <b>{chat}</b>!\n\nPlease follow the rules:\n• No links\n• No explicit content\n• Keep it concise, be respectful\n• No edits to messages\n\nUse /settings for options.',
+    join_blacklist_header: '🚫 <b>Global blacklist enforcement</b>',
+    join_blacklist_mute: '• {user} muted by global blacklist.{reason}',
+    join_blacklist_kick: '• {user} removed by global blacklist.{reason}',
+    join_chat_ban_header: '⛔ <b>Chat ban list enforcement</b>',
+    join_chat_ban_ban: "• {user} banned by this chat's ban list.{reason}",
+    join_chat_ban_mute: "• {user} muted by this chat's ban list.{reason}",
+    join_name_header: '⚠️ <b>Name/username policy warning</b>',
+    join_name_flagged: '• {user} flagged: <b>{reason}</b>.',
+    join_name_footer: 'Update your display name/username to avoid moderation actions.',
+    captcha_challenge: '🤖 {user}, please verify within <b>{seconds}s</b> or you will be removed.\n{question}',
+    captcha_math: 'What is <b>{a} + {b}</b>?',
+    captcha_emoji: 'Tap the <b>{emoji}</b>.',
+    captcha_button: 'Tap the button to confirm you are human.',
+    captcha_button_label: "✅ I'm human",
+    captcha_emoji_apple: 'apple',
+    captcha_emoji_car: 'car',
+    captcha_emoji_dog: 'dog',
+    captcha_emoji_football: 'football',
+    captcha_emoji_moon: 'moon',
+    captcha_emoji_guitar: 'guitar',
+    captcha_emoji_pizza: 'pizza',
+    captcha_emoji_rocket: 'rocket',
+    captcha_emoji_cactus: 'cactus',
+    captcha_emoji_fish: 'fish',
+    captcha_emoji_balloon: 'balloon',
+    captcha_emoji_key: 'key',
+    captcha_verified: '✅ {user} verified. Welcome!',
+    appeal_button: '📝 Appeal',
+    appeal_repost: '♻️ <b>Restored message from</b> {user} (appeal approved):\n\n{content}',
+    join_request_review: '🚪 {user} <b>asked to join</b> {chat} and is waiting for an admin.{reason}',
+    join_request_flagged: ' Flagged: <b>{reason}</b>.',
+    join_request_bio: 'bio contains {reason}',
+    join_request_approved: '✅ Join request from {user} <b>approved</b> by {admin}.',
+    join_request_declined: '🚫 Join request from {user} <b>declined</b> by {admin}.',
+    raid_lockdown_started: '🚨 <b>Raid detected:</b> {joins} joins within {window}. The group is in <b>lockdown</b> for {duration}; new members stay muted until it ends. Admins can end it with /lockdown off.',
+    raid_link_revoked: '🔗 The primary invite link was replaced, so the old one no longer works.',
+    lockdown_ended: '✅ <b>Lockdown ended.</b> Muted joiners who can post again: {count}.',
+    lockdown_started: '🔒 <b>Lockdown:</b> an admin made the group read-only for {duration}.',
+    lockdown_started_open: '🔒 <b>Lockdown:</b> an admin made the group read-only until further notice.',
+    slowmode: '🐢 {user} <b>slow mode is on</b>: one message every {interval}. Try again in {wait}.',
+    slowmode_started: '🐢 <b>Slow mode on:</b> one message every {interval} per member.{until}',
+    slowmode_for: ' Ends in {duration}.',
+    slowmode_ended: '✅ <b>Slow mode ended.</b>',
+    nightmode: '🌙 {user} <b>night mode</b>: {type} not allowed until {until}.',
+    nightmode_started: '🌙 <b>Night mode until {until}:</b> {types} will be removed.',
+    nightmode_ended: '☀️ <b>Night mode ended.</b> {types} are allowed again.',
+    nightmode_type_media: 'media',
+    nightmode_type_stickers: 'stickers',
+    nightmode_type_gifs: 'GIFs',
+    nightmode_type_links: 'links',
+    nightmode_type_all: 'messages',
+    media_policy: "🚫 {user} posting <b>{type}</b> isn't allowed in this group.",
+    media_policy_new_member: '🕒 {user} you can post <b>{type}</b> once you have been in the group for {days} days.',
+    media_type_photo: 'photos',
+    media_type_video: 'videos',
+    media_type_document: 'files',
+    media_type_audio: 'audio',
+    media_type_voice: 'voice messages',
+    media_type_video_note: 'video messages',
+    media_type_animation: 'GIFs',
+    media_type_sticker: 'stickers',
+    media_type_contact: 'contacts',
+    media_type_location: 'locations',
+    media_type_venue: 'venues',
+    media_type_poll: 'polls',
+    media_type_dice: 'dice',
+    media_type_game: 'games',
+    // Fragments substituted into the notices above
+    reason_suffix: ' Reason: <i>{reason}</i>',
+    reason_links: 'links',
+    reason_media: 'media',
+    reason_links_media: 'links and media',
+    reason_bio_link: 'a link',
+    reason_bio_explicit: 'explicit content',
+    reason_bio_link_explicit: 'a link and explicit content',
+    reason_name_link: 'link in name/username',
+    reason_name_explicit: 'explicit content in name/username',
+    reason_name_link_explicit: 'link in name/username and explicit content in name/username',
+  },
+  replies: {
+    // Shared
+    admins_only: '⛔ <b>Admins only</b>',
+    cb_admins_only: 'Admins only',
+    group_only: '❗ <b>Use this in a group.</b>',
+    private_only: 'ℹ️ Run this command in a private chat with the bot.',
+    usage: '💡 <b>Usage:</b> <code>{syntax}</code>',
+    usage_or: ' (or <code>{syntax}</code>)',
+    usage_or_reply: ' (or reply to a user).',
+    usage_example: ' (e.g. <code>{example}</code>)',
+    usage_reply_or_id: '💡 <b>Usage:</b> Reply to a user with <code>{command}</code>, or provide <code>{command} &lt;user_id&gt;</code>',
+    invalid_chat_id: '❌ <b>Invalid chat ID.</b> Provide a numeric ID like <code>-1001234567890</code>.',
+    field_action: '• Action: <code>{value}</code>',
+    field_reason: '• Reason: <i>{value}</i>',
+    field_expires: '• Expires: {at} (in {left})',
+    field_status: '• Status: <b>{status}</b>',
+    state_on: 'on',
+    state_on_caps: 'ON',
+    state_off: 'off',
+    none: '<i>none</i>',
+    more_items: '  … {n} more',
+    more_not_shown: '… {n} more not shown',
+    kb_prev: '⏮️ Prev',
+    kb_next: 'Next ⏭️',
+    kb_format: 'Format: {value}',
+    kb_pretty: 'Pretty',
+    kb_compact: 'Compact',
+    kb_scope: 'Scope: {value}',
+    kb_chat: 'Chat',
+    kb_global: 'Global',
+    // /help (plain text)
+    help_title: 'Settings commands:',
+    help_everyone: 'Everyone:',
+    help_admins: 'Group owner/admin (with ban rights), bot admin or owner:',
+    help_owner: 'Bot owner or bot admin (private chat):',
+    help_rules: 'Rules: {rules}',
+    // /rules_status (plain text)
+    rules_status_title: '📋 <b>Rules status</b>',
+    rules_status_header: 'Rules status:',
+    rules_status_rule: '- {rule}: effective {effective} (global {global}, chat {chat})',
+    rules_status_limits: 'Limits:',
+    rules_status_max_len: '- max_len: effective {effective} (global {global}, chat {chat})',
+    rules_status_custom: 'Custom rules:',
+    rules_status_custom_rule: '- {name}: {state} ({action}; {scope})',
+    // Stats
+    stats_bot_title: '<b>📊 Bot Stats</b>',
+    stats_bot_compact: '<b>📊 Bot</b>',
+    stats_group_title: '<b>👥 Group Stats</b> — {title}',
+    stats_today: '<b>🗓 Today</b> — Total: <b>{total}</b>',
+    stats_last7: '<b>🗓 Last 7 Days</b> — Total: <b>{total}</b>',
+    stats_by_violation: '• <i>By violation</i>',
+    stats_by_action: '• <i>By action</i>',
+    stats_compact_today: 'today: <b>{n}</b>',
+    stats_compact_7d: '7d: <b>{n}</b>',
+    stats_compact_top_violations: 'topV(7d): <code>{list}</code>',
+    stats_compact_top_actions: 'topA(7d): <code>{list}</code>',
+    ustats_title_global: 'User stats for <code>{id}</code> across all chats',
+    ustats_title_chat: 'User stats for <code>{id}</code> in this chat',
+    ustats_avgs: '• Daily avg: <b>{daily}</b> — Weekly avg: <b>{weekly}</b>',
+    ustats_lifetime: '• Lifetime total: <b>{n}</b>',
+    ustats_risk: '• Risk score (7d): <b>{score}</b> (<i>{label}</i>)',
+    ustats_top: '• <i>Top violations (7d)</i>',
+    ustats_by_violation: '• <i>7d by violation</i>',
+    ustats_compact_user: '<b>User</b> <code>{id}</code>',
+    ustats_compact_scope: 'scope: <i>{scope}</i>',
+    ustats_compact_avg_d: 'avg(d): <b>{n}</b>',
+    ustats_compact_avg_w: 'avg(w): <b>{n}</b>',
+    ustats_compact_life: 'life: <b>{n}</b>',
+    ustats_compact_risk: 'risk: <b>{n}</b>',
+    ustats_compact_top: 'top: <code>{list}</code>',
+    risk_low: 'Low',
+    risk_medium: 'Medium',
+    risk_high: 'High',
+    top_none: 'ℹ️ <b>No violations found</b> for the selected period.',
+    top_row: '{n}. {user} — total: <b>{total}</b>, risk: <b>{risk}</b>, top: <code>{top}</code>',
+    top_title_global: '<b>Top {count} violators (across all chats, last {days}d)</b>',
+    top_title_chat: '<b>Top {count} violators (in this chat, last {days}d)</b>',
+    // /user_groups (plain text header)
+    ugroups_title: 'User {id} is present in {count} group(s).',
+    ugroups_showing: 'Showing {start}-{end} of {count}',
+    ugroups_no_links: 'No links available (bot may lack rights).',
+    ugroups_failed: '❌ <b>Failed to fetch presence:</b> <code>{error}</code>',
+    // Review / safelist / abuse
+    review_expired: 'Review expired',
+    review_marked_valid: 'Marked valid',
+    review_no_terms: 'No suitable terms found',
+    safelisted_terms: 'Safelisted {count} term(s){db}',
+    db_saved: ' · DB saved',
+    db_error: ' · DB error',
+    suggest_none: 'ℹ️ <b>No suggestions found</b>',
+    suggest_top: 'Safelist Top {n}',
+    suggest_top_short: 'Top {n}',
+    suggest_all: 'Safelist All',
+    suggest_title: '<b>Safelist Suggestions ({scope})</b>',
+    suggest_hint_global: '<i>Tap a button to add these words globally.</i>',
+    suggest_hint_chat: '<i>Tap a button to add these words for this chat (persisted globally).</i>',
+    suggest_failed: 'Failed to build suggestions.',
+    suggest_expired: 'Suggestions expired',
+    suggest_no_terms: 'No terms added',
+    abuse_usage: '💡 <b>Usage:</b> <code>/abuse "word or phrase"</code> (or reply to a message with <code>/abuse</code>)',
+    abuse_added: '✅ <b>Added</b> <b>{count}</b> phrase(s) to explicit list.',
+    // /group_kick_all
+    gka_usage: '⚠️ <b>Usage:</b> <code>/group_kick_all &lt;chat_id&gt; confirm</code>\nChat ID must be the numeric Telegram ID (e.g. <code>-1001234567890</code>).\nThe bot removes everyone it has seen in that chat except admins and itself.\nPreview with <code>/group_kick_all &lt;chat_id&gt; inspect [limit=25]</code> before confirming.\nUse <code>/group_kick_all_abort &lt;chat_id&gt;</code> to cancel a running purge.',
+    gka_protected: '⛔ <b>This chat ID is protected</b>; bulk removal is disabled for this group.',
+    gka_already_running: '⚠️ A /group_kick_all operation is already running for this chat. Use /group_kick_all_abort to stop it.',
+    gka_access_failed: '❌ <b>Failed to access chat:</b> <code>{error}</code>',
+    gka_not_group: '❌ <b>Target chat must be a group or supergroup.</b>',
+    gka_need_ban: '⛔ <b>I need Ban Users permission in that group to run /group_kick_all.</b>',
+    gka_no_members: 'ℹ️ <b>No stored member list for this chat.</b> Presence tracking via Supabase is required.',
+    gka_nothing: 'ℹ️ <b>Nothing to remove.</b> Only admins or the bot are recorded for that chat.',
+    gka_status: 'status: {status}',
+    gka_absent: 'already absent',
+    gka_error: 'error: {error}',
+    gka_inspect_title: '👁️ <b>Inspecting purge targets for</b> <code>{title}</code>',
+    gka_tracked: '<b>Tracked members:</b> {n}',
+    gka_potential: '<b>Potential removals:</b> {n}',
+    gka_admins_skipped: '🛡️ <b>Admins skipped:</b> {n}',
+    gka_bot_skipped: '🤖 <b>Bot ID skipped:</b> {n}',
+    gka_showing_first: 'Showing first {n} target(s).',
+    gka_more_targets: '… {n} more target(s) not shown.',
+    gka_lacks_ban: '⚠️ <b>Bot lacks Ban permission</b>; purge will fail until permissions are fixed.',
+    gka_confirm_hint: 'Use <code>/group_kick_all &lt;chat_id&gt; confirm</code> when ready.',
+    gka_purging: '🚨 <b>Purging members from:</b> <code>{title}</code>',
+    gka_seen: '<b>Seen members:</b> {n}',
+    gka_attempting: '<b>Attempting removals:</b> {n}',
+    gka_admins_recorded: '🛡️ <b>Admins recorded:</b> {n}',
+    gka_stopped: '⛔ <b>Purge stopped</b>',
+    gka_complete: '✅ <b>Purge complete</b>',
+    gka_in_progress: '🚨 <b>Purge running…</b>',
+    gka_chat: '<b>Chat:</b> <code>{title}</code>',
+    gka_processed: '<b>Processed:</b> {done}/{total} ({pct}%)',
+    gka_p_removed: '• Removed: <b>{n}</b>',
+    gka_p_absent: '• Already absent: <b>{n}</b>',
+    gka_p_failures: '• Failures: <b>{n}</b>',
+    gka_p_skipped_admins: '• Skipped admins: <b>{n}</b>',
+    gka_p_skipped_bot: '• Skipped bot: <b>{n}</b>',
+    gka_waiting: '⏳ Waiting for workers to stop…',
+    gka_s_removed: '✅ <b>Removed:</b> {n}',
+    gka_s_skipped_admins: '🛡️ <b>Skipped admins:</b> {n}',
+    gka_s_skipped_bot: '🤖 <b>Skipped bot ID:</b> {n}',
+    gka_s_absent: '🚪 <b>Already absent:</b> {n}',
+    gka_s_failures: '⚠️ <b>Failures:</b> {n}',
+    gka_aborted: '⛔ <b>Operation aborted.</b> Remaining members were not processed.',
+    gka_aborted_by: '⏹️ <b>Aborted by:</b> <code>{id}</code>',
+    gka_presence_pruned: '🗃️ <b>Presence records pruned:</b> {n}',
+    gka_presence_error: '⚠️ <b>Presence cleanup error:</b> <code>{error}</code>',
+    gka_failure_samples: '<b>Failure samples</b>',
+    gka_failed: '❌ <b>Group purge failed:</b> <code>{error}</code>',
+    gka_queued: '⏳ Another task is running. Your purge has been queued with priority.',
+    gka_dequeued: '⛔ <b>Purge removed from queue before it started.</b>',
+    gka_none_active: 'ℹ️ <b>No active /group_kick_all run found for that chat.</b>',
+    gka_abort_pending: 'ℹ️ <b>An abort has already been requested.</b>',
+    gka_abort_requested: '⛔ <b>Abort requested.</b> The purge will stop after the current member is processed.',
+    // Global blacklist
+    bl_added: '✅ <b>Added user</b> <code>{id}</code> to global blacklist.',
+    bl_groups: '• Groups evaluated: <b>{n}</b>',
+    bl_no_presence: '• No presence data; enforcement will trigger on next activity.',
+    bl_applied: '• Applied in: <b>{n}</b> group(s)',
+    bl_failures: '• Failures: <b>{n}</b>',
+    bl_applied_samples: '<b>Applied samples</b>',
+    bl_failures_title: '<b>Failures</b>',
+    bl_not_listed: 'ℹ️ <b>User</b> <code>{id}</code> is not on the global blacklist.',
+    bl_removed: '✅ <b>Removed</b> <code>{id}</code> from the global blacklist.',
+    bl_empty: 'ℹ️ <b>The global blacklist is empty.</b>',
+    bl_row: '• <code>{id}</code> → <code>{action}</code>{reason} (since {since}){expires}',
+    bl_row_expires: ' — ⏳ {left} left',
+    bl_title: '<b>Global blacklist entries</b>',
+    bl_history_title: '📜 <b>Blacklist history for</b> <code>{id}</code>',
+    bl_history_listed: '• Currently <b>blacklisted</b>',
+    bl_history_not_listed: '• Currently <b>not blacklisted</b>',
+    bl_history_empty: 'ℹ️ <b>No blacklist history for</b> <code>{id}</code>.',
+    bl_history_added: '➕ {at} <code>{action}</code> by {by}{reason}{expires}',
+    bl_history_updated: '✏️ {at} changed to <code>{action}</code> by {by}{reason}{expires}',
+    bl_history_removed: '➖ {at} removed by {by}',
+    bl_history_expired: '⌛ {at} expired',
+    bl_history_until: ' (until {at})',
+    bl_history_unknown: 'unknown',
+    // Federation
+    fed_title: '🌐 <b>Federation</b>',
+    fed_publishing: '• Publishing as <code>{name}</code>; public key: <code>{key}</code>',
+    fed_not_publishing: '• Not publishing a feed (set <code>FEDERATION_PRIVATE_KEY</code>).',
+    fed_none: '• No subscriptions.',
+    fed_sub_row: '• <code>{name}</code> (trust: <code>{trust}</code>) — {status}\n  {url}',
+    fed_status_ok: '{n} user(s), synced {at}',
+    fed_status_error: '⚠️ <code>{error}</code>',
+    fed_status_pending: 'not synced yet',
+    fed_overrides_count: '• Overrides: <b>{n}</b> user(s) (see <code>/federation_override</code>)',
+    fed_invalid_name: '❌ <b>Feed names use</b> <code>a-z 0-9 _ -</code> (up to 32 characters).',
+    fed_invalid_url: '❌ <b>The feed URL must start with</b> <code>http://</code> or <code>https://</code>.',
+    fed_invalid_key: '❌ <b>That is not an Ed25519 public key.</b> Use the base64 key shown by <code>/federation_list</code> on the publishing bot.',
+    fed_subscribed: '✅ <b>Subscribed to</b> <code>{name}</code> (trust: <code>{trust}</code>).',
+    fed_sync_ok: '• Synced: <b>{n}</b> user(s)',
+    fed_sync_failed: '• Sync failed: <code>{error}</code> (retried on the next sync)',
+    fed_unsubscribed: '🗑️ <b>Unsubscribed from</b> <code>{name}</code>.',
+    fed_not_subscribed: 'ℹ️ <b>No subscription named</b> <code>{name}</code>.',
+    fed_sync_title: '🔄 <b>Federation sync</b>',
+    fed_sync_row_ok: '• <code>{name}</code>: {n} user(s) (+{added} / −{removed})',
+    fed_sync_row_failed: '• <code>{name}</code>: ⚠️ <code>{error}</code>',
+    fed_user_title: '🌐 <b>Federated entries for</b> <code>{id}</code>',
+    fed_user_row: '• <code>{name}</code> (trust: <code>{trust}</code>) → <code>{action}</code>{reason}',
+    fed_user_none: '• Not listed by any subscribed feed.',
+    fed_override_current: '• Override: <code>{action}</code> by {by} ({at})',
+    fed_override_none: '• No override; feeds apply as subscribed.',
+    fed_override_set: '✅ <b>Override for</b> <code>{id}</code>: <code>{action}</code>.',
+    fed_override_cleared: '✅ <b>Override cleared for</b> <code>{id}</code>; feeds apply as subscribed.',
+    // Chat ban list
+    chat_ban_added: "✅ <b>Added</b> <code>{id}</code> to this chat's ban list.",
+    chat_ban_applied: '• Applied now.',
+    chat_ban_pending: '• Could not apply it now; it will be enforced when the user joins or posts.',
+    chat_ban_admin: '❌ <b>Chat admins cannot be put on the ban list.</b>',
+    chat_ban_not_listed: "ℹ️ <b>User</b> <code>{id}</code> is not on this chat's ban list.",
+    chat_ban_removed: "✅ <b>Removed</b> <code>{id}</code> from this chat's ban list.",
+    chat_ban_empty: "ℹ️ <b>This chat's ban list is empty.</b>",
+    chat_ban_title: '⛔ <b>Chat ban list</b> ({n})',
+    chat_ban_row: '• <code>{id}</code> → <code>{action}</code>{reason} (since {since})',
+    chat_ban_export_hint: '<i>Export with /chat_ban_export; import into another chat by replying to the file with /chat_ban_import.</i>',
+    chat_ban_exported: '⛔ <b>Chat ban list</b> ({n})',
+    chat_ban_import_hint: ' Reply to a file from /chat_ban_export or a text file with one user ID per line.',
+    chat_ban_import_failed: '❌ <b>Import failed:</b> <code>{error}</code>',
+    chat_ban_imported: '✅ <b>Imported ban list:</b> {added} added, {updated} updated, {skipped} already listed. Entries are enforced when users join or post.',
+    // Bot admins, rules, limits, whitelist
+    botadmin_no_bots: '🤖 Bots cannot be promoted to bot admin.',
+    botadmin_not_bots: '🤖 Bots are not in the bot admin list.',
+    botadmin_added: '✅ <b>Added bot admin:</b> <code>{id}</code>',
+    botadmin_removed: '🗑️ <b>Removed bot admin:</b> <code>{id}</code>',
+    unknown_rule: '❓ <b>Unknown rule.</b> Use one of: <code>{rules}</code>',
+    unknown_rule_chat: '❓ <b>Unknown rule.</b> Use one of: <code>{rules}</code> or a custom rule name (see <code>/customrule_list</code>)',
+    rule_global_enabled: '✅ <b>Enabled</b> <code>{rule}</code> globally.',
+    rule_global_disabled: '🚫 <b>Disabled</b> <code>{rule}</code> globally.',
+    rule_chat_enabled: '✅ <b>Enabled</b> <code>{rule}</code> for this chat.',
+    rule_chat_disabled: '🚫 <b>Disabled</b> <code>{rule}</code> for this chat.',
+    rule_custom_enabled: '✅ <b>Enabled</b> custom rule <code>{rule}</code> for this chat.',
+    rule_custom_disabled: '🚫 <b>Disabled</b> custom rule <code>{rule}</code> for this chat.',
+    maxlen_global: '✅ <b>Global max length limit:</b> <code>{n}</code>',
+    maxlen_chat: '✅ <b>Chat max length limit:</b> <code>{n}</code>',
+    limits_title: '📐 <b>Limits for this chat</b> (chat → global → default)',
+    limits_row: '• <code>{key}</code>: <b>{value}</b> <i>({source})</i>',
+    limits_source_chat: 'chat',
+    limits_source_global: 'global',
+    limits_source_default: 'default',
+    limits_hint: 'Change with <code>/limit_chat_set &lt;limit&gt; &lt;number|default&gt;</code> or the /settings panel. <code>*_seconds</code> and <code>*_minutes</code> also accept durations like <code>2m</code>.',
+    limit_unknown: '❓ <b>Unknown limit.</b> Use one of: <code>{keys}</code>',
+    limit_chat_set: '✅ <b>Chat limit</b> <code>{key}</code> = <code>{value}</code>',
+    limit_chat_cleared: '✅ <b>Chat limit</b> <code>{key}</code> <b>now follows the global value</b> (<code>{value}</code>).',
+    limit_global_set: '✅ <b>Global limit</b> <code>{key}</code> = <code>{value}</code>',
+    limit_global_cleared: '✅ <b>Global limit</b> <code>{key}</code> <b>reset to the default</b> (<code>{value}</code>).',
+    whitelist_no_bots: '🤖 Bots cannot be whitelisted.',
+    whitelist_added: '✅ <b>Whitelisted</b> user <code>{id}</code> for this chat.',
+    whitelist_removed: '🗑️ <b>Removed</b> user <code>{id}</code> from whitelist.',
+    whitelist_empty: 'ℹ️ <b>Whitelist is empty for this chat.</b>',
+    whitelist_title: '✅ <b>Whitelisted user IDs:</b>',
+    // Link lists
+    links_added: '✅ <b>Added to {list}:</b> {domains}',
+    links_removed: '✅ <b>Removed from {list}:</b> {domains}',
+    links_global_allow: 'global allowlist',
+    links_global_deny: 'global denylist',
+    links_chat_allow: 'chat allowlist',
+    links_chat_deny: 'chat denylist',
+    links_invalid: '⚠️ Ignored invalid: {domains}',
+    links_title: '🔗 <b>Link domain lists</b>',
+    links_row_global_allow: '• Global allow: {list}',
+    links_row_global_deny: '• Global deny: {list}',
+    links_row_chat_allow: '• Chat allow: {list}',
+    links_row_chat_deny: '• Chat deny: {list}',
+    links_footer: '<i>Deny wins over allow; links on neither list are removed by no_links.</i>',
+    // Custom rules
+    cr_usage: '💡 <b>Usage:</b> <code>/customrule_add &lt;name&gt; &lt;scopes&gt; &lt;action&gt; &lt;pattern&gt;</code>\n• Scopes: <code>{scopes}</code> or <code>all</code>\n• Actions: <code>{actions}</code> (mute accepts <code>mute:2h</code>)\n• Pattern: keyword/phrase, or <code>/regex/flags</code> (bot admins only)\n• Optional notice on the next line(s); placeholders <code>{user}</code>, <code>{rule}</code>',
+    cr_invalid_pattern: '❌ <b>Invalid pattern:</b> <code>{error}</code>',
+    cr_regex_bot_admin: '🔒 <b>Only bot admins can add regex patterns.</b> Use a keyword or phrase instead.',
+    cr_save_failed: '❌ <b>Could not save rule:</b> <code>{error}</code>',
+    cr_saved: '✅ <b>Custom rule saved:</b> <code>{name}</code>',
+    cr_scope: '• Scope: <code>{scope}</code>',
+    cr_pattern: '• Pattern: <code>{pattern}</code>',
+    cr_not_found: 'ℹ️ <b>No custom rule named</b> <code>{name}</code>.',
+    cr_removed: '🗑️ <b>Removed custom rule</b> <code>{name}</code>.',
+    cr_none: 'ℹ️ <b>No custom rules for this chat.</b>',
+    cr_title: '<b>Custom rules</b>',
+    // Escalation and strikes
+    esc_title: '🪜 <b>Escalation ladder</b>',
+    esc_decay_info: '• Strikes decay after <b>{days}</b> day(s).',
+    esc_reset: '✅ <b>Escalation ladder reset:</b> <code>{ladder}</code>',
+    esc_set: '✅ <b>Escalation ladder:</b> <code>{ladder}</code>',
+    esc_decay_set: '✅ <b>Strikes now decay after</b> <code>{days}</code> day(s).',
+    strikes_title: '🪜 <b>Strikes for</b> <code>{id}</code>: <b>{strikes}</b> (last {days}d)',
+    strikes_current: '• Current step: <code>{step}</code>',
+    strikes_next: '• Next violation: <code>{step}</code>',
+    strikes_reset_done: '✅ <b>Strikes reset</b> for <code>{id}</code>.',
+    // Captcha and digest
+    captcha_title: '🤖 <b>Join captcha</b>',
+    captcha_mode: '• Mode: <code>{mode}</code>',
+    captcha_timeout: '• Timeout: <code>{timeout}</code> (then the member is removed)',
+    join_screening_title: '🚪 <b>Join request screening</b>',
+    join_screening_passed: '• Requests that pass: <code>{action}</code>',
+    join_screening_flagged: '• Flagged name/bio: <code>{action}</code>',
+    join_screening_blocked: '• Blacklisted or on the chat ban list: <code>decline</code>',
+    join_screening_hint: '<i>Needs "Approve new members" on the invite link and the "Invite users" admin right.</i>',
+    // Join request review (button labels and callback answers are plain text)
+    jr_btn_approve: '✅ Approve',
+    jr_btn_decline: '🚫 Decline',
+    jr_cb_approved: 'Approved',
+    jr_cb_declined: 'Declined',
+    jr_cb_gone: 'This request was already handled or withdrawn.',
+    captcha_cb_expired: 'This challenge has expired.',
+    captcha_cb_not_yours: 'This challenge is not for you.',
+    captcha_cb_wrong: 'Wrong answer.',
+    captcha_cb_verified: 'Verified!',
+    appeal_link_invalid: '⌛ <b>This appeal link has expired or is not yours.</b>',
+    appeal_already_submitted: 'ℹ️ <b>This appeal was already submitted and is awaiting review.</b>',
+    appeal_already_approved: 'ℹ️ <b>This appeal was already approved.</b>',
+    appeal_already_rejected: 'ℹ️ <b>This appeal was already rejected.</b>',
+    appeal_unavailable: '❌ <b>Appeals are not available right now.</b> Please contact the group admins.',
+    appeal_prompt: '📝 <b>Appeal for {violation}</b> in <b>{chat}</b>\nSend one message (max {max} characters) explaining why this action was a mistake. Admins will review it.',
+    appeal_the_group: 'the group',
+    appeal_expired: '⌛ <b>This appeal has expired.</b>',
+    appeal_submit_failed: '❌ <b>Could not submit your appeal.</b> Please try the link again later.',
+    appeal_submitted: '✅ <b>Appeal submitted.</b> You will get a message here once it has been reviewed.',
+    appeal_approved: '✅ <b>Your appeal for {violation} in {chat} was approved.</b>{done}',
+    appeal_rejected: '❌ <b>Your appeal for {violation} in {chat} was rejected.</b>',
+    appeal_done: '\nDone: {remedies}.',
+    appeal_done_blacklist_removed: 'removed from blacklist',
+    appeal_done_federated_ignored: 'federated entry ignored',
+    appeal_done_ban_lifted: 'ban lifted',
+    appeal_done_mute_lifted: 'mute lifted',
+    appeal_done_message_reposted: 'message reposted',
+    appeal_btn_approve: 'Approve ✅',
+    appeal_btn_reject: 'Reject ❌',
+    appeal_cb_approved: 'Approved',
+    appeal_cb_rejected: 'Rejected',
+    appeal_cb_already_approved: 'Already approved',
+    appeal_cb_already_rejected: 'Already rejected',
+    appeal_cb_expired: 'Appeal expired',
+    raid_title: '🚨 <b>Raid detection</b>',
+    raid_threshold: '• Lockdown after: <code>{joins}</code> joins within <code>{window}</code>',
+    raid_cooldown: '• Lockdown lasts: <code>{cooldown}</code> (extended while joins keep coming)',
+    raid_probation: '• Probation during lockdown: <code>{probation}</code>',
+    raid_revoke: '• Replace the invite link: <b>{state}</b>',
+    lockdown_none: 'ℹ️ <b>This chat is not in lockdown.</b>',
+    lockdown_title: '🔒 <b>Lockdown active</b>',
+    lockdown_trigger: '• Trigger: <code>{trigger}</code> ({joins} joins)',
+    lockdown_since: '• Since: {at} UTC',
+    lockdown_left: '• Ends in: <code>{left}</code>',
+    lockdown_restricted: '• Joiners muted: <b>{n}</b>',
+    lockdown_off_hint: '<i>End it now with /lockdown off.</i>',
+    lockdown_trigger_manual: '• Trigger: <code>manual</code> by {by}',
+    lockdown_open: '• Ends: <i>when lifted with /lockdown off</i>',
+    lockdown_read_only: '• Chat read-only: <b>yes</b> (permissions are restored when it ends)',
+    lockdown_start_hint: '<i>Lock it with /lockdown on (until lifted) or a duration, e.g. /lockdown 2h.</i>',
+    lockdown_failed: '❌ <b>Could not make the chat read-only:</b> <code>{error}</code>',
+    lockdown_end_failed: '❌ <b>Could not restore the chat permissions:</b> <code>{error}</code>\nThe chat stays read-only; ending the lockdown is retried in 5 minutes.',
+    slowmode_none: 'ℹ️ <b>Slow mode is off.</b>',
+    slowmode_title: '🐢 <b>Slow mode active</b>',
+    slowmode_interval: '• One message every: <code>{interval}</code> per member',
+    slowmode_since: '• Since: {at} UTC',
+    slowmode_left: '• Ends in: <code>{left}</code>',
+    slowmode_open: '• Ends: <i>when turned off with /slowmode off</i>',
+    slowmode_off_hint: '<i>Turn it off with /slowmode off.</i>',
+    slowmode_hint: '<i>Turn it on with /slowmode 30s, optionally for a while: /slowmode 1m 2h.</i>',
+    digest_title: '📊 <b>Moderation digest</b>',
+    digest_schedule: '• Schedule: {schedule}',
+    digest_preview_hint: 'Preview with <code>/digest now</code>.',
+    digest_admins_hint: '<i>Admins must have started a private chat with the bot to receive it.</i>',
+    nightmode_title: '🌙 <b>Night mode</b>',
+    nightmode_windows: '• Windows: {windows} <i>({tz})</i>',
+    nightmode_no_windows: '<i>none</i>',
+    nightmode_block: '• Blocked during a window: {types}',
+    nightmode_action_delete: '• Action: <b>delete</b> blocked messages',
+    nightmode_action_restrict: '• Action: <b>restrict</b> group permissions and delete blocked messages',
+    nightmode_now: '• In effect now: <b>{state}</b>',
+    nightmode_hint: '<i>Example: /nightmode on 02:00-05:00 block=media,stickers tz=Asia/Kolkata</i>',
+    media_policy_title: '🎞️ <b>Media policy</b>',
+    media_policy_row: '• <code>{type}</code>: {rule}',
+    media_rule_deny: '<b>blocked</b>',
+    media_rule_days: 'members who joined at least <b>{days}</b> days ago',
+    media_policy_rest: '• Other types: allowed',
+    media_policy_all_allowed: '• Every type is allowed.',
+    media_policy_hint: "<i>Example: /media_policy sticker=deny animation=deny voice=7d — /media_policy reset allows everything. Members whose join the bot didn't see count as older members.</i>",
+    media_policy_types: 'Types: <code>{types}</code>',
+    // Language and notice templates
+    lang_current: '🌐 <b>Bot language:</b> <code>{locale}</code>',
+    lang_default_suffix: ' (default)',
+    lang_available: 'Available: {list}',
+    lang_set: '✅ <b>Bot language set to</b> <code>{locale}</code> ({name}).',
+    tpl_keys_hint: 'See keys with /template_list.',
+    tpl_title: '🧩 <b>Template</b> <code>{key}</code>',
+    tpl_custom_suffix: ' (custom)',
+    tpl_placeholders: 'Placeholders: {list}',
+    tpl_reset: '✅ <b>Template</b> <code>{key}</code> <b>reset to the built-in text.</b>',
+    tpl_saved: '✅ <b>Template</b> <code>{key}</code> <b>saved.</b>',
+    tpl_plain_hint: '<i>Custom templates are sent as plain text.</i>',
+    tpl_list_title: '🧩 <b>Notice templates</b> — language <code>{locale}</code>',
+    tpl_list_footer: '✏️ = custom override. Show one with <code>/template_set &lt;key&gt;</code>.',
+    // /modlog
+    modlog_title: '📜 <b>Moderation log</b> — <code>{filters}</code>',
+    modlog_none: 'No matching entries.',
+    modlog_no_more: 'No more entries.',
+    modlog_user: ' · user <code>{id}</code>',
+    modlog_other_chats: '❌ <b>Only bot admins can search other chats.</b>',
+    modlog_expired: 'This search has expired. Run /modlog again.',
+    modlog_requester_only: 'Only the requester can page this search.',
+    // /settings panel (button labels and callback answers are plain text)
+    panel_title: '⚙️ <b>Settings</b> — {chat}',
+    panel_hint: 'Tap a rule to switch it on or off for this chat. 🚫 = disabled globally by the bot admins.',
+    panel_max_len: '📏 Max length: {value}',
+    panel_flood: '🌊 Flood',
+    panel_duplicate: '🔁 Duplicates',
+    panel_duplicate_title: '🔁 <b>Duplicate messages</b>\nSending the same message <b>{repeat}</b> times within <b>{window}</b> gets the repeat removed.',
+    panel_duplicate_repeat: 'Copies: {value}',
+    panel_duplicate_window: 'Window: {value}',
+    panel_probation: '🆕 Probation',
+    panel_whitelist: '👥 Whitelist',
+    panel_back: '⬅️ Back',
+    panel_close: '✖️ Close',
+    panel_flood_title: '🌊 <b>Anti-flood</b>\nMore than <b>{max}</b> messages within <b>{window}</b> are removed and the sender is muted for <b>{mute}</b> (0s = no mute).',
+    panel_flood_max: 'Messages: {value}',
+    panel_flood_window: 'Window: {value}',
+    panel_flood_mute: 'Mute: {value}',
+    panel_probation_title: '🆕 <b>New member probation</b>\nNew members cannot post links or media for <b>{value}</b> after joining (0s = off).',
+    panel_probation_value: 'Probation: {value}',
+    panel_whitelist_title: '👥 <b>Whitelist</b> — tap a user ID to remove it.',
+    panel_whitelist_empty: 'The whitelist is empty.',
+    panel_whitelist_hint: 'Add users with /whitelist_add (reply or user ID).',
+    panel_admins_only: 'Only chat admins with ban rights can change settings.',
+    panel_rule_global_off: 'This rule is disabled globally by the bot admins.',
+    panel_limit_edge: 'Already at the limit.',
+    panel_saved: 'Saved.',
+    // Command menus
+    commands_set: '✅ <b>Bot commands have been set.</b>',
+    commands_set_failed: '❌ <b>Failed to set commands:</b> <code>{error}</code>',
+    commands_removed: '🗑️ <b>Bot commands have been removed.</b>',
+    commands_remove_failed: 'Failed to remove commands: {error}',
+  },
+};
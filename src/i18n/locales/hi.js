@@ -0,0 +1,593 @@
+// Hindi (Devanagari). Missing keys fall back to English.
+export default {
+  name: 'हिन्दी',
+  languageCode: 'hi',
+  notices: {
+    no_edit: '✏️ {user} <b>संदेश संपादित करने की अनुमति नहीं है</b>। आपका संदेश हटा दिया गया।',
+    max_len: '📏 {user} <b>{limit} अक्षरों से लंबे संदेश</b> की अनुमति नहीं है।',
+    no_links: '🔗 {user} इस ग्रुप में <b>लिंक भेजने की अनुमति नहीं है</b>।',
+    no_explicit: '🚫 {user} <b>अश्लील या यौन सामग्री</b> की अनुमति नहीं है।',
+    name_no_links: '🏷️ {user} <b>नाम में लिंक की अनुमति नहीं है</b>। भाग लेने के लिए अपने नाम से लिंक हटाएँ।',
+    name_no_explicit: '🏷️ {user} <b>नाम में अश्लील सामग्री</b> है। भाग लेने के लिए कृपया नाम बदलें।',
+    bio_block: '🧬 {user} <b>संदेश नहीं भेज सकते</b> क्योंकि आपके बायो में {reason} है। भाग लेने के लिए कृपया बायो अपडेट करें।',
+    anti_flood: '⏱️ {user} <b>बहुत जल्दी-जल्दी बहुत सारे संदेश</b>। कृपया धीरे भेजें।',
+    anti_flood_muted: '⏱️ {user} <b>बहुत जल्दी-जल्दी बहुत सारे संदेश</b>। कृपया धीरे भेजें। {duration} के लिए म्यूट किया गया।',
+    anti_duplicate: '🌀 {user} <b>एक ही संदेश बार-बार भेजने की अनुमति नहीं है</b>।',
+    new_member_probation: '🛡️ {user} <b>नए सदस्य की परिवीक्षा लागू है</b>। {reason} अभी कुछ समय के लिए प्रतिबंधित हैं।',
+    blacklist_mute: '🚫 {user} <b>ग्लोबल ब्लैकलिस्ट के कारण म्यूट</b>।{reason}',
+    blacklist_kick: '🚫 {user} <b>ग्लोबल ब्लैकलिस्ट के कारण हटाया गया</b>।{reason}',
+    chat_ban_ban: '⛔ {user} <b>इस ग्रुप की बैन लिस्ट के कारण बैन</b>।{reason}',
+    chat_ban_mute: '🔇 {user} <b>इस ग्रुप की बैन लिस्ट के कारण म्यूट</b>।{reason}',
+    custom_rule: '🚫 {user} <b>यह सामग्री यहाँ अनुमत नहीं है</b> ({rule})।',
+    custom_rule_muted: ' {duration} के लिए म्यूट।',
+    custom_rule_banned: ' बैन किया गया।',
+    escalation_warn: '⚠️ {user} <b>चेतावनी {warn}/{warnings}</b> (स्ट्राइक {strikes})।{next}',
+    escalation_mute: '🔇 {user} {strikes} स्ट्राइक के बाद <b>{duration} के लिए म्यूट</b>।{next}',
+    escalation_ban: '⛔ {user} {strikes} स्ट्राइक के बाद <b>बैन</b>।',
+    escalation_next: ' अगला कदम: <b>{next}</b>।',
+    step_warn: 'चेतावनी',
+    step_mute: '{duration} म्यूट',
+    step_ban: 'बैन',
+    missing_delete_permission: '⚠️ <b>अनुमति नहीं है:</b> ग्रुप के नियम लागू करने के लिए मुझे <b>Delete messages</b> एडमिन अनुमति चाहिए। कृपया बॉट को एडमिन बनाकर यह अनुमति दें।',
+    welcome: '👋 <b>{chat}</b> में {members} का स्वागत है!\n\nकृपया नियमों का पालन करें:\n• लिंक नहीं\n• अश्लील सामग्री नहीं\n• संक्षिप्त और सम्मानजनक रहें\n• संदेश संपादित न करें\n\nविकल्पों के लिए /settings देखें।',
+    join_blacklist_header: '🚫 <b>ग्लोबल ब्लैकलिस्ट लागू</b>',
+    join_blacklist_mute: '• {user} ग्लोबल ब्लैकलिस्ट के कारण म्यूट।{reason}',
+    join_blacklist_kick: '• {user} ग्लोबल ब्लैकलिस्ट के कारण हटाया गया।{reason}',
+    join_chat_ban_header: '⛔ <b>ग्रुप बैन लिस्ट लागू</b>',
+    join_chat_ban_ban: '• {user} इस ग्रुप की बैन लिस्ट के कारण बैन।{reason}',
+    join_chat_ban_mute: '• {user} इस ग्रुप की बैन लिस्ट के कारण म्यूट।{reason}',
+    join_name_header: '⚠️ <b>नाम/यूज़रनेम नीति चेतावनी</b>',
+    join_name_flagged: '• {user} चिह्नित: <b>{reason}</b>।',
+    join_name_footer: 'मॉडरेशन कार्रवाई से बचने के लिए अपना नाम/यूज़रनेम बदलें।',
+    captcha_challenge: '🤖 {user}, कृपया <b>{seconds} सेकंड</b> में पुष्टि करें, नहीं तो आपको हटा दिया जाएगा।\n{question}',
+    captcha_math: '<b>{a} + {b}</b> कितना होता है?',
+    captcha_emoji: '<b>{emoji}</b> पर टैप करें।',
+    captcha_button: 'आप इंसान हैं, यह पुष्टि करने के लिए बटन दबाएँ।',
+    captcha_button_label: '✅ मैं इंसान हूँ',
+    captcha_emoji_apple: 'सेब',
+    captcha_emoji_car: 'कार',
+    captcha_emoji_dog: 'कुत्ता',
+    captcha_emoji_football: 'फ़ुटबॉल',
+    captcha_emoji_moon: 'चाँद',
+    captcha_emoji_guitar: 'गिटार',
+    captcha_emoji_pizza: 'पिज़्ज़ा',
+    captcha_emoji_rocket: 'रॉकेट',
+    captcha_emoji_cactus: 'कैक्टस',
+    captcha_emoji_fish: 'मछली',
+    captcha_emoji_balloon: 'गुब्बारा',
+    captcha_emoji_key: 'चाबी',
+    captcha_verified: '✅ {user} की पुष्टि हो गई। स्वागत है!',
+    appeal_button: '📝 अपील करें',
+    appeal_repost: '♻️ {user} <b>का संदेश वापस लाया गया</b> (अपील स्वीकार हुई):\n\n{content}',
+    join_request_review: '🚪 {user} <b>ने {chat} से जुड़ने का अनुरोध किया है</b> और एडमिन की प्रतीक्षा में है।{reason}',
+    join_request_flagged: ' चिह्नित: <b>{reason}</b>।',
+    join_request_bio: 'बायो में {reason}',
+    join_request_approved: '✅ {user} का जुड़ने का अनुरोध {admin} ने <b>स्वीकार</b> किया।',
+    join_request_declined: '🚫 {user} का जुड़ने का अनुरोध {admin} ने <b>अस्वीकार</b> किया।',
+    raid_lockdown_started: '🚨 <b>रेड का पता चला:</b> {window} में {joins} लोग जुड़े। ग्रुप {duration} के लिए <b>लॉकडाउन</b> में है; नए सदस्य इसके खत्म होने तक म्यूट रहेंगे। एडमिन /lockdown off से इसे खत्म कर सकते हैं।',
+    raid_link_revoked: '🔗 मुख्य इनवाइट लिंक बदल दिया गया है, पुराना लिंक अब काम नहीं करेगा।',
+    lockdown_ended: '✅ <b>लॉकडाउन खत्म।</b> म्यूट किए गए नए सदस्य जो फिर से लिख सकते हैं: {count}।',
+    lockdown_started: '🔒 <b>लॉकडाउन:</b> एक एडमिन ने ग्रुप को {duration} के लिए सिर्फ पढ़ने लायक कर दिया है।',
+    lockdown_started_open: '🔒 <b>लॉकडाउन:</b> एक एडमिन ने ग्रुप को अगली सूचना तक सिर्फ पढ़ने लायक कर दिया है।',
+    slowmode: '🐢 {user} <b>स्लो मोड चालू है</b>: हर {interval} में एक संदेश। {wait} बाद फिर कोशिश करें।',
+    slowmode_started: '🐢 <b>स्लो मोड चालू:</b> हर सदस्य हर {interval} में एक संदेश भेज सकता है।{until}',
+    slowmode_for: ' {duration} में खत्म होगा।',
+    slowmode_ended: '✅ <b>स्लो मोड खत्म।</b>',
+    nightmode: '🌙 {user} <b>नाइट मोड</b>: {until} तक {type} की अनुमति नहीं है।',
+    nightmode_started: '🌙 <b>{until} तक नाइट मोड:</b> {types} हटा दिए जाएँगे।',
+    nightmode_ended: '☀️ <b>नाइट मोड खत्म।</b> {types} फिर से भेजे जा सकते हैं।',
+    nightmode_type_media: 'मीडिया',
+    nightmode_type_stickers: 'स्टिकर',
+    nightmode_type_gifs: 'GIF',
+    nightmode_type_links: 'लिंक',
+    nightmode_type_all: 'संदेश',
+    media_policy: '🚫 {user} इस ग्रुप में <b>{type}</b> भेजने की अनुमति नहीं है।',
+    media_policy_new_member: '🕒 {user} ग्रुप में {days} दिन पूरे होने के बाद <b>{type}</b> भेज सकते हैं।',
+    media_type_photo: 'फ़ोटो',
+    media_type_video: 'वीडियो',
+    media_type_document: 'फ़ाइल',
+    media_type_audio: 'ऑडियो',
+    media_type_voice: 'वॉइस संदेश',
+    media_type_video_note: 'वीडियो संदेश',
+    media_type_animation: 'GIF',
+    media_type_sticker: 'स्टिकर',
+    media_type_contact: 'संपर्क',
+    media_type_location: 'लोकेशन',
+    media_type_venue: 'जगह',
+    media_type_poll: 'पोल',
+    media_type_dice: 'डाइस',
+    media_type_game: 'गेम',
+    reason_suffix: ' कारण: <i>{reason}</i>',
+    reason_links: 'लिंक',
+    reason_media: 'मीडिया',
+    reason_links_media: 'लिंक और मीडिया',
+    reason_bio_link: 'एक लिंक',
+    reason_bio_explicit: 'अश्लील सामग्री',
+    reason_bio_link_explicit: 'लिंक और अश्लील सामग्री',
+    reason_name_link: 'नाम/यूज़रनेम में लिंक',
+    reason_name_explicit: 'नाम/यूज़रनेम में अश्लील सामग्री',
+    reason_name_link_explicit: 'नाम/यूज़रनेम में लिंक और अश्लील सामग्री',
+  },
+  replies: {
+    admins_only: '⛔ <b>केवल एडमिन</b>',
+    cb_admins_only: 'केवल एडमिन',
+    group_only: '❗ <b>इसे किसी ग्रुप में इस्तेमाल करें।</b>',
+    private_only: 'ℹ️ यह कमांड बॉट के साथ प्राइवेट चैट में चलाएँ।',
+    usage: '💡 <b>उपयोग:</b> <code>{syntax}</code>',
+    usage_or: ' (या <code>{syntax}</code>)',
+    usage_or_reply: ' (या किसी यूज़र को रिप्लाई करें)।',
+    usage_example: ' (जैसे <code>{example}</code>)',
+    usage_reply_or_id: '💡 <b>उपयोग:</b> किसी यूज़र को <code>{command}</code> से रिप्लाई करें, या <code>{command} &lt;user_id&gt;</code> दें',
+    invalid_chat_id: '❌ <b>अमान्य चैट ID।</b> <code>-1001234567890</code> जैसी संख्यात्मक ID दें।',
+    field_action: '• कार्रवाई: <code>{value}</code>',
+    field_reason: '• कारण: <i>{value}</i>',
+    field_expires: '• समाप्ति: {at} ({left} में)',
+    field_status: '• स्थिति: <b>{status}</b>',
+    state_on: 'चालू',
+    state_on_caps: 'चालू',
+    state_off: 'बंद',
+    none: '<i>कोई नहीं</i>',
+    more_items: '  … {n} और',
+    more_not_shown: '… {n} और नहीं दिखाए गए',
+    kb_prev: '⏮️ पिछला',
+    kb_next: 'अगला ⏭️',
+    kb_format: 'फ़ॉर्मैट: {value}',
+    kb_pretty: 'विस्तृत',
+    kb_compact: 'संक्षिप्त',
+    kb_scope: 'दायरा: {value}',
+    kb_chat: 'चैट',
+    kb_global: 'ग्लोबल',
+    help_title: 'सेटिंग्स कमांड:',
+    help_everyone: 'सभी के लिए:',
+    help_admins: 'ग्रुप ओनर/एडमिन (बैन अधिकार के साथ), बॉट एडमिन या ओनर:',
+    help_owner: 'बॉट ओनर या बॉट एडमिन (प्राइवेट चैट):',
+    help_rules: 'नियम: {rules}',
+    rules_status_title: '📋 <b>नियमों की स्थिति</b>',
+    rules_status_header: 'नियमों की स्थिति:',
+    rules_status_rule: '- {rule}: प्रभावी {effective} (ग्लोबल {global}, चैट {chat})',
+    rules_status_limits: 'सीमाएँ:',
+    rules_status_max_len: '- max_len: प्रभावी {effective} (ग्लोबल {global}, चैट {chat})',
+    rules_status_custom: 'कस्टम नियम:',
+    rules_status_custom_rule: '- {name}: {state} ({action}; {scope})',
+    stats_bot_title: '<b>📊 बॉट आँकड़े</b>',
+    stats_bot_compact: '<b>📊 बॉट</b>',
+    stats_group_title: '<b>👥 ग्रुप आँकड़े</b> — {title}',
+    stats_today: '<b>🗓 आज</b> — कुल: <b>{total}</b>',
+    stats_last7: '<b>🗓 पिछले 7 दिन</b> — कुल: <b>{total}</b>',
+    stats_by_violation: '• <i>उल्लंघन के अनुसार</i>',
+    stats_by_action: '• <i>कार्रवाई के अनुसार</i>',
+    stats_compact_today: 'आज: <b>{n}</b>',
+    stats_compact_7d: '7दिन: <b>{n}</b>',
+    stats_compact_top_violations: 'शीर्ष उल्लंघन(7दिन): <code>{list}</code>',
+    stats_compact_top_actions: 'शीर्ष कार्रवाई(7दिन): <code>{list}</code>',
+    ustats_title_global: '<code>{id}</code> के आँकड़े, सभी चैट में',
+    ustats_title_chat: '<code>{id}</code> के आँकड़े, इस चैट में',
+    ustats_avgs: '• दैनिक औसत: <b>{daily}</b> — साप्ताहिक औसत: <b>{weekly}</b>',
+    ustats_lifetime: '• कुल (अब तक): <b>{n}</b>',
+    ustats_risk: '• जोखिम स्कोर (7दिन): <b>{score}</b> (<i>{label}</i>)',
+    ustats_top: '• <i>शीर्ष उल्लंघन (7दिन)</i>',
+    ustats_by_violation: '• <i>7दिन, उल्लंघन के अनुसार</i>',
+    ustats_compact_user: '<b>यूज़र</b> <code>{id}</code>',
+    ustats_compact_scope: 'दायरा: <i>{scope}</i>',
+    ustats_compact_avg_d: 'औसत(दिन): <b>{n}</b>',
+    ustats_compact_avg_w: 'औसत(सप्ताह): <b>{n}</b>',
+    ustats_compact_life: 'कुल: <b>{n}</b>',
+    ustats_compact_risk: 'जोखिम: <b>{n}</b>',
+    ustats_compact_top: 'शीर्ष: <code>{list}</code>',
+    risk_low: 'कम',
+    risk_medium: 'मध्यम',
+    risk_high: 'अधिक',
+    top_none: 'ℹ️ चुनी गई अवधि में <b>कोई उल्लंघन नहीं मिला</b>।',
+    top_row: '{n}. {user} — कुल: <b>{total}</b>, जोखिम: <b>{risk}</b>, शीर्ष: <code>{top}</code>',
+    top_title_global: '<b>शीर्ष {count} उल्लंघनकर्ता (सभी चैट, पिछले {days} दिन)</b>',
+    top_title_chat: '<b>शीर्ष {count} उल्लंघनकर्ता (इस चैट में, पिछले {days} दिन)</b>',
+    ugroups_title: 'यूज़र {id} {count} ग्रुप में मौजूद है।',
+    ugroups_showing: '{count} में से {start}-{end} दिखाए जा रहे हैं',
+    ugroups_no_links: 'कोई लिंक उपलब्ध नहीं (बॉट के पास अधिकार नहीं हो सकते)।',
+    ugroups_failed: '❌ <b>उपस्थिति लाने में विफल:</b> <code>{error}</code>',
+    review_expired: 'समीक्षा की अवधि समाप्त',
+    review_marked_valid: 'सही चिह्नित किया गया',
+    review_no_terms: 'कोई उपयुक्त शब्द नहीं मिला',
+    safelisted_terms: '{count} शब्द सेफ़लिस्ट किए गए{db}',
+    db_saved: ' · DB में सहेजा',
+    db_error: ' · DB त्रुटि',
+    suggest_none: 'ℹ️ <b>कोई सुझाव नहीं मिला</b>',
+    suggest_top: 'शीर्ष {n} सेफ़लिस्ट करें',
+    suggest_top_short: 'शीर्ष {n}',
+    suggest_all: 'सभी सेफ़लिस्ट करें',
+    suggest_title: '<b>सेफ़लिस्ट सुझाव ({scope})</b>',
+    suggest_hint_global: '<i>इन शब्दों को ग्लोबली जोड़ने के लिए बटन दबाएँ।</i>',
+    suggest_hint_chat: '<i>इन शब्दों को इस चैट के लिए जोड़ने के लिए बटन दबाएँ (ग्लोबली सहेजे जाते हैं)।</i>',
+    suggest_failed: 'सुझाव बनाने में विफल।',
+    suggest_expired: 'सुझावों की अवधि समाप्त',
+    suggest_no_terms: 'कोई शब्द नहीं जोड़ा गया',
+    abuse_usage: '💡 <b>उपयोग:</b> <code>/abuse "शब्द या वाक्यांश"</code> (या किसी संदेश को <code>/abuse</code> से रिप्लाई करें)',
+    abuse_added: '✅ अश्लील सूची में <b>{count}</b> वाक्यांश <b>जोड़े गए</b>।',
+    gka_usage: '⚠️ <b>उपयोग:</b> <code>/group_kick_all &lt;chat_id&gt; confirm</code>\nचैट ID संख्यात्मक Telegram ID होनी चाहिए (जैसे <code>-1001234567890</code>)।\nबॉट उस चैट में देखे गए सभी सदस्यों को हटाता है, एडमिन और खुद को छोड़कर।\nपुष्टि से पहले <code>/group_kick_all &lt;chat_id&gt; inspect [limit=25]</code> से पूर्वावलोकन करें।\nचल रही सफ़ाई रद्द करने के लिए <code>/group_kick_all_abort &lt;chat_id&gt;</code> इस्तेमाल करें।',
+    gka_protected: '⛔ <b>यह चैट ID सुरक्षित है</b>; इस ग्रुप के लिए सामूहिक निष्कासन बंद है।',
+    gka_already_running: '⚠️ इस चैट के लिए /group_kick_all पहले से चल रहा है। रोकने के लिए /group_kick_all_abort इस्तेमाल करें।',
+    gka_access_failed: '❌ <b>चैट तक पहुँच विफल:</b> <code>{error}</code>',
+    gka_not_group: '❌ <b>लक्ष्य चैट ग्रुप या सुपरग्रुप होना चाहिए।</b>',
+    gka_need_ban: '⛔ <b>/group_kick_all चलाने के लिए मुझे उस ग्रुप में Ban Users अनुमति चाहिए।</b>',
+    gka_no_members: 'ℹ️ <b>इस चैट की कोई सदस्य सूची सहेजी नहीं है।</b> Supabase के ज़रिए उपस्थिति ट्रैकिंग ज़रूरी है।',
+    gka_nothing: 'ℹ️ <b>हटाने के लिए कोई नहीं।</b> उस चैट में केवल एडमिन या बॉट दर्ज हैं।',
+    gka_status: 'स्थिति: {status}',
+    gka_absent: 'पहले से मौजूद नहीं',
+    gka_error: 'त्रुटि: {error}',
+    gka_inspect_title: '👁️ <b>सफ़ाई के लक्ष्यों की जाँच:</b> <code>{title}</code>',
+    gka_tracked: '<b>ट्रैक किए गए सदस्य:</b> {n}',
+    gka_potential: '<b>संभावित निष्कासन:</b> {n}',
+    gka_admins_skipped: '🛡️ <b>छोड़े गए एडमिन:</b> {n}',
+    gka_bot_skipped: '🤖 <b>छोड़ी गई बॉट ID:</b> {n}',
+    gka_showing_first: 'पहले {n} लक्ष्य दिखाए जा रहे हैं।',
+    gka_more_targets: '… {n} और लक्ष्य नहीं दिखाए गए।',
+    gka_lacks_ban: '⚠️ <b>बॉट के पास Ban अनुमति नहीं है</b>; अनुमति ठीक होने तक सफ़ाई विफल होगी।',
+    gka_confirm_hint: 'तैयार होने पर <code>/group_kick_all &lt;chat_id&gt; confirm</code> इस्तेमाल करें।',
+    gka_purging: '🚨 <b>सदस्यों को हटाया जा रहा है:</b> <code>{title}</code>',
+    gka_seen: '<b>देखे गए सदस्य:</b> {n}',
+    gka_attempting: '<b>निष्कासन प्रयास:</b> {n}',
+    gka_admins_recorded: '🛡️ <b>दर्ज एडमिन:</b> {n}',
+    gka_stopped: '⛔ <b>सफ़ाई रोकी गई</b>',
+    gka_complete: '✅ <b>सफ़ाई पूरी</b>',
+    gka_in_progress: '🚨 <b>सफ़ाई जारी है…</b>',
+    gka_chat: '<b>चैट:</b> <code>{title}</code>',
+    gka_processed: '<b>संसाधित:</b> {done}/{total} ({pct}%)',
+    gka_p_removed: '• हटाए गए: <b>{n}</b>',
+    gka_p_absent: '• पहले से मौजूद नहीं: <b>{n}</b>',
+    gka_p_failures: '• विफल: <b>{n}</b>',
+    gka_p_skipped_admins: '• छोड़े गए एडमिन: <b>{n}</b>',
+    gka_p_skipped_bot: '• छोड़ा गया बॉट: <b>{n}</b>',
+    gka_waiting: '⏳ वर्करों के रुकने की प्रतीक्षा…',
+    gka_s_removed: '✅ <b>हटाए गए:</b> {n}',
+    gka_s_skipped_admins: '🛡️ <b>छोड़े गए एडमिन:</b> {n}',
+    gka_s_skipped_bot: '🤖 <b>छोड़ी गई बॉट ID:</b> {n}',
+    gka_s_absent: '🚪 <b>पहले से मौजूद नहीं:</b> {n}',
+    gka_s_failures: '⚠️ <b>विफल:</b> {n}',
+    gka_aborted: '⛔ <b>कार्य रद्द किया गया।</b> बाकी सदस्यों पर कार्रवाई नहीं हुई।',
+    gka_aborted_by: '⏹️ <b>रद्द करने वाले:</b> <code>{id}</code>',
+    gka_presence_pruned: '🗃️ <b>हटाए गए उपस्थिति रिकॉर्ड:</b> {n}',
+    gka_presence_error: '⚠️ <b>उपस्थिति सफ़ाई त्रुटि:</b> <code>{error}</code>',
+    gka_failure_samples: '<b>विफलता के उदाहरण</b>',
+    gka_failed: '❌ <b>ग्रुप सफ़ाई विफल:</b> <code>{error}</code>',
+    gka_queued: '⏳ एक और कार्य चल रहा है। आपकी सफ़ाई प्राथमिकता के साथ कतार में है।',
+    gka_dequeued: '⛔ <b>सफ़ाई शुरू होने से पहले कतार से हटा दी गई।</b>',
+    gka_none_active: 'ℹ️ <b>उस चैट के लिए कोई सक्रिय /group_kick_all नहीं मिला।</b>',
+    gka_abort_pending: 'ℹ️ <b>रद्द करने का अनुरोध पहले ही किया जा चुका है।</b>',
+    gka_abort_requested: '⛔ <b>रद्द करने का अनुरोध किया गया।</b> मौजूदा सदस्य के बाद सफ़ाई रुक जाएगी।',
+    bl_added: '✅ यूज़र <code>{id}</code> को ग्लोबल ब्लैकलिस्ट में <b>जोड़ा गया</b>।',
+    bl_groups: '• जाँचे गए ग्रुप: <b>{n}</b>',
+    bl_no_presence: '• उपस्थिति डेटा नहीं; अगली गतिविधि पर लागू होगा।',
+    bl_applied: '• लागू हुआ: <b>{n}</b> ग्रुप में',
+    bl_failures: '• विफल: <b>{n}</b>',
+    bl_applied_samples: '<b>लागू होने के उदाहरण</b>',
+    bl_failures_title: '<b>विफलताएँ</b>',
+    bl_not_listed: 'ℹ️ <b>यूज़र</b> <code>{id}</code> ग्लोबल ब्लैकलिस्ट में नहीं है।',
+    bl_removed: '✅ <code>{id}</code> को ग्लोबल ब्लैकलिस्ट से <b>हटाया गया</b>।',
+    bl_empty: 'ℹ️ <b>ग्लोबल ब्लैकलिस्ट खाली है।</b>',
+    bl_row: '• <code>{id}</code> → <code>{action}</code>{reason} ({since} से){expires}',
+    bl_row_expires: ' — ⏳ {left} बाकी',
+    bl_title: '<b>ग्लोबल ब्लैकलिस्ट</b>',
+    bl_history_title: '📜 <code>{id}</code> <b>का ब्लैकलिस्ट इतिहास</b>',
+    bl_history_listed: '• अभी <b>ब्लैकलिस्ट में है</b>',
+    bl_history_not_listed: '• अभी <b>ब्लैकलिस्ट में नहीं है</b>',
+    bl_history_empty: 'ℹ️ <code>{id}</code> <b>का कोई ब्लैकलिस्ट इतिहास नहीं है।</b>',
+    bl_history_added: '➕ {at} {by} ने <code>{action}</code> जोड़ा{reason}{expires}',
+    bl_history_updated: '✏️ {at} {by} ने <code>{action}</code> में बदला{reason}{expires}',
+    bl_history_removed: '➖ {at} {by} ने हटाया',
+    bl_history_expired: '⌛ {at} समय पूरा हुआ',
+    bl_history_until: ' ({at} तक)',
+    bl_history_unknown: 'अज्ञात',
+    // Federation
+    fed_title: '🌐 <b>फ़ेडरेशन</b>',
+    fed_publishing: '• <code>{name}</code> नाम से फ़ीड प्रकाशित हो रही है; पब्लिक की: <code>{key}</code>',
+    fed_not_publishing: '• कोई फ़ीड प्रकाशित नहीं हो रही (<code>FEDERATION_PRIVATE_KEY</code> सेट करें)।',
+    fed_none: '• कोई सदस्यता नहीं।',
+    fed_sub_row: '• <code>{name}</code> (भरोसा: <code>{trust}</code>) — {status}\n  {url}',
+    fed_status_ok: '{n} एंट्री, {at} पर सिंक',
+    fed_status_error: '⚠️ <code>{error}</code>',
+    fed_status_pending: 'अभी सिंक नहीं हुआ',
+    fed_overrides_count: '• ओवरराइड: <b>{n}</b> यूज़र (<code>/federation_override</code> देखें)',
+    fed_invalid_name: '❌ <b>फ़ीड के नाम में</b> <code>a-z 0-9 _ -</code> ही चलते हैं (अधिकतम 32 अक्षर)।',
+    fed_invalid_url: '❌ <b>फ़ीड URL</b> <code>http://</code> या <code>https://</code> <b>से शुरू होना चाहिए।</b>',
+    fed_invalid_key: '❌ <b>यह Ed25519 पब्लिक की नहीं है।</b> प्रकाशित करने वाले बॉट पर <code>/federation_list</code> में दिखी base64 की इस्तेमाल करें।',
+    fed_subscribed: '✅ <code>{name}</code> <b>की सदस्यता ली गई</b> (भरोसा: <code>{trust}</code>)।',
+    fed_sync_ok: '• सिंक हुआ: <b>{n}</b> एंट्री',
+    fed_sync_failed: '• सिंक विफल: <code>{error}</code> (अगले सिंक पर फिर कोशिश होगी)',
+    fed_unsubscribed: '🗑️ <code>{name}</code> <b>की सदस्यता हटाई गई।</b>',
+    fed_not_subscribed: 'ℹ️ <code>{name}</code> <b>नाम की कोई सदस्यता नहीं है।</b>',
+    fed_sync_title: '🔄 <b>फ़ेडरेशन सिंक</b>',
+    fed_sync_row_ok: '• <code>{name}</code>: {n} एंट्री (+{added} / −{removed})',
+    fed_sync_row_failed: '• <code>{name}</code>: ⚠️ <code>{error}</code>',
+    fed_user_title: '🌐 <code>{id}</code> <b>की फ़ेडरेटेड एंट्री</b>',
+    fed_user_row: '• <code>{name}</code> (भरोसा: <code>{trust}</code>) → <code>{action}</code>{reason}',
+    fed_user_none: '• किसी सब्सक्राइब की गई फ़ीड में नहीं है।',
+    fed_override_current: '• ओवरराइड: <code>{action}</code>, {by} द्वारा ({at})',
+    fed_override_none: '• कोई ओवरराइड नहीं; फ़ीड सदस्यता के अनुसार लागू होती हैं।',
+    fed_override_set: '✅ <code>{id}</code> <b>के लिए ओवरराइड:</b> <code>{action}</code>।',
+    fed_override_cleared: '✅ <code>{id}</code> <b>का ओवरराइड हटाया गया</b>; फ़ीड सदस्यता के अनुसार लागू होती हैं।',
+    // Chat ban list
+    chat_ban_added: '✅ <code>{id}</code> <b>को इस ग्रुप की बैन लिस्ट में जोड़ा गया।</b>',
+    chat_ban_applied: '• अभी लागू किया गया।',
+    chat_ban_pending: '• अभी लागू नहीं हो सका; यूज़र के जुड़ने या पोस्ट करने पर लागू होगा।',
+    chat_ban_admin: '❌ <b>ग्रुप एडमिन को बैन लिस्ट में नहीं डाला जा सकता।</b>',
+    chat_ban_not_listed: 'ℹ️ <b>यूज़र</b> <code>{id}</code> इस ग्रुप की बैन लिस्ट में नहीं है।',
+    chat_ban_removed: '✅ <code>{id}</code> <b>को इस ग्रुप की बैन लिस्ट से हटाया गया।</b>',
+    chat_ban_empty: 'ℹ️ <b>इस ग्रुप की बैन लिस्ट खाली है।</b>',
+    chat_ban_title: '⛔ <b>ग्रुप बैन लिस्ट</b> ({n})',
+    chat_ban_row: '• <code>{id}</code> → <code>{action}</code>{reason} ({since} से)',
+    chat_ban_export_hint: '<i>/chat_ban_export से एक्सपोर्ट करें; दूसरे ग्रुप में फ़ाइल पर /chat_ban_import से रिप्लाई करके इंपोर्ट करें।</i>',
+    chat_ban_exported: '⛔ <b>ग्रुप बैन लिस्ट</b> ({n})',
+    chat_ban_import_hint: ' /chat_ban_export की फ़ाइल या हर लाइन में एक यूज़र ID वाली टेक्स्ट फ़ाइल पर रिप्लाई करें।',
+    chat_ban_import_failed: '❌ <b>इंपोर्ट विफल:</b> <code>{error}</code>',
+    chat_ban_imported: '✅ <b>बैन लिस्ट इंपोर्ट हुई:</b> {added} जोड़े, {updated} बदले, {skipped} पहले से थे। यूज़र के जुड़ने या पोस्ट करने पर लागू होंगे।',
+    botadmin_no_bots: '🤖 बॉट को बॉट एडमिन नहीं बनाया जा सकता।',
+    botadmin_not_bots: '🤖 बॉट, बॉट एडमिन सूची में नहीं होते।',
+    botadmin_added: '✅ <b>बॉट एडमिन जोड़ा गया:</b> <code>{id}</code>',
+    botadmin_removed: '🗑️ <b>बॉट एडमिन हटाया गया:</b> <code>{id}</code>',
+    unknown_rule: '❓ <b>अज्ञात नियम।</b> इनमें से एक चुनें: <code>{rules}</code>',
+    unknown_rule_chat: '❓ <b>अज्ञात नियम।</b> इनमें से एक चुनें: <code>{rules}</code> या कोई कस्टम नियम (देखें <code>/customrule_list</code>)',
+    rule_global_enabled: '✅ <code>{rule}</code> ग्लोबली <b>चालू</b>।',
+    rule_global_disabled: '🚫 <code>{rule}</code> ग्लोबली <b>बंद</b>।',
+    rule_chat_enabled: '✅ <code>{rule}</code> इस चैट के लिए <b>चालू</b>।',
+    rule_chat_disabled: '🚫 <code>{rule}</code> इस चैट के लिए <b>बंद</b>।',
+    rule_custom_enabled: '✅ कस्टम नियम <code>{rule}</code> इस चैट के लिए <b>चालू</b>।',
+    rule_custom_disabled: '🚫 कस्टम नियम <code>{rule}</code> इस चैट के लिए <b>बंद</b>।',
+    maxlen_global: '✅ <b>ग्लोबल अधिकतम लंबाई:</b> <code>{n}</code>',
+    maxlen_chat: '✅ <b>चैट की अधिकतम लंबाई:</b> <code>{n}</code>',
+    limits_title: '📐 <b>इस चैट की सीमाएँ</b> (चैट → ग्लोबल → डिफ़ॉल्ट)',
+    limits_row: '• <code>{key}</code>: <b>{value}</b> <i>({source})</i>',
+    limits_source_chat: 'चैट',
+    limits_source_global: 'ग्लोबल',
+    limits_source_default: 'डिफ़ॉल्ट',
+    limits_hint: '<code>/limit_chat_set &lt;limit&gt; &lt;number|default&gt;</code> या /settings पैनल से बदलें। <code>*_seconds</code> और <code>*_minutes</code> में <code>2m</code> जैसी अवधि भी चलती है।',
+    limit_unknown: '❓ <b>अज्ञात सीमा।</b> इनमें से एक चुनें: <code>{keys}</code>',
+    limit_chat_set: '✅ <b>चैट सीमा</b> <code>{key}</code> = <code>{value}</code>',
+    limit_chat_cleared: '✅ <b>चैट सीमा</b> <code>{key}</code> <b>अब ग्लोबल मान का पालन करती है</b> (<code>{value}</code>)।',
+    limit_global_set: '✅ <b>ग्लोबल सीमा</b> <code>{key}</code> = <code>{value}</code>',
+    limit_global_cleared: '✅ <b>ग्लोबल सीमा</b> <code>{key}</code> <b>डिफ़ॉल्ट पर रीसेट</b> (<code>{value}</code>)।',
+    whitelist_no_bots: '🤖 बॉट को व्हाइटलिस्ट नहीं किया जा सकता।',
+    whitelist_added: '✅ यूज़र <code>{id}</code> इस चैट के लिए <b>व्हाइटलिस्ट</b> किया गया।',
+    whitelist_removed: '🗑️ यूज़र <code>{id}</code> को व्हाइटलिस्ट से <b>हटाया गया</b>।',
+    whitelist_empty: 'ℹ️ <b>इस चैट की व्हाइटलिस्ट खाली है।</b>',
+    whitelist_title: '✅ <b>व्हाइटलिस्ट यूज़र ID:</b>',
+    links_added: '✅ <b>{list} में जोड़ा गया:</b> {domains}',
+    links_removed: '✅ <b>{list} से हटाया गया:</b> {domains}',
+    links_global_allow: 'ग्लोबल अनुमति सूची',
+    links_global_deny: 'ग्लोबल प्रतिबंध सूची',
+    links_chat_allow: 'चैट अनुमति सूची',
+    links_chat_deny: 'चैट प्रतिबंध सूची',
+    links_invalid: '⚠️ अमान्य छोड़े गए: {domains}',
+    links_title: '🔗 <b>लिंक डोमेन सूचियाँ</b>',
+    links_row_global_allow: '• ग्लोबल अनुमति: {list}',
+    links_row_global_deny: '• ग्लोबल प्रतिबंध: {list}',
+    links_row_chat_allow: '• चैट अनुमति: {list}',
+    links_row_chat_deny: '• चैट प्रतिबंध: {list}',
+    links_footer: '<i>प्रतिबंध, अनुमति से ऊपर है; किसी भी सूची में न होने वाले लिंक no_links से हटाए जाते हैं।</i>',
+    cr_usage: '💡 <b>उपयोग:</b> <code>/customrule_add &lt;name&gt; &lt;scopes&gt; &lt;action&gt; &lt;pattern&gt;</code>\n• दायरे: <code>{scopes}</code> या <code>all</code>\n• कार्रवाइयाँ: <code>{actions}</code> (mute के साथ <code>mute:2h</code> चलता है)\n• पैटर्न: शब्द/वाक्यांश, या <code>/regex/flags</code> (सिर्फ बॉट एडमिन)\n• अगली पंक्ति(यों) में वैकल्पिक सूचना; प्लेसहोल्डर <code>{user}</code>, <code>{rule}</code>',
+    cr_invalid_pattern: '❌ <b>अमान्य पैटर्न:</b> <code>{error}</code>',
+    cr_regex_bot_admin: '🔒 <b>Regex पैटर्न सिर्फ बॉट एडमिन जोड़ सकते हैं।</b> इसकी जगह कोई शब्द या वाक्यांश इस्तेमाल करें।',
+    cr_save_failed: '❌ <b>नियम सहेजा नहीं जा सका:</b> <code>{error}</code>',
+    cr_saved: '✅ <b>कस्टम नियम सहेजा गया:</b> <code>{name}</code>',
+    cr_scope: '• दायरा: <code>{scope}</code>',
+    cr_pattern: '• पैटर्न: <code>{pattern}</code>',
+    cr_not_found: 'ℹ️ <code>{name}</code> <b>नाम का कोई कस्टम नियम नहीं है</b>।',
+    cr_removed: '🗑️ <b>कस्टम नियम हटाया गया</b> <code>{name}</code>।',
+    cr_none: 'ℹ️ <b>इस चैट के लिए कोई कस्टम नियम नहीं।</b>',
+    cr_title: '<b>कस्टम नियम</b>',
+    esc_title: '🪜 <b>एस्केलेशन सीढ़ी</b>',
+    esc_decay_info: '• स्ट्राइक <b>{days}</b> दिन बाद समाप्त होती हैं।',
+    esc_reset: '✅ <b>एस्केलेशन सीढ़ी रीसेट:</b> <code>{ladder}</code>',
+    esc_set: '✅ <b>एस्केलेशन सीढ़ी:</b> <code>{ladder}</code>',
+    esc_decay_set: '✅ <b>स्ट्राइक अब</b> <code>{days}</code> दिन बाद समाप्त होंगी।',
+    strikes_title: '🪜 <code>{id}</code> <b>की स्ट्राइक</b>: <b>{strikes}</b> (पिछले {days} दिन)',
+    strikes_current: '• मौजूदा कदम: <code>{step}</code>',
+    strikes_next: '• अगला उल्लंघन: <code>{step}</code>',
+    strikes_reset_done: '✅ <code>{id}</code> की <b>स्ट्राइक रीसेट</b> की गईं।',
+    captcha_title: '🤖 <b>जॉइन कैप्चा</b>',
+    captcha_mode: '• मोड: <code>{mode}</code>',
+    captcha_timeout: '• समय सीमा: <code>{timeout}</code> (फिर सदस्य हटा दिया जाता है)',
+    join_screening_title: '🚪 <b>जॉइन अनुरोध जाँच</b>',
+    join_screening_passed: '• जाँच में पास अनुरोध: <code>{action}</code>',
+    join_screening_flagged: '• चिह्नित नाम/बायो: <code>{action}</code>',
+    join_screening_blocked: '• ब्लैकलिस्ट या ग्रुप बैन लिस्ट में: <code>decline</code>',
+    join_screening_hint: '<i>इनवाइट लिंक पर "Approve new members" और बॉट को "Invite users" अधिकार चाहिए।</i>',
+    jr_btn_approve: '✅ स्वीकार',
+    jr_btn_decline: '🚫 अस्वीकार',
+    jr_cb_approved: 'स्वीकार किया',
+    jr_cb_declined: 'अस्वीकार किया',
+    jr_cb_gone: 'यह अनुरोध पहले ही निपटाया जा चुका है या वापस ले लिया गया है।',
+    captcha_cb_expired: 'यह चुनौती समाप्त हो चुकी है।',
+    captcha_cb_not_yours: 'यह चुनौती आपके लिए नहीं है।',
+    captcha_cb_wrong: 'गलत जवाब।',
+    captcha_cb_verified: 'पुष्टि हो गई!',
+    appeal_link_invalid: '⌛ <b>यह अपील लिंक समाप्त हो चुका है या आपका नहीं है।</b>',
+    appeal_already_submitted: 'ℹ️ <b>यह अपील पहले ही भेजी जा चुकी है और समीक्षा की प्रतीक्षा में है।</b>',
+    appeal_already_approved: 'ℹ️ <b>यह अपील पहले ही स्वीकार हो चुकी है।</b>',
+    appeal_already_rejected: 'ℹ️ <b>यह अपील पहले ही अस्वीकार हो चुकी है।</b>',
+    appeal_unavailable: '❌ <b>अभी अपील उपलब्ध नहीं है।</b> कृपया ग्रुप एडमिन से संपर्क करें।',
+    appeal_prompt: '📝 <b>{chat}</b> में <b>{violation}</b> के लिए अपील\nएक संदेश भेजें (अधिकतम {max} अक्षर) जिसमें बताएँ कि यह कार्रवाई गलत क्यों थी। एडमिन इसकी समीक्षा करेंगे।',
+    appeal_the_group: 'ग्रुप',
+    appeal_expired: '⌛ <b>यह अपील समाप्त हो चुकी है।</b>',
+    appeal_submit_failed: '❌ <b>आपकी अपील नहीं भेजी जा सकी।</b> कृपया बाद में लिंक फिर से आज़माएँ।',
+    appeal_submitted: '✅ <b>अपील भेज दी गई।</b> समीक्षा होने पर आपको यहीं संदेश मिलेगा।',
+    appeal_approved: '✅ <b>{chat} में {violation} के लिए आपकी अपील स्वीकार हो गई।</b>{done}',
+    appeal_rejected: '❌ <b>{chat} में {violation} के लिए आपकी अपील अस्वीकार हो गई।</b>',
+    appeal_done: '\nकिया गया: {remedies}।',
+    appeal_done_blacklist_removed: 'ब्लैकलिस्ट से हटाया गया',
+    appeal_done_federated_ignored: 'फ़ेडरेटेड एंट्री को अनदेखा किया गया',
+    appeal_done_ban_lifted: 'बैन हटाया गया',
+    appeal_done_mute_lifted: 'म्यूट हटाया गया',
+    appeal_done_message_reposted: 'संदेश फिर से पोस्ट किया गया',
+    appeal_btn_approve: 'स्वीकार ✅',
+    appeal_btn_reject: 'अस्वीकार ❌',
+    appeal_cb_approved: 'स्वीकार किया',
+    appeal_cb_rejected: 'अस्वीकार किया',
+    appeal_cb_already_approved: 'पहले ही स्वीकार हो चुकी है',
+    appeal_cb_already_rejected: 'पहले ही अस्वीकार हो चुकी है',
+    appeal_cb_expired: 'अपील समाप्त हो चुकी है',
+    raid_title: '🚨 <b>रेड पहचान</b>',
+    raid_threshold: '• लॉकडाउन: <code>{window}</code> में <code>{joins}</code> जॉइन के बाद',
+    raid_cooldown: '• लॉकडाउन अवधि: <code>{cooldown}</code> (जॉइन जारी रहने पर बढ़ती है)',
+    raid_probation: '• लॉकडाउन में प्रोबेशन: <code>{probation}</code>',
+    raid_revoke: '• इनवाइट लिंक बदलें: <b>{state}</b>',
+    lockdown_none: 'ℹ️ <b>यह चैट लॉकडाउन में नहीं है।</b>',
+    lockdown_title: '🔒 <b>लॉकडाउन सक्रिय</b>',
+    lockdown_trigger: '• कारण: <code>{trigger}</code> ({joins} जॉइन)',
+    lockdown_since: '• कब से: {at} UTC',
+    lockdown_left: '• खत्म होगा: <code>{left}</code> में',
+    lockdown_restricted: '• म्यूट किए गए नए सदस्य: <b>{n}</b>',
+    lockdown_off_hint: '<i>अभी खत्म करने के लिए /lockdown off।</i>',
+    lockdown_trigger_manual: '• कारण: <code>manual</code>, {by} द्वारा',
+    lockdown_open: '• खत्म होगा: <i>/lockdown off से हटाने पर</i>',
+    lockdown_read_only: '• चैट सिर्फ पढ़ने लायक: <b>हाँ</b> (खत्म होने पर अनुमतियाँ वापस आ जाएँगी)',
+    lockdown_start_hint: '<i>/lockdown on (हटाने तक) या अवधि के साथ लॉक करें, जैसे /lockdown 2h।</i>',
+    lockdown_failed: '❌ <b>चैट को सिर्फ पढ़ने लायक नहीं बना सके:</b> <code>{error}</code>',
+    lockdown_end_failed: '❌ <b>चैट की अनुमतियाँ वापस नहीं कर सके:</b> <code>{error}</code>\nचैट सिर्फ पढ़ने लायक रहेगा; लॉकडाउन खत्म करने की कोशिश 5 मिनट में फिर होगी।',
+    slowmode_none: 'ℹ️ <b>स्लो मोड बंद है।</b>',
+    slowmode_title: '🐢 <b>स्लो मोड सक्रिय</b>',
+    slowmode_interval: '• हर सदस्य के लिए एक संदेश हर: <code>{interval}</code>',
+    slowmode_since: '• कब से: {at} UTC',
+    slowmode_left: '• खत्म होगा: <code>{left}</code> में',
+    slowmode_open: '• खत्म होगा: <i>/slowmode off से बंद करने पर</i>',
+    slowmode_off_hint: '<i>बंद करने के लिए /slowmode off।</i>',
+    slowmode_hint: '<i>/slowmode 30s से चालू करें, चाहें तो कुछ समय के लिए: /slowmode 1m 2h।</i>',
+    digest_title: '📊 <b>मॉडरेशन डाइजेस्ट</b>',
+    digest_schedule: '• शेड्यूल: {schedule}',
+    digest_preview_hint: '<code>/digest now</code> से पूर्वावलोकन करें।',
+    digest_admins_hint: '<i>इसे पाने के लिए एडमिन को बॉट के साथ प्राइवेट चैट शुरू करनी होगी।</i>',
+    nightmode_title: '🌙 <b>नाइट मोड</b>',
+    nightmode_windows: '• समय: {windows} <i>({tz})</i>',
+    nightmode_no_windows: '<i>कोई नहीं</i>',
+    nightmode_block: '• इस समय में रोक: {types}',
+    nightmode_action_delete: '• कार्रवाई: रोके गए संदेश <b>हटाना</b>',
+    nightmode_action_restrict: '• कार्रवाई: ग्रुप अनुमतियाँ <b>सीमित</b> करना और रोके गए संदेश हटाना',
+    nightmode_now: '• अभी लागू: <b>{state}</b>',
+    nightmode_hint: '<i>उदाहरण: /nightmode on 02:00-05:00 block=media,stickers tz=Asia/Kolkata</i>',
+    media_policy_title: '🎞️ <b>मीडिया नीति</b>',
+    media_policy_row: '• <code>{type}</code>: {rule}',
+    media_rule_deny: '<b>रोक</b>',
+    media_rule_days: 'कम से कम <b>{days}</b> दिन पहले जुड़े सदस्य',
+    media_policy_rest: '• बाकी प्रकार: अनुमति है',
+    media_policy_all_allowed: '• सभी प्रकारों की अनुमति है।',
+    media_policy_hint: '<i>उदाहरण: /media_policy sticker=deny animation=deny voice=7d — /media_policy reset से सब कुछ फिर से चालू। जिन सदस्यों का जुड़ना बॉट ने नहीं देखा, वे पुराने सदस्य माने जाते हैं।</i>',
+    media_policy_types: 'प्रकार: <code>{types}</code>',
+    lang_current: '🌐 <b>बॉट की भाषा:</b> <code>{locale}</code>',
+    lang_default_suffix: ' (डिफ़ॉल्ट)',
+    lang_available: 'उपलब्ध: {list}',
+    lang_set: '✅ <b>बॉट की भाषा</b> <code>{locale}</code> ({name}) <b>सेट की गई</b>।',
+    tpl_keys_hint: 'कुंजियाँ /template_list से देखें।',
+    tpl_title: '🧩 <b>टेम्पलेट</b> <code>{key}</code>',
+    tpl_custom_suffix: ' (कस्टम)',
+    tpl_placeholders: 'प्लेसहोल्डर: {list}',
+    tpl_reset: '✅ <b>टेम्पलेट</b> <code>{key}</code> <b>मूल पाठ पर रीसेट किया गया।</b>',
+    tpl_saved: '✅ <b>टेम्पलेट</b> <code>{key}</code> <b>सहेजा गया।</b>',
+    tpl_plain_hint: '<i>कस्टम टेम्पलेट सादे पाठ के रूप में भेजे जाते हैं।</i>',
+    tpl_list_title: '🧩 <b>सूचना टेम्पलेट</b> — भाषा <code>{locale}</code>',
+    tpl_list_footer: '✏️ = कस्टम बदलाव। किसी एक को <code>/template_set &lt;key&gt;</code> से देखें।',
+    modlog_title: '📜 <b>मॉडरेशन लॉग</b> — <code>{filters}</code>',
+    modlog_none: 'कोई मिलती-जुलती प्रविष्टि नहीं।',
+    modlog_no_more: 'और प्रविष्टियाँ नहीं।',
+    modlog_user: ' · यूज़र <code>{id}</code>',
+    modlog_other_chats: '❌ <b>केवल बॉट एडमिन दूसरी चैट खोज सकते हैं।</b>',
+    modlog_expired: 'यह खोज समाप्त हो गई। /modlog फिर से चलाएँ।',
+    modlog_requester_only: 'केवल खोजने वाला ही पेज बदल सकता है।',
+    panel_title: '⚙️ <b>सेटिंग्स</b> — {chat}',
+    panel_hint: 'किसी नियम को इस चैट के लिए चालू या बंद करने हेतु टैप करें। 🚫 = बॉट एडमिन द्वारा ग्लोबली बंद।',
+    panel_max_len: '📏 अधिकतम लंबाई: {value}',
+    panel_flood: '🌊 फ़्लड',
+    panel_duplicate: '🔁 डुप्लिकेट',
+    panel_duplicate_title: '🔁 <b>डुप्लिकेट संदेश</b>\n<b>{window}</b> के भीतर एक ही संदेश <b>{repeat}</b> बार भेजने पर दोहराया गया संदेश हटा दिया जाता है।',
+    panel_duplicate_repeat: 'कॉपी: {value}',
+    panel_duplicate_window: 'अवधि: {value}',
+    panel_probation: '🆕 प्रोबेशन',
+    panel_whitelist: '👥 व्हाइटलिस्ट',
+    panel_back: '⬅️ वापस',
+    panel_close: '✖️ बंद करें',
+    panel_flood_title: '🌊 <b>एंटी-फ़्लड</b>\n<b>{window}</b> में <b>{max}</b> से ज़्यादा संदेश हटा दिए जाते हैं और भेजने वाले को <b>{mute}</b> के लिए म्यूट किया जाता है (0s = म्यूट नहीं)।',
+    panel_flood_max: 'संदेश: {value}',
+    panel_flood_window: 'अवधि: {value}',
+    panel_flood_mute: 'म्यूट: {value}',
+    panel_probation_title: '🆕 <b>नए सदस्य प्रोबेशन</b>\nनए सदस्य जुड़ने के बाद <b>{value}</b> तक लिंक या मीडिया पोस्ट नहीं कर सकते (0s = बंद)।',
+    panel_probation_value: 'प्रोबेशन: {value}',
+    panel_whitelist_title: '👥 <b>व्हाइटलिस्ट</b> — हटाने के लिए यूज़र ID पर टैप करें।',
+    panel_whitelist_empty: 'व्हाइटलिस्ट खाली है।',
+    panel_whitelist_hint: '/whitelist_add से यूज़र जोड़ें (रिप्लाई या यूज़र ID)।',
+    panel_admins_only: 'केवल बैन अधिकार वाले चैट एडमिन ही सेटिंग्स बदल सकते हैं।',
+    panel_rule_global_off: 'यह नियम बॉट एडमिन द्वारा ग्लोबली बंद है।',
+    panel_limit_edge: 'सीमा पहले ही पूरी हो चुकी है।',
+    panel_saved: 'सहेजा गया।',
+    commands_set: '✅ <b>बॉट कमांड सेट कर दी गईं।</b>',
+    commands_set_failed: '❌ <b>कमांड सेट करने में विफल:</b> <code>{error}</code>',
+    commands_removed: '🗑️ <b>बॉट कमांड हटा दी गईं।</b>',
+    commands_remove_failed: 'कमांड हटाने में विफल: {error}',
+  },
+  // Command menu descriptions (Telegram shows these next to each /command)
+  commands: {
+    start: 'बॉट को ग्रुप में जोड़ें',
+    help: 'सहायता और कमांड दिखाएँ',
+    ping: 'बॉट की उपलब्धता जाँचें',
+    settings: 'सेटिंग्स पैनल (एडमिन) या सहायता',
+    rules_status: 'नियमों की स्थिति दिखाएँ',
+    group_stats: 'इस चैट के आँकड़े दिखाएँ',
+    user_stats: 'यूज़र के आँकड़े (रिप्लाई/ID)',
+    user_stats_global: 'यूज़र के ग्लोबल आँकड़े',
+    top_violators: 'शीर्ष उल्लंघनकर्ता',
+    rule_chat_enable: 'इस चैट में नियम चालू करें',
+    rule_chat_disable: 'इस चैट में नियम बंद करें',
+    maxlen_chat_set: 'चैट के लिए अधिकतम संदेश लंबाई',
+    limits: 'चैट की सीमाएँ दिखाएँ',
+    limit_chat_set: 'चैट की फ़्लड/डुप्लिकेट/प्रोबेशन सीमा सेट करें',
+    whitelist_add: 'इस चैट में यूज़र ID व्हाइटलिस्ट करें',
+    whitelist_remove: 'व्हाइटलिस्ट से यूज़र ID हटाएँ',
+    whitelist_list: 'चैट व्हाइटलिस्ट दिखाएँ',
+    chat_ban_add: 'यूज़र को इस ग्रुप की बैन लिस्ट में जोड़ें',
+    chat_ban_remove: 'यूज़र को ग्रुप की बैन लिस्ट से हटाएँ',
+    chat_ban_list: 'ग्रुप की बैन लिस्ट दिखाएँ',
+    chat_ban_export: 'बैन लिस्ट JSON फ़ाइल में एक्सपोर्ट करें',
+    chat_ban_import: 'बैन लिस्ट इंपोर्ट करें (फ़ाइल पर रिप्लाई)',
+    links_allow: 'इस चैट में लिंक डोमेन की अनुमति दें',
+    links_deny: 'इस चैट में लिंक डोमेन रोकें',
+    links_list: 'लिंक डोमेन सूचियाँ दिखाएँ',
+    customrule_add: 'कस्टम शब्द/regex नियम जोड़ें',
+    customrule_remove: 'कस्टम नियम हटाएँ',
+    customrule_list: 'कस्टम नियमों की सूची',
+    escalation_show: 'चेतावनी/म्यूट/बैन सीढ़ी दिखाएँ',
+    escalation_set: 'एस्केलेशन सीढ़ी सेट करें',
+    escalation_decay: 'स्ट्राइक कितने दिन बाद समाप्त हों',
+    strikes: 'यूज़र की स्ट्राइक (रिप्लाई/ID)',
+    strikes_reset: 'यूज़र की स्ट्राइक रीसेट करें',
+    captcha: 'जॉइन कैप्चा: on|off, मोड, समय',
+    join_screening: 'जॉइन अनुरोध जाँच: स्वीकार, अस्वीकार या रोकें',
+    raid: 'रेड पहचान: on|off, सीमा, अवधि',
+    lockdown: 'लॉकडाउन: स्थिति, on|off या अवधि',
+    slowmode: 'स्लो मोड: अंतराल [अवधि] या off',
+    nightmode: 'नाइट मोड: समय, रोक और टाइमज़ोन',
+    media_policy: 'मीडिया प्रकार: allow, deny या सदस्यता के दिन',
+    digest: 'निर्धारित मॉडरेशन डाइजेस्ट',
+    language: 'बॉट की भाषा: en|hi|hinglish',
+    template_set: 'सूचना टेम्पलेट बदलें',
+    template_list: 'सूचना टेम्पलेट की सूची',
+    modlog: 'मॉडरेशन लॉग खोजें',
+    group_kick_all_abort: 'चल रही ग्रुप सफ़ाई रद्द करें',
+    bot_stats: 'बॉट के कुल आँकड़े',
+    botadmin_add: 'बॉट एडमिन जोड़ें (केवल ओनर)',
+    botadmin_remove: 'बॉट एडमिन हटाएँ',
+    rule_global_enable: 'नियम ग्लोबली चालू करें',
+    rule_global_disable: 'नियम ग्लोबली बंद करें',
+    maxlen_global_set: 'ग्लोबल अधिकतम लंबाई सेट करें',
+    limit_global_set: 'ग्लोबल फ़्लड/डुप्लिकेट/प्रोबेशन सीमा सेट करें',
+    user_groups: 'यूज़र की ग्रुप उपस्थिति',
+    group_kick_all: 'DM: ग्रुप से सभी सदस्य हटाएँ',
+    blacklist_add: 'यूज़र को ग्लोबल ब्लैकलिस्ट में जोड़ें',
+    blacklist_remove: 'ग्लोबल ब्लैकलिस्ट से हटाएँ',
+    blacklist_list: 'ग्लोबल ब्लैकलिस्ट दिखाएँ',
+    blacklist_history: 'यूज़र का ब्लैकलिस्ट इतिहास दिखाएँ',
+    federation_list: 'फ़ेडरेशन फ़ीड और सदस्यताएँ दिखाएँ',
+    federation_subscribe: 'किसी दूसरे बॉट की ब्लैकलिस्ट फ़ीड लें',
+    federation_unsubscribe: 'फ़ीड की सदस्यता हटाएँ',
+    federation_sync: 'फ़ीड अभी सिंक करें',
+    federation_override: 'फ़ेडरेटेड एंट्री को अनदेखा या बदलें',
+    set_mycommands: 'कमांड मेनू प्रकाशित करें',
+    remove_mycommands: 'कमांड मेनू हटाएँ',
+  },
+};
@@ -0,0 +1,594 @@
+// Hinglish (Hindi in Latin script). Missing keys fall back to English.
+export default {
+  name: 'Hinglish',
+  // No Telegram language code of its own: chats opt in with /language hinglish
+  languageCode: null,
+  notices: {
+    no_edit: '✏️ {user} <b>message edit karna allowed nahi hai</b>. Aapka message hata diya gaya.',
+    max_len: '📏 {user} <b>{limit} characters se lambe messages</b> allowed nahi hain.',
+    no_links: '🔗 {user} is group mein <b>links allowed nahi hain</b>.',
+    no_explicit: '🚫 {user} <b>ashleel ya sexual content</b> allowed nahi hai.',
+    name_no_links: '🏷️ {user} <b>naam mein link allowed nahi hai</b>. Participate karne ke liye display name se link hatao.',
+    name_no_explicit: '🏷️ {user} <b>naam mein explicit content hai</b>. Participate karne ke liye naam badlo.',
+    bio_block: '🧬 {user} <b>post nahi kar sakte</b> kyunki aapke bio mein {reason} hai. Participate karne ke liye bio update karo.',
+    anti_flood: '⏱️ {user} <b>bahut jaldi-jaldi messages</b>. Thoda dheere bhejo.',
+    anti_flood_muted: '⏱️ {user} <b>bahut jaldi-jaldi messages</b>. Thoda dheere bhejo. {duration} ke liye mute kiya gaya.',
+    anti_duplicate: '🌀 {user} <b>same message baar-baar bhejna allowed nahi hai</b>.',
+    new_member_probation: '🛡️ {user} <b>new member probation chal raha hai</b>. {reason} abhi kuch time ke liye restricted hain.',
+    blacklist_mute: '🚫 {user} <b>global blacklist ki wajah se mute</b>.{reason}',
+    blacklist_kick: '🚫 {user} <b>global blacklist ki wajah se remove</b>.{reason}',
+    chat_ban_ban: '⛔ {user} <b>is group ki ban list ki wajah se ban</b>.{reason}',
+    chat_ban_mute: '🔇 {user} <b>is group ki ban list ki wajah se mute</b>.{reason}',
+    custom_rule: '🚫 {user} <b>yeh content yahan allowed nahi hai</b> ({rule}).',
+    custom_rule_muted: ' {duration} ke liye mute.',
+    custom_rule_banned: ' Ban kar diya gaya.',
+    escalation_warn: '⚠️ {user} <b>warning {warn}/{warnings}</b> (strike {strikes}).{next}',
+    escalation_mute: '🔇 {user} {strikes} strikes ke baad <b>{duration} ke liye mute</b>.{next}',
+    escalation_ban: '⛔ {user} {strikes} strikes ke baad <b>ban</b>.',
+    escalation_next: ' Agla step: <b>{next}</b>.',
+    step_warn: 'warning',
+    step_mute: '{duration} mute',
+    step_ban: 'ban',
+    missing_delete_permission: '⚠️ <b>Permission missing:</b> group rules lagu karne ke liye mujhe <b>Delete messages</b> admin permission chahiye. Bot ko admin banao aur yeh permission on karo.',
+    welcome: '👋 {members}, <b>{chat}</b> mein aapka swagat hai!\n\nRules follow karein:\n• Links nahi\n• Explicit content nahi\n• Short aur respectful rahein\n• Messages edit na karein\n\nOptions ke liye /settings use karein.',
+    join_blacklist_header: '🚫 <b>Global blacklist enforcement</b>',
+    join_blacklist_mute: '• {user} global blacklist ki wajah se mute.{reason}',
+    join_blacklist_kick: '• {user} global blacklist ki wajah se remove.{reason}',
+    join_chat_ban_header: '⛔ <b>Chat ban list enforcement</b>',
+    join_chat_ban_ban: '• {user} is group ki ban list ki wajah se ban.{reason}',
+    join_chat_ban_mute: '• {user} is group ki ban list ki wajah se mute.{reason}',
+    join_name_header: '⚠️ <b>Name/username policy warning</b>',
+    join_name_flagged: '• {user} flagged: <b>{reason}</b>.',
+    join_name_footer: 'Moderation action se bachne ke liye apna display name/username update karo.',
+    captcha_challenge: '🤖 {user}, <b>{seconds}s</b> ke andar verify karo, warna aapko remove kar diya jayega.\n{question}',
+    captcha_math: '<b>{a} + {b}</b> kitna hota hai?',
+    captcha_emoji: '<b>{emoji}</b> par tap karo.',
+    captcha_button: 'Aap insaan ho, yeh confirm karne ke liye button dabao.',
+    captcha_button_label: '✅ Main insaan hoon',
+    captcha_emoji_apple: 'apple',
+    captcha_emoji_car: 'car',
+    captcha_emoji_dog: 'kutta',
+    captcha_emoji_football: 'football',
+    captcha_emoji_moon: 'chaand',
+    captcha_emoji_guitar: 'guitar',
+    captcha_emoji_pizza: 'pizza',
+    captcha_emoji_rocket: 'rocket',
+    captcha_emoji_cactus: 'cactus',
+    captcha_emoji_fish: 'machhli',
+    captcha_emoji_balloon: 'gubbara',
+    captcha_emoji_key: 'chaabi',
+    captcha_verified: '✅ {user} verify ho gaye. Swagat hai!',
+    appeal_button: '📝 Appeal karo',
+    appeal_repost: '♻️ {user} <b>ka message wapas laaya gaya</b> (appeal approve hui):\n\n{content}',
+    join_request_review: '🚪 {user} ne {chat} mein <b>join request bheji hai</b>, admin ke review ka wait hai.{reason}',
+    join_request_flagged: ' Flagged: <b>{reason}</b>.',
+    join_request_bio: 'bio mein {reason}',
+    join_request_approved: '✅ {user} ki join request {admin} ne <b>approve</b> ki.',
+    join_request_declined: '🚫 {user} ki join request {admin} ne <b>decline</b> ki.',
+    raid_lockdown_started: '🚨 <b>Raid detect hua:</b> {window} mein {joins} joins. Group {duration} ke liye <b>lockdown</b> mein hai; naye members iske khatam hone tak mute rahenge. Admins /lockdown off se ise khatam kar sakte hain.',
+    raid_link_revoked: '🔗 Primary invite link badal diya gaya hai, purana link ab kaam nahi karega.',
+    lockdown_ended: '✅ <b>Lockdown khatam.</b> Mute kiye gaye naye members jo phir se post kar sakte hain: {count}.',
+    lockdown_started: '🔒 <b>Lockdown:</b> ek admin ne group ko {duration} ke liye read-only kar diya hai.',
+    lockdown_started_open: '🔒 <b>Lockdown:</b> ek admin ne group ko agle notice tak read-only kar diya hai.',
+    slowmode: '🐢 {user} <b>slow mode on hai</b>: har {interval} mein ek message. {wait} baad phir try karo.',
+    slowmode_started: '🐢 <b>Slow mode on:</b> har member har {interval} mein ek message bhej sakta hai.{until}',
+    slowmode_for: ' {duration} mein khatam hoga.',
+    slowmode_ended: '✅ <b>Slow mode khatam.</b>',
+    nightmode: '🌙 {user} <b>night mode</b>: {until} tak {type} allowed nahi hai.',
+    nightmode_started: '🌙 <b>{until} tak night mode:</b> {types} hata diye jayenge.',
+    nightmode_ended: '☀️ <b>Night mode khatam.</b> {types} phir se bhej sakte ho.',
+    nightmode_type_media: 'media',
+    nightmode_type_stickers: 'stickers',
+    nightmode_type_gifs: 'GIFs',
+    nightmode_type_links: 'links',
+    nightmode_type_all: 'messages',
+    media_policy: '🚫 {user} is group mein <b>{type}</b> bhejna allowed nahi hai.',
+    media_policy_new_member: '🕒 {user} group mein {days} din poore hone ke baad <b>{type}</b> bhej sakte ho.',
+    media_type_photo: 'photos',
+    media_type_video: 'videos',
+    media_type_document: 'files',
+    media_type_audio: 'audio',
+    media_type_voice: 'voice messages',
+    media_type_video_note: 'video messages',
+    media_type_animation: 'GIFs',
+    media_type_sticker: 'stickers',
+    media_type_contact: 'contacts',
+    media_type_location: 'locations',
+    media_type_venue: 'venues',
+    media_type_poll: 'polls',
+    media_type_dice: 'dice',
+    media_type_game: 'games',
+    reason_suffix: ' Reason: <i>{reason}</i>',
+    reason_links: 'Links',
+    reason_media: 'Media',
+    reason_links_media: 'Links aur media',
+    reason_bio_link: 'link',
+    reason_bio_explicit: 'explicit content',
+    reason_bio_link_explicit: 'link aur explicit content',
+    reason_name_link: 'naam/username mein link',
+    reason_name_explicit: 'naam/username mein explicit content',
+    reason_name_link_explicit: 'naam/username mein link aur explicit content',
+  },
+  replies: {
+    admins_only: '⛔ <b>Sirf admins ke liye</b>',
+    cb_admins_only: 'Sirf admins ke liye',
+    group_only: '❗ <b>Yeh command group mein use karo.</b>',
+    private_only: 'ℹ️ Yeh command bot ke saath private chat mein chalao.',
+    usage: '💡 <b>Usage:</b> <code>{syntax}</code>',
+    usage_or: ' (ya <code>{syntax}</code>)',
+    usage_or_reply: ' (ya kisi user ko reply karo).',
+    usage_example: ' (jaise <code>{example}</code>)',
+    usage_reply_or_id: '💡 <b>Usage:</b> kisi user ko <code>{command}</code> se reply karo, ya <code>{command} &lt;user_id&gt;</code> do',
+    invalid_chat_id: '❌ <b>Galat chat ID.</b> <code>-1001234567890</code> jaisi numeric ID do.',
+    field_action: '• Action: <code>{value}</code>',
+    field_reason: '• Reason: <i>{value}</i>',
+    field_expires: '• Expiry: {at} ({left} mein)',
+    field_status: '• Status: <b>{status}</b>',
+    state_on: 'on',
+    state_on_caps: 'ON',
+    state_off: 'off',
+    none: '<i>kuch nahi</i>',
+    more_items: '  … {n} aur',
+    more_not_shown: '… {n} aur nahi dikhaye gaye',
+    kb_prev: '⏮️ Pichla',
+    kb_next: 'Agla ⏭️',
+    kb_format: 'Format: {value}',
+    kb_pretty: 'Pretty',
+    kb_compact: 'Compact',
+    kb_scope: 'Scope: {value}',
+    kb_chat: 'Chat',
+    kb_global: 'Global',
+    help_title: 'Settings commands:',
+    help_everyone: 'Sabke liye:',
+    help_admins: 'Group owner/admin (ban rights ke saath), bot admin ya owner:',
+    help_owner: 'Bot owner ya bot admin (private chat):',
+    help_rules: 'Rules: {rules}',
+    rules_status_title: '📋 <b>Rules ka status</b>',
+    rules_status_header: 'Rules ka status:',
+    rules_status_rule: '- {rule}: effective {effective} (global {global}, chat {chat})',
+    rules_status_limits: 'Limits:',
+    rules_status_max_len: '- max_len: effective {effective} (global {global}, chat {chat})',
+    rules_status_custom: 'Custom rules:',
+    rules_status_custom_rule: '- {name}: {state} ({action}; {scope})',
+    stats_bot_title: '<b>📊 Bot Stats</b>',
+    stats_bot_compact: '<b>📊 Bot</b>',
+    stats_group_title: '<b>👥 Group Stats</b> — {title}',
+    stats_today: '<b>🗓 Aaj</b> — Total: <b>{total}</b>',
+    stats_last7: '<b>🗓 Pichle 7 din</b> — Total: <b>{total}</b>',
+    stats_by_violation: '• <i>Violation ke hisaab se</i>',
+    stats_by_action: '• <i>Action ke hisaab se</i>',
+    stats_compact_today: 'aaj: <b>{n}</b>',
+    stats_compact_7d: '7d: <b>{n}</b>',
+    stats_compact_top_violations: 'topV(7d): <code>{list}</code>',
+    stats_compact_top_actions: 'topA(7d): <code>{list}</code>',
+    ustats_title_global: '<code>{id}</code> ke stats, saare chats mein',
+    ustats_title_chat: '<code>{id}</code> ke stats, is chat mein',
+    ustats_avgs: '• Daily avg: <b>{daily}</b> — Weekly avg: <b>{weekly}</b>',
+    ustats_lifetime: '• Lifetime total: <b>{n}</b>',
+    ustats_risk: '• Risk score (7d): <b>{score}</b> (<i>{label}</i>)',
+    ustats_top: '• <i>Top violations (7d)</i>',
+    ustats_by_violation: '• <i>7d violation ke hisaab se</i>',
+    ustats_compact_user: '<b>User</b> <code>{id}</code>',
+    ustats_compact_scope: 'scope: <i>{scope}</i>',
+    ustats_compact_avg_d: 'avg(d): <b>{n}</b>',
+    ustats_compact_avg_w: 'avg(w): <b>{n}</b>',
+    ustats_compact_life: 'life: <b>{n}</b>',
+    ustats_compact_risk: 'risk: <b>{n}</b>',
+    ustats_compact_top: 'top: <code>{list}</code>',
+    risk_low: 'Kam',
+    risk_medium: 'Medium',
+    risk_high: 'Zyada',
+    top_none: 'ℹ️ Chune gaye period mein <b>koi violation nahi mila</b>.',
+    top_row: '{n}. {user} — total: <b>{total}</b>, risk: <b>{risk}</b>, top: <code>{top}</code>',
+    top_title_global: '<b>Top {count} violators (saare chats, pichle {days}d)</b>',
+    top_title_chat: '<b>Top {count} violators (is chat mein, pichle {days}d)</b>',
+    ugroups_title: 'User {id} {count} group(s) mein present hai.',
+    ugroups_showing: '{count} mein se {start}-{end} dikha rahe hain',
+    ugroups_no_links: 'Koi link available nahi (bot ke paas rights nahi ho sakte).',
+    ugroups_failed: '❌ <b>Presence fetch nahi ho payi:</b> <code>{error}</code>',
+    review_expired: 'Review expire ho gaya',
+    review_marked_valid: 'Valid mark kiya',
+    review_no_terms: 'Koi suitable term nahi mila',
+    safelisted_terms: '{count} term(s) safelist kiye{db}',
+    db_saved: ' · DB mein saved',
+    db_error: ' · DB error',
+    suggest_none: 'ℹ️ <b>Koi suggestion nahi mila</b>',
+    suggest_top: 'Top {n} safelist karo',
+    suggest_top_short: 'Top {n}',
+    suggest_all: 'Sab safelist karo',
+    suggest_title: '<b>Safelist suggestions ({scope})</b>',
+    suggest_hint_global: '<i>In words ko globally add karne ke liye button dabao.</i>',
+    suggest_hint_chat: '<i>In words ko is chat ke liye add karne ke liye button dabao (globally save hote hain).</i>',
+    suggest_failed: 'Suggestions nahi ban paye.',
+    suggest_expired: 'Suggestions expire ho gaye',
+    suggest_no_terms: 'Koi term add nahi hua',
+    abuse_usage: '💡 <b>Usage:</b> <code>/abuse "word ya phrase"</code> (ya kisi message ko <code>/abuse</code> se reply karo)',
+    abuse_added: '✅ Explicit list mein <b>{count}</b> phrase(s) <b>add kiye</b>.',
+    gka_usage: '⚠️ <b>Usage:</b> <code>/group_kick_all &lt;chat_id&gt; confirm</code>\nChat ID numeric Telegram ID honi chahiye (jaise <code>-1001234567890</code>).\nBot us chat mein dekhe gaye sabhi members ko hata deta hai, admins aur khud ko chhod kar.\nConfirm karne se pehle <code>/group_kick_all &lt;chat_id&gt; inspect [limit=25]</code> se preview karo.\nChalti purge cancel karne ke liye <code>/group_kick_all_abort &lt;chat_id&gt;</code> use karo.',
+    gka_protected: '⛔ <b>Yeh chat ID protected hai</b>; is group ke liye bulk removal band hai.',
+    gka_already_running: '⚠️ Is chat ke liye /group_kick_all pehle se chal raha hai. Rokne ke liye /group_kick_all_abort use karo.',
+    gka_access_failed: '❌ <b>Chat access nahi ho paya:</b> <code>{error}</code>',
+    gka_not_group: '❌ <b>Target chat group ya supergroup hona chahiye.</b>',
+    gka_need_ban: '⛔ <b>/group_kick_all chalane ke liye mujhe us group mein Ban Users permission chahiye.</b>',
+    gka_no_members: 'ℹ️ <b>Is chat ki koi member list saved nahi hai.</b> Supabase presence tracking zaroori hai.',
+    gka_nothing: 'ℹ️ <b>Hatane ke liye koi nahi.</b> Us chat mein sirf admins ya bot recorded hain.',
+    gka_status: 'status: {status}',
+    gka_absent: 'pehle se absent',
+    gka_error: 'error: {error}',
+    gka_inspect_title: '👁️ <b>Purge targets check ho rahe hain:</b> <code>{title}</code>',
+    gka_tracked: '<b>Tracked members:</b> {n}',
+    gka_potential: '<b>Possible removals:</b> {n}',
+    gka_admins_skipped: '🛡️ <b>Admins skip kiye:</b> {n}',
+    gka_bot_skipped: '🤖 <b>Bot ID skip ki:</b> {n}',
+    gka_showing_first: 'Pehle {n} target(s) dikha rahe hain.',
+    gka_more_targets: '… {n} aur target(s) nahi dikhaye.',
+    gka_lacks_ban: '⚠️ <b>Bot ke paas Ban permission nahi hai</b>; permission theek hone tak purge fail hogi.',
+    gka_confirm_hint: 'Ready ho to <code>/group_kick_all &lt;chat_id&gt; confirm</code> use karo.',
+    gka_purging: '🚨 <b>Members hataye ja rahe hain:</b> <code>{title}</code>',
+    gka_seen: '<b>Dekhe gaye members:</b> {n}',
+    gka_attempting: '<b>Removal attempts:</b> {n}',
+    gka_admins_recorded: '🛡️ <b>Recorded admins:</b> {n}',
+    gka_stopped: '⛔ <b>Purge ruk gayi</b>',
+    gka_complete: '✅ <b>Purge complete</b>',
+    gka_in_progress: '🚨 <b>Purge chal rahi hai…</b>',
+    gka_chat: '<b>Chat:</b> <code>{title}</code>',
+    gka_processed: '<b>Processed:</b> {done}/{total} ({pct}%)',
+    gka_p_removed: '• Hataye gaye: <b>{n}</b>',
+    gka_p_absent: '• Pehle se absent: <b>{n}</b>',
+    gka_p_failures: '• Failures: <b>{n}</b>',
+    gka_p_skipped_admins: '• Skip kiye admins: <b>{n}</b>',
+    gka_p_skipped_bot: '• Skip kiya bot: <b>{n}</b>',
+    gka_waiting: '⏳ Workers ke rukne ka wait…',
+    gka_s_removed: '✅ <b>Hataye gaye:</b> {n}',
+    gka_s_skipped_admins: '🛡️ <b>Skip kiye admins:</b> {n}',
+    gka_s_skipped_bot: '🤖 <b>Skip ki bot ID:</b> {n}',
+    gka_s_absent: '🚪 <b>Pehle se absent:</b> {n}',
+    gka_s_failures: '⚠️ <b>Failures:</b> {n}',
+    gka_aborted: '⛔ <b>Operation abort hua.</b> Baaki members process nahi hue.',
+    gka_aborted_by: '⏹️ <b>Abort kiya:</b> <code>{id}</code>',
+    gka_presence_pruned: '🗃️ <b>Presence records hataye:</b> {n}',
+    gka_presence_error: '⚠️ <b>Presence cleanup error:</b> <code>{error}</code>',
+    gka_failure_samples: '<b>Failure samples</b>',
+    gka_failed: '❌ <b>Group purge fail hui:</b> <code>{error}</code>',
+    gka_queued: '⏳ Ek aur task chal raha hai. Aapki purge priority ke saath queue mein hai.',
+    gka_dequeued: '⛔ <b>Purge shuru hone se pehle queue se hata di gayi.</b>',
+    gka_none_active: 'ℹ️ <b>Us chat ke liye koi active /group_kick_all nahi mila.</b>',
+    gka_abort_pending: 'ℹ️ <b>Abort pehle hi request ho chuka hai.</b>',
+    gka_abort_requested: '⛔ <b>Abort request hua.</b> Current member ke baad purge ruk jayegi.',
+    bl_added: '✅ User <code>{id}</code> ko global blacklist mein <b>add kiya</b>.',
+    bl_groups: '• Check kiye groups: <b>{n}</b>',
+    bl_no_presence: '• Presence data nahi hai; agli activity par enforcement hoga.',
+    bl_applied: '• Laagu hua: <b>{n}</b> group(s) mein',
+    bl_failures: '• Failures: <b>{n}</b>',
+    bl_applied_samples: '<b>Applied samples</b>',
+    bl_failures_title: '<b>Failures</b>',
+    bl_not_listed: 'ℹ️ <b>User</b> <code>{id}</code> global blacklist mein nahi hai.',
+    bl_removed: '✅ <code>{id}</code> ko global blacklist se <b>hata diya</b>.',
+    bl_empty: 'ℹ️ <b>Global blacklist khaali hai.</b>',
+    bl_row: '• <code>{id}</code> → <code>{action}</code>{reason} ({since} se){expires}',
+    bl_row_expires: ' — ⏳ {left} baaki',
+    bl_title: '<b>Global blacklist entries</b>',
+    bl_history_title: '📜 <code>{id}</code> <b>ki blacklist history</b>',
+    bl_history_listed: '• Abhi <b>blacklisted hai</b>',
+    bl_history_not_listed: '• Abhi <b>blacklisted nahi hai</b>',
+    bl_history_empty: 'ℹ️ <code>{id}</code> <b>ki koi blacklist history nahi hai.</b>',
+    bl_history_added: '➕ {at} {by} ne <code>{action}</code> add kiya{reason}{expires}',
+    bl_history_updated: '✏️ {at} {by} ne <code>{action}</code> mein badla{reason}{expires}',
+    bl_history_removed: '➖ {at} {by} ne hataya',
+    bl_history_expired: '⌛ {at} expire hua',
+    bl_history_until: ' ({at} tak)',
+    bl_history_unknown: 'unknown',
+    // Federation
+    fed_title: '🌐 <b>Federation</b>',
+    fed_publishing: '• <code>{name}</code> naam se feed publish ho rahi hai; public key: <code>{key}</code>',
+    fed_not_publishing: '• Koi feed publish nahi ho rahi (<code>FEDERATION_PRIVATE_KEY</code> set karo).',
+    fed_none: '• Koi subscription nahi.',
+    fed_sub_row: '• <code>{name}</code> (trust: <code>{trust}</code>) — {status}\n  {url}',
+    fed_status_ok: '{n} user(s), {at} pe sync hua',
+    fed_status_error: '⚠️ <code>{error}</code>',
+    fed_status_pending: 'abhi sync nahi hua',
+    fed_overrides_count: '• Overrides: <b>{n}</b> user(s) (<code>/federation_override</code> dekho)',
+    fed_invalid_name: '❌ <b>Feed names mein</b> <code>a-z 0-9 _ -</code> hi chalte hain (max 32 characters).',
+    fed_invalid_url: '❌ <b>Feed URL</b> <code>http://</code> ya <code>https://</code> <b>se start hona chahiye.</b>',
+    fed_invalid_key: '❌ <b>Yeh Ed25519 public key nahi hai.</b> Publish karne wale bot pe <code>/federation_list</code> mein dikhi base64 key use karo.',
+    fed_subscribed: '✅ <code>{name}</code> <b>subscribe ho gaya</b> (trust: <code>{trust}</code>).',
+    fed_sync_ok: '• Sync hua: <b>{n}</b> user(s)',
+    fed_sync_failed: '• Sync fail hua: <code>{error}</code> (agle sync pe phir try hoga)',
+    fed_unsubscribed: '🗑️ <code>{name}</code> <b>unsubscribe ho gaya.</b>',
+    fed_not_subscribed: 'ℹ️ <code>{name}</code> <b>naam ka koi subscription nahi hai.</b>',
+    fed_sync_title: '🔄 <b>Federation sync</b>',
+    fed_sync_row_ok: '• <code>{name}</code>: {n} user(s) (+{added} / −{removed})',
+    fed_sync_row_failed: '• <code>{name}</code>: ⚠️ <code>{error}</code>',
+    fed_user_title: '🌐 <code>{id}</code> <b>ki federated entries</b>',
+    fed_user_row: '• <code>{name}</code> (trust: <code>{trust}</code>) → <code>{action}</code>{reason}',
+    fed_user_none: '• Kisi subscribed feed mein nahi hai.',
+    fed_override_current: '• Override: <code>{action}</code>, {by} ne kiya ({at})',
+    fed_override_none: '• Koi override nahi; feeds subscription ke hisaab se apply hoti hain.',
+    fed_override_set: '✅ <code>{id}</code> <b>ke liye override:</b> <code>{action}</code>.',
+    fed_override_cleared: '✅ <code>{id}</code> <b>ka override hata diya</b>; feeds subscription ke hisaab se apply hoti hain.',
+    // Chat ban list
+    chat_ban_added: '✅ <code>{id}</code> <b>ko is group ki ban list mein add kiya.</b>',
+    chat_ban_applied: '• Abhi apply ho gaya.',
+    chat_ban_pending: '• Abhi apply nahi ho paya; user ke join ya post karne pe lagega.',
+    chat_ban_admin: '❌ <b>Group admins ko ban list mein nahi daal sakte.</b>',
+    chat_ban_not_listed: 'ℹ️ <b>User</b> <code>{id}</code> is group ki ban list mein nahi hai.',
+    chat_ban_removed: '✅ <code>{id}</code> <b>ko is group ki ban list se hata diya.</b>',
+    chat_ban_empty: 'ℹ️ <b>Is group ki ban list khaali hai.</b>',
+    chat_ban_title: '⛔ <b>Chat ban list</b> ({n})',
+    chat_ban_row: '• <code>{id}</code> → <code>{action}</code>{reason} ({since} se)',
+    chat_ban_export_hint: '<i>/chat_ban_export se export karo; dusre group mein file pe /chat_ban_import se reply karke import karo.</i>',
+    chat_ban_exported: '⛔ <b>Chat ban list</b> ({n})',
+    chat_ban_import_hint: ' /chat_ban_export ki file ya har line mein ek user ID wali text file pe reply karo.',
+    chat_ban_import_failed: '❌ <b>Import fail hua:</b> <code>{error}</code>',
+    chat_ban_imported: '✅ <b>Ban list import hui:</b> {added} add, {updated} update, {skipped} pehle se the. User ke join ya post karne pe lagenge.',
+    botadmin_no_bots: '🤖 Bots ko bot admin nahi banaya ja sakta.',
+    botadmin_not_bots: '🤖 Bots bot admin list mein nahi hote.',
+    botadmin_added: '✅ <b>Bot admin add kiya:</b> <code>{id}</code>',
+    botadmin_removed: '🗑️ <b>Bot admin hataya:</b> <code>{id}</code>',
+    unknown_rule: '❓ <b>Unknown rule.</b> Inmein se ek use karo: <code>{rules}</code>',
+    unknown_rule_chat: '❓ <b>Unknown rule.</b> Inmein se ek use karo: <code>{rules}</code> ya custom rule ka naam (dekho <code>/customrule_list</code>)',
+    rule_global_enabled: '✅ <code>{rule}</code> globally <b>on</b>.',
+    rule_global_disabled: '🚫 <code>{rule}</code> globally <b>off</b>.',
+    rule_chat_enabled: '✅ <code>{rule}</code> is chat ke liye <b>on</b>.',
+    rule_chat_disabled: '🚫 <code>{rule}</code> is chat ke liye <b>off</b>.',
+    rule_custom_enabled: '✅ Custom rule <code>{rule}</code> is chat ke liye <b>on</b>.',
+    rule_custom_disabled: '🚫 Custom rule <code>{rule}</code> is chat ke liye <b>off</b>.',
+    maxlen_global: '✅ <b>Global max length limit:</b> <code>{n}</code>',
+    maxlen_chat: '✅ <b>Chat max length limit:</b> <code>{n}</code>',
+    limits_title: '📐 <b>Is chat ki limits</b> (chat → global → default)',
+    limits_row: '• <code>{key}</code>: <b>{value}</b> <i>({source})</i>',
+    limits_source_chat: 'chat',
+    limits_source_global: 'global',
+    limits_source_default: 'default',
+    limits_hint: '<code>/limit_chat_set &lt;limit&gt; &lt;number|default&gt;</code> ya /settings panel se badlo. <code>*_seconds</code> aur <code>*_minutes</code> mein <code>2m</code> jaisi duration bhi chalti hai.',
+    limit_unknown: '❓ <b>Unknown limit.</b> Inmein se ek use karo: <code>{keys}</code>',
+    limit_chat_set: '✅ <b>Chat limit</b> <code>{key}</code> = <code>{value}</code>',
+    limit_chat_cleared: '✅ <b>Chat limit</b> <code>{key}</code> <b>ab global value follow karti hai</b> (<code>{value}</code>).',
+    limit_global_set: '✅ <b>Global limit</b> <code>{key}</code> = <code>{value}</code>',
+    limit_global_cleared: '✅ <b>Global limit</b> <code>{key}</code> <b>default pe reset</b> (<code>{value}</code>).',
+    whitelist_no_bots: '🤖 Bots ko whitelist nahi kiya ja sakta.',
+    whitelist_added: '✅ User <code>{id}</code> is chat ke liye <b>whitelist</b> hua.',
+    whitelist_removed: '🗑️ User <code>{id}</code> whitelist se <b>hata diya</b>.',
+    whitelist_empty: 'ℹ️ <b>Is chat ki whitelist khaali hai.</b>',
+    whitelist_title: '✅ <b>Whitelisted user IDs:</b>',
+    links_added: '✅ <b>{list} mein add kiya:</b> {domains}',
+    links_removed: '✅ <b>{list} se hataya:</b> {domains}',
+    links_global_allow: 'global allowlist',
+    links_global_deny: 'global denylist',
+    links_chat_allow: 'chat allowlist',
+    links_chat_deny: 'chat denylist',
+    links_invalid: '⚠️ Invalid ignore kiye: {domains}',
+    links_title: '🔗 <b>Link domain lists</b>',
+    links_row_global_allow: '• Global allow: {list}',
+    links_row_global_deny: '• Global deny: {list}',
+    links_row_chat_allow: '• Chat allow: {list}',
+    links_row_chat_deny: '• Chat deny: {list}',
+    links_footer: '<i>Deny, allow se upar hai; jo links kisi list mein nahi, woh no_links se hatate hain.</i>',
+    cr_usage: '💡 <b>Usage:</b> <code>/customrule_add &lt;name&gt; &lt;scopes&gt; &lt;action&gt; &lt;pattern&gt;</code>\n• Scopes: <code>{scopes}</code> ya <code>all</code>\n• Actions: <code>{actions}</code> (mute ke saath <code>mute:2h</code> chalta hai)\n• Pattern: keyword/phrase, ya <code>/regex/flags</code> (sirf bot admins)\n• Agli line(s) mein optional notice; placeholders <code>{user}</code>, <code>{rule}</code>',
+    cr_invalid_pattern: '❌ <b>Invalid pattern:</b> <code>{error}</code>',
+    cr_regex_bot_admin: '🔒 <b>Regex patterns sirf bot admins add kar sakte hain.</b> Iski jagah keyword ya phrase use karo.',
+    cr_save_failed: '❌ <b>Rule save nahi hua:</b> <code>{error}</code>',
+    cr_saved: '✅ <b>Custom rule save hua:</b> <code>{name}</code>',
+    cr_scope: '• Scope: <code>{scope}</code>',
+    cr_pattern: '• Pattern: <code>{pattern}</code>',
+    cr_not_found: 'ℹ️ <code>{name}</code> <b>naam ka koi custom rule nahi hai</b>.',
+    cr_removed: '🗑️ <b>Custom rule hataya</b> <code>{name}</code>.',
+    cr_none: 'ℹ️ <b>Is chat ke liye koi custom rule nahi.</b>',
+    cr_title: '<b>Custom rules</b>',
+    esc_title: '🪜 <b>Escalation ladder</b>',
+    esc_decay_info: '• Strikes <b>{days}</b> din baad expire hoti hain.',
+    esc_reset: '✅ <b>Escalation ladder reset:</b> <code>{ladder}</code>',
+    esc_set: '✅ <b>Escalation ladder:</b> <code>{ladder}</code>',
+    esc_decay_set: '✅ <b>Strikes ab</b> <code>{days}</code> din baad expire hongi.',
+    strikes_title: '🪜 <code>{id}</code> <b>ki strikes</b>: <b>{strikes}</b> (pichle {days}d)',
+    strikes_current: '• Current step: <code>{step}</code>',
+    strikes_next: '• Agla violation: <code>{step}</code>',
+    strikes_reset_done: '✅ <code>{id}</code> ki <b>strikes reset</b> ho gayi.',
+    captcha_title: '🤖 <b>Join captcha</b>',
+    captcha_mode: '• Mode: <code>{mode}</code>',
+    captcha_timeout: '• Timeout: <code>{timeout}</code> (phir member hata diya jata hai)',
+    join_screening_title: '🚪 <b>Join request screening</b>',
+    join_screening_passed: '• Pass hone wali requests: <code>{action}</code>',
+    join_screening_flagged: '• Flagged naam/bio: <code>{action}</code>',
+    join_screening_blocked: '• Blacklist ya group ban list wale: <code>decline</code>',
+    join_screening_hint: '<i>Invite link par "Approve new members" aur bot ko "Invite users" right chahiye.</i>',
+    jr_btn_approve: '✅ Approve',
+    jr_btn_decline: '🚫 Decline',
+    jr_cb_approved: 'Approve ho gaya',
+    jr_cb_declined: 'Decline ho gaya',
+    jr_cb_gone: 'Yeh request pehle hi handle ho chuki hai ya wapas le li gayi hai.',
+    captcha_cb_expired: 'Yeh challenge expire ho chuka hai.',
+    captcha_cb_not_yours: 'Yeh challenge aapke liye nahi hai.',
+    captcha_cb_wrong: 'Galat jawab.',
+    captcha_cb_verified: 'Verify ho gaya!',
+    appeal_link_invalid: '⌛ <b>Yeh appeal link expire ho chuka hai ya aapka nahi hai.</b>',
+    appeal_already_submitted: 'ℹ️ <b>Yeh appeal pehle hi bheji ja chuki hai aur review ka wait kar rahi hai.</b>',
+    appeal_already_approved: 'ℹ️ <b>Yeh appeal pehle hi approve ho chuki hai.</b>',
+    appeal_already_rejected: 'ℹ️ <b>Yeh appeal pehle hi reject ho chuki hai.</b>',
+    appeal_unavailable: '❌ <b>Abhi appeals available nahi hain.</b> Group admins se contact karo.',
+    appeal_prompt: '📝 <b>{chat}</b> mein <b>{violation}</b> ke liye appeal\nEk message bhejo (max {max} characters) jisme batao ki yeh action galat kyun tha. Admins ise review karenge.',
+    appeal_the_group: 'group',
+    appeal_expired: '⌛ <b>Yeh appeal expire ho chuki hai.</b>',
+    appeal_submit_failed: '❌ <b>Aapki appeal submit nahi ho payi.</b> Baad mein link dobara try karo.',
+    appeal_submitted: '✅ <b>Appeal submit ho gayi.</b> Review hone par aapko yahin message milega.',
+    appeal_approved: '✅ <b>{chat} mein {violation} ke liye aapki appeal approve ho gayi.</b>{done}',
+    appeal_rejected: '❌ <b>{chat} mein {violation} ke liye aapki appeal reject ho gayi.</b>',
+    appeal_done: '\nKiya gaya: {remedies}.',
+    appeal_done_blacklist_removed: 'blacklist se hataya gaya',
+    appeal_done_federated_ignored: 'federated entry ignore ki gayi',
+    appeal_done_ban_lifted: 'ban hataya gaya',
+    appeal_done_mute_lifted: 'mute hataya gaya',
+    appeal_done_message_reposted: 'message dobara post kiya gaya',
+    appeal_btn_approve: 'Approve ✅',
+    appeal_btn_reject: 'Reject ❌',
+    appeal_cb_approved: 'Approve ho gaya',
+    appeal_cb_rejected: 'Reject ho gaya',
+    appeal_cb_already_approved: 'Pehle hi approve ho chuki hai',
+    appeal_cb_already_rejected: 'Pehle hi reject ho chuki hai',
+    appeal_cb_expired: 'Appeal expire ho chuki hai',
+    raid_title: '🚨 <b>Raid detection</b>',
+    raid_threshold: '• Lockdown: <code>{window}</code> mein <code>{joins}</code> joins ke baad',
+    raid_cooldown: '• Lockdown kitna chalega: <code>{cooldown}</code> (joins aate rahe to badhta hai)',
+    raid_probation: '• Lockdown mein probation: <code>{probation}</code>',
+    raid_revoke: '• Invite link badlo: <b>{state}</b>',
+    lockdown_none: 'ℹ️ <b>Yeh chat lockdown mein nahi hai.</b>',
+    lockdown_title: '🔒 <b>Lockdown active</b>',
+    lockdown_trigger: '• Trigger: <code>{trigger}</code> ({joins} joins)',
+    lockdown_since: '• Kab se: {at} UTC',
+    lockdown_left: '• Khatam hoga: <code>{left}</code> mein',
+    lockdown_restricted: '• Mute kiye gaye naye members: <b>{n}</b>',
+    lockdown_off_hint: '<i>Abhi khatam karne ke liye /lockdown off.</i>',
+    lockdown_trigger_manual: '• Trigger: <code>manual</code>, {by} ne kiya',
+    lockdown_open: '• Khatam hoga: <i>/lockdown off se hatane par</i>',
+    lockdown_read_only: '• Chat read-only: <b>haan</b> (khatam hone par permissions wapas aa jayengi)',
+    lockdown_start_hint: '<i>/lockdown on (hatane tak) ya duration ke saath lock karo, jaise /lockdown 2h.</i>',
+    lockdown_failed: '❌ <b>Chat ko read-only nahi kar paaye:</b> <code>{error}</code>',
+    lockdown_end_failed: '❌ <b>Chat permissions wapas nahi kar paaye:</b> <code>{error}</code>\nChat read-only rahega; lockdown khatam karne ki koshish 5 minute mein phir hogi.',
+    slowmode_none: 'ℹ️ <b>Slow mode off hai.</b>',
+    slowmode_title: '🐢 <b>Slow mode active</b>',
+    slowmode_interval: '• Har member ke liye ek message har: <code>{interval}</code>',
+    slowmode_since: '• Kab se: {at} UTC',
+    slowmode_left: '• Khatam hoga: <code>{left}</code> mein',
+    slowmode_open: '• Khatam hoga: <i>/slowmode off se band karne par</i>',
+    slowmode_off_hint: '<i>Band karne ke liye /slowmode off.</i>',
+    slowmode_hint: '<i>/slowmode 30s se on karo, chaho to kuch der ke liye: /slowmode 1m 2h.</i>',
+    digest_title: '📊 <b>Moderation digest</b>',
+    digest_schedule: '• Schedule: {schedule}',
+    digest_preview_hint: '<code>/digest now</code> se preview karo.',
+    digest_admins_hint: '<i>Receive karne ke liye admins ko bot ke saath private chat start karni hogi.</i>',
+    nightmode_title: '🌙 <b>Night mode</b>',
+    nightmode_windows: '• Time: {windows} <i>({tz})</i>',
+    nightmode_no_windows: '<i>koi nahi</i>',
+    nightmode_block: '• Window ke dauraan block: {types}',
+    nightmode_action_delete: '• Action: blocked messages <b>delete</b> karna',
+    nightmode_action_restrict: '• Action: group permissions <b>restrict</b> karna aur blocked messages delete karna',
+    nightmode_now: '• Abhi lagu: <b>{state}</b>',
+    nightmode_hint: '<i>Example: /nightmode on 02:00-05:00 block=media,stickers tz=Asia/Kolkata</i>',
+    media_policy_title: '🎞️ <b>Media policy</b>',
+    media_policy_row: '• <code>{type}</code>: {rule}',
+    media_rule_deny: '<b>blocked</b>',
+    media_rule_days: 'kam se kam <b>{days}</b> din pehle jude members',
+    media_policy_rest: '• Baaki types: allowed',
+    media_policy_all_allowed: '• Sab types allowed hain.',
+    media_policy_hint: '<i>Example: /media_policy sticker=deny animation=deny voice=7d — /media_policy reset se sab allowed. Jin members ka join bot ne nahi dekha, woh purane members maane jaate hain.</i>',
+    media_policy_types: 'Types: <code>{types}</code>',
+    lang_current: '🌐 <b>Bot ki language:</b> <code>{locale}</code>',
+    lang_default_suffix: ' (default)',
+    lang_available: 'Available: {list}',
+    lang_set: '✅ <b>Bot ki language</b> <code>{locale}</code> ({name}) <b>set ho gayi</b>.',
+    tpl_keys_hint: 'Keys /template_list se dekho.',
+    tpl_title: '🧩 <b>Template</b> <code>{key}</code>',
+    tpl_custom_suffix: ' (custom)',
+    tpl_placeholders: 'Placeholders: {list}',
+    tpl_reset: '✅ <b>Template</b> <code>{key}</code> <b>built-in text par reset ho gaya.</b>',
+    tpl_saved: '✅ <b>Template</b> <code>{key}</code> <b>save ho gaya.</b>',
+    tpl_plain_hint: '<i>Custom templates plain text mein bheje jaate hain.</i>',
+    tpl_list_title: '🧩 <b>Notice templates</b> — language <code>{locale}</code>',
+    tpl_list_footer: '✏️ = custom override. Kisi ek ko <code>/template_set &lt;key&gt;</code> se dekho.',
+    modlog_title: '📜 <b>Moderation log</b> — <code>{filters}</code>',
+    modlog_none: 'Koi matching entry nahi.',
+    modlog_no_more: 'Aur entries nahi.',
+    modlog_user: ' · user <code>{id}</code>',
+    modlog_other_chats: '❌ <b>Sirf bot admins doosre chats search kar sakte hain.</b>',
+    modlog_expired: 'Yeh search expire ho gaya. /modlog dobara chalao.',
+    modlog_requester_only: 'Sirf search karne wala hi page badal sakta hai.',
+    panel_title: '⚙️ <b>Settings</b> — {chat}',
+    panel_hint: 'Rule ko is chat ke liye on/off karne ke liye tap karo. 🚫 = bot admins ne globally band kiya hai.',
+    panel_max_len: '📏 Max length: {value}',
+    panel_flood: '🌊 Flood',
+    panel_duplicate: '🔁 Duplicates',
+    panel_duplicate_title: '🔁 <b>Duplicate messages</b>\n<b>{window}</b> ke andar same message <b>{repeat}</b> baar bhejne pe repeat hata diya jaata hai.',
+    panel_duplicate_repeat: 'Copies: {value}',
+    panel_duplicate_window: 'Window: {value}',
+    panel_probation: '🆕 Probation',
+    panel_whitelist: '👥 Whitelist',
+    panel_back: '⬅️ Wapas',
+    panel_close: '✖️ Band karo',
+    panel_flood_title: '🌊 <b>Anti-flood</b>\n<b>{window}</b> mein <b>{max}</b> se zyada messages hata diye jaate hain aur sender <b>{mute}</b> ke liye mute hota hai (0s = mute nahi).',
+    panel_flood_max: 'Messages: {value}',
+    panel_flood_window: 'Window: {value}',
+    panel_flood_mute: 'Mute: {value}',
+    panel_probation_title: '🆕 <b>New member probation</b>\nNaye members join karne ke baad <b>{value}</b> tak links ya media post nahi kar sakte (0s = off).',
+    panel_probation_value: 'Probation: {value}',
+    panel_whitelist_title: '👥 <b>Whitelist</b> — hatane ke liye user ID pe tap karo.',
+    panel_whitelist_empty: 'Whitelist khaali hai.',
+    panel_whitelist_hint: '/whitelist_add se users add karo (reply ya user ID).',
+    panel_admins_only: 'Sirf ban rights wale chat admins settings badal sakte hain.',
+    panel_rule_global_off: 'Yeh rule bot admins ne globally band kiya hai.',
+    panel_limit_edge: 'Limit pe pahunch gaye.',
+    panel_saved: 'Save ho gaya.',
+    commands_set: '✅ <b>Bot commands set ho gaye.</b>',
+    commands_set_failed: '❌ <b>Commands set nahi hue:</b> <code>{error}</code>',
+    commands_removed: '🗑️ <b>Bot commands hata diye gaye.</b>',
+    commands_remove_failed: 'Commands hata nahi paye: {error}',
+  },
+  // Used by /help; Telegram menus fall back to the default language
+  commands: {
+    start: 'Bot ko group mein add karo',
+    help: 'Help aur commands dikhao',
+    ping: 'Bot chal raha hai ya nahi check karo',
+    settings: 'Settings panel (admins) ya help',
+    rules_status: 'Rules ka status dikhao',
+    group_stats: 'Is chat ke stats dikhao',
+    user_stats: 'User stats (reply/id)',
+    user_stats_global: 'User ke global stats',
+    top_violators: 'Top violators ki list',
+    rule_chat_enable: 'Is chat mein rule on karo',
+    rule_chat_disable: 'Is chat mein rule off karo',
+    maxlen_chat_set: 'Chat ke liye max message length',
+    limits: 'Chat ki limits dikhao',
+    limit_chat_set: 'Chat ki flood/duplicate/probation limit set karo',
+    whitelist_add: 'Is chat mein user ID whitelist karo',
+    whitelist_remove: 'Whitelisted user ID hatao',
+    whitelist_list: 'Chat whitelist dikhao',
+    chat_ban_add: 'User ko is group ki ban list mein add karo',
+    chat_ban_remove: 'User ko group ki ban list se hatao',
+    chat_ban_list: 'Group ki ban list dikhao',
+    chat_ban_export: 'Ban list JSON file mein export karo',
+    chat_ban_import: 'Ban list import karo (file pe reply)',
+    links_allow: 'Is chat mein link domains allow karo',
+    links_deny: 'Is chat mein link domains block karo',
+    links_list: 'Link domain lists dikhao',
+    customrule_add: 'Custom keyword/regex rule add karo',
+    customrule_remove: 'Custom rule hatao',
+    customrule_list: 'Custom rules ki list',
+    escalation_show: 'Warn/mute/ban ladder dikhao',
+    escalation_set: 'Escalation ladder set karo',
+    escalation_decay: 'Kitne din baad strikes expire hon',
+    strikes: 'User ki strikes (reply/id)',
+    strikes_reset: 'User ki strikes reset karo',
+    captcha: 'Join captcha: on|off, mode, timeout',
+    join_screening: 'Join requests screen karo: approve, decline ya hold',
+    raid: 'Raid detection: on|off, threshold, cooldown',
+    lockdown: 'Lockdown: status, on|off ya duration',
+    slowmode: 'Slow mode: interval [duration] ya off',
+    nightmode: 'Night mode: time windows, block aur timezone',
+    media_policy: 'Media types: allow, deny ya membership ke din',
+    digest: 'Scheduled moderation digest',
+    language: 'Bot language: en|hi|hinglish',
+    template_set: 'Notice template override karo',
+    template_list: 'Notice templates ki list',
+    modlog: 'Moderation log search karo',
+    group_kick_all_abort: 'Chalti group purge abort karo',
+    bot_stats: 'Bot-wide stats dikhao',
+    botadmin_add: 'Bot admin add karo (sirf owner)',
+    botadmin_remove: 'Bot admin hatao',
+    rule_global_enable: 'Rule globally on karo',
+    rule_global_disable: 'Rule globally off karo',
+    maxlen_global_set: 'Global max length set karo',
+    limit_global_set: 'Global flood/duplicate/probation limit set karo',
+    user_groups: 'User ki group presence dikhao',
+    group_kick_all: 'DM: group se sab members hatao',
+    blacklist_add: 'User ko global blacklist mein add karo',
+    blacklist_remove: 'User ko global blacklist se hatao',
+    blacklist_list: 'Global blacklist entries dikhao',
+    blacklist_history: 'User ki blacklist history dikhao',
+    federation_list: 'Federation feeds aur subscriptions dikhao',
+    federation_subscribe: 'Dusre bot ki blacklist feed subscribe karo',
+    federation_unsubscribe: 'Feed unsubscribe karo',
+    federation_sync: 'Feeds abhi sync karo',
+    federation_override: 'Federated entry ignore ya override karo',
+    set_mycommands: 'Command menus publish karo',
+    remove_mycommands: 'Command menus clear karo',
+  },
+};
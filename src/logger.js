@@ -67,7 +67,10 @@ const stats = {
   byViolation: Object.create(null),
   byAction: Object.create(null),
   perChat: new Map(), // chatId -> { total, byViolation: {}, byAction: {} }
+  perUserDaily: new Map(), // `${userId}:${chatId}` -> Map<day, { total, byViolation: {}, byAction: {} }>
 };
+// Days of per-user counters kept in memory when Supabase is not configured
+const USER_MEMORY_DAYS = 35;
 
 function inc(mapObj, key, n = 1) {
   if (!key) key = '-';
@@ -170,6 +173,7 @@ function recordStats(details, chat) {
   const v = details.violation || '-';
   const a = details.action || 'action';
   stats.total += 1;
+  moderationActions.inc({ action: a, violation: v });
   inc(stats.byViolation, v);
   inc(stats.byAction, a);
   if (chat?.id != null) {
@@ -178,10 +182,55 @@ function recordStats(details, chat) {
     inc(cs.byViolation, v);
     inc(cs.byAction, a);
   }
+  if (details.user?.id != null && chat?.id != null) {
+    recordUserStatsMemory(details.user.id, chat.id, a, v);
+  }
+}
+
+// In-memory per-user daily counters; mirrors stats_user_daily when Supabase is absent
+function recordUserStatsMemory(userId, chatId, action, violation) {
+  const key = `${userId}:${chatId}`;
+  let days = stats.perUserDaily.get(key);
+  if (!days) {
+    days = new Map();
+    stats.perUserDaily.set(key, days);
+  }
+  const today = dayKey(new Date());
+  let row = days.get(today);
+  if (!row) {
+    row = { total: 0, byViolation: Object.create(null), byAction: Object.create(null) };
+    days.set(today, row);
+    const cutoff = new Date();
+    cutoff.setUTCDate(cutoff.getUTCDate() - USER_MEMORY_DAYS);
+    const cutoffStr = dayKey(cutoff);
+    for (const d of days.keys()) if (d < cutoffStr) days.delete(d);
+  }
+  row.total += 1;
+  inc(row.byViolation, violation);
+  inc(row.byAction, action);
+}
+
+function getUserStatsMemory(userId, chatId, sinceStr) {
+  const agg = { total: 0, byViolation: {}, byAction: {} };
+  const uid = String(userId);
+  for (const [key, days] of stats.perUserDaily.entries()) {
+    const [u, c] = key.split(':');
+    if (u !== uid) continue;
+    if (chatId != null && c !== String(chatId)) continue;
+    for (const [day, row] of days.entries()) {
+      if (sinceStr && day < sinceStr) continue;
+      agg.total += row.total || 0;
+      for (const [k, v] of Object.entries(row.byViolation)) inc(agg.byViolation, k, v);
+      for (const [k, v] of Object.entries(row.byAction)) inc(agg.byAction, k, v);
+    }
+  }
+  return agg;
 }
 
 // ---------- Supabase persistence for stats ----------
 import { getSupabase } from './store/supabase.js';
+import { appendModerationLog } from './store/modlog.js';
+import { moderationActions } from './metrics.js';
 import crypto from 'node:crypto';
 
 function dayKey(d = new Date()) {
@@ -302,12 +351,12 @@ export async function getRecentLogsSupabase(limit = 100, chatId = null) {
 // --- Inline review support for explicit detections ---
 // Time to keep inline-review tokens valid (default 48h)
 const REVIEW_TTL_MS = Number(process.env.EXPLICIT_REVIEW_TTL_MS || 48 * 60 * 60 * 1000);
-const reviewStore = new Map(); // id -> { until, text }
+const reviewStore = new Map(); // id -> { until, text, chatId }
 
-function createReview(text) {
+function createReview(text, chatId) {
   const id = crypto.randomUUID?.() || Math.random().toString(36).slice(2);
   const until = Date.now() + REVIEW_TTL_MS;
-  reviewStore.set(id, { until, text: String(text || '').slice(0, 4000) });
+  reviewStore.set(id, { until, text: String(text || '').slice(0, 4000), chatId: chatId != null ? String(chatId) : undefined });
   return id;
 }
 
@@ -375,17 +424,21 @@ export async function getBotLifetimeStats() {
   return agg;
 }
 
-export async function getGroupStatsPeriod(chatId, days = 1) {
+// offsetDays shifts the window back: { offsetDays: 1 } with days=7 covers the 7 full UTC days before today
+export async function getGroupStatsPeriod(chatId, days = 1, { offsetDays = 0 } = {}) {
   const sb = getSupabase();
   if (!sb) return getGroupStats(chatId);
   const since = new Date();
-  since.setUTCDate(since.getUTCDate() - (days - 1));
+  since.setUTCDate(since.getUTCDate() - offsetDays - (days - 1));
   const sinceStr = dayKey(since);
+  const until = new Date();
+  until.setUTCDate(until.getUTCDate() - offsetDays);
   const { data } = await sb
     .from('stats_chat_daily')
     .select('day,total,by_violation,by_action')
     .eq('chat_id', String(chatId))
     .gte('day', sinceStr)
+    .lte('day', dayKey(until))
     .order('day', { ascending: true });
   const agg = { total: 0, byViolation: {}, byAction: {} };
   for (const row of data || []) {
@@ -437,13 +490,11 @@ export async function getGroupLifetimeStats(chatId) {
 
 export async function getUserStatsPeriod(userId, chatId, days = 7) {
   const sb = getSupabase();
-  if (!sb) {
-    // Fallback to empty if no DB
-    return { total: 0, byViolation: {}, byAction: {} };
-  }
   const since = new Date();
   since.setUTCDate(since.getUTCDate() - (days - 1));
   const sinceStr = dayKey(since);
+  // Fallback to in-memory counters (recent days only) if no DB
+  if (!sb) return getUserStatsMemory(userId, chatId, sinceStr);
   let q = sb
     .from('stats_user_daily')
     .select('day,total,by_violation,by_action')
@@ -472,7 +523,7 @@ export async function getUserYearlyStats(userId, chatId) {
 
 export async function getUserLifetimeStats(userId, chatId) {
   const sb = getSupabase();
-  if (!sb) return { total: 0, byViolation: {}, byAction: {} };
+  if (!sb) return getUserStatsMemory(userId, chatId, null);
   let q = sb
     .from('stats_user_daily')
     .select('total,by_violation,by_action')
@@ -507,16 +558,19 @@ export function computeRiskScore(byViolation = {}) {
   return score;
 }
 
-export async function getTopViolators(days = 7, chatId = null, limit = 10) {
+export async function getTopViolators(days = 7, chatId = null, limit = 10, { offsetDays = 0 } = {}) {
   const sb = getSupabase();
   if (!sb) return [];
   const since = new Date();
-  since.setUTCDate(since.getUTCDate() - (days - 1));
+  since.setUTCDate(since.getUTCDate() - offsetDays - (days - 1));
   const sinceStr = dayKey(since);
+  const until = new Date();
+  until.setUTCDate(until.getUTCDate() - offsetDays);
   let q = sb
     .from('stats_user_daily')
     .select('user_id,chat_id,day,total,by_violation')
-    .gte('day', sinceStr);
+    .gte('day', sinceStr)
+    .lte('day', dayKey(until));
   if (chatId != null) q = q.eq('chat_id', String(chatId));
   const { data, error } = await q;
   if (error) return [];
@@ -616,9 +670,7 @@ export function buildFunnyPrefix(riskLabel, topViolation) {
 
 export async function logAction(ctxOrApi, details = {}) {
   const LOG_CHAT_ID = process.env.LOG_CHAT_ID;
-  if (!LOG_CHAT_ID) return; // disabled if not configured
-  const enabled = boolFromEnv(process.env.LOG_ENABLE || 'true');
-  if (!enabled) return;
+  const enabled = Boolean(LOG_CHAT_ID) && boolFromEnv(process.env.LOG_ENABLE || 'true');
 
   const api = ctxOrApi?.api || ctxOrApi; // support ctx or api
 
@@ -645,6 +697,36 @@ export async function logAction(ctxOrApi, details = {}) {
   const contentRaw = typeof details.content === 'string' ? details.content : details.content?.text || '';
   const content = contentRaw ? escapeHtml(String(contentRaw).slice(0, 512)) : '';
 
+  // Counters are kept even when the log chat is disabled: escalation strikes and
+  // stats commands depend on them.
+  const record = async () => {
+    recordStats({ action, violation, user }, chat);
+    // Persist daily counters to Supabase (best-effort). Include user for per-user stats.
+    await recordStatsSupabase({ action, violation, user }, chat);
+    // Keep recent logs for UI
+    try {
+      const entry = {
+        ts: new Date().toISOString(),
+        action,
+        actionType,
+        violation,
+        chat: { id: String(chat?.id ?? ''), title: chat?.title, username: chat?.username },
+        user: user ? { id: user.id, first_name: user.first_name, last_name: user.last_name, username: user.username } : undefined,
+        content: contentRaw || '',
+        group_link: groupLink,
+      };
+      recentLogs.unshift(entry);
+      if (recentLogs.length > RECENT_CAP) recentLogs.length = RECENT_CAP;
+      // Durable audit trail for /modlog
+      await appendModerationLog(entry);
+    } catch {}
+  };
+
+  if (!enabled) {
+    await record();
+    return undefined;
+  }
+
   const lines = [];
   lines.push(`<b>Action:</b> ${escapeHtml(action)} (${escapeHtml(actionType)})`);
   lines.push(`<b>Violation:</b> ${escapeHtml(String(violation))}`);
@@ -662,7 +744,7 @@ export async function logAction(ctxOrApi, details = {}) {
     // Attach inline review buttons for explicit detections
     let replyMarkup;
     if (violation === 'no_explicit' || violation === 'name_no_explicit') {
-      const rid = createReview(contentRaw);
+      const rid = createReview(contentRaw, chat?.id);
       replyMarkup = {
         inline_keyboard: [
           [ { text: 'Valid ✅', callback_data: `rv:ok:${rid}` } ],
@@ -671,44 +753,12 @@ export async function logAction(ctxOrApi, details = {}) {
       };
     }
     const sent = await api.sendMessage(LOG_CHAT_ID, html, { parse_mode: 'HTML', disable_web_page_preview: true, reply_markup: replyMarkup });
-    // Update in-memory stats after successful log
-    recordStats({ action, violation }, chat);
-    // Persist daily counters to Supabase (best-effort). Include user for per-user stats.
-    await recordStatsSupabase({ action, violation, user }, chat);
-    // Keep recent logs for UI
-    try {
-      const entry = {
-        ts: new Date().toISOString(),
-        action,
-        actionType,
-        violation,
-        chat: { id: String(chat?.id ?? ''), title: chat?.title, username: chat?.username },
-        user: user ? { id: user.id, first_name: user.first_name, last_name: user.last_name, username: user.username } : undefined,
-        content: contentRaw || '',
-        group_link: groupLink,
-      };
-      recentLogs.unshift(entry);
-      if (recentLogs.length > RECENT_CAP) recentLogs.length = RECENT_CAP;
-    } catch {}
+    // Update stats after successful log
+    await record();
     return sent;
   } catch (_) {
     // Even if sending fails, attempt to record stats locally
-    recordStats({ action, violation }, chat);
-    await recordStatsSupabase({ action, violation, user }, chat);
-    try {
-      const entry = {
-        ts: new Date().toISOString(),
-        action,
-        actionType,
-        violation,
-        chat: { id: String(chat?.id ?? ''), title: chat?.title, username: chat?.username },
-        user: user ? { id: user.id, first_name: user.first_name, last_name: user.last_name, username: user.username } : undefined,
-        content: contentRaw || '',
-        group_link: groupLink,
-      };
-      recentLogs.unshift(entry);
-      if (recentLogs.length > RECENT_CAP) recentLogs.length = RECENT_CAP;
-    } catch {}
+    await record();
     return undefined;
   }
 }
@@ -0,0 +1,184 @@
+// In-process Prometheus metrics (text exposition format 0.0.4), served at /metrics by http/metrics.js.
+// Counters and histograms are updated by the modules that own the data; gauges are
+// read through callbacks at scrape time so hot paths don't pay for them.
+
+const PREFIX = 'tgsb_';
+const DEFAULT_BUCKETS = [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const metrics = new Map(); // name -> metric
+
+function escapeLabel(v) {
+  return String(v).replaceAll('\\', '\\\\').replaceAll('\n', '\\n').replaceAll('"', '\\"');
+}
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((k) => String(labels[k] ?? '')));
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const parts = labelNames.map((k, i) => `${k}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function register(name, metric) {
+  const full = PREFIX + name;
+  if (metrics.has(full)) return metrics.get(full);
+  metrics.set(full, { name: full, ...metric });
+  return metrics.get(full);
+}
+
+export function counter(name, help, labelNames = []) {
+  const values = new Map();
+  const m = register(name, {
+    type: 'counter',
+    help,
+    render(out) {
+      for (const [key, v] of values) out.push(`${m.name}${formatLabels(labelNames, JSON.parse(key))} ${v}`);
+    },
+    inc(labels = {}, n = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + n);
+    },
+  });
+  return m;
+}
+
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map(); // key -> { counts: number[], sum, count }
+  const m = register(name, {
+    type: 'histogram',
+    help,
+    render(out) {
+      for (const [key, s] of series) {
+        const values = JSON.parse(key);
+        let cumulative = 0;
+        buckets.forEach((le, i) => {
+          cumulative += s.counts[i];
+          out.push(`${m.name}_bucket${formatLabels(labelNames, values, `le="${le}"`)} ${cumulative}`);
+        });
+        out.push(`${m.name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${s.count}`);
+        out.push(`${m.name}_sum${formatLabels(labelNames, values)} ${s.sum}`);
+        out.push(`${m.name}_count${formatLabels(labelNames, values)} ${s.count}`);
+      }
+    },
+    observe(labels = {}, seconds = 0) {
+      const key = labelKey(labelNames, labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      const i = buckets.findIndex((le) => seconds <= le);
+      if (i >= 0) s.counts[i] += 1;
+      s.sum += seconds;
+      s.count += 1;
+    },
+  });
+  return m;
+}
+
+// collect() returns a number, or [{ labels, value }] for labelled series
+export function gauge(name, help, labelNames, collect) {
+  return register(name, {
+    type: 'gauge',
+    help,
+    render(out) {
+      let res;
+      try { res = collect(); } catch { return; }
+      const rows = Array.isArray(res) ? res : [{ labels: {}, value: res }];
+      for (const { labels, value } of rows) {
+        if (!Number.isFinite(value)) continue;
+        out.push(`${this.name}${formatLabels(labelNames, labelNames.map((k) => labels?.[k] ?? ''))} ${value}`);
+      }
+    },
+  });
+}
+
+export function renderMetrics() {
+  const out = [];
+  for (const m of metrics.values()) {
+    out.push(`# HELP ${m.name} ${m.help}`);
+    out.push(`# TYPE ${m.name} ${m.type}`);
+    m.render(out);
+  }
+  return `${out.join('\n')}\n`;
+}
+
+// --- Shared instruments ---
+
+export const moderationActions = counter('moderation_actions_total', 'Logged moderation/admin actions', ['action', 'violation']);
+
+const cacheLookups = counter('cache_lookups_total', 'Cache lookups by result (hit or miss)', ['cache', 'result']);
+const cacheSizes = new Map(); // cache name -> () => number
+gauge('cache_entries', 'Entries currently held per cache', ['cache'], () =>
+  Array.from(cacheSizes, ([cache, size]) => ({ labels: { cache }, value: size() }))
+);
+
+// Register a named cache; returns a recorder for lookups: hit(true|false)
+export function trackCache(name, sizeFn) {
+  if (sizeFn) cacheSizes.set(name, sizeFn);
+  return (hit) => cacheLookups.inc({ cache: name, result: hit ? 'hit' : 'miss' });
+}
+
+const aiDuration = histogram('ai_request_duration_seconds', 'AI provider request latency', ['operation', 'outcome']);
+
+// Time an AI provider call; errors are recorded and rethrown
+export async function timeAiCall(operation, fn) {
+  const started = process.hrtime.bigint();
+  let outcome = 'ok';
+  try {
+    return await fn();
+  } catch (err) {
+    outcome = 'error';
+    throw err;
+  } finally {
+    aiDuration.observe({ operation, outcome }, Number(process.hrtime.bigint() - started) / 1e9);
+  }
+}
+
+// --- Telegram Bot API ---
+
+const tgDuration = histogram('telegram_api_request_duration_seconds', 'Telegram Bot API request latency per attempt', ['method']);
+const tgErrors = counter('telegram_api_errors_total', 'Failed Telegram Bot API attempts by error code', ['method', 'code']);
+const tgCalls = counter('telegram_api_calls_total', 'Telegram Bot API calls made by the bot (before retries)', ['method']);
+let tgPending = 0; // calls accepted by the client and not finished
+let tgInFlight = 0; // attempts currently on the wire
+gauge('telegram_api_queue_depth', 'API calls waiting in the throttler or for an auto-retry backoff', [], () => Math.max(0, tgPending - tgInFlight));
+gauge('telegram_api_in_flight', 'Telegram Bot API requests currently on the wire', [], () => tgInFlight);
+
+// Two API transformers: install `inner` before autoRetry/throttler so it times each real
+// request, and `outer` after them so it sees every call including time spent queued.
+export function telegramApiTransformers() {
+  const inner = async (prev, method, payload, signal) => {
+    tgInFlight += 1;
+    const started = process.hrtime.bigint();
+    try {
+      const res = await prev(method, payload, signal);
+      if (!res?.ok) tgErrors.inc({ method, code: res?.error_code ?? 'unknown' });
+      return res;
+    } catch (err) {
+      tgErrors.inc({ method, code: 'network' });
+      throw err;
+    } finally {
+      tgInFlight -= 1;
+      tgDuration.observe({ method }, Number(process.hrtime.bigint() - started) / 1e9);
+    }
+  };
+  const outer = async (prev, method, payload, signal) => {
+    tgCalls.inc({ method });
+    tgPending += 1;
+    try {
+      return await prev(method, payload, signal);
+    } finally {
+      tgPending -= 1;
+    }
+  };
+  return { inner, outer };
+}
+
+// --- Process ---
+
+const startedAt = Date.now();
+gauge('process_uptime_seconds', 'Seconds since the bot process started', [], () => (Date.now() - startedAt) / 1000);
+gauge('process_resident_memory_bytes', 'Resident set size of the bot process', [], () => process.memoryUsage().rss);
@@ -0,0 +1,154 @@
+import { Composer } from 'grammy';
+import { logAction } from '../logger.js';
+import {
+  getAppealCase,
+  getAwaitingAppealCase,
+  updateAppealCase,
+  describeRemedies,
+  applyAppealRemedies,
+} from '../moderation/appeals.js';
+import { isBotAdminOrOwner } from '../permissions.js';
+import { replyTranslator, translate, DEFAULT_LOCALE } from '../i18n/index.js';
+
+const APPEAL_MAX_CHARS = 1000;
+const AWAIT_TTL_MS = 15 * 60 * 1000;
+
+function esc(s = '') {
+  return String(s).replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;');
+}
+
+function userLink(u) {
+  const name = [u?.first_name, u?.last_name].filter(Boolean).join(' ') || String(u?.id ?? '?');
+  return `<a href="tg://user?id=${u?.id}">${esc(name)}</a> [<code>${u?.id}</code>]`;
+}
+
+function chatLabel(chat) {
+  return `${esc(chat?.title || '')} [<code>${chat?.id}</code>]`;
+}
+
+// Remedy codes from applyAppealRemedies as text in `locale`
+function remediesText(locale, done) {
+  return done.map((code) => translate(locale, `appeal_done_${code}`)).join(', ');
+}
+
+function appealLogHtml(row, decision) {
+  const remedies = describeRemedies(row);
+  const lines = [
+    '📝 <b>Appeal</b>',
+    `<b>User:</b> ${userLink(row.user)}`,
+    `<b>Group:</b> ${chatLabel(row.chat)}`,
+    `<b>Violation:</b> ${esc(row.violation)}`,
+    row.repost ? `<b>Removed content:</b> ${esc(row.repost.slice(0, 300))}` : null,
+    `<b>On approval:</b> ${esc(remedies.length ? remedies.join(', ') : 'notify user only')}`,
+    '',
+    `<b>Appeal:</b> ${esc(row.appeal_text)}`,
+    decision ? `\n${decision}` : null,
+  ];
+  return lines.filter((l) => l !== null).join('\n');
+}
+
+// Appeals: deep link from moderation notices → DM with the bot → log chat review.
+// Every step reads and updates the stored case (status changes only from the expected status),
+// so the DM and the review buttons work on any worker and after a restart.
+export function appealsMiddleware() {
+  const composer = new Composer();
+
+  composer.command('start', async (ctx, next) => {
+    const m = String(ctx.match || '').match(/^appeal_([0-9a-f]+)$/);
+    if (ctx.chat?.type !== 'private' || !m) return next();
+    const t = await replyTranslator(ctx);
+    let row = await getAppealCase(m[1]);
+    if (!row || row.user.id !== ctx.from?.id) {
+      return ctx.reply(t('appeal_link_invalid'), { parse_mode: 'HTML' });
+    }
+    // The user owes us the appeal text until awaiting_until
+    if (row.status === 'open' && process.env.LOG_CHAT_ID) {
+      const awaiting_until = new Date(Date.now() + AWAIT_TTL_MS).toISOString();
+      row = (await updateAppealCase(row, 'open', { awaiting_until })) || (await getAppealCase(row.id));
+      if (!row) return ctx.reply(t('appeal_link_invalid'), { parse_mode: 'HTML' });
+    }
+    if (row.status !== 'open') {
+      return ctx.reply(t(`appeal_already_${row.status}`), { parse_mode: 'HTML' });
+    }
+    if (!process.env.LOG_CHAT_ID) {
+      return ctx.reply(t('appeal_unavailable'), { parse_mode: 'HTML' });
+    }
+    return ctx.reply(
+      t('appeal_prompt', { violation: esc(row.violation), chat: esc(row.chat.title || t('appeal_the_group')), max: APPEAL_MAX_CHARS }),
+      { parse_mode: 'HTML' }
+    );
+  });
+
+  composer.on('message:text', async (ctx, next) => {
+    if (ctx.chat?.type !== 'private' || !ctx.from || ctx.msg.text.startsWith('/')) return next();
+    const pending = await getAwaitingAppealCase(ctx.from.id);
+    if (!pending) return next();
+    const t = await replyTranslator(ctx);
+    const live = Date.parse(pending.awaiting_until) > Date.now();
+    // Claimed before it is posted, so a second message (or worker) can't submit it again
+    const row = await updateAppealCase(pending, 'open', live
+      ? { status: 'submitted', appeal_text: ctx.msg.text.slice(0, APPEAL_MAX_CHARS), locale: t.locale, awaiting_until: null }
+      : { awaiting_until: null });
+    if (!row || !live) {
+      return ctx.reply(t('appeal_expired'), { parse_mode: 'HTML' });
+    }
+    try {
+      await ctx.api.sendMessage(process.env.LOG_CHAT_ID, appealLogHtml(row), {
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+        reply_markup: {
+          inline_keyboard: [[
+            { text: translate(DEFAULT_LOCALE, 'appeal_btn_approve'), callback_data: `ap:ok:${row.id}` },
+            { text: translate(DEFAULT_LOCALE, 'appeal_btn_reject'), callback_data: `ap:no:${row.id}` },
+          ]],
+        },
+      });
+    } catch {
+      await updateAppealCase(row, 'submitted', { status: 'open', appeal_text: '', locale: null }).catch(() => {});
+      return ctx.reply(t('appeal_submit_failed'), { parse_mode: 'HTML' });
+    }
+    return ctx.reply(t('appeal_submitted'), { parse_mode: 'HTML' });
+  });
+
+  composer.callbackQuery(/^ap:(ok|no):([0-9a-f]+)$/, async (ctx) => {
+    const t = await replyTranslator(ctx);
+    if (!(await isBotAdminOrOwner(ctx))) return ctx.answerCallbackQuery({ text: t('cb_admins_only'), show_alert: true });
+    const [, kind, id] = ctx.match;
+    const approved = kind === 'ok';
+    const current = await getAppealCase(id);
+    // Decided once: a second click (here or on another worker) finds the new status
+    const row = current?.status === 'submitted'
+      ? await updateAppealCase(current, 'submitted', { status: approved ? 'approved' : 'rejected' })
+      : null;
+    if (!row) {
+      const latest = current && (await getAppealCase(id));
+      const decided = latest?.status === 'approved' || latest?.status === 'rejected';
+      try { await ctx.editMessageReplyMarkup({ inline_keyboard: [] }); } catch {}
+      return ctx.answerCallbackQuery({ text: t(decided ? `appeal_cb_already_${latest.status}` : 'appeal_cb_expired') });
+    }
+    const done = approved ? await applyAppealRemedies(ctx.api, row, ctx.from?.id) : [];
+    const decision = approved
+      ? `✅ <b>Approved</b> by ${userLink(ctx.from)}${done.length ? ` — ${esc(remediesText('en', done))}` : ''}`
+      : `❌ <b>Rejected</b> by ${userLink(ctx.from)}`;
+    try {
+      await ctx.editMessageText(appealLogHtml(row, decision), { parse_mode: 'HTML', disable_web_page_preview: true });
+    } catch {}
+    const locale = row.locale || DEFAULT_LOCALE;
+    const vars = { violation: esc(row.violation), chat: esc(row.chat.title || translate(locale, 'appeal_the_group')) };
+    const outcome = approved
+      ? translate(locale, 'appeal_approved', { ...vars, done: done.length ? translate(locale, 'appeal_done', { remedies: esc(remediesText(locale, done)) }) : '' })
+      : translate(locale, 'appeal_rejected', vars);
+    try { await ctx.api.sendMessage(row.user.id, outcome, { parse_mode: 'HTML' }); } catch {}
+    await logAction(ctx, {
+      action: approved ? 'appeal_approved' : 'appeal_rejected',
+      action_type: 'appeal',
+      violation: '-',
+      user: row.user,
+      chat: row.chat,
+      content: `violation=${row.violation}; by=${ctx.from?.id}; remedies=${done.join(', ') || '-'}; appeal=${row.appeal_text}`,
+    });
+    return ctx.answerCallbackQuery({ text: t(approved ? 'appeal_cb_approved' : 'appeal_cb_rejected') });
+  });
+
+  return composer;
+}
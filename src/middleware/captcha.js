@@ -0,0 +1,211 @@
+import { Composer } from 'grammy';
+import { getChatCaptcha, getCaptchaPending, getCaptchaChallenge, putCaptchaChallenge, takeCaptchaChallenge } from '../store/settings.js';
+import { logAction } from '../logger.js';
+import { MUTE_PERMISSIONS } from '../moderation/escalation.js';
+import { restoreMemberPermissions, kickMember } from '../moderation/members.js';
+import { registerJobHandler, scheduleJob, cancelJob } from '../moderation/scheduler.js';
+import { noticeRenderer, replyTranslator } from '../i18n/index.js';
+
+// Pending join challenges are stored with the chat's captcha settings; one scheduler job per
+// chat fires at the earliest expiry, so members who never answer are removed after a restart too.
+const TIMEOUT_JOB = 'captcha_timeout';
+
+// Challenges being settled in this process, so a timeout and an answer don't both act on one
+const settling = new Set();
+
+const EMOJI_POOL = ['🍎', '🚗', '🐶', '⚽', '🌙', '🎸', '🍕', '🚀', '🌵', '🐟', '🎈', '🔑'];
+// Locale key suffix of each emoji's name (captcha_emoji_<name>)
+const EMOJI_NAMES = {
+  '🍎': 'apple', '🚗': 'car', '🐶': 'dog', '⚽': 'football', '🌙': 'moon', '🎸': 'guitar',
+  '🍕': 'pizza', '🚀': 'rocket', '🌵': 'cactus', '🐟': 'fish', '🎈': 'balloon', '🔑': 'key',
+};
+
+function esc(s = '') {
+  return String(s).replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;');
+}
+
+function mention(u) {
+  const name = [u?.first_name, u?.last_name].filter(Boolean).join(' ') || String(u?.id ?? '?');
+  return `<a href="tg://user?id=${u?.id}">${esc(name)}</a>`;
+}
+
+function shuffle(arr) {
+  const out = arr.slice();
+  for (let i = out.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function pendingKey(chatId, userId) {
+  return `${chatId}:${userId}`;
+}
+
+// Returns { question, labels: string[], answer: index into labels }; t renders the chat's notices
+function buildChallenge(mode, t) {
+  if (mode === 'math') {
+    const a = 1 + Math.floor(Math.random() * 9);
+    const b = 1 + Math.floor(Math.random() * 9);
+    const sum = a + b;
+    const options = new Set([sum]);
+    while (options.size < 4) options.add(Math.max(0, sum + Math.floor(Math.random() * 9) - 4));
+    const labels = shuffle(Array.from(options)).map(String);
+    return { question: t('captcha_math', { a, b }), labels, answer: labels.indexOf(String(sum)) };
+  }
+  if (mode === 'emoji') {
+    const labels = shuffle(EMOJI_POOL).slice(0, 6);
+    const answer = Math.floor(Math.random() * labels.length);
+    return { question: t('captcha_emoji', { emoji: t(`captcha_emoji_${EMOJI_NAMES[labels[answer]]}`) }), labels, answer };
+  }
+  return { question: t('captcha_button'), labels: [t('captcha_button_label')], answer: 0 };
+}
+
+function challengeKeyboard(chatId, userId, labels) {
+  const buttons = labels.map((text, i) => ({ text, callback_data: `cap:${chatId}:${userId}:${i}` }));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 3) rows.push(buttons.slice(i, i + 3));
+  return { inline_keyboard: rows };
+}
+
+// Points the chat's timeout job at its earliest pending challenge, or drops it when none are left
+async function scheduleTimeouts(chatId) {
+  const rows = Object.values(await getCaptchaPending(chatId));
+  if (!rows.length) return cancelJob(TIMEOUT_JOB, chatId);
+  return scheduleJob(TIMEOUT_JOB, chatId, Math.min(...rows.map((row) => Date.parse(row.expires_at))));
+}
+
+// Removes the member's challenge and runs fn(row) once; returns null when it was already settled
+async function settleChallenge(chatId, userId, fn) {
+  const key = pendingKey(chatId, userId);
+  if (settling.has(key)) return null;
+  settling.add(key);
+  try {
+    const row = await takeCaptchaChallenge(chatId, userId);
+    if (!row) return null;
+    await fn(row);
+    await scheduleTimeouts(chatId);
+    return row;
+  } finally {
+    settling.delete(key);
+  }
+}
+
+// Deletes the challenge and removes the member (reason: timeout, wrong_answer or evicted)
+async function removeChallenged(api, chat, row, reason) {
+  try { await api.deleteMessage(chat.id, row.message_id); } catch {}
+  let kicked = true;
+  try {
+    await kickMember(api, chat.id, row.user.id);
+  } catch {
+    kicked = false;
+  }
+  await logAction(api, {
+    action: reason === 'timeout' ? 'captcha_timeout' : 'captcha_failed',
+    action_type: 'security',
+    violation: 'captcha',
+    user: row.user,
+    chat,
+    content: `reason=${reason}; kicked=${kicked ? 'yes' : 'no'}`,
+  });
+}
+
+async function failChallenge(api, chat, userId, reason) {
+  return settleChallenge(chat.id, userId, (row) => removeChallenged(api, chat, row, reason));
+}
+
+// Removes every member of the chat whose challenge has expired
+export async function expireChallenges(api, chatId, now = Date.now()) {
+  const pending = await getCaptchaPending(chatId);
+  for (const [userId, row] of Object.entries(pending)) {
+    if (Date.parse(row.expires_at) <= now) await failChallenge(api, { id: Number(chatId) }, Number(userId), 'timeout');
+  }
+  await scheduleTimeouts(chatId);
+}
+
+export async function isCaptchaPending(chatId, userId) {
+  return Boolean(await getCaptchaChallenge(chatId, userId));
+}
+
+// Restricts a new member and posts a challenge. Returns true if a captcha was started.
+export async function startCaptcha(ctx, member) {
+  const chat = ctx.chat;
+  if (!chat || !member || member.is_bot) return false;
+  const cfg = await getChatCaptcha(chat.id);
+  if (!cfg.enabled) return false;
+  if (await getCaptchaChallenge(chat.id, member.id)) return true;
+  try {
+    await ctx.api.restrictChatMember(chat.id, member.id, MUTE_PERMISSIONS);
+  } catch (err) {
+    const errMsg = String(err?.description || err?.message || err || '').slice(0, 160);
+    await logAction(ctx, { action: 'captcha_skipped', action_type: 'security', violation: '-', user: member, chat, content: `error=${errMsg}` });
+    return false;
+  }
+  const t = await noticeRenderer(chat.id);
+  const challenge = buildChallenge(cfg.mode, t);
+  let sent;
+  try {
+    sent = await ctx.api.sendMessage(
+      chat.id,
+      t('captcha_challenge', { user: mention(member), seconds: cfg.timeout_seconds, question: challenge.question }),
+      { parse_mode: 'HTML', reply_markup: challengeKeyboard(chat.id, member.id, challenge.labels) }
+    );
+  } catch {
+    try { await restoreMemberPermissions(ctx.api, chat.id, member.id); } catch {}
+    return false;
+  }
+  const evicted = await putCaptchaChallenge(chat.id, member.id, {
+    answer: challenge.answer,
+    message_id: sent.message_id,
+    expires_at: new Date(Date.now() + cfg.timeout_seconds * 1000).toISOString(),
+    user: { id: member.id, first_name: member.first_name, last_name: member.last_name, username: member.username },
+  });
+  // Over the pending cap the soonest to expire are removed now rather than left muted
+  for (const row of evicted) await removeChallenged(ctx.api, chat, row, 'evicted');
+  await scheduleTimeouts(chat.id);
+  return true;
+}
+
+export function captchaMiddleware() {
+  const composer = new Composer();
+
+  composer.callbackQuery(/^cap:(-?\d+):(\d+):(\d+)$/, async (ctx) => {
+    const [, chatIdStr, userIdStr, choiceStr] = ctx.match;
+    const chatId = Number(chatIdStr);
+    const userId = Number(userIdStr);
+    const chat = ctx.chat?.id === chatId ? { id: chatId, title: ctx.chat.title, username: ctx.chat.username } : { id: chatId };
+    const t = await replyTranslator(ctx);
+    const row = await getCaptchaChallenge(chatId, userId);
+    if (!row || Date.parse(row.expires_at) <= Date.now()) {
+      try { await ctx.editMessageReplyMarkup({ inline_keyboard: [] }); } catch {}
+      await ctx.answerCallbackQuery({ text: t('captcha_cb_expired') });
+      if (row) await failChallenge(ctx.api, chat, userId, 'timeout');
+      return;
+    }
+    if (ctx.from?.id !== row.user.id) {
+      return ctx.answerCallbackQuery({ text: t('captcha_cb_not_yours'), show_alert: true });
+    }
+    if (Number(choiceStr) !== row.answer) {
+      await ctx.answerCallbackQuery({ text: t('captcha_cb_wrong'), show_alert: true });
+      return failChallenge(ctx.api, chat, userId, 'wrong_answer');
+    }
+    const passed = await settleChallenge(chatId, userId, async () => {
+      try {
+        await restoreMemberPermissions(ctx.api, chatId, row.user.id);
+      } catch (err) {
+        const errMsg = String(err?.description || err?.message || err || '').slice(0, 160);
+        await logAction(ctx, { action: 'captcha_unrestrict_failed', action_type: 'security', violation: '-', user: row.user, chat, content: `error=${errMsg}` });
+      }
+      const notice = await noticeRenderer(chatId);
+      try {
+        await ctx.api.editMessageText(chatId, row.message_id, notice('captcha_verified', { user: mention(row.user) }), { parse_mode: 'HTML' });
+      } catch {}
+      await logAction(ctx, { action: 'captcha_passed', action_type: 'security', violation: '-', user: row.user, chat, content: 'verified' });
+    });
+    return ctx.answerCallbackQuery({ text: t(passed ? 'captcha_cb_verified' : 'captcha_cb_expired') });
+  });
+
+  return composer;
+}
+
+registerJobHandler(TIMEOUT_JOB, (api, chatId) => expireChallenges(api, chatId));
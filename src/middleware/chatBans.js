@@ -0,0 +1,227 @@
+import { Composer, InputFile } from 'grammy';
+import { logAction } from '../logger.js';
+import {
+  CHAT_BAN_ACTIONS,
+  getChatBans,
+  getChatBanEntry,
+  setChatBanEntry,
+  removeChatBanEntry,
+  importChatBans,
+} from '../store/settings.js';
+import { applyChatBanAction, restoreMemberPermissions } from '../moderation/members.js';
+import { replyTranslator } from '../i18n/index.js';
+import { isChatAdminWithBan, isBotAdminOrOwner } from '../permissions.js';
+
+// Per-chat ban list, managed by the chat's admins. Entries are enforced on join (bot.js) and on
+// message (securityMiddleware); /chat_ban_export and /chat_ban_import move lists between chats.
+
+const EXPORT_VERSION = 1;
+const IMPORT_MAX_BYTES = 1024 * 1024;
+const IMPORT_MAX_ENTRIES = 5000;
+
+function esc(s = '') {
+  return String(s).replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;');
+}
+
+function isGroup(ctx) {
+  return ctx.chat?.type === 'group' || ctx.chat?.type === 'supergroup';
+}
+
+async function canManage(ctx) {
+  return (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, ctx.from?.id));
+}
+
+const isUserId = (v) => /^\d{1,20}$/.test(String(v ?? '').trim());
+
+// Accepts an export from /chat_ban_export, a JSON array of ids or entries, or text with one
+// user id per line (optionally "id,action,reason"). Returns [{ userId, action, reason, addedBy, addedAt }].
+export function parseChatBanImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {}
+  const rows = Array.isArray(data) ? data : Array.isArray(data?.entries) ? data.entries : null;
+  if (rows) {
+    return rows
+      .map((row) => (row && typeof row === 'object'
+        ? {
+          userId: row.user_id ?? row.userId ?? row.id,
+          action: row.action,
+          reason: row.reason,
+          addedBy: Number(row.added_by ?? row.addedBy) || undefined,
+          addedAt: row.added_at ?? row.addedAt,
+        }
+        : { userId: row }))
+      .filter((row) => isUserId(row.userId))
+      .map((row) => ({ ...row, userId: String(row.userId).trim() }));
+  }
+  return String(text)
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => {
+      const [id, action, ...reason] = line.split(',');
+      return { userId: id.trim(), action: action?.trim().toLowerCase(), reason: reason.join(',').trim() };
+    })
+    .filter((row) => isUserId(row.userId));
+}
+
+async function downloadDocument(ctx, document) {
+  if (document.file_size > IMPORT_MAX_BYTES) throw new Error('file is larger than 1 MB');
+  const file = await ctx.api.getFile(document.file_id);
+  const res = await fetch(`https://api.telegram.org/file/bot${ctx.api.token}/${file.file_path}`, { signal: AbortSignal.timeout(15000) });
+  if (!res.ok) throw new Error(`download failed (HTTP ${res.status})`);
+  return res.text();
+}
+
+// Target from a reply or the first numeric argument; the remaining tokens are returned as `rest`
+function parseTarget(ctx) {
+  const tokens = String(ctx.match || '').trim().split(/\s+/).filter(Boolean);
+  const replyFrom = ctx.message?.reply_to_message?.from;
+  if (replyFrom && !replyFrom.is_bot) return { targetId: replyFrom.id, user: replyFrom, rest: tokens };
+  if (isUserId(tokens[0])) return { targetId: Number(tokens[0]), user: { id: Number(tokens[0]) }, rest: tokens.slice(1) };
+  return { targetId: NaN, rest: tokens };
+}
+
+export function chatBansMiddleware() {
+  const composer = new Composer();
+
+  composer.command('chat_ban_add', async (ctx) => {
+    if (!isGroup(ctx) || !(await canManage(ctx))) return;
+    const t = await replyTranslator(ctx);
+    const { targetId, user, rest } = parseTarget(ctx);
+    if (!Number.isFinite(targetId)) {
+      return ctx.reply(`${t('usage', { syntax: `/chat_ban_add &lt;user_id&gt; [${CHAT_BAN_ACTIONS.join('|')}] [reason]` })}${t('usage_or_reply')}`, { parse_mode: 'HTML' });
+    }
+    const action = CHAT_BAN_ACTIONS.includes(rest[0]?.toLowerCase()) ? rest.shift().toLowerCase() : 'ban';
+    const reason = rest.join(' ').trim();
+    try {
+      const member = await ctx.api.getChatMember(ctx.chat.id, targetId);
+      if (member?.status === 'creator' || member?.status === 'administrator') return ctx.reply(t('chat_ban_admin'), { parse_mode: 'HTML' });
+    } catch {}
+    const entry = await setChatBanEntry(ctx.chat.id, targetId, { action, reason, addedBy: ctx.from?.id, addedAt: new Date().toISOString() });
+    let applied = true;
+    try {
+      await applyChatBanAction(ctx.api, ctx.chat.id, targetId, entry);
+    } catch {
+      applied = false;
+    }
+    const lines = [
+      t('chat_ban_added', { id: targetId }),
+      t('field_action', { value: esc(entry.action) }),
+      reason ? t('field_reason', { value: esc(reason) }) : null,
+      applied ? t('chat_ban_applied') : t('chat_ban_pending'),
+    ].filter(Boolean);
+    await ctx.reply(lines.join('\n'), { parse_mode: 'HTML' });
+    await logAction(ctx, {
+      action: 'chat_ban_add',
+      action_type: 'admin',
+      violation: 'chat_ban',
+      user,
+      chat: ctx.chat,
+      content: `action=${entry.action}; reason=${reason || '-'}; applied=${applied ? 1 : 0}`,
+    });
+  });
+
+  composer.command('chat_ban_remove', async (ctx) => {
+    if (!isGroup(ctx) || !(await canManage(ctx))) return;
+    const t = await replyTranslator(ctx);
+    const { targetId, user } = parseTarget(ctx);
+    if (!Number.isFinite(targetId)) {
+      return ctx.reply(`${t('usage', { syntax: '/chat_ban_remove &lt;user_id&gt;' })}${t('usage_or_reply')}`, { parse_mode: 'HTML' });
+    }
+    const entry = await getChatBanEntry(ctx.chat.id, targetId);
+    if (!entry || !(await removeChatBanEntry(ctx.chat.id, targetId))) {
+      return ctx.reply(t('chat_ban_not_listed', { id: targetId }), { parse_mode: 'HTML' });
+    }
+    // Lift what the list applied so the user can come back
+    try {
+      if (entry.action === 'mute') await restoreMemberPermissions(ctx.api, ctx.chat.id, targetId);
+      else await ctx.api.unbanChatMember(ctx.chat.id, targetId, { only_if_banned: true });
+    } catch {}
+    await ctx.reply(t('chat_ban_removed', { id: targetId }), { parse_mode: 'HTML' });
+    await logAction(ctx, {
+      action: 'chat_ban_remove',
+      action_type: 'admin',
+      violation: 'chat_ban',
+      user,
+      chat: ctx.chat,
+      content: `previous_action=${entry.action}`,
+    });
+  });
+
+  composer.command('chat_ban_list', async (ctx) => {
+    if (!isGroup(ctx) || !(await canManage(ctx))) return;
+    const t = await replyTranslator(ctx);
+    const entries = Object.entries(await getChatBans(ctx.chat.id)).sort(([a], [b]) => (a > b ? 1 : -1));
+    if (!entries.length) return ctx.reply(t('chat_ban_empty'), { parse_mode: 'HTML' });
+    const lines = entries.slice(0, 50).map(([userId, entry]) => t('chat_ban_row', {
+      id: userId,
+      action: esc(entry.action),
+      reason: entry.reason ? ` — <i>${esc(entry.reason)}</i>` : '',
+      since: esc(String(entry.addedAt).slice(0, 10)),
+    }));
+    if (entries.length > 50) lines.push(t('more_not_shown', { n: entries.length - 50 }));
+    return ctx.reply([t('chat_ban_title', { n: entries.length }), ...lines, t('chat_ban_export_hint')].join('\n'), { parse_mode: 'HTML' });
+  });
+
+  composer.command('chat_ban_export', async (ctx) => {
+    if (!isGroup(ctx) || !(await canManage(ctx))) return;
+    const t = await replyTranslator(ctx);
+    const bans = await getChatBans(ctx.chat.id);
+    const doc = {
+      version: EXPORT_VERSION,
+      chat_id: String(ctx.chat.id),
+      exported_at: new Date().toISOString(),
+      entries: Object.entries(bans).map(([userId, entry]) => ({
+        user_id: userId,
+        action: entry.action,
+        reason: entry.reason,
+        added_by: entry.addedBy ?? null,
+        added_at: entry.addedAt,
+      })),
+    };
+    const file = new InputFile(Buffer.from(JSON.stringify(doc, null, 2)), `chat_bans_${ctx.chat.id}.json`);
+    return ctx.replyWithDocument(file, { caption: t('chat_ban_exported', { n: doc.entries.length }), parse_mode: 'HTML' });
+  });
+
+  // /chat_ban_import [replace] as a reply to an exported file (or a text file of ids), or with ids inline
+  composer.command('chat_ban_import', async (ctx) => {
+    if (!isGroup(ctx) || !(await canManage(ctx))) return;
+    const t = await replyTranslator(ctx);
+    const tokens = String(ctx.match || '').trim().split(/\s+/).filter(Boolean);
+    const replace = tokens.some((tok) => tok.toLowerCase() === 'replace');
+    const document = ctx.message?.reply_to_message?.document || ctx.message?.document;
+    let rows;
+    if (document) {
+      try {
+        rows = parseChatBanImport(await downloadDocument(ctx, document));
+      } catch (e) {
+        return ctx.reply(t('chat_ban_import_failed', { error: esc(e?.message || e) }), { parse_mode: 'HTML' });
+      }
+    } else {
+      rows = tokens.filter(isUserId).map((userId) => ({ userId }));
+    }
+    if (!rows.length) {
+      return ctx.reply(t('usage', { syntax: '/chat_ban_import [replace] &lt;user_id…&gt;' }) + t('chat_ban_import_hint'), { parse_mode: 'HTML' });
+    }
+    if (rows.length > IMPORT_MAX_ENTRIES) {
+      return ctx.reply(t('chat_ban_import_failed', { error: `more than ${IMPORT_MAX_ENTRIES} entries` }), { parse_mode: 'HTML' });
+    }
+    const result = await importChatBans(
+      ctx.chat.id,
+      rows.map((row) => ({ ...row, addedBy: row.addedBy ?? ctx.from?.id })),
+      { replace }
+    );
+    await ctx.reply(t('chat_ban_imported', result), { parse_mode: 'HTML' });
+    await logAction(ctx, {
+      action: 'chat_ban_import',
+      action_type: 'admin',
+      violation: 'chat_ban',
+      chat: ctx.chat,
+      content: `rows=${rows.length}; added=${result.added}; updated=${result.updated}; skipped=${result.skipped}; replace=${replace ? 1 : 0}`,
+    });
+  });
+
+  return composer;
+}
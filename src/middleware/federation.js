@@ -0,0 +1,175 @@
+import { Composer } from 'grammy';
+import { logAction } from '../logger.js';
+import {
+  FEDERATION_TRUST_LEVELS,
+  FEDERATION_OVERRIDE_ACTIONS,
+  listFederationSubscriptions,
+  setFederationSubscription,
+  removeFederationSubscription,
+  getFederationOverrides,
+  setFederationOverride,
+} from '../store/settings.js';
+import {
+  FEDERATION_NAME,
+  parsePublicKey,
+  exportPublicKey,
+  getPublishingKey,
+  syncFederationFeed,
+  syncFederationFeeds,
+  forgetFederationFeed,
+  describeFederationFeeds,
+  listFederatedEntriesForUser,
+} from '../moderation/federation.js';
+import { replyTranslator } from '../i18n/index.js';
+import { isBotAdminOrOwner } from '../permissions.js';
+
+// Bot admin commands for federation: subscribe to other deployments' signed blacklist feeds
+// and override individual federated entries.
+
+function esc(s = '') {
+  return String(s).replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;');
+}
+
+function when(iso) {
+  return `<code>${esc(String(iso).slice(0, 16).replace('T', ' '))}</code>`;
+}
+
+function args(ctx) {
+  return String(ctx.match || '').trim().split(/\s+/).filter(Boolean);
+}
+
+export function federationMiddleware() {
+  const composer = new Composer();
+
+  composer.command('federation_list', async (ctx) => {
+    const t = await replyTranslator(ctx);
+    if (!(await isBotAdminOrOwner(ctx))) return ctx.reply(t('admins_only'), { parse_mode: 'HTML' });
+    const key = getPublishingKey();
+    const lines = [
+      t('fed_title'),
+      key ? t('fed_publishing', { name: esc(FEDERATION_NAME), key: esc(exportPublicKey(key)) }) : t('fed_not_publishing'),
+    ];
+    const feeds = await describeFederationFeeds();
+    if (!feeds.length) lines.push(t('fed_none'));
+    for (const feed of feeds) {
+      let status = t('fed_status_pending');
+      if (feed.syncedAt) status = t('fed_status_ok', { n: feed.entries, at: when(feed.syncedAt) });
+      if (feed.error) status = `${feed.syncedAt ? `${status}; ` : ''}${t('fed_status_error', { error: esc(feed.error) })}`;
+      lines.push(t('fed_sub_row', { name: esc(feed.name), trust: esc(feed.trust), status, url: esc(feed.url) }));
+    }
+    const overrides = Object.keys(await getFederationOverrides()).length;
+    if (overrides) lines.push(t('fed_overrides_count', { n: overrides }));
+    return ctx.reply(lines.join('\n'), { parse_mode: 'HTML', disable_web_page_preview: true });
+  });
+
+  composer.command('federation_subscribe', async (ctx) => {
+    const t = await replyTranslator(ctx);
+    if (!(await isBotAdminOrOwner(ctx))) return ctx.reply(t('admins_only'), { parse_mode: 'HTML' });
+    const [rawName, url, publicKey, rawTrust = 'full'] = args(ctx);
+    const name = String(rawName || '').toLowerCase();
+    const trust = rawTrust.toLowerCase();
+    if (!publicKey || !FEDERATION_TRUST_LEVELS.includes(trust)) {
+      return ctx.reply(t('usage', { syntax: `/federation_subscribe &lt;name&gt; &lt;url&gt; &lt;public_key&gt; [${FEDERATION_TRUST_LEVELS.join('|')}]` }), { parse_mode: 'HTML' });
+    }
+    if (!/^[a-z0-9][a-z0-9_-]{0,31}$/.test(name)) return ctx.reply(t('fed_invalid_name'), { parse_mode: 'HTML' });
+    if (!/^https?:\/\/\S+$/i.test(url)) return ctx.reply(t('fed_invalid_url'), { parse_mode: 'HTML' });
+    try {
+      parsePublicKey(publicKey);
+    } catch {
+      return ctx.reply(t('fed_invalid_key'), { parse_mode: 'HTML' });
+    }
+    const sub = await setFederationSubscription(name, { url, publicKey, trust, addedBy: ctx.from?.id });
+    const result = await syncFederationFeed(ctx.api, { name, ...sub });
+    const lines = [
+      t('fed_subscribed', { name: esc(name), trust: esc(trust) }),
+      result.ok ? t('fed_sync_ok', { n: result.entries }) : t('fed_sync_failed', { error: esc(result.error) }),
+    ];
+    await ctx.reply(lines.join('\n'), { parse_mode: 'HTML' });
+    try {
+      await logAction(ctx, {
+        action: 'federation_subscribe',
+        action_type: 'admin',
+        violation: '-',
+        chat: ctx.chat,
+        content: `feed=${name}; url=${url}; trust=${trust}; synced=${result.ok ? result.entries : `error: ${result.error}`}`,
+      });
+    } catch {}
+  });
+
+  composer.command('federation_unsubscribe', async (ctx) => {
+    const t = await replyTranslator(ctx);
+    if (!(await isBotAdminOrOwner(ctx))) return ctx.reply(t('admins_only'), { parse_mode: 'HTML' });
+    const name = String(args(ctx)[0] || '').toLowerCase();
+    if (!name) return ctx.reply(t('usage', { syntax: '/federation_unsubscribe &lt;name&gt;' }), { parse_mode: 'HTML' });
+    if (!(await removeFederationSubscription(name))) return ctx.reply(t('fed_not_subscribed', { name: esc(name) }), { parse_mode: 'HTML' });
+    forgetFederationFeed(name);
+    await ctx.reply(t('fed_unsubscribed', { name: esc(name) }), { parse_mode: 'HTML' });
+    try {
+      await logAction(ctx, { action: 'federation_unsubscribe', action_type: 'admin', violation: '-', chat: ctx.chat, content: `feed=${name}` });
+    } catch {}
+  });
+
+  composer.command('federation_sync', async (ctx) => {
+    const t = await replyTranslator(ctx);
+    if (!(await isBotAdminOrOwner(ctx))) return ctx.reply(t('admins_only'), { parse_mode: 'HTML' });
+    const results = Object.entries(await syncFederationFeeds(ctx.api));
+    if (!results.length) return ctx.reply([t('fed_title'), t('fed_none')].join('\n'), { parse_mode: 'HTML' });
+    const lines = results.map(([name, r]) => (r.ok
+      ? t('fed_sync_row_ok', { name: esc(name), n: r.entries, added: r.added, removed: r.removed })
+      : t('fed_sync_row_failed', { name: esc(name), error: esc(r.error) })));
+    return ctx.reply([t('fed_sync_title'), ...lines].join('\n'), { parse_mode: 'HTML' });
+  });
+
+  // /federation_override <user_id> shows what the feeds say; with an action it stores an override
+  composer.command('federation_override', async (ctx) => {
+    const t = await replyTranslator(ctx);
+    if (!(await isBotAdminOrOwner(ctx))) return ctx.reply(t('admins_only'), { parse_mode: 'HTML' });
+    const replyFrom = ctx.message?.reply_to_message?.from;
+    const parts = args(ctx);
+    const targetId = /^\d+$/.test(parts[0] || '') ? Number(parts.shift()) : replyFrom?.id;
+    const action = String(parts[0] || '').toLowerCase();
+    const choices = [...FEDERATION_OVERRIDE_ACTIONS, 'default'];
+    if (!Number.isFinite(targetId) || (action && !choices.includes(action))) {
+      return ctx.reply(`${t('usage', { syntax: `/federation_override &lt;user_id&gt; [${choices.join('|')}]` })}${t('usage_or_reply')}`, { parse_mode: 'HTML' });
+    }
+
+    if (!action) {
+      const rows = await listFederatedEntriesForUser(targetId);
+      const override = (await getFederationOverrides())[String(targetId)];
+      const lines = [t('fed_user_title', { id: targetId })];
+      if (!rows.length) lines.push(t('fed_user_none'));
+      for (const row of rows) {
+        lines.push(t('fed_user_row', {
+          name: esc(row.name),
+          trust: esc(row.trust),
+          action: esc(row.action),
+          reason: row.reason ? ` — <i>${esc(row.reason)}</i>` : '',
+        }));
+      }
+      lines.push(override
+        ? t('fed_override_current', { action: esc(override.action), by: Number.isFinite(override.by) ? `<code>${override.by}</code>` : '-', at: when(override.at) })
+        : t('fed_override_none'));
+      return ctx.reply(lines.join('\n'), { parse_mode: 'HTML' });
+    }
+
+    if (action === 'default') {
+      const cleared = await setFederationOverride(targetId, null);
+      await ctx.reply(cleared ? t('fed_override_cleared', { id: targetId }) : t('fed_override_none'), { parse_mode: 'HTML' });
+    } else {
+      await setFederationOverride(targetId, action, { by: ctx.from?.id });
+      await ctx.reply(t('fed_override_set', { id: targetId, action: esc(action) }), { parse_mode: 'HTML' });
+    }
+    try {
+      await logAction(ctx, {
+        action: 'federation_override',
+        action_type: 'admin',
+        violation: 'blacklist',
+        user: { id: targetId },
+        chat: ctx.chat,
+        content: `override=${action}`,
+      });
+    } catch {}
+  });
+
+  return composer;
+}
@@ -0,0 +1,201 @@
+import { Composer } from 'grammy';
+import { getChatJoinRequests, getBlacklistEntry, getChatBanEntry, isRuleEnabled } from '../store/settings.js';
+import { getFederatedBlacklistEntry } from '../moderation/federation.js';
+import { textHasLink, containsExplicit } from '../filters.js';
+import { checkUserBioStatus } from './security.js';
+import { logAction } from '../logger.js';
+import { noticeRenderer, replyTranslator, translate } from '../i18n/index.js';
+import { isChatAdminWithBan, isBotAdminOrOwner } from '../permissions.js';
+
+// Screens chat_join_request updates for chats with "approve new members" turned on, using the
+// same checks as the join handler in bot.js. Blacklisted and chat-banned users are declined;
+// the per-chat policy (/join_screening) decides between approving, declining and holding the
+// request for admin review. Review cards go to LOG_CHAT_ID and to the chat's admins in private,
+// never to the group, since they name flagged users. Held requests stay pending on Telegram's
+// side, so the review buttons need no state of their own.
+
+function esc(s = '') {
+  return String(s).replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;');
+}
+
+function mention(u) {
+  const name = [u?.first_name, u?.last_name].filter(Boolean).join(' ') || String(u?.id ?? '?');
+  return `<a href="tg://user?id=${u?.id}">${esc(name)}</a>`;
+}
+
+function displayName(u) {
+  return [u?.first_name, u?.last_name, u?.username ? `@${u.username}` : null].filter(Boolean).join(' ');
+}
+
+// Returns { verdict: 'blocked'|'flagged'|'passed', violation, flags: string[], reason }
+async function screenJoinRequest(ctx, user) {
+  const chatId = ctx.chat.id;
+  // Observe-only federation entries never act on a user
+  const listed = (await getBlacklistEntry(user.id)) || (await getFederatedBlacklistEntry(user.id));
+  if (listed && !listed.observe) {
+    return { verdict: 'blocked', violation: 'blacklist', flags: [`blacklist:${listed.origin || 'local'}`], reason: listed.reason || '' };
+  }
+  const chatBan = await getChatBanEntry(chatId, user.id);
+  if (chatBan) return { verdict: 'blocked', violation: 'chat_ban', flags: ['chat_ban'], reason: chatBan.reason || '' };
+
+  const flags = [];
+  const dn = displayName(user);
+  if (dn && (await isRuleEnabled('no_links', chatId)) && textHasLink(dn)) flags.push('name_link');
+  if (dn && (await isRuleEnabled('no_explicit', chatId)) && containsExplicit(dn)) flags.push('name_explicit');
+  if (await isRuleEnabled('bio_block', chatId)) {
+    const bio = await checkUserBioStatus(ctx, user.id);
+    if (bio.hasLink) flags.push('bio_link');
+    if (bio.hasExplicit) flags.push('bio_explicit');
+  }
+  if (!flags.length) return { verdict: 'passed', violation: '-', flags, reason: '' };
+  const violation = flags[0] === 'name_link' ? 'name_no_links' : flags[0] === 'name_explicit' ? 'name_no_explicit' : 'bio_block';
+  return { verdict: 'flagged', violation, flags, reason: '' };
+}
+
+// Flags -> "link in name/username; bio contains a link" using the notice fragments
+function describeFlags(t, flags) {
+  const name = flags.includes('name_link') && flags.includes('name_explicit')
+    ? 'reason_name_link_explicit'
+    : flags.includes('name_link') ? 'reason_name_link' : flags.includes('name_explicit') ? 'reason_name_explicit' : null;
+  const bio = flags.includes('bio_link') && flags.includes('bio_explicit')
+    ? 'reason_bio_link_explicit'
+    : flags.includes('bio_link') ? 'reason_bio_link' : flags.includes('bio_explicit') ? 'reason_bio_explicit' : null;
+  return [name && t(name), bio && t('join_request_bio', { reason: t(bio) })].filter(Boolean).join('; ');
+}
+
+function errorText(err) {
+  return String(err?.description || err?.message || err || '').slice(0, 160);
+}
+
+async function decide(api, chatId, userId, approve) {
+  if (approve) await api.approveChatJoinRequest(chatId, userId);
+  else await api.declineChatJoinRequest(chatId, userId);
+}
+
+// Sends the review card to the log chat and DMs each human admin who can decide; returns the
+// number of places reached and throws when there were none
+async function holdForReview(ctx, user, flags) {
+  const chat = ctx.chat;
+  const t = await noticeRenderer(chat.id);
+  const described = describeFlags(t, flags);
+  const text = t('join_request_review', {
+    user: mention(user),
+    chat: `<b>${esc(chat.title || String(chat.id))}</b>`,
+    reason: described ? t('join_request_flagged', { reason: described }) : '',
+  });
+  const reply_markup = {
+    inline_keyboard: [[
+      { text: translate(t.locale, 'jr_btn_approve'), callback_data: `jr:approve:${chat.id}:${user.id}` },
+      { text: translate(t.locale, 'jr_btn_decline'), callback_data: `jr:decline:${chat.id}:${user.id}` },
+    ]],
+  };
+  const opts = { parse_mode: 'HTML', reply_markup, disable_web_page_preview: true };
+  let sent = 0;
+  if (process.env.LOG_CHAT_ID) {
+    try {
+      await ctx.api.sendMessage(process.env.LOG_CHAT_ID, text, opts);
+      sent += 1;
+    } catch {}
+  }
+  let admins = [];
+  try { admins = await ctx.api.getChatAdministrators(chat.id); } catch {}
+  for (const m of admins) {
+    if (m.user?.is_bot || (m.status !== 'creator' && !m.can_restrict_members)) continue;
+    // Admins who never opened a private chat with the bot can't be messaged
+    try {
+      await ctx.api.sendMessage(m.user.id, text, opts);
+      sent += 1;
+    } catch {}
+  }
+  if (!sent) throw new Error('no log chat or admin could be reached');
+  return sent;
+}
+
+export function joinRequestsMiddleware() {
+  const composer = new Composer();
+
+  composer.on('chat_join_request', async (ctx) => {
+    const request = ctx.chatJoinRequest;
+    const user = request.from;
+    const cfg = await getChatJoinRequests(ctx.chat.id);
+    if (!cfg.enabled || user.is_bot) return;
+
+    const result = await screenJoinRequest(ctx, user);
+    const decision = result.verdict === 'blocked' ? 'decline' : result.verdict === 'flagged' ? cfg.flagged : cfg.passed;
+
+    const content = [
+      'decision=auto',
+      `verdict=${result.verdict}`,
+      `flags=${result.flags.join(',') || '-'}`,
+      result.reason ? `reason=${result.reason.slice(0, 180)}` : null,
+      `name=${displayName(user) || '-'}`,
+    ].filter(Boolean).join('; ');
+    const entry = { action_type: 'security', violation: result.violation, user, chat: ctx.chat };
+
+    if (decision === 'hold') {
+      let reviewers;
+      try {
+        reviewers = await holdForReview(ctx, user, result.flags);
+      } catch (err) {
+        // Nobody would see the request otherwise; it stays pending for Telegram's own admin UI
+        await logAction(ctx, { ...entry, action: 'join_request_failed', content: `${content}; decision=hold; error=${errorText(err)}` });
+        return;
+      }
+      await logAction(ctx, { ...entry, action: 'join_request_held', content: `${content}; cards_sent=${reviewers}` });
+      return;
+    }
+    try {
+      await decide(ctx.api, ctx.chat.id, user.id, decision === 'approve');
+    } catch (err) {
+      await logAction(ctx, { ...entry, action: 'join_request_failed', content: `${content}; decision=${decision}; error=${errorText(err)}` });
+      return;
+    }
+    await logAction(ctx, { ...entry, action: decision === 'approve' ? 'join_request_approved' : 'join_request_declined', content });
+  });
+
+  // Cards carry the chat id; ones posted in the group by earlier versions don't
+  composer.callbackQuery(/^jr:(approve|decline):(?:(-?\d+):)?(\d+)$/, async (ctx) => {
+    const t = await replyTranslator(ctx);
+    const [, choice, chatIdStr, userIdStr] = ctx.match;
+    const chatId = chatIdStr ? Number(chatIdStr) : ctx.chat?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, ctx.from?.id, chatId));
+    if (!ok) return ctx.answerCallbackQuery({ text: t('cb_admins_only'), show_alert: true });
+    const userId = Number(userIdStr);
+    const approve = choice === 'approve';
+    const user = { id: userId };
+    const chat = ctx.chat?.id === chatId ? ctx.chat : { id: chatId };
+    try {
+      await decide(ctx.api, chatId, userId, approve);
+    } catch (err) {
+      // Usually the request was already handled (by another admin or in Telegram's UI) or withdrawn
+      try { await ctx.editMessageReplyMarkup({ inline_keyboard: [] }); } catch {}
+      await logAction(ctx, {
+        action: 'join_request_failed',
+        action_type: 'admin',
+        violation: '-',
+        user,
+        chat,
+        content: `decision=${choice}; by=${ctx.from?.id}; error=${errorText(err)}`,
+      });
+      return ctx.answerCallbackQuery({ text: t('jr_cb_gone'), show_alert: true });
+    }
+    const notice = await noticeRenderer(chatId);
+    try {
+      await ctx.editMessageText(
+        notice(approve ? 'join_request_approved' : 'join_request_declined', { user: `<a href="tg://user?id=${userId}">${userId}</a>`, admin: mention(ctx.from) }),
+        { parse_mode: 'HTML', disable_web_page_preview: true }
+      );
+    } catch {}
+    await logAction(ctx, {
+      action: approve ? 'join_request_approved' : 'join_request_declined',
+      action_type: 'admin',
+      violation: '-',
+      user,
+      chat,
+      content: `decision=admin; by=${ctx.from?.id}`,
+    });
+    return ctx.answerCallbackQuery({ text: t(approve ? 'jr_cb_approved' : 'jr_cb_declined') });
+  });
+
+  return composer;
+}
@@ -0,0 +1,118 @@
+import { Composer } from 'grammy';
+import { getActiveLockdown, startLockdown, endLockdown } from '../moderation/lockdown.js';
+import { getActiveSlowmode, startSlowmode, endSlowmode } from '../moderation/slowmode.js';
+import { SLOWMODE_RANGE } from '../store/settings.js';
+import { parseDuration, formatDuration } from '../moderation/duration.js';
+import { replyTranslator } from '../i18n/index.js';
+import { isChatAdminWithBan, isBotAdminOrOwner } from '../permissions.js';
+
+// /lockdown shows the chat's lockdown (raid detection or manual, see moderation/lockdown.js);
+// /lockdown on|<duration> locks the chat (read-only) and /lockdown off ends it.
+// /slowmode <interval> [duration] limits each sender to one message per interval (see
+// moderation/slowmode.js); /slowmode off ends it. Both ends survive restarts (scheduler jobs).
+
+const LOCKDOWN_USAGE = '/lockdown [on|off|duration]';
+const SLOWMODE_USAGE = '/slowmode [off|interval] [duration]';
+
+function esc(s = '') {
+  return String(s).replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;');
+}
+
+function isGroup(ctx) {
+  return ctx.chat?.type === 'group' || ctx.chat?.type === 'supergroup';
+}
+
+async function canManage(ctx) {
+  return (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, ctx.from?.id));
+}
+
+function formatAt(iso) {
+  return `<code>${esc(String(iso).slice(0, 16).replace('T', ' '))}</code>`;
+}
+
+function secondsLeft(until) {
+  return Math.ceil((Date.parse(until) - Date.now()) / 1000);
+}
+
+// Slow mode intervals may be given as plain seconds (like Telegram's) or as a duration
+function parseInterval(input) {
+  const seconds = /^\d{1,5}$/.test(input) ? Number(input) : parseDuration(input);
+  return seconds && seconds >= SLOWMODE_RANGE.min && seconds <= SLOWMODE_RANGE.max ? seconds : null;
+}
+
+export function lockdownMiddleware() {
+  const composer = new Composer();
+
+  composer.command('lockdown', async (ctx) => {
+    if (!isGroup(ctx) || !(await canManage(ctx))) return;
+    const t = await replyTranslator(ctx);
+    const arg = String(ctx.match || '').trim().toLowerCase();
+
+    if (arg === 'on' || (arg && arg !== 'off')) {
+      const seconds = arg === 'on' ? null : parseDuration(arg);
+      if (arg !== 'on' && !seconds) return ctx.reply(t('usage', { syntax: LOCKDOWN_USAGE }), { parse_mode: 'HTML' });
+      try {
+        await startLockdown(ctx.api, ctx.chat, { trigger: 'manual', by: ctx.from?.id, seconds });
+      } catch (err) {
+        return ctx.reply(t('lockdown_failed', { error: esc(err?.description || err?.message || err) }), { parse_mode: 'HTML' });
+      }
+      return;
+    }
+
+    const lockdown = await getActiveLockdown(ctx.chat.id);
+    if (!lockdown) return ctx.reply([t('lockdown_none'), t('lockdown_start_hint')].join('\n'), { parse_mode: 'HTML' });
+    if (arg === 'off') {
+      try {
+        await endLockdown(ctx.api, ctx.chat.id, { by: ctx.from?.id, reason: 'manual' });
+      } catch (err) {
+        return ctx.reply(t('lockdown_end_failed', { error: esc(err?.description || err?.message || err) }), { parse_mode: 'HTML' });
+      }
+      return;
+    }
+    const lines = [
+      t('lockdown_title'),
+      lockdown.trigger === 'manual'
+        ? t('lockdown_trigger_manual', { by: lockdown.by ? `<code>${esc(lockdown.by)}</code>` : '-' })
+        : t('lockdown_trigger', { trigger: esc(lockdown.trigger), joins: lockdown.joins }),
+      t('lockdown_since', { at: formatAt(lockdown.since) }),
+      lockdown.until ? t('lockdown_left', { left: esc(formatDuration(secondsLeft(lockdown.until))) }) : t('lockdown_open'),
+      lockdown.read_only ? t('lockdown_read_only') : null,
+      t('lockdown_restricted', { n: lockdown.restricted.length }),
+      t('lockdown_off_hint'),
+    ];
+    return ctx.reply(lines.filter(Boolean).join('\n'), { parse_mode: 'HTML' });
+  });
+
+  composer.command('slowmode', async (ctx) => {
+    if (!isGroup(ctx) || !(await canManage(ctx))) return;
+    const t = await replyTranslator(ctx);
+    const args = String(ctx.match || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+    if (!args.length || args[0] === 'off') {
+      if (args.length > 1) return ctx.reply(t('usage', { syntax: SLOWMODE_USAGE }), { parse_mode: 'HTML' });
+      const slowmode = await getActiveSlowmode(ctx.chat.id);
+      if (!slowmode) return ctx.reply([t('slowmode_none'), t('slowmode_hint')].join('\n'), { parse_mode: 'HTML' });
+      if (args[0] === 'off') {
+        await endSlowmode(ctx.api, ctx.chat.id, { by: ctx.from?.id, reason: 'manual' });
+        return;
+      }
+      const lines = [
+        t('slowmode_title'),
+        t('slowmode_interval', { interval: esc(formatDuration(slowmode.seconds)) }),
+        t('slowmode_since', { at: formatAt(slowmode.since) }),
+        slowmode.until ? t('slowmode_left', { left: esc(formatDuration(secondsLeft(slowmode.until))) }) : t('slowmode_open'),
+        t('slowmode_off_hint'),
+      ];
+      return ctx.reply(lines.join('\n'), { parse_mode: 'HTML' });
+    }
+
+    const seconds = parseInterval(args[0]);
+    const duration = args[1] ? parseDuration(args[1]) : null;
+    if (!seconds || (args[1] && !duration) || args.length > 2) {
+      return ctx.reply(t('usage', { syntax: SLOWMODE_USAGE }), { parse_mode: 'HTML' });
+    }
+    await startSlowmode(ctx.api, ctx.chat, { seconds, duration, by: ctx.from?.id });
+  });
+
+  return composer;
+}
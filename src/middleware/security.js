@@ -3,11 +3,25 @@ import {
   entitiesContainLink,
   containsExplicit,
   overCharLimit,
+  extractLinks,
+  findDisallowedLinks,
 } from '../filters.js';
-import { isRuleEnabled, getSettings, getEffectiveMaxLen, isUserWhitelisted, getBlacklistEntry } from '../store/settings.js';
+import { isRuleEnabled, getSettings, getEffectiveMaxLen, getEffectiveLimits, isUserWhitelisted, getBlacklistEntry, getChatBanEntry, getChatRaid, getChatMediaPolicy, MEDIA_POLICY_MAX_DAYS, listChatCustomRules, getEffectiveLinkPolicy } from '../store/settings.js';
 import { logAction, getUserRiskSummary, buildFunnyPrefix, removeChatPresenceUsers } from '../logger.js';
 import { classifyText as aiClassifyText, classifyLinks as aiClassifyLinks } from '../ai/provider_openai.js';
 import { addSafeTerms } from '../filters/customTerms.js';
+import { applyEscalation, MUTE_PERMISSIONS } from '../moderation/escalation.js';
+import { findCustomRuleMatch, customRulesNeedBio, renderCustomNotice } from '../moderation/customRules.js';
+import { formatDuration } from '../moderation/duration.js';
+import { createAppealCase, appealDeepLink } from '../moderation/appeals.js';
+import { applyBlacklistAction, applyChatBanAction } from '../moderation/members.js';
+import { getFederatedBlacklistEntry, noteFederatedSighting } from '../moderation/federation.js';
+import { getActiveLockdown } from '../moderation/lockdown.js';
+import { getActiveSlowmode, slowmodeWait } from '../moderation/slowmode.js';
+import { getActiveNightWindow } from '../moderation/nightmode.js';
+import { trackCache } from '../metrics.js';
+import { getSpamStateStore } from '../store/spamState.js';
+import { renderNotice, noticeRenderer } from '../i18n/index.js';
 
 // Cache for user bio moderation status to reduce API calls.
 // Entries expire automatically so users are re-checked after updating their bio.
@@ -21,6 +35,8 @@ const BIO_CACHE_TTL_MS = Number.isFinite(BIO_CACHE_TTL_MS_RAW)
 // Cache for chat admin status lookups with TTL
 // Map<`${chatId}:${userId}`, { isAdmin: boolean, until: number }>
 const adminStatusCache = new Map();
+const recordBioCacheLookup = trackCache('bio_moderation', () => bioModerationCache.size);
+const recordAdminCacheLookup = trackCache('admin_status', () => adminStatusCache.size);
 
 // Cache the bot's own permissions per chat to reduce API calls
 // Map<chatId, { until: number, isAdmin: boolean, canDelete: boolean }>
@@ -45,63 +61,37 @@ function mentionHTML(user) {
   return `<code>${escapeHtml(String(id))}</code>`;
 }
 
-const BLACKLIST_MUTE_PERMISSIONS = {
-  can_send_messages: false,
-  can_send_audios: false,
-  can_send_documents: false,
-  can_send_photos: false,
-  can_send_videos: false,
-  can_send_video_notes: false,
-  can_send_voice_notes: false,
-  can_send_polls: false,
-  can_send_other_messages: false,
-  can_add_web_page_previews: false,
-  can_change_info: false,
-  can_invite_users: false,
-  can_pin_messages: false,
-};
-
-// Realtime anti-spam / probation state (in-memory)
-const floodState = new Map(); // key -> number[] timestamps (ms)
-const duplicateState = new Map(); // key -> { text: string, count: number, lastTs: number }
-const newMemberProbationState = new Map(); // key -> until timestamp (ms)
+// Realtime anti-spam / probation state lives in the spam state store
+// (in-memory by default, shared between workers with SPAM_STATE_BACKEND=redis|supabase)
 let lastSpamStatePruneAt = 0;
 
-const FLOOD_WINDOW_SEC_RAW = Number(process.env.FLOOD_WINDOW_SECONDS);
-const FLOOD_WINDOW_MS = Number.isFinite(FLOOD_WINDOW_SEC_RAW)
-  ? Math.max(1, FLOOD_WINDOW_SEC_RAW) * 1000
-  : 10 * 1000;
-const FLOOD_MAX_MESSAGES_RAW = Number(process.env.FLOOD_MAX_MESSAGES);
-const FLOOD_MAX_MESSAGES = Number.isFinite(FLOOD_MAX_MESSAGES_RAW)
-  ? Math.max(2, Math.trunc(FLOOD_MAX_MESSAGES_RAW))
-  : 6;
-const FLOOD_MUTE_SECONDS_RAW = Number(process.env.FLOOD_MUTE_SECONDS);
-const FLOOD_MUTE_SECONDS = Number.isFinite(FLOOD_MUTE_SECONDS_RAW)
-  ? Math.max(0, Math.trunc(FLOOD_MUTE_SECONDS_RAW))
-  : 60;
-
-const DUP_WINDOW_SEC_RAW = Number(process.env.DUPLICATE_WINDOW_SECONDS);
-const DUP_WINDOW_MS = Number.isFinite(DUP_WINDOW_SEC_RAW)
-  ? Math.max(1, DUP_WINDOW_SEC_RAW) * 1000
-  : 120 * 1000;
-const DUP_REPEAT_RAW = Number(process.env.DUPLICATE_REPEAT_LIMIT);
-const DUP_REPEAT_LIMIT = Number.isFinite(DUP_REPEAT_RAW)
-  ? Math.max(2, Math.trunc(DUP_REPEAT_RAW))
-  : 3;
 const DUP_MIN_LEN_RAW = Number(process.env.DUPLICATE_MIN_LENGTH);
 const DUP_MIN_LENGTH = Number.isFinite(DUP_MIN_LEN_RAW)
   ? Math.max(1, Math.trunc(DUP_MIN_LEN_RAW))
   : 8;
 
-const NEW_MEMBER_PROBATION_MIN_RAW = Number(process.env.NEW_MEMBER_PROBATION_MINUTES);
-const NEW_MEMBER_PROBATION_MS = Number.isFinite(NEW_MEMBER_PROBATION_MIN_RAW)
-  ? Math.max(0, NEW_MEMBER_PROBATION_MIN_RAW) * 60 * 1000
-  : 30 * 60 * 1000;
+// Flood/duplicate windows and probation come from the chat's effective limits
+// (chat override, global setting, env default; see SPAM_LIMIT_DEFAULTS in rules.js).
 
 function spamStateKey(chatId, userId) {
   return `${chatId}:${userId}`;
 }
 
+// Join times for the media policy live in the spam state store as the moment the member stops
+// being new for any rule (join + MEDIA_POLICY_MAX_DAYS), so they expire on their own
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function joinedKey(chatId, userId) {
+  return `${spamStateKey(chatId, userId)}:joined`;
+}
+
+// Days since the member joined, or null when the bot didn't see the join (counts as old)
+async function memberAgeDays(chatId, userId, now = Date.now()) {
+  const until = await (await getSpamStateStore()).getProbation(joinedKey(chatId, userId));
+  if (!Number.isFinite(until)) return null;
+  return (now - (until - MEDIA_POLICY_MAX_DAYS * DAY_MS)) / DAY_MS;
+}
+
 function normalizeDuplicateText(text = '') {
   return String(text || '')
     .toLowerCase()
@@ -109,77 +99,58 @@ function normalizeDuplicateText(text = '') {
     .trim();
 }
 
+// Most specific first: animations also carry `document`, venues also carry `location`
+const MEDIA_TYPE_ORDER = ['animation', 'sticker', 'video_note', 'voice', 'audio', 'video', 'photo', 'document', 'contact', 'venue', 'location', 'poll', 'dice', 'game'];
+
+// The message's content type (one of MEDIA_TYPES), or null for plain text and service messages
+function messageMediaType(msg = {}) {
+  return MEDIA_TYPE_ORDER.find((type) => msg[type]) || null;
+}
+
+// Dice and games don't count as media for probation and night mode
 function messageHasMedia(msg = {}) {
-  return Boolean(
-    msg.photo ||
-      msg.video ||
-      msg.document ||
-      msg.audio ||
-      msg.voice ||
-      msg.video_note ||
-      msg.animation ||
-      msg.sticker ||
-      msg.contact ||
-      msg.location ||
-      msg.venue ||
-      msg.poll
-  );
+  const type = messageMediaType(msg);
+  return Boolean(type) && type !== 'dice' && type !== 'game';
 }
 
-function pruneSpamState(now = Date.now()) {
+async function pruneSpamState(now = Date.now()) {
   if (now - lastSpamStatePruneAt < 30 * 1000) return;
   lastSpamStatePruneAt = now;
-  for (const [key, arr] of floodState.entries()) {
-    const recent = (arr || []).filter((ts) => now - ts <= FLOOD_WINDOW_MS);
-    if (!recent.length) floodState.delete(key);
-    else floodState.set(key, recent);
-  }
-  for (const [key, row] of duplicateState.entries()) {
-    if (!row || now - Number(row.lastTs || 0) > DUP_WINDOW_MS) duplicateState.delete(key);
-  }
-  for (const [key, until] of newMemberProbationState.entries()) {
-    if (!Number.isFinite(until) || until <= now) newMemberProbationState.delete(key);
-  }
+  try {
+    await (await getSpamStateStore()).prune(now);
+  } catch {}
 }
 
-function isFloodViolation(chatId, userId, now = Date.now()) {
-  const key = spamStateKey(chatId, userId);
-  const cur = floodState.get(key) || [];
-  const recent = cur.filter((ts) => now - ts <= FLOOD_WINDOW_MS);
-  recent.push(now);
-  floodState.set(key, recent);
-  return recent.length > FLOOD_MAX_MESSAGES;
+async function isFloodViolation(chatId, userId, limits, now = Date.now()) {
+  const store = await getSpamStateStore();
+  const count = await store.floodHit(spamStateKey(chatId, userId), now, limits.flood_window_seconds * 1000);
+  return count > limits.flood_max_messages;
 }
 
-function isDuplicateViolation(chatId, userId, rawText, now = Date.now()) {
+async function isDuplicateViolation(chatId, userId, rawText, limits, now = Date.now()) {
   const normalized = normalizeDuplicateText(rawText);
   if (!normalized || normalized.length < DUP_MIN_LENGTH) return false;
-  const key = spamStateKey(chatId, userId);
-  const cur = duplicateState.get(key);
-  if (!cur || cur.text !== normalized || now - cur.lastTs > DUP_WINDOW_MS) {
-    duplicateState.set(key, { text: normalized, count: 1, lastTs: now });
-    return false;
-  }
-  const next = { text: normalized, count: cur.count + 1, lastTs: now };
-  duplicateState.set(key, next);
-  return next.count >= DUP_REPEAT_LIMIT;
+  const store = await getSpamStateStore();
+  const count = await store.duplicateHit(spamStateKey(chatId, userId), normalized, now, limits.dup_window_seconds * 1000);
+  return count >= limits.dup_repeat_limit;
 }
 
-function isUnderNewMemberProbation(chatId, userId, now = Date.now()) {
-  const key = spamStateKey(chatId, userId);
-  const until = newMemberProbationState.get(key);
-  if (!Number.isFinite(until)) return false;
-  if (until <= now) {
-    newMemberProbationState.delete(key);
-    return false;
-  }
-  return true;
+async function isUnderNewMemberProbation(chatId, userId, now = Date.now()) {
+  const until = await (await getSpamStateStore()).getProbation(spamStateKey(chatId, userId));
+  return Number.isFinite(until) && until > now;
 }
 
-export function markNewMemberJoined(chatId, userId) {
+export async function markNewMemberJoined(chatId, userId) {
   if (!Number.isFinite(chatId) || !Number.isFinite(userId)) return;
-  if (NEW_MEMBER_PROBATION_MS <= 0) return;
-  newMemberProbationState.set(spamStateKey(chatId, userId), Date.now() + NEW_MEMBER_PROBATION_MS);
+  // Only chats with a media policy member age rule need the join time (whether or not probation is on)
+  if (Object.values(await getChatMediaPolicy(chatId)).some((rule) => typeof rule === 'number')) {
+    await (await getSpamStateStore()).setProbation(joinedKey(chatId, userId), Date.now() + MEDIA_POLICY_MAX_DAYS * DAY_MS);
+  }
+  let { probation_minutes: minutes } = await getEffectiveLimits(chatId);
+  // A lockdown tightens probation for everyone who joins while it lasts
+  if (await getActiveLockdown(chatId)) minutes = Math.max(minutes, (await getChatRaid(chatId)).probation_minutes);
+  if (minutes <= 0) return;
+  await (await getSpamStateStore()).setProbation(spamStateKey(chatId, userId), Date.now() + minutes * 60 * 1000);
 }
 
 // Cache funny prefixes per (chat,user) for 10 minutes to avoid constant DB hits
@@ -219,10 +190,28 @@ async function maybeSuffix(ctx, violation = 'default') {
   return '';
 }
 
-async function notifyAndCleanup(ctx, text, seconds = 8) {
+// Opens an appeal case for the current sender and returns an "Appeal" deep-link keyboard.
+// By default the case can repost the moderated message's text/caption on approval.
+async function appealMarkup(ctx, appeal) {
+  const username = ctx.me?.username;
+  if (!username || !ctx.from) return undefined;
+  const repost = appeal.repost === undefined ? (ctx.msg?.text ?? ctx.msg?.caption ?? '') : appeal.repost;
+  let id;
+  try {
+    id = await createAppealCase({ chat: ctx.chat, user: ctx.from, ...appeal, repost });
+  } catch (e) {
+    console.warn('[appeals] could not open a case:', e?.message || e);
+    return undefined;
+  }
+  const label = await renderNotice(ctx.chat.id, 'appeal_button');
+  return { inline_keyboard: [[{ text: label, url: appealDeepLink(username, id) }]] };
+}
+
+async function notifyAndCleanup(ctx, text, seconds = 8, appeal = null) {
   const chatId = ctx.chat?.id;
   if (!chatId) return;
   const replyTo = ctx.msg?.message_id;
+  const replyMarkup = appeal ? await appealMarkup(ctx, appeal) : undefined;
   const boolFromEnv = (v) => {
     if (v == null) return false;
     const s = String(v).toLowerCase();
@@ -236,6 +225,7 @@ async function notifyAndCleanup(ctx, text, seconds = 8) {
       reply_to_message_id: replyTo,
       parse_mode: 'HTML',
       disable_web_page_preview: true,
+      reply_markup: replyMarkup,
     });
     if (doCleanup) {
       setTimeout(() => {
@@ -247,6 +237,7 @@ async function notifyAndCleanup(ctx, text, seconds = 8) {
       const sent = await ctx.api.sendMessage(chatId, text, {
         parse_mode: 'HTML',
         disable_web_page_preview: true,
+        reply_markup: replyMarkup,
       });
       if (doCleanup) {
         setTimeout(() => {
@@ -257,31 +248,130 @@ async function notifyAndCleanup(ctx, text, seconds = 8) {
   }
 }
 
+// Escalation ladder: runs after a violation has been logged (the log feeds the strike counters)
+async function escalate(ctx, violation) {
+  if (!(await isRuleEnabled('escalation', ctx.chat?.id))) return;
+  if (await isExempt(ctx)) return;
+  const res = await applyEscalation(ctx, ctx.from, violation);
+  if (!res) return;
+  const t = await noticeRenderer(ctx.chat?.id);
+  const stepLabel = (step) => t(`step_${step.action}`, { duration: escapeHtml(formatDuration(step.seconds)) });
+  const vars = {
+    user: mentionHTML(ctx.from),
+    strikes: res.strikes,
+    warn: res.warnNumber,
+    warnings: res.warnings,
+    duration: escapeHtml(formatDuration(res.step.seconds)),
+    next: res.next && res.next !== res.step ? t('escalation_next', { next: stepLabel(res.next) }) : '',
+  };
+  const text = t(`escalation_${res.step.action}`, vars);
+  const appeal = res.step.action === 'warn'
+    ? null
+    : { violation, repost: '', muted: res.step.action === 'mute', banned: res.step.action === 'ban' };
+  await notifyAndCleanup(ctx, text, 10, appeal);
+}
+
+// Domain allow/deny lists: a message with links only violates no_links if some link
+// is denylisted or not allowlisted. Links we cannot extract stay violations.
+async function hasDisallowedLink(chatId, text, entities, pollText) {
+  const links = [...extractLinks(text, entities), ...(pollText ? extractLinks(pollText) : [])];
+  if (!links.length) return true;
+  const policy = await getEffectiveLinkPolicy(chatId);
+  return findDisallowedLinks(links, policy).length > 0;
+}
+
+// Admin-defined per-chat rules. Returns true when the update was handled.
+async function enforceCustomRules(ctx, { msg, displayName, pollText }) {
+  const chatId = ctx.chat?.id;
+  const rules = await listChatCustomRules(chatId);
+  if (!rules.length) return false;
+  const fields = {
+    text: msg.text || '',
+    caption: msg.caption || '',
+    name: displayName || '',
+    poll: pollText || '',
+    bio: '',
+  };
+  if (customRulesNeedBio(rules) && ctx.from?.id) {
+    fields.bio = (await checkUserBioStatus(ctx, ctx.from.id)).bio || '';
+  }
+  const hit = findCustomRuleMatch(rules, fields);
+  if (!hit) return false;
+  const { rule, scope } = hit;
+  const violation = `custom:${rule.name}`;
+  const content = `[${scope.toUpperCase()}] ${fields[scope]}`;
+  if (rule.action === 'warn') {
+    const t = await noticeRenderer(chatId);
+    await notifyAndCleanup(ctx, renderCustomNotice(rule, await mentionWithPrefix(ctx, ctx.from, violation), t('custom_rule')), 8, { violation, repost: '' });
+    await logAction(ctx, { action: 'warn_message', action_type: 'moderation', violation, user: ctx.from, chat: ctx.chat, content });
+    await escalate(ctx, violation);
+    return true;
+  }
+  if (!(await ensureBotCanDelete(ctx))) return true;
+  try {
+    await ctx.api.deleteMessage(chatId, msg.message_id);
+  } catch (_) {
+    return true;
+  }
+  const t = await noticeRenderer(chatId);
+  let action = 'delete_message';
+  let extra = '';
+  try {
+    if (rule.action === 'mute') {
+      await ctx.api.restrictChatMember(chatId, ctx.from.id, MUTE_PERMISSIONS, {
+        until_date: Math.floor(Date.now() / 1000) + rule.mute_seconds,
+      });
+      action = 'restrict_member';
+      extra = t('custom_rule_muted', { duration: escapeHtml(formatDuration(rule.mute_seconds)) });
+    } else if (rule.action === 'ban') {
+      await ctx.api.banChatMember(chatId, ctx.from.id);
+      try { await removeChatPresenceUsers(chatId, [ctx.from.id]); } catch {}
+      action = 'ban_member';
+      extra = t('custom_rule_banned');
+    }
+  } catch {}
+  await notifyAndCleanup(ctx, `${renderCustomNotice(rule, await mentionWithPrefix(ctx, ctx.from, violation), t('custom_rule'))}${extra}`, 8, {
+    violation,
+    muted: action === 'restrict_member',
+    banned: action === 'ban_member',
+  });
+  await logAction(ctx, { action, action_type: 'moderation', violation, user: ctx.from, chat: ctx.chat, content });
+  if (rule.action === 'delete') await escalate(ctx, violation);
+  return true;
+}
+
 async function enforceGlobalBlacklist(ctx) {
   const userId = ctx.from?.id;
   const chatId = ctx.chat?.id;
   if (!Number.isFinite(userId) || !Number.isFinite(chatId)) return false;
   if (await isBotPrivileged(userId)) return false;
-  const entry = await getBlacklistEntry(userId);
+  // The local blacklist wins over entries from subscribed federation feeds
+  const entry = (await getBlacklistEntry(userId)) || (await getFederatedBlacklistEntry(userId));
   if (!entry) return false;
+  const origin = entry.origin || 'local';
   const action = entry.action === 'mute' ? 'mute' : 'kick';
   const reason = entry.reason ? entry.reason.slice(0, 180) : '';
-  const reasonHtml = reason ? ` Reason: <i>${escapeHtml(reason)}</i>` : '';
+  if (entry.observe) {
+    if (noteFederatedSighting(chatId, userId)) {
+      await logAction(ctx, {
+        action: 'federation_blacklist_seen',
+        action_type: 'security',
+        violation: 'blacklist',
+        user: ctx.from,
+        chat: ctx.chat,
+        content: `origin=${origin}; action=${action}; reason=${reason || '-'}; enforced=0`,
+      });
+    }
+    return false;
+  }
   const messageId = ctx.msg?.message_id;
   if (messageId && (await ensureBotCanDelete(ctx))) {
     try { await ctx.api.deleteMessage(chatId, messageId); } catch {}
   }
   let success = false;
   try {
-    if (action === 'mute') {
-      await ctx.api.restrictChatMember(chatId, userId, { permissions: BLACKLIST_MUTE_PERMISSIONS });
-      success = true;
-    } else {
-      await ctx.api.banChatMember(chatId, userId, { until_date: Math.floor(Date.now() / 1000) + 60 });
-      success = true;
-      try { await ctx.api.unbanChatMember(chatId, userId); } catch {}
-      try { await removeChatPresenceUsers(chatId, [userId]); } catch {}
-    }
+    await applyBlacklistAction(ctx.api, chatId, userId, entry);
+    success = true;
   } catch (err) {
     const errMsg = String(err?.description || err?.message || err || '').slice(0, 160);
     await logAction(ctx, {
@@ -290,15 +380,20 @@ async function enforceGlobalBlacklist(ctx) {
       violation: 'blacklist',
       user: ctx.from,
       chat: ctx.chat,
-      content: `action=${action}; error=${errMsg}`,
+      content: `origin=${origin}; action=${action}; error=${errMsg}`,
     });
     return false;
   }
   if (success) {
+    const t = await noticeRenderer(chatId);
     await notifyAndCleanup(
       ctx,
-      `🚫 ${await mentionPlainWithPrefix(ctx, ctx.from, 'blacklist')} <b>${action === 'mute' ? 'muted by global blacklist' : 'removed by global blacklist'}</b>.${reasonHtml}`,
-      10
+      t(`blacklist_${action}`, {
+        user: await mentionPlainWithPrefix(ctx, ctx.from, 'blacklist'),
+        reason: reason ? t('reason_suffix', { reason: escapeHtml(reason) }) : '',
+      }),
+      10,
+      { violation: 'blacklist', repost: '', muted: action === 'mute', blacklisted: !entry.origin, federated: Boolean(entry.origin) }
     );
     await logAction(ctx, {
       action: action === 'mute' ? 'global_blacklist_mute' : 'global_blacklist_kick',
@@ -306,7 +401,7 @@ async function enforceGlobalBlacklist(ctx) {
       violation: 'blacklist',
       user: ctx.from,
       chat: ctx.chat,
-      content: `action=${action}; reason=${reason || '-'}; enforced=1`,
+      content: `origin=${origin}; action=${action}; reason=${reason || '-'}; enforced=1`,
     });
   }
   return true;
@@ -341,11 +436,7 @@ async function ensureBotCanDelete(ctx) {
   const last = lastPermWarn.get(chatId) || 0;
   if (now - last > 10 * 60 * 1000) {
     lastPermWarn.set(chatId, now);
-    await notifyAndCleanup(
-      ctx,
-      '⚠️ <b>Missing permission:</b> I need admin permission <b>Delete messages</b> to enforce group rules. Please promote the bot and enable this permission.',
-      15
-    );
+    await notifyAndCleanup(ctx, await renderNotice(chatId, 'missing_delete_permission'), 15);
   }
   return false;
 }
@@ -376,8 +467,10 @@ function writeBioCache(userId, data) {
   return data;
 }
 
-async function checkUserBioStatus(ctx, userId) {
+// Also used to screen join requests (middleware/joinRequests.js)
+export async function checkUserBioStatus(ctx, userId) {
   const cached = readBioCache(userId);
+  recordBioCacheLookup(Boolean(cached));
   if (cached) return cached;
   try {
     const chat = await ctx.api.getChat(userId);
@@ -392,12 +485,179 @@ async function checkUserBioStatus(ctx, userId) {
   }
 }
 
+// Messages members post, as opposed to service messages (joins, pins, ...)
+function isPost(msg = {}) {
+  return Boolean(msg.text || msg.caption || msg.dice || messageHasMedia(msg));
+}
+
+// The blocked night mode type a message falls under, or null
+function nightmodeBlockedType(block, { msg, text, entities, pollText }) {
+  if (block.includes('all')) return 'all';
+  if (block.includes('stickers') && msg.sticker) return 'stickers';
+  if (block.includes('gifs') && msg.animation) return 'gifs';
+  if (block.includes('media') && messageHasMedia(msg)) return 'media';
+  const hasLink = entitiesContainLink(entities) || textHasLink(text) || (pollText ? textHasLink(pollText) : false);
+  if (block.includes('links') && hasLink) return 'links';
+  return null;
+}
+
+// Night mode (/nightmode): deletes blocked content during the chat's night windows
+async function enforceNightmode(ctx, { msg, text, entities, pollText }, now) {
+  const chatId = ctx.chat?.id;
+  if (!Number.isFinite(chatId) || msg.sender_chat || !isPost(msg)) return false;
+  const night = await getActiveNightWindow(chatId, now);
+  if (!night) return false;
+  const type = nightmodeBlockedType(night.block, { msg, text, entities, pollText });
+  if (!type || !(await ensureBotCanDelete(ctx))) return false;
+  try {
+    await ctx.api.deleteMessage(chatId, msg.message_id);
+  } catch {
+    return false;
+  }
+  const t = await noticeRenderer(chatId);
+  await notifyAndCleanup(
+    ctx,
+    t('nightmode', {
+      user: await mentionWithPrefix(ctx, ctx.from, 'nightmode'),
+      type: t(`nightmode_type_${type}`),
+      until: night.window.end,
+    }),
+    8
+  );
+  await logAction(ctx, {
+    action: 'delete_message',
+    action_type: 'moderation',
+    violation: 'nightmode',
+    user: ctx.from,
+    chat: ctx.chat,
+    content: text || (pollText ? `[POLL] ${pollText}` : '[MEDIA]'),
+  });
+  return true;
+}
+
+// Per-chat media type policy (/media_policy): a type is denied, or allowed only for members
+// who joined at least N days ago
+async function enforceMediaPolicy(ctx, msg, text, now) {
+  const chatId = ctx.chat?.id;
+  const userId = ctx.from?.id;
+  const type = messageMediaType(msg);
+  if (!type || !Number.isFinite(chatId) || !Number.isFinite(userId) || msg.sender_chat) return false;
+  const rule = (await getChatMediaPolicy(chatId))[type];
+  if (!rule) return false;
+  if (rule !== 'deny') {
+    const age = await memberAgeDays(chatId, userId, now);
+    if (age === null || age >= rule) return false;
+  }
+  if (!(await ensureBotCanDelete(ctx))) return false;
+  try {
+    await ctx.api.deleteMessage(chatId, msg.message_id);
+  } catch {
+    return false;
+  }
+  const t = await noticeRenderer(chatId);
+  const vars = { user: await mentionWithPrefix(ctx, ctx.from, 'media_policy'), type: t(`media_type_${type}`), days: rule };
+  await notifyAndCleanup(
+    ctx,
+    `${t(rule === 'deny' ? 'media_policy' : 'media_policy_new_member', vars)}${await maybeSuffix(ctx, 'media_policy')}`,
+    8,
+    { violation: 'media_policy' }
+  );
+  await logAction(ctx, {
+    action: 'delete_message',
+    action_type: 'moderation',
+    violation: 'media_policy',
+    user: ctx.from,
+    chat: ctx.chat,
+    content: `[${type.toUpperCase()}]${text ? ` ${text}` : ''}`,
+  });
+  await escalate(ctx, 'media_policy');
+  return true;
+}
+
+// Bot-side slow mode (/slowmode). Chat admins are included, unlike Telegram's own slow mode;
+// the bot's owner/admins, anonymous admins/channels and service messages are not.
+async function enforceSlowmode(ctx, msg, text, now) {
+  const chatId = ctx.chat?.id;
+  const userId = ctx.from?.id;
+  if (!Number.isFinite(chatId) || !Number.isFinite(userId) || msg.sender_chat || !isPost(msg)) return false;
+  const slowmode = await getActiveSlowmode(chatId, now);
+  if (!slowmode || (await isBotPrivileged(userId))) return false;
+  const wait = await slowmodeWait(chatId, userId, slowmode.seconds, now);
+  if (!wait || !(await ensureBotCanDelete(ctx))) return false;
+  try {
+    await ctx.api.deleteMessage(chatId, msg.message_id);
+  } catch {
+    return false;
+  }
+  await notifyAndCleanup(
+    ctx,
+    await renderNotice(chatId, 'slowmode', {
+      user: await mentionWithPrefix(ctx, ctx.from, 'slowmode'),
+      interval: formatDuration(slowmode.seconds),
+      wait: formatDuration(wait),
+    }),
+    5
+  );
+  await logAction(ctx, { action: 'delete_message', action_type: 'moderation', violation: 'slowmode', user: ctx.from, chat: ctx.chat, content: text });
+  return true;
+}
+
+// The chat's own ban list (managed with /chat_ban_add); admins of the chat are never enforced on
+async function enforceChatBan(ctx) {
+  const userId = ctx.from?.id;
+  const chatId = ctx.chat?.id;
+  if (!Number.isFinite(userId) || !Number.isFinite(chatId)) return false;
+  const entry = await getChatBanEntry(chatId, userId);
+  if (!entry) return false;
+  if ((await isBotPrivileged(userId)) || (await isChatAdminOrOwner(ctx, userId))) return false;
+  const reason = entry.reason ? entry.reason.slice(0, 180) : '';
+  const messageId = ctx.msg?.message_id;
+  if (messageId && (await ensureBotCanDelete(ctx))) {
+    try { await ctx.api.deleteMessage(chatId, messageId); } catch {}
+  }
+  try {
+    await applyChatBanAction(ctx.api, chatId, userId, entry);
+  } catch (err) {
+    const errMsg = String(err?.description || err?.message || err || '').slice(0, 160);
+    await logAction(ctx, {
+      action: 'chat_ban_failed',
+      action_type: 'security',
+      violation: 'chat_ban',
+      user: ctx.from,
+      chat: ctx.chat,
+      content: `action=${entry.action}; error=${errMsg}`,
+    });
+    return false;
+  }
+  const t = await noticeRenderer(chatId);
+  await notifyAndCleanup(
+    ctx,
+    t(`chat_ban_${entry.action}`, {
+      user: await mentionPlainWithPrefix(ctx, ctx.from, 'chat_ban'),
+      reason: reason ? t('reason_suffix', { reason: escapeHtml(reason) }) : '',
+    }),
+    10
+  );
+  await logAction(ctx, {
+    action: `chat_ban_${entry.action}`,
+    action_type: 'security',
+    violation: 'chat_ban',
+    user: ctx.from,
+    chat: ctx.chat,
+    content: `action=${entry.action}; reason=${reason || '-'}; enforced=1`,
+  });
+  return true;
+}
+
 export function securityMiddleware() {
   return async (ctx, next) => {
     const type = ctx.chat?.type;
     if (!(type === 'group' || type === 'supergroup')) return next();
+    // Join requests carry no message; they are screened by joinRequestsMiddleware
+    if (ctx.chatJoinRequest) return next();
 
     if (await enforceGlobalBlacklist(ctx)) return;
+    if (await enforceChatBan(ctx)) return;
 
     // Exemption: group admins/owner and bot owner/admins.
     // Name/username checks should still run for exempt users on new messages.
@@ -412,9 +672,12 @@ export function securityMiddleware() {
           await ctx.api.deleteMessage(ctx.chat.id, ctx.editedMessage.message_id);
           await notifyAndCleanup(
             ctx,
-            `✏️ ${await mentionWithPrefix(ctx, ctx.from, 'no_edit')} <b>Editing is not allowed</b>. Your message was removed.${await maybeSuffix(ctx, 'no_edit')}`
+            `${await renderNotice(ctx.chat.id, 'no_edit', { user: await mentionWithPrefix(ctx, ctx.from, 'no_edit') })}${await maybeSuffix(ctx, 'no_edit')}`,
+            8,
+            { violation: 'no_edit' }
           );
           await logAction(ctx, { action: 'delete_message', action_type: 'moderation', violation: 'no_edit', user: ctx.from, chat: ctx.chat, content: ctx.editedMessage?.text || ctx.editedMessage?.caption || '' });
+          await escalate(ctx, 'no_edit');
         } catch (_) {}
         }
       }
@@ -443,24 +706,30 @@ export function securityMiddleware() {
   const now = Date.now();
   pruneSpamState(now);
 
+  if (await enforceSlowmode(ctx, msg, text, now)) return;
+  if (!exemptUser && (await enforceNightmode(ctx, { msg, text, entities, pollText }, now))) return;
+  if (!exemptUser && (await enforceMediaPolicy(ctx, msg, text, now))) return;
+
   if (Number.isFinite(chatId) && Number.isFinite(senderId)) {
-    if ((await isRuleEnabled('anti_flood', chatId)) && isFloodViolation(chatId, senderId, now)) {
+    const spamLimits = await getEffectiveLimits(chatId);
+    if ((await isRuleEnabled('anti_flood', chatId)) && (await isFloodViolation(chatId, senderId, spamLimits, now))) {
       if (await ensureBotCanDelete(ctx)) {
         try {
           await ctx.api.deleteMessage(chatId, msg.message_id);
           let muted = false;
-          if (FLOOD_MUTE_SECONDS > 0) {
+          if (spamLimits.flood_mute_seconds > 0) {
             try {
-              await ctx.api.restrictChatMember(chatId, senderId, {
-                permissions: BLACKLIST_MUTE_PERMISSIONS,
-                until_date: Math.floor(Date.now() / 1000) + FLOOD_MUTE_SECONDS,
+              await ctx.api.restrictChatMember(chatId, senderId, MUTE_PERMISSIONS, {
+                until_date: Math.floor(Date.now() / 1000) + spamLimits.flood_mute_seconds,
               });
               muted = true;
             } catch {}
           }
           await notifyAndCleanup(
             ctx,
-            `⏱️ ${await mentionWithPrefix(ctx, ctx.from, 'anti_flood')} <b>too many messages too quickly</b>. Please slow down.${muted ? ` Muted for ${FLOOD_MUTE_SECONDS}s.` : ''}${await maybeSuffix(ctx, 'anti_flood')}`
+            `${await renderNotice(chatId, muted ? 'anti_flood_muted' : 'anti_flood', { user: await mentionWithPrefix(ctx, ctx.from, 'anti_flood'), duration: `${spamLimits.flood_mute_seconds}s` })}${await maybeSuffix(ctx, 'anti_flood')}`,
+            8,
+            { violation: 'anti_flood', muted }
           );
           await logAction(ctx, {
             action: muted ? 'restrict_member' : 'delete_message',
@@ -475,13 +744,15 @@ export function securityMiddleware() {
       return;
     }
 
-    if ((await isRuleEnabled('anti_duplicate', chatId)) && isDuplicateViolation(chatId, senderId, text || pollText, now)) {
+    if ((await isRuleEnabled('anti_duplicate', chatId)) && (await isDuplicateViolation(chatId, senderId, text || pollText, spamLimits, now))) {
       if (await ensureBotCanDelete(ctx)) {
         try {
           await ctx.api.deleteMessage(chatId, msg.message_id);
           await notifyAndCleanup(
             ctx,
-            `🌀 ${await mentionWithPrefix(ctx, ctx.from, 'anti_duplicate')} <b>repeated messages are not allowed</b>.${await maybeSuffix(ctx, 'anti_duplicate')}`
+            `${await renderNotice(chatId, 'anti_duplicate', { user: await mentionWithPrefix(ctx, ctx.from, 'anti_duplicate') })}${await maybeSuffix(ctx, 'anti_duplicate')}`,
+            8,
+            { violation: 'anti_duplicate' }
           );
           await logAction(ctx, {
             action: 'delete_message',
@@ -496,21 +767,24 @@ export function securityMiddleware() {
       return;
     }
 
-    if ((await isRuleEnabled('new_member_probation', chatId)) && isUnderNewMemberProbation(chatId, senderId, now)) {
+    if ((await isRuleEnabled('new_member_probation', chatId)) && (await isUnderNewMemberProbation(chatId, senderId, now))) {
       const probationHasLink = entitiesContainLink(entities) || textHasLink(text) || (pollText ? textHasLink(pollText) : false);
       const probationHasMedia = messageHasMedia(msg);
       if (probationHasLink || probationHasMedia) {
         if (await ensureBotCanDelete(ctx)) {
           try {
             await ctx.api.deleteMessage(chatId, msg.message_id);
-            const reason = probationHasLink && probationHasMedia
-              ? 'links and media'
+            const reasonKey = probationHasLink && probationHasMedia
+              ? 'reason_links_media'
               : probationHasLink
-                ? 'links'
-                : 'media';
+                ? 'reason_links'
+                : 'reason_media';
+            const t = await noticeRenderer(chatId);
             await notifyAndCleanup(
               ctx,
-              `🛡️ ${await mentionWithPrefix(ctx, ctx.from, 'new_member_probation')} <b>new-member probation is active</b>. ${escapeHtml(reason)} are temporarily restricted.${await maybeSuffix(ctx, 'new_member_probation')}`
+              `${t('new_member_probation', { user: await mentionWithPrefix(ctx, ctx.from, 'new_member_probation'), reason: t(reasonKey) })}${await maybeSuffix(ctx, 'new_member_probation')}`,
+              8,
+              { violation: 'new_member_probation' }
             );
             await logAction(ctx, {
               action: 'delete_message',
@@ -520,6 +794,7 @@ export function securityMiddleware() {
               chat: ctx.chat,
               content: text || (pollText ? `[POLL] ${pollText}` : '[MEDIA]'),
             });
+            await escalate(ctx, 'new_member_probation');
           } catch (_) {}
         }
         return;
@@ -567,9 +842,12 @@ export function securityMiddleware() {
                 await ctx.api.deleteMessage(ctx.chat.id, msg.message_id);
                 await notifyAndCleanup(
                   ctx,
-                  `🏷️ ${await mentionWithPrefix(ctx, ctx.from, 'name_no_links')} <b>Link in name is not allowed</b>. Please remove links from your display name to participate.${await maybeSuffix(ctx, 'name_no_links')}`
+                  `${await renderNotice(ctx.chat.id, 'name_no_links', { user: await mentionWithPrefix(ctx, ctx.from, 'name_no_links') })}${await maybeSuffix(ctx, 'name_no_links')}`,
+                  8,
+                  { violation: 'name_no_links' }
                 );
                 await logAction(ctx, { action: 'delete_message', action_type: 'moderation', violation: 'name_no_links', user: ctx.from, chat: ctx.chat, content: displayName });
+                await escalate(ctx, 'name_no_links');
               } catch (_) {}
             }
             return;
@@ -581,9 +859,12 @@ export function securityMiddleware() {
             await ctx.api.deleteMessage(ctx.chat.id, msg.message_id);
             await notifyAndCleanup(
               ctx,
-              `🏷️ ${await mentionWithPrefix(ctx, ctx.from, 'name_no_links')} <b>Link in name is not allowed</b>. Please remove links from your display name to participate.${await maybeSuffix(ctx, 'name_no_links')}`
+              `${await renderNotice(ctx.chat.id, 'name_no_links', { user: await mentionWithPrefix(ctx, ctx.from, 'name_no_links') })}${await maybeSuffix(ctx, 'name_no_links')}`,
+              8,
+              { violation: 'name_no_links' }
             );
             await logAction(ctx, { action: 'delete_message', action_type: 'moderation', violation: 'name_no_links', user: ctx.from, chat: ctx.chat, content: displayName });
+            await escalate(ctx, 'name_no_links');
           } catch (_) {}
         }
         return;
@@ -607,9 +888,12 @@ export function securityMiddleware() {
                   await ctx.api.deleteMessage(ctx.chat.id, msg.message_id);
                   await notifyAndCleanup(
                     ctx,
-                    `🏷️ ${await mentionWithPrefix(ctx, ctx.from, 'name_no_explicit')} <b>Explicit content in name</b>. Please change it to participate.${await maybeSuffix(ctx, 'name_no_explicit')}`
+                    `${await renderNotice(ctx.chat.id, 'name_no_explicit', { user: await mentionWithPrefix(ctx, ctx.from, 'name_no_explicit') })}${await maybeSuffix(ctx, 'name_no_explicit')}`,
+                    8,
+                    { violation: 'name_no_explicit' }
                   );
                   await logAction(ctx, { action: 'delete_message', action_type: 'moderation', violation: 'name_no_explicit', user: ctx.from, chat: ctx.chat, content: displayName });
+                  await escalate(ctx, 'name_no_explicit');
                 } catch (_) {}
               }
               return;
@@ -622,9 +906,12 @@ export function securityMiddleware() {
             await ctx.api.deleteMessage(ctx.chat.id, msg.message_id);
             await notifyAndCleanup(
               ctx,
-              `🏷️ ${await mentionWithPrefix(ctx, ctx.from, 'name_no_explicit')} <b>Explicit content in name</b>. Please change it to participate.${await maybeSuffix(ctx, 'name_no_explicit')}`
+              `${await renderNotice(ctx.chat.id, 'name_no_explicit', { user: await mentionWithPrefix(ctx, ctx.from, 'name_no_explicit') })}${await maybeSuffix(ctx, 'name_no_explicit')}`,
+              8,
+              { violation: 'name_no_explicit' }
             );
             await logAction(ctx, { action: 'delete_message', action_type: 'moderation', violation: 'name_no_explicit', user: ctx.from, chat: ctx.chat, content: displayName });
+            await escalate(ctx, 'name_no_explicit');
           } catch (_) {}
         }
         return;
@@ -671,13 +958,15 @@ export function securityMiddleware() {
           if (await ensureBotCanDelete(ctx)) {
             try {
               await ctx.api.deleteMessage(ctx.chat.id, msg.message_id);
-              const reason = bioHasLink && bioHasExplicit
-                ? 'a link and explicit content'
+              const reasonKey = bioHasLink && bioHasExplicit
+                ? 'reason_bio_link_explicit'
                 : bioHasLink
-                ? 'a link'
-                : 'explicit content';
-              await notifyAndCleanup(ctx, `🧬 ${await mentionPlainWithPrefix(ctx, ctx.from, 'bio_block')} <b>cannot post</b> because your bio contains ${reason}. Please update your bio to participate.${await maybeSuffix(ctx, 'bio_block')}`);
+                ? 'reason_bio_link'
+                : 'reason_bio_explicit';
+              const t = await noticeRenderer(ctx.chat.id);
+              await notifyAndCleanup(ctx, `${t('bio_block', { user: await mentionPlainWithPrefix(ctx, ctx.from, 'bio_block'), reason: t(reasonKey) })}${await maybeSuffix(ctx, 'bio_block')}`, 8, { violation: 'bio_block' });
               await logAction(ctx, { action: 'delete_message', action_type: 'moderation', violation: 'bio_block', user: ctx.from, chat: ctx.chat, content: bioText ? `[BIO] ${bioText}` : '' });
+              await escalate(ctx, 'bio_block');
             } catch (_) {}
           }
           return;
@@ -694,9 +983,12 @@ export function securityMiddleware() {
           await ctx.api.deleteMessage(ctx.chat.id, msg.message_id);
           await notifyAndCleanup(
             ctx,
-            `📏 ${await mentionWithPrefix(ctx, ctx.from, 'max_len')} <b>messages longer than ${limit} characters</b> are not allowed.${await maybeSuffix(ctx, 'max_len')}`
+            `${await renderNotice(ctx.chat.id, 'max_len', { user: await mentionWithPrefix(ctx, ctx.from, 'max_len'), limit })}${await maybeSuffix(ctx, 'max_len')}`,
+            8,
+            { violation: 'max_len' }
           );
           await logAction(ctx, { action: 'delete_message', action_type: 'moderation', violation: 'max_len', user: ctx.from, chat: ctx.chat, content: text });
+          await escalate(ctx, 'max_len');
         } catch (_) {}
       }
       return;
@@ -705,7 +997,7 @@ export function securityMiddleware() {
 
     // Rule 4: No links (also scan poll question/options)
     const hasLink = entitiesContainLink(entities) || textHasLink(text) || (pollText ? textHasLink(pollText) : false);
-    if ((await isRuleEnabled('no_links', ctx.chat.id)) && hasLink) {
+    if ((await isRuleEnabled('no_links', ctx.chat.id)) && hasLink && (await hasDisallowedLink(ctx.chat.id, text, entities, pollText))) {
       // AI cross-check to avoid false positives (e.g., obfuscated non-links)
       if (aiEnabled) {
         try {
@@ -717,9 +1009,10 @@ export function securityMiddleware() {
       if (await ensureBotCanDelete(ctx)) {
         try {
           await ctx.api.deleteMessage(ctx.chat.id, msg.message_id);
-          await notifyAndCleanup(ctx, `🔗 ${await mentionWithPrefix(ctx, ctx.from, 'no_links')} <b>links are not allowed</b> in this group.${await maybeSuffix(ctx, 'no_links')}`);
+          await notifyAndCleanup(ctx, `${await renderNotice(ctx.chat.id, 'no_links', { user: await mentionWithPrefix(ctx, ctx.from, 'no_links') })}${await maybeSuffix(ctx, 'no_links')}`, 8, { violation: 'no_links' });
           const contentStr = text || (pollText ? `[POLL] ${pollText}` : '');
           await logAction(ctx, { action: 'delete_message', action_type: 'moderation', violation: 'no_links', user: ctx.from, chat: ctx.chat, content: contentStr });
+          await escalate(ctx, 'no_links');
         } catch (_) {}
       }
       return;
@@ -747,15 +1040,21 @@ export function securityMiddleware() {
           await ctx.api.deleteMessage(ctx.chat.id, msg.message_id);
           await notifyAndCleanup(
             ctx,
-            `🚫 ${await mentionWithPrefix(ctx, ctx.from, 'no_explicit')} <b>explicit or sexual content</b> is not allowed.${await maybeSuffix(ctx, 'no_explicit')}`
+            `${await renderNotice(ctx.chat.id, 'no_explicit', { user: await mentionWithPrefix(ctx, ctx.from, 'no_explicit') })}${await maybeSuffix(ctx, 'no_explicit')}`,
+            8,
+            { violation: 'no_explicit' }
           );
           const contentStr = text || (pollText ? `[POLL] ${pollText}` : '');
           await logAction(ctx, { action: 'delete_message', action_type: 'moderation', violation: 'no_explicit', user: ctx.from, chat: ctx.chat, content: contentStr });
+          await escalate(ctx, 'no_explicit');
         } catch (_) {}
       }
       return;
     }
 
+    // Chat-specific custom rules run after the built-ins
+    if (await enforceCustomRules(ctx, { msg, displayName, pollText })) return;
+
     // No violations; continue to next middleware/handlers
     return next();
   };
@@ -778,6 +1077,7 @@ async function isChatAdminOrOwner(ctx, userId) {
   const key = `${chatId}:${userId}`;
   const now = Date.now();
   const cached = adminStatusCache.get(key);
+  recordAdminCacheLookup(Boolean(cached && cached.until > now));
   if (cached && cached.until > now) return cached.isAdmin;
   try {
     const member = await ctx.api.getChatMember(chatId, userId);
@@ -1,6 +1,6 @@
 import { Composer } from 'grammy';
 import { logAction, getBotStats, getGroupStats, getUserGroupCount, getUserGroupLinks, getChatPresenceUserIds, removeChatPresenceUsers, getUserPresenceChatIds } from '../logger.js';
-import { RULE_KEYS, DEFAULT_RULES, DEFAULT_LIMITS } from '../rules.js';
+import { RULE_KEYS, DEFAULT_RULES, DEFAULT_LIMITS, LIMIT_RANGES, SPAM_LIMIT_DEFAULTS } from '../rules.js';
 import {
   addBotAdmin,
   removeBotAdmin,
@@ -16,15 +16,71 @@ import {
   getChatWhitelist,
   getChatRules,
   getChatMaxLen,
+  getChatLimits,
+  getEffectiveLimits,
+  setChatLimit,
+  clearChatLimit,
+  setGlobalLimit,
+  clearGlobalLimit,
   setGlobalBlacklistEntry,
   removeGlobalBlacklistEntry,
   listGlobalBlacklist,
   getBlacklistEntry,
+  getBlacklistHistory,
+  getChatEscalation,
+  setChatEscalation,
+  resetChatEscalation,
+  listChatCustomRules,
+  setChatCustomRule,
+  removeChatCustomRule,
+  setChatCustomRuleEnabled,
+  CUSTOM_RULE_SCOPES,
+  CUSTOM_RULE_ACTIONS,
+  getGlobalLinkPolicy,
+  getChatLinkPolicy,
+  updateLinkPolicy,
+  getChatCaptcha,
+  setChatCaptcha,
+  CAPTCHA_MODES,
+  getChatJoinRequests,
+  setChatJoinRequests,
+  JOIN_REQUEST_PASSED_ACTIONS,
+  JOIN_REQUEST_FLAGGED_ACTIONS,
+  getChatRaid,
+  setChatRaid,
+  getChatDigest,
+  setChatDigest,
+  DIGEST_FREQUENCIES,
+  DIGEST_TARGETS,
+  isValidTimeZone,
+  getChatNightmode,
+  setChatNightmode,
+  NIGHTMODE_TYPES,
+  NIGHTMODE_ACTIONS,
+  NIGHTMODE_MAX_WINDOWS,
+  getChatMediaPolicy,
+  setChatMediaPolicy,
+  MEDIA_TYPES,
+  MEDIA_POLICY_MAX_DAYS,
+  getChatNotices,
+  setChatLocale,
+  setChatTemplate,
 } from '../store/settings.js';
 import { consumeReview } from '../logger.js';
 import { addSafeTerms, addExplicitTerms } from '../filters/customTerms.js';
-import { defaultCommands, adminCommands, ownerPrivateCommands } from '../commands/menu.js';
-import { addExplicitRuntime, containsExplicit } from '../filters.js';
+import { COMMAND_MENUS, commandDescription, publishCommandMenus, clearCommandMenus } from '../commands/menu.js';
+import { addExplicitRuntime, containsExplicit, normalizeDomainPattern } from '../filters.js';
+import { getUserStrikes, resetUserStrikes, describeStep, formatLadder } from '../moderation/escalation.js';
+import { parseDuration, formatDuration } from '../moderation/duration.js';
+import { applyBlacklistAction } from '../moderation/members.js';
+import { compileCustomPattern, isRegexPattern } from '../moderation/customRules.js';
+import { describeSchedule, buildDigestMessage } from '../moderation/digest.js';
+import { syncNightmode, nightmodeTimezone } from '../moderation/nightmode.js';
+import { LOCALES, LOCALE_CODES, NOTICE_KEYS, DEFAULT_LOCALE, resolveLocale, builtinTemplate, templatePlaceholders, replyTranslator, translate } from '../i18n/index.js';
+import { queryModerationLogs } from '../store/modlog.js';
+import { isChatAdminWithBan, isBotOwner, isBotAdminOrOwner } from '../permissions.js';
+import { gauge } from '../metrics.js';
+import crypto from 'node:crypto';
 
 const groupKickAbortState = new Map(); // chatId -> { abort, startedAt, startedBy, abortedBy, abortedAt }
 
@@ -32,6 +88,9 @@ const taskQueue = [];
 let activeTask = null;
 let taskCounter = 0;
 
+gauge('task_queue_length', 'Background admin tasks waiting in the task queue', [], () => taskQueue.length);
+gauge('task_active', 'Whether a background admin task is running (1) or not (0)', [], () => (activeTask ? 1 : 0));
+
 const PRIORITY_MAP = {
   low: -10,
   normal: 0,
@@ -158,57 +217,47 @@ function findQueuedGroupKick(chatId) {
   return taskQueue.find((task) => task.type === 'group_kick_all' && task.chatId === chatId && !task.cancelled);
 }
 
-// Utilities shared with security middleware (re-implemented minimal)
-async function isChatAdminWithBan(ctx, userId) {
-  const chatId = ctx.chat?.id;
-  if (!chatId || !userId) return false;
-  try {
-    const member = await ctx.api.getChatMember(chatId, userId);
-    if (!member) return false;
-    if (member.status === 'creator') return true;
-    if (member.status === 'administrator') {
-      // Require explicit ban/restrict permission; default to false if unknown
-      return Boolean(member.can_restrict_members);
-    }
-    return false;
-  } catch (_) {
-    return false;
-  }
-}
-
-function isBotOwner(ctx) {
-  const userId = ctx.from?.id;
-  const ownerId = Number(process.env.BOT_OWNER_ID || NaN);
-  return Number.isFinite(ownerId) && userId === ownerId;
-}
-
-async function isBotAdminOrOwner(ctx) {
-  const userId = ctx.from?.id;
-  if (!userId) return false;
-  if (isBotOwner(ctx)) return true;
-  try {
-    const s = await getSettings();
-    return s.bot_admin_ids.includes(userId);
-  } catch {
-    return false;
-  }
-}
-
-function formatRulesStatus(globalRules, chatRules, effective, limits) {
+function formatRulesStatus(t, globalRules, chatRules, effective, limits, customRules = []) {
+  const onOff = (v) => t(v ? 'state_on_caps' : 'state_off');
   const lines = [];
-  lines.push('Rules status:');
+  lines.push(t('rules_status_header'));
   for (const k of RULE_KEYS) {
-    const g = globalRules[k] ? 'ON' : 'off';
     const c = chatRules?.[k];
-    const cStr = c === undefined ? '-' : c ? 'ON' : 'off';
-    const e = effective[k] ? 'ON' : 'off';
-    lines.push(`- ${k}: effective ${e} (global ${g}, chat ${cStr})`);
+    lines.push(t('rules_status_rule', {
+      rule: k,
+      effective: onOff(effective[k]),
+      global: onOff(globalRules[k]),
+      chat: c === undefined ? '-' : onOff(c),
+    }));
   }
   // Limits
-  lines.push('Limits:');
-  lines.push(
-    `- max_len: effective ${limits.effectiveMax} (global ${limits.globalMax}, chat ${limits.chatMax ?? '-'})`
-  );
+  lines.push(t('rules_status_limits'));
+  lines.push(t('rules_status_max_len', { effective: limits.effectiveMax, global: limits.globalMax, chat: limits.chatMax ?? '-' }));
+  if (customRules.length) {
+    lines.push(t('rules_status_custom'));
+    for (const rule of customRules) {
+      lines.push(t('rules_status_custom_rule', { name: rule.name, state: onOff(rule.enabled), action: rule.action, scope: rule.scope.join(',') }));
+    }
+  }
+  return lines.join('\n');
+}
+
+// /help is generated from the command menus; a command is listed under the first menu that has it
+const HELP_SECTIONS = ['help_everyone', 'help_admins', 'help_owner'];
+
+function buildHelpText(t) {
+  const seen = new Set();
+  const lines = [t('help_title')];
+  COMMAND_MENUS.forEach(({ commands }, i) => {
+    const fresh = commands.filter((c) => !seen.has(c.command));
+    if (!fresh.length) return;
+    lines.push('', t(HELP_SECTIONS[i]));
+    for (const entry of fresh) {
+      seen.add(entry.command);
+      lines.push(`  /${entry.command}${entry.usage ? ` ${entry.usage}` : ''} — ${commandDescription(entry, t.locale)}`);
+    }
+  });
+  lines.push('', t('help_rules', { rules: RULE_KEYS.join(', ') }));
   return lines.join('\n');
 }
 
@@ -241,22 +290,6 @@ export function settingsMiddleware() {
     return sent;
   }
 
-  const BLACKLIST_MUTE_PERMS = {
-    can_send_messages: false,
-    can_send_audios: false,
-    can_send_documents: false,
-    can_send_photos: false,
-    can_send_videos: false,
-    can_send_video_notes: false,
-    can_send_voice_notes: false,
-    can_send_polls: false,
-    can_send_other_messages: false,
-    can_add_web_page_previews: false,
-    can_change_info: false,
-    can_invite_users: false,
-    can_pin_messages: false,
-  };
-
   const BL_DELAY_MIN = Math.max(0, Number(process.env.BLACKLIST_ENFORCE_DELAY_MIN_MS || 0));
   const BL_DELAY_MAX_RAW = Number(process.env.BLACKLIST_ENFORCE_DELAY_MAX_MS || 0);
   const BL_DELAY_MAX = Number.isFinite(BL_DELAY_MAX_RAW) && BL_DELAY_MAX_RAW >= BL_DELAY_MIN ? BL_DELAY_MAX_RAW : BL_DELAY_MIN;
@@ -284,7 +317,7 @@ export function settingsMiddleware() {
     '-1001576137499',
   ]);
 
-  async function enforceBlacklistAcrossChats(ctx, userId, action) {
+  async function enforceBlacklistAcrossChats(ctx, userId, entry) {
     const chatIds = await getUserPresenceChatIds(userId);
     const details = {
       total: chatIds.length,
@@ -298,19 +331,8 @@ export function settingsMiddleware() {
         chatMeta = await ctx.api.getChat(chatId);
       } catch {}
       try {
-        if (action === 'mute') {
-          await ctx.api.restrictChatMember(chatId, userId, { permissions: BLACKLIST_MUTE_PERMS });
-          details.applied.push({ chatId, title: chatMeta?.title, mode: 'mute' });
-        } else {
-          await ctx.api.banChatMember(chatId, userId, { until_date: Math.floor(Date.now() / 1000) + 60 });
-          try {
-            await ctx.api.unbanChatMember(chatId, userId);
-          } catch {}
-          try {
-            await removeChatPresenceUsers(chatId, [userId]);
-          } catch {}
-          details.applied.push({ chatId, title: chatMeta?.title, mode: 'kick' });
-        }
+        const mode = await applyBlacklistAction(ctx.api, chatId, userId, entry);
+        details.applied.push({ chatId, title: chatMeta?.title, mode });
       } catch (err) {
         const reason = String(err?.description || err?.message || err || '').slice(0, 200);
         details.failures.push({ chatId, title: chatMeta?.title, reason });
@@ -322,16 +344,31 @@ export function settingsMiddleware() {
   }
 
   // -------- Bot/Group stats builders & keyboards --------
-  function botStatsKeyboard(format) {
-    return {
-      inline_keyboard: [[
-        { text: `Format: ${format === 'pretty' ? 'Pretty ✅' : 'Pretty'}`, callback_data: `bstats:pretty` },
-        { text: `Format: ${format === 'compact' ? 'Compact ✅' : 'Compact'}`, callback_data: `bstats:compact` },
-      ]],
-    };
+  const checked = (label, on) => (on ? `${label} ✅` : label);
+  const formatButtons = (t, format, prefix) => [
+    { text: t('kb_format', { value: checked(t('kb_pretty'), format === 'pretty') }), callback_data: `${prefix}pretty` },
+    { text: t('kb_format', { value: checked(t('kb_compact'), format === 'compact') }), callback_data: `${prefix}compact` },
+  ];
+
+  function botStatsKeyboard(t, format) {
+    return { inline_keyboard: [formatButtons(t, format, 'bstats:')] };
+  }
+
+  // Today / last 7 days sections shared by the bot and group stats
+  function formatPeriodSections(t, daily, weekly) {
+    const section = (title, stats) => [
+      title,
+      formatKV(stats.byViolation) ? `${t('stats_by_violation')}\n${formatKV(stats.byViolation)}` : '',
+      formatKV(stats.byAction) ? `${t('stats_by_action')}\n${formatKV(stats.byAction)}` : '',
+    ];
+    return [
+      ...section(t('stats_today', { total: daily.total }), daily),
+      '',
+      ...section(t('stats_last7', { total: weekly.total }), weekly),
+    ];
   }
 
-  async function buildBotStatsMessage(format = 'pretty') {
+  async function buildBotStatsMessage(t, format = 'pretty') {
     const mod = await import('../logger.js');
     const daily = await mod.getBotStatsPeriod(1);
     const weekly = await mod.getBotStatsPeriod(7);
@@ -341,37 +378,26 @@ export function settingsMiddleware() {
       const topA = Object.entries(weekly.byAction).sort((a, b) => (b[1] || 0) - (a[1] || 0)).slice(0, 2)
         .map(([k, v]) => `${esc(k)}=${v}`).join(', ');
       return [
-        '<b>📊 Bot</b>',
-        `today: <b>${daily.total}</b>`,
-        `7d: <b>${weekly.total}</b>`,
-        topV ? `topV(7d): <code>${topV}</code>` : '',
-        topA ? `topA(7d): <code>${topA}</code>` : '',
+        t('stats_bot_compact'),
+        t('stats_compact_today', { n: daily.total }),
+        t('stats_compact_7d', { n: weekly.total }),
+        topV ? t('stats_compact_top_violations', { list: topV }) : '',
+        topA ? t('stats_compact_top_actions', { list: topA }) : '',
       ].filter(Boolean).join(' | ');
     }
     const html = [
-      `<b>📊 Bot Stats</b>`,
+      t('stats_bot_title'),
       '',
-      `<b>🗓 Today</b> — Total: <b>${daily.total}</b>`,
-      formatKV(daily.byViolation) ? `• <i>By violation</i>\n${formatKV(daily.byViolation)}` : '',
-      formatKV(daily.byAction) ? `• <i>By action</i>\n${formatKV(daily.byAction)}` : '',
-      '',
-      `<b>🗓 Last 7 Days</b> — Total: <b>${weekly.total}</b>`,
-      formatKV(weekly.byViolation) ? `• <i>By violation</i>\n${formatKV(weekly.byViolation)}` : '',
-      formatKV(weekly.byAction) ? `• <i>By action</i>\n${formatKV(weekly.byAction)}` : '',
+      ...formatPeriodSections(t, daily, weekly),
     ].filter(Boolean).join('\n');
     return html;
   }
 
-  function groupStatsKeyboard(format) {
-    return {
-      inline_keyboard: [[
-        { text: `Format: ${format === 'pretty' ? 'Pretty ✅' : 'Pretty'}`, callback_data: `gstats:pretty` },
-        { text: `Format: ${format === 'compact' ? 'Compact ✅' : 'Compact'}`, callback_data: `gstats:compact` },
-      ]],
-    };
+  function groupStatsKeyboard(t, format) {
+    return { inline_keyboard: [formatButtons(t, format, 'gstats:')] };
   }
 
-  async function buildGroupStatsMessage(ctx, format = 'pretty') {
+  async function buildGroupStatsMessage(ctx, t, format = 'pretty') {
     const mod = await import('../logger.js');
     const daily = await mod.getGroupStatsPeriod(ctx.chat.id, 1);
     const weekly = await mod.getGroupStatsPeriod(ctx.chat.id, 7);
@@ -381,21 +407,15 @@ export function settingsMiddleware() {
         .map(([k, v]) => `${esc(k)}=${v}`).join(', ');
       return [
         `👥 <b>${title}</b>`,
-        `today: <b>${daily.total}</b>`,
-        `7d: <b>${weekly.total}</b>`,
-        topV ? `topV(7d): <code>${topV}</code>` : '',
+        t('stats_compact_today', { n: daily.total }),
+        t('stats_compact_7d', { n: weekly.total }),
+        topV ? t('stats_compact_top_violations', { list: topV }) : '',
       ].filter(Boolean).join(' | ');
     }
     const html = [
-      `<b>👥 Group Stats</b> — ${title}`,
+      t('stats_group_title', { title }),
       '',
-      `<b>🗓 Today</b> — Total: <b>${daily.total}</b>`,
-      formatKV(daily.byViolation) ? `• <i>By violation</i>\n${formatKV(daily.byViolation)}` : '',
-      formatKV(daily.byAction) ? `• <i>By action</i>\n${formatKV(daily.byAction)}` : '',
-      '',
-      `<b>🗓 Last 7 Days</b> — Total: <b>${weekly.total}</b>`,
-      formatKV(weekly.byViolation) ? `• <i>By violation</i>\n${formatKV(weekly.byViolation)}` : '',
-      formatKV(weekly.byAction) ? `• <i>By action</i>\n${formatKV(weekly.byAction)}` : '',
+      ...formatPeriodSections(t, daily, weekly),
     ].filter(Boolean).join('\n');
     return html;
   }
@@ -413,17 +433,14 @@ export function settingsMiddleware() {
     return { daily, weekly, lifetime, dailyAvg, weeklyAvg, risk, weeklyTop };
   }
 
-  function userStatsKeyboard(uid, scope, format) {
+  function userStatsKeyboard(t, uid, scope, format) {
     return {
       inline_keyboard: [
         [
-          { text: `Scope: ${scope === 'chat' ? 'Chat ✅' : 'Chat'}`, callback_data: `ustats:${uid}:chat:${format}` },
-          { text: `Scope: ${scope === 'global' ? 'Global ✅' : 'Global'}`, callback_data: `ustats:${uid}:global:${format}` },
-        ],
-        [
-          { text: `Format: ${format === 'pretty' ? 'Pretty ✅' : 'Pretty'}`, callback_data: `ustats:${uid}:${scope}:pretty` },
-          { text: `Format: ${format === 'compact' ? 'Compact ✅' : 'Compact'}`, callback_data: `ustats:${uid}:${scope}:compact` },
+          { text: t('kb_scope', { value: checked(t('kb_chat'), scope === 'chat') }), callback_data: `ustats:${uid}:chat:${format}` },
+          { text: t('kb_scope', { value: checked(t('kb_global'), scope === 'global') }), callback_data: `ustats:${uid}:global:${format}` },
         ],
+        formatButtons(t, format, `ustats:${uid}:${scope}:`),
       ],
     };
   }
@@ -450,8 +467,12 @@ export function settingsMiddleware() {
   }
 
   // Single "Safelist" action: extract risky tokens from the content and add
+  const safelistedText = (t, { added, persisted, dbError }) =>
+    t('safelisted_terms', { count: added, db: persisted ? t('db_saved') : dbError ? t('db_error') : '' });
+
   composer.callbackQuery(/^rv:(ok|add):([A-Za-z0-9_-]+)$/i, async (ctx) => {
-    if (!(await isBotAdminOrOwner(ctx))) return ctx.answerCallbackQuery({ text: 'Admins only', show_alert: true });
+    const t = await replyTranslator(ctx);
+    if (!(await isBotAdminOrOwner(ctx))) return ctx.answerCallbackQuery({ text: t('cb_admins_only'), show_alert: true });
     const [, kind, id] = ctx.match;
     let review = consumeReview(id);
     if (!review) {
@@ -467,20 +488,27 @@ export function settingsMiddleware() {
       } catch { }
       if (!review) {
         try { await ctx.editMessageReplyMarkup({ inline_keyboard: [] }); } catch { }
-        return ctx.answerCallbackQuery({ text: 'Review expired', show_alert: false });
+        return ctx.answerCallbackQuery({ text: t('review_expired'), show_alert: false });
       }
     }
+    // Review outcome feeds the per-chat digest (false positives vs confirmed detections)
+    await logAction(ctx.api, {
+      action: kind === 'ok' ? 'review_confirmed' : 'review_false_positive',
+      action_type: 'review',
+      violation: '-',
+      user: ctx.from,
+      chat: review.chatId ? { id: review.chatId } : undefined,
+      content: review.text,
+    });
     if (kind === 'ok') {
       try { await ctx.editMessageReplyMarkup({ inline_keyboard: [] }); } catch { }
-      return ctx.answerCallbackQuery({ text: 'Marked valid', show_alert: false });
+      return ctx.answerCallbackQuery({ text: t('review_marked_valid'), show_alert: false });
     }
     // Safelist risky tokens from the phrase (no whole-phrase safelisting)
     const cands = extractRiskyTokens(review.text, 300);
-    const { added, persisted, dbError } = await addSafeTerms(cands);
+    const result = await addSafeTerms(cands);
     try { await ctx.editMessageReplyMarkup({ inline_keyboard: [] }); } catch { }
-    const msg = added
-      ? `Safelisted ${added} term(s)${persisted ? ' · DB saved' : dbError ? ' · DB error' : ''}`
-      : 'No suitable terms found';
+    const msg = result.added ? safelistedText(t, result) : t('review_no_terms');
     return ctx.answerCallbackQuery({ text: msg, show_alert: false });
   });
 
@@ -489,7 +517,8 @@ export function settingsMiddleware() {
   const SUGG_TTL_MS = 15 * 60 * 1000;
 
   composer.command('safelist_suggest', async (ctx) => {
-    if (!(await isBotAdminOrOwner(ctx))) return ctx.reply('⛔ <b>Admins only</b>', { parse_mode: 'HTML' });
+    const t = await replyTranslator(ctx);
+    if (!(await isBotAdminOrOwner(ctx))) return ctx.reply(t('admins_only'), { parse_mode: 'HTML' });
     const parts = String(ctx.match || '').trim().split(/\s+/).filter(Boolean);
     const scope = (parts[0] || 'chat').toLowerCase();
     const limit = Number(parts[1] || 20) || 20;
@@ -497,40 +526,41 @@ export function settingsMiddleware() {
     try {
       const mod = await import('../logger.js');
       const list = await mod.getSafeSuggestions({ chatId: chatScope, limit, horizon: 800 });
-      if (!list.length) return ctx.reply('ℹ️ <b>No suggestions found</b>', { parse_mode: 'HTML' });
+      if (!list.length) return ctx.reply(t('suggest_none'), { parse_mode: 'HTML' });
       const id = Math.random().toString(36).slice(2);
       const until = Date.now() + SUGG_TTL_MS;
       suggStore.set(id, { until, terms: list.map((x) => x.term) });
       const lines = list.map((x) => `• <code>${esc(x.term)}</code> — <b>${x.count}</b>`).join('\n');
       const kb = {
         inline_keyboard: [
-          [{ text: 'Safelist Top 5', callback_data: `sfs:add:${id}:5:${scope}` }, { text: 'Top 10', callback_data: `sfs:add:${id}:10:${scope}` }],
-          [{ text: 'Safelist All', callback_data: `sfs:add:${id}:all:${scope}` }],
+          [{ text: t('suggest_top', { n: 5 }), callback_data: `sfs:add:${id}:5:${scope}` }, { text: t('suggest_top_short', { n: 10 }), callback_data: `sfs:add:${id}:10:${scope}` }],
+          [{ text: t('suggest_all'), callback_data: `sfs:add:${id}:all:${scope}` }],
         ],
       };
       return ctx.reply([
-        `<b>Safelist Suggestions (${scope})</b>`,
+        t('suggest_title', { scope: esc(scope) }),
         lines,
         '',
-        `<i>Tap a button to add these words${scope === 'global' ? ' globally' : ' for this chat (persisted globally)'}.</i>`,
+        t(scope === 'global' ? 'suggest_hint_global' : 'suggest_hint_chat'),
       ].join('\n'), { parse_mode: 'HTML', reply_markup: kb, disable_web_page_preview: true });
     } catch (e) {
-      return ctx.reply('Failed to build suggestions.');
+      return ctx.reply(t('suggest_failed'), { parse_mode: 'HTML' });
     }
   });
 
   composer.callbackQuery(/^sfs:add:([A-Za-z0-9_-]+):(\d+|all):(chat|global)$/i, async (ctx) => {
-    if (!(await isBotAdminOrOwner(ctx))) return ctx.answerCallbackQuery({ text: 'Admins only', show_alert: true });
+    const t = await replyTranslator(ctx);
+    if (!(await isBotAdminOrOwner(ctx))) return ctx.answerCallbackQuery({ text: t('cb_admins_only'), show_alert: true });
     const [, id, countStr, scope] = ctx.match;
     const row = suggStore.get(id);
     if (!row || row.until < Date.now()) {
       try { await ctx.editMessageReplyMarkup({ inline_keyboard: [] }); } catch { }
-      return ctx.answerCallbackQuery({ text: 'Suggestions expired', show_alert: false });
+      return ctx.answerCallbackQuery({ text: t('suggest_expired'), show_alert: false });
     }
     const terms = row.terms.slice(0, countStr === 'all' ? row.terms.length : Number(countStr || 0));
-    const { added, persisted, dbError } = await addSafeTerms(terms);
+    const result = await addSafeTerms(terms);
     try { await ctx.editMessageReplyMarkup({ inline_keyboard: [] }); } catch { }
-    return ctx.answerCallbackQuery({ text: added ? `Safelisted ${added} term(s)${persisted ? ' · DB saved' : dbError ? ' · DB error' : ''}` : 'No terms added', show_alert: false });
+    return ctx.answerCallbackQuery({ text: result.added ? safelistedText(t, result) : t('suggest_no_terms'), show_alert: false });
   });
 
   // -------- /abuse command: add explicit phrases/words --------
@@ -555,7 +585,8 @@ export function settingsMiddleware() {
   }
 
   composer.command('abuse', async (ctx) => {
-    if (!(await isBotAdminOrOwner(ctx))) return ctx.reply('⛔ <b>Admins only</b>', { parse_mode: 'HTML' });
+    const t = await replyTranslator(ctx);
+    if (!(await isBotAdminOrOwner(ctx))) return ctx.reply(t('admins_only'), { parse_mode: 'HTML' });
     const args = parseCommandArgs(ctx);
     let candidates = parseQuoted(args);
     if ((!candidates || !candidates.length) && ctx.msg?.reply_to_message) {
@@ -566,52 +597,55 @@ export function settingsMiddleware() {
       candidates.push(...tokens);
     }
     if (!candidates.length) {
-      return ctx.reply('💡 <b>Usage:</b> <code>/abuse "word or phrase"</code> (or reply to a message with <code>/abuse</code>)', { parse_mode: 'HTML' });
+      return ctx.reply(t('abuse_usage'), { parse_mode: 'HTML' });
     }
     // Apply at runtime and persist
     addExplicitRuntime(candidates);
     const added = await addExplicitTerms(candidates);
-    return ctx.reply(`✅ <b>Added</b> <b>${added}</b> phrase(s) to explicit list.`, { parse_mode: 'HTML' });
+    return ctx.reply(t('abuse_added', { count: added }), { parse_mode: 'HTML' });
   });
 
-  async function buildUserStatsMessage(ctx, targetId, scope = 'chat', format = 'pretty') {
+  async function buildUserStatsMessage(ctx, t, targetId, scope = 'chat', format = 'pretty') {
     const mod = await import('../logger.js');
     const chatIdOrNull = scope === 'global' ? null : ctx.chat?.id;
     const { daily, weekly, lifetime, dailyAvg, weeklyAvg, risk, weeklyTop } = await fetchUserStats(targetId, chatIdOrNull);
     const funnyPrefix = (await mod.buildFunnyPrefix(risk < 3 ? 'Low' : risk < 10 ? 'Medium' : 'High', weeklyTop)) || '';
     if (format === 'compact') {
       const parts = [];
-      parts.push(`${funnyPrefix}<b>User</b> <code>${esc(targetId)}</code>`);
-      parts.push(`scope: <i>${scope}</i>`);
-      parts.push(`today: <b>${daily.total}</b>`);
-      parts.push(`7d: <b>${weekly.total}</b>`);
-      parts.push(`avg(d): <b>${isFinite(dailyAvg) ? dailyAvg.toFixed(2) : '0.00'}</b>`);
-      parts.push(`avg(w): <b>${isFinite(weeklyAvg) ? weeklyAvg.toFixed(2) : '0.00'}</b>`);
-      parts.push(`life: <b>${lifetime.total}</b>`);
-      parts.push(`risk: <b>${risk.toFixed(2)}</b>`);
+      parts.push(`${funnyPrefix}${t('ustats_compact_user', { id: esc(targetId) })}`);
+      parts.push(t('ustats_compact_scope', { scope: t(scope === 'global' ? 'kb_global' : 'kb_chat') }));
+      parts.push(t('stats_compact_today', { n: daily.total }));
+      parts.push(t('stats_compact_7d', { n: weekly.total }));
+      parts.push(t('ustats_compact_avg_d', { n: isFinite(dailyAvg) ? dailyAvg.toFixed(2) : '0.00' }));
+      parts.push(t('ustats_compact_avg_w', { n: isFinite(weeklyAvg) ? weeklyAvg.toFixed(2) : '0.00' }));
+      parts.push(t('ustats_compact_life', { n: lifetime.total }));
+      parts.push(t('ustats_compact_risk', { n: risk.toFixed(2) }));
       const top3 = Object.entries(weekly.byViolation).sort((a, b) => (b[1] || 0) - (a[1] || 0)).slice(0, 3)
         .map(([k, v]) => `${esc(k)}=${v}`).join(', ');
-      if (top3) parts.push(`top: <code>${top3}</code>`);
+      if (top3) parts.push(t('ustats_compact_top', { list: top3 }));
       return parts.join(' | ');
     }
-    const riskLabel = (s) => (s < 3 ? 'Low' : s < 10 ? 'Medium' : 'High');
+    const riskLabel = (s) => t(s < 3 ? 'risk_low' : s < 10 ? 'risk_medium' : 'risk_high');
     const topViolations = Object.entries(weekly.byViolation)
       .sort((a, b) => (b[1] || 0) - (a[1] || 0))
       .slice(0, 3)
       .map(([k, v]) => `${k}: ${v}`);
-    const header = `${funnyPrefix}User stats for <code>${esc(targetId)}</code> ${esc(scope === 'global' ? 'across all chats' : 'in this chat')}`;
+    const header = `${funnyPrefix}${t(scope === 'global' ? 'ustats_title_global' : 'ustats_title_chat', { id: esc(targetId) })}`;
     const html = [
       `<b>${header}</b>`,
       '',
-      `<b>🗓 Today</b> — Total: <b>${daily.total}</b>`,
+      t('stats_today', { total: daily.total }),
       '',
-      `<b>🗓 Last 7 Days</b> — Total: <b>${weekly.total}</b>`,
-      `• Daily avg: <b>${isFinite(dailyAvg) ? dailyAvg.toFixed(2) : '0.00'}</b> — Weekly avg: <b>${isFinite(weeklyAvg) ? weeklyAvg.toFixed(2) : '0.00'}</b>`,
-      `• Lifetime total: <b>${lifetime.total}</b>`,
-      `• Risk score (7d): <b>${risk.toFixed(2)}</b> (<i>${riskLabel(risk)}</i>)`,
-      topViolations.length ? `• <i>Top violations (7d)</i>\n${topViolations.map((s) => `  • <code>${esc(s)}</code>`).join('\n')}` : '',
+      t('stats_last7', { total: weekly.total }),
+      t('ustats_avgs', {
+        daily: isFinite(dailyAvg) ? dailyAvg.toFixed(2) : '0.00',
+        weekly: isFinite(weeklyAvg) ? weeklyAvg.toFixed(2) : '0.00',
+      }),
+      t('ustats_lifetime', { n: lifetime.total }),
+      t('ustats_risk', { score: risk.toFixed(2), label: riskLabel(risk) }),
+      topViolations.length ? `${t('ustats_top')}\n${topViolations.map((s) => `  • <code>${esc(s)}</code>`).join('\n')}` : '',
       '',
-      `• <i>7d by violation</i>\n${formatKV(weekly.byViolation)}`,
+      `${t('ustats_by_violation')}\n${formatKV(weekly.byViolation)}`,
     ]
       .filter(Boolean)
       .join('\n');
@@ -620,35 +654,8 @@ export function settingsMiddleware() {
 
   // Help
   composer.command(['settings', 'help'], async (ctx) => {
-    const msg = [
-      'Settings commands:',
-      'Bot owner only:',
-      '  /botadmin_add <user_id> — or reply to a user to add as bot admin',
-      '  /botadmin_remove <user_id> — or reply to a user to remove from bot admins',
-      'Bot owner or bot admin:',
-      '  /rule_global_enable <rule> — enable a rule globally',
-      '  /rule_global_disable <rule> — disable a rule globally',
-      '  /maxlen_global_set <n> — set global max length limit',
-      '  /user_groups [user_id] [limit] — show user presence count and group links',
-      '  /bot_stats — show bot-wide moderation stats',
-      'Group owner/admin (with ban rights), bot admin or owner:',
-      '  /rule_chat_enable <rule> — enable a rule for this chat',
-      '  /rule_chat_disable <rule> — disable a rule for this chat',
-      '  /maxlen_chat_set <n> — set max length limit for this chat',
-      '  /whitelist_add <user_id> — or reply to a user to whitelist',
-      '  /whitelist_remove <user_id> — or reply to a user to unwhitelist',
-      '  /whitelist_list — show chat whitelist',
-      '  /group_stats — show this chat’s moderation stats',
-      '  /user_stats [user_id] — show user stats (reply or pass id; defaults to you)',
-      '  /top_violators [days] [global] — list top 10 violators',
-      '  /rules_status — show global/chat/effective rule status',
-      '  /blacklist_add <user_id> [kick|mute] [reason] — add to global blacklist',
-      '  /blacklist_remove <user_id> — remove from global blacklist',
-      '  /blacklist_list — show global blacklist entries',
-      '',
-      `Rules: ${RULE_KEYS.join(', ')}`,
-    ].join('\n');
-    return replyEphemeral(ctx, msg);
+    const t = await replyTranslator(ctx);
+    return replyEphemeral(ctx, buildHelpText(t));
   });
 
   // Bot-wide stats (owner or bot admin)
@@ -656,8 +663,9 @@ export function settingsMiddleware() {
     if (!(await isBotAdminOrOwner(ctx))) return;
     const tokens = ctx.message.text.trim().split(/\s+/);
     const format = tokens.includes('compact') ? 'compact' : 'pretty';
-    const html = await buildBotStatsMessage(format);
-    return replyEphemeral(ctx, html, { parse_mode: 'HTML', disable_web_page_preview: true, reply_markup: botStatsKeyboard(format) });
+    const t = await replyTranslator(ctx);
+    const html = await buildBotStatsMessage(t, format);
+    return replyEphemeral(ctx, html, { parse_mode: 'HTML', disable_web_page_preview: true, reply_markup: botStatsKeyboard(t, format) });
   });
 
   // Per-chat stats (chat admin with ban rights, or bot admin/owner)
@@ -667,8 +675,9 @@ export function settingsMiddleware() {
     if (!ok) return;
     const tokens = ctx.message.text.trim().split(/\s+/);
     const format = tokens.includes('compact') ? 'compact' : 'pretty';
-    const html = await buildGroupStatsMessage(ctx, format);
-    return replyEphemeral(ctx, html, { parse_mode: 'HTML', disable_web_page_preview: true, reply_markup: groupStatsKeyboard(format) });
+    const t = await replyTranslator(ctx);
+    const html = await buildGroupStatsMessage(ctx, t, format);
+    return replyEphemeral(ctx, html, { parse_mode: 'HTML', disable_web_page_preview: true, reply_markup: groupStatsKeyboard(t, format) });
   });
 
   // Top violators (per chat by default). Anyone can view
@@ -677,32 +686,51 @@ export function settingsMiddleware() {
     const daysTok = tokens.slice(1).find((t) => /^(\d+)$/.test(t));
     const days = daysTok ? Number(daysTok) : 7;
     const globalFlag = tokens.includes('global');
+    const t = await replyTranslator(ctx);
     const mod = await import('../logger.js');
     const list = await mod.getTopViolators(days, globalFlag ? null : ctx.chat.id, 10);
-    if (!list.length) return ctx.reply('ℹ️ <b>No violations found</b> for the selected period.', { parse_mode: 'HTML' });
+    if (!list.length) return ctx.reply(t('top_none'), { parse_mode: 'HTML' });
     const rows = await Promise.all(list.map(async (u, i) => {
       const topV = Object.entries(u.byViolation || {}).sort((a, b) => (b[1] || 0) - (a[1] || 0))[0]?.[0] || '-';
       const anchor = `<a href="tg://user?id=${u.userId}">${esc(String(u.userId))}</a>`;
-      return `${i + 1}. ${anchor} — total: <b>${u.total}</b>, risk: <b>${u.risk.toFixed(2)}</b>, top: <code>${esc(topV)}</code>`;
+      return t('top_row', { n: i + 1, user: anchor, total: u.total, risk: u.risk.toFixed(2), top: esc(topV) });
     }));
-    const scope = globalFlag ? 'across all chats' : 'in this chat';
-    const html = [`<b>Top ${list.length} violators (${esc(scope)}, last ${days}d)</b>`, ...rows].join('\n');
+    const html = [t(globalFlag ? 'top_title_global' : 'top_title_chat', { count: list.length, days }), ...rows].join('\n');
     return replyEphemeral(ctx, html, { parse_mode: 'HTML', disable_web_page_preview: true });
   });
 
   // Toggle handlers for bot/group stats
   composer.callbackQuery(/^bstats:(pretty|compact)$/i, async (ctx) => {
     const [, format] = ctx.match;
-    const html = await buildBotStatsMessage(format);
+    const t = await replyTranslator(ctx);
+    const html = await buildBotStatsMessage(t, format);
     try {
-      await ctx.editMessageText(html, { parse_mode: 'HTML', disable_web_page_preview: true, reply_markup: botStatsKeyboard(format) });
+      await ctx.editMessageText(html, { parse_mode: 'HTML', disable_web_page_preview: true, reply_markup: botStatsKeyboard(t, format) });
     } catch (_) {
-      await ctx.reply(html, { parse_mode: 'HTML', disable_web_page_preview: true, reply_markup: botStatsKeyboard(format) });
+      await ctx.reply(html, { parse_mode: 'HTML', disable_web_page_preview: true, reply_markup: botStatsKeyboard(t, format) });
     }
     return ctx.answerCallbackQuery();
   });
 
   // User groups (presence + links) — owner or bot admin only
+  async function buildUserGroupsPage(ctx, t, targetId, limit, offset) {
+    const count = await getUserGroupCount(targetId);
+    const groups = await getUserGroupLinks(ctx, targetId, { limit, offset });
+    const start = Math.min(offset + 1, Math.max(count, 1));
+    const end = Math.min(offset + groups.length, count);
+    const header = `${t('ugroups_title', { id: targetId, count })}\n${t('ugroups_showing', { start, end, count })}`;
+    const lines = groups.length ? groups.map((g, i) => `${offset + i + 1}. ${g.link || `chat:${g.chat_id}`}${g.title ? ` — ${g.title}` : ''}`) : [t('ugroups_no_links')];
+    const prevOff = Math.max(0, offset - limit);
+    const nextOff = offset + limit < count ? offset + limit : offset;
+    const kb = {
+      inline_keyboard: [[
+        { text: t('kb_prev'), callback_data: `ugroups:${targetId}:${prevOff}:${limit}` },
+        { text: t('kb_next'), callback_data: `ugroups:${targetId}:${nextOff}:${limit}` },
+      ]],
+    };
+    return { html: `<b>${esc(header)}</b>\n${esc(lines.join('\n'))}`, reply_markup: kb };
+  }
+
   composer.command('user_groups', async (ctx) => {
     if (!(await isBotAdminOrOwner(ctx))) return;
     const tokens = ctx.message.text.trim().split(/\s+/);
@@ -719,35 +747,23 @@ export function settingsMiddleware() {
     }
     if (!Number.isFinite(targetId)) targetId = ctx.from?.id;
     if (!Number.isFinite(targetId)) return;
+    const t = await replyTranslator(ctx);
     try {
-      const count = await getUserGroupCount(targetId);
-      const groups = await getUserGroupLinks(ctx, targetId, { limit, offset });
-      const title = `User ${targetId} is present in ${count} group(s).`;
-      const start = Math.min(offset + 1, Math.max(count, 1));
-      const end = Math.min(offset + groups.length, count);
-      const header = `${title}\nShowing ${start}-${end} of ${count}`;
-      const lines = groups.length ? groups.map((g, i) => `${offset + i + 1}. ${g.link || `chat:${g.chat_id}`}${g.title ? ` — ${g.title}` : ''}`) : ['No links available (bot may lack rights).'];
-      const prevOff = Math.max(0, offset - limit);
-      const nextOff = offset + limit < count ? offset + limit : offset;
-      const kb = {
-        inline_keyboard: [[
-          { text: '⏮️ Prev', callback_data: `ugroups:${targetId}:${prevOff}:${limit}` },
-          { text: 'Next ⏭️', callback_data: `ugroups:${targetId}:${nextOff}:${limit}` },
-        ]],
-      };
-      return replyEphemeral(ctx, `<b>${esc(header)}</b>\n${esc(lines.join('\n'))}`, { parse_mode: 'HTML', reply_markup: kb, disable_web_page_preview: true });
+      const page = await buildUserGroupsPage(ctx, t, targetId, limit, offset);
+      return replyEphemeral(ctx, page.html, { parse_mode: 'HTML', reply_markup: page.reply_markup, disable_web_page_preview: true });
     } catch (e) {
-      return replyEphemeral(ctx, `❌ <b>Failed to fetch presence:</b> <code>${esc(e?.message || String(e))}</code>`, { parse_mode: 'HTML' });
+      return replyEphemeral(ctx, t('ugroups_failed', { error: esc(e?.message || String(e)) }), { parse_mode: 'HTML' });
     }
   });
 
   // Pagination handler for user_groups
   composer.command('group_kick_all', async (ctx) => {
+    const t = await replyTranslator(ctx);
     if (ctx.chat?.type !== 'private') {
-      return ctx.reply('ℹ️ Run this command in a private chat with the bot.');
+      return ctx.reply(t('private_only'), { parse_mode: 'HTML' });
     }
     if (!(await isBotAdminOrOwner(ctx))) {
-      return ctx.reply('⛔ <b>Admins only</b>', { parse_mode: 'HTML' });
+      return ctx.reply(t('admins_only'), { parse_mode: 'HTML' });
     }
     const tokens = ctx.message.text.trim().split(/\s+/).slice(1);
     const inspectDefaultRaw = Number(process.env.GROUP_KICK_INSPECT_LIMIT);
@@ -778,36 +794,29 @@ export function settingsMiddleware() {
       }
     }
     if (!rawId || (!confirm && !inspect)) {
-      const usage = [
-        '⚠️ <b>Usage:</b> <code>/group_kick_all &lt;chat_id&gt; confirm</code>',
-        'Chat ID must be the numeric Telegram ID (e.g. <code>-1001234567890</code>).',
-        'The bot removes everyone it has seen in that chat except admins and itself.',
-        'Preview with <code>/group_kick_all &lt;chat_id&gt; inspect [limit=25]</code> before confirming.',
-        'Use <code>/group_kick_all_abort &lt;chat_id&gt;</code> to cancel a running purge.',
-      ].join('\n');
-      return ctx.reply(usage, { parse_mode: 'HTML' });
+      return ctx.reply(t('gka_usage'), { parse_mode: 'HTML' });
     }
     const chatId = Number(rawId);
     if (!Number.isFinite(chatId)) {
-      return ctx.reply('❌ <b>Invalid chat ID.</b> Provide a numeric ID like <code>-1001234567890</code>.', { parse_mode: 'HTML' });
+      return ctx.reply(t('invalid_chat_id'), { parse_mode: 'HTML' });
     }
     if (GROUP_KICK_BLOCKED_IDS.has(String(chatId))) {
-      return ctx.reply('⛔ <b>This chat ID is protected</b>; bulk removal is disabled for this group.', { parse_mode: 'HTML' });
+      return ctx.reply(t('gka_protected'), { parse_mode: 'HTML' });
     }
     const abortKey = String(chatId);
     const existing = groupKickAbortState.get(abortKey);
     if (existing && !existing.completed && !existing.abort) {
-      return ctx.reply('⚠️ A /group_kick_all operation is already running for this chat. Use /group_kick_all_abort to stop it.', { parse_mode: 'HTML' });
+      return ctx.reply(t('gka_already_running'), { parse_mode: 'HTML' });
     }
     let chat = null;
     try {
       chat = await ctx.api.getChat(chatId);
     } catch (e) {
       const msg = e?.description || e?.message || String(e);
-      return ctx.reply(`❌ <b>Failed to access chat:</b> <code>${esc(msg)}</code>`, { parse_mode: 'HTML' });
+      return ctx.reply(t('gka_access_failed', { error: esc(msg) }), { parse_mode: 'HTML' });
     }
     if (chat?.type !== 'supergroup' && chat?.type !== 'group') {
-      return ctx.reply('❌ <b>Target chat must be a group or supergroup.</b>', { parse_mode: 'HTML' });
+      return ctx.reply(t('gka_not_group'), { parse_mode: 'HTML' });
     }
     let adminIds = new Set();
     let botMember = null;
@@ -823,11 +832,11 @@ export function settingsMiddleware() {
     }
     const canRestrict = Boolean(botMember?.status === 'administrator' && botMember?.can_restrict_members);
     if (!canRestrict && confirm) {
-      return ctx.reply('⛔ <b>I need Ban Users permission in that group to run /group_kick_all.</b>', { parse_mode: 'HTML' });
+      return ctx.reply(t('gka_need_ban'), { parse_mode: 'HTML' });
     }
     const memberIds = await getChatPresenceUserIds(chatId);
     if (!memberIds.length) {
-      return ctx.reply('ℹ️ <b>No stored member list for this chat.</b> Presence tracking via Supabase is required.', { parse_mode: 'HTML' });
+      return ctx.reply(t('gka_no_members'), { parse_mode: 'HTML' });
     }
     const meId = ctx.me?.id;
     const seen = Array.from(new Set(memberIds.filter((id) => Number.isFinite(id))));
@@ -846,7 +855,7 @@ export function settingsMiddleware() {
       targets.push(id);
     }
     if (!targets.length) {
-      return ctx.reply('ℹ️ <b>Nothing to remove.</b> Only admins or the bot are recorded for that chat.', { parse_mode: 'HTML' });
+      return ctx.reply(t('gka_nothing'), { parse_mode: 'HTML' });
     }
     if (inspect) {
       const limit = Math.max(1, Math.min(inspectLimit, targets.length));
@@ -854,7 +863,7 @@ export function settingsMiddleware() {
       const sampleLines = [];
       for (let i = 0; i < sampleIds.length; i += 1) {
         const userId = sampleIds[i];
-        let noteText = '';
+        let detail = '';
         try {
           const member = await ctx.api.getChatMember(chatId, userId);
           if (member?.status) {
@@ -868,37 +877,34 @@ export function settingsMiddleware() {
                 restricted: 'restricted',
               };
               const label = statusMap[status] || status;
-              noteText = `status: ${esc(label)}`;
+              detail = ` — <i>${t('gka_status', { status: esc(label) })}</i>`;
             }
           }
         } catch (err) {
           const msg = String(err?.description || err?.message || err || '');
           if (/user not found|member not found|chat member not found|USER_ID_INVALID/i.test(msg)) {
-            noteText = 'already absent';
+            detail = ` — ${t('gka_absent')}`;
           } else {
-            noteText = `error: ${esc(msg.slice(0, 70))}`;
+            detail = ` — <i>${t('gka_error', { error: esc(msg.slice(0, 70)) })}</i>`;
           }
         }
-        const detail = noteText
-          ? ` — ${noteText === 'already absent' ? 'already absent' : `<i>${noteText}</i>`}`
-          : '';
         sampleLines.push(`${i + 1}. <code>${userId}</code>${detail}`);
       }
       const headerLines = [
-        `👁️ <b>Inspecting purge targets for</b> <code>${esc(chat?.title || String(chatId))}</code>`,
-        `<b>Tracked members:</b> ${seen.length}`,
-        `<b>Potential removals:</b> ${targets.length}`,
-        skippedAdmins ? `🛡️ <b>Admins skipped:</b> ${skippedAdmins}` : null,
-        skippedBot ? `🤖 <b>Bot ID skipped:</b> ${skippedBot}` : null,
-        `Showing first ${limit} target${limit === 1 ? '' : 's'}.`,
+        t('gka_inspect_title', { title: esc(chat?.title || String(chatId)) }),
+        t('gka_tracked', { n: seen.length }),
+        t('gka_potential', { n: targets.length }),
+        skippedAdmins ? t('gka_admins_skipped', { n: skippedAdmins }) : null,
+        skippedBot ? t('gka_bot_skipped', { n: skippedBot }) : null,
+        t('gka_showing_first', { n: limit }),
       ].filter(Boolean);
       if (targets.length > limit) {
-        headerLines.push(`… ${targets.length - limit} more target${targets.length - limit === 1 ? '' : 's'} not shown.`);
+        headerLines.push(t('gka_more_targets', { n: targets.length - limit }));
       }
       if (!canRestrict) {
-        headerLines.push('⚠️ <b>Bot lacks Ban permission</b>; purge will fail until permissions are fixed.');
+        headerLines.push(t('gka_lacks_ban'));
       }
-      headerLines.push('Use <code>/group_kick_all &lt;chat_id&gt; confirm</code> when ready.');
+      headerLines.push(t('gka_confirm_hint'));
       const previewText = [headerLines.join('\n'), '', sampleLines.join('\n')].filter(Boolean).join('\n');
       await ctx.reply(previewText, { parse_mode: 'HTML', disable_web_page_preview: true });
       if (!confirm) return;
@@ -920,10 +926,10 @@ export function settingsMiddleware() {
       currentState.startedAt = Date.now();
       try {
         const header = [
-          `🚨 <b>Purging members from:</b> <code>${esc(chat?.title || String(chatId))}</code>`,
-          `<b>Seen members:</b> ${seen.length}`,
-          `<b>Attempting removals:</b> ${targets.length}`,
-          adminIds.size ? `🛡️ <b>Admins recorded:</b> ${adminIds.size}` : null,
+          t('gka_purging', { title: esc(chat?.title || String(chatId)) }),
+          t('gka_seen', { n: seen.length }),
+          t('gka_attempting', { n: targets.length }),
+          adminIds.size ? t('gka_admins_recorded', { n: adminIds.size }) : null,
         ].filter(Boolean).join('\n');
         await ctx.reply(header, { parse_mode: 'HTML' });
         const parseDelay = (value, fallback) => {
@@ -955,15 +961,15 @@ export function settingsMiddleware() {
           const title = esc(chat?.title || String(chatId));
           const pct = Math.min(100, Math.floor((processed / targets.length) * 100));
           const lines = [];
-          lines.push(final ? (aborted ? '⛔ <b>Purge stopped</b>' : '✅ <b>Purge complete</b>') : '🚨 <b>Purge running…</b>');
-          lines.push(`<b>Chat:</b> <code>${title}</code>`);
-          lines.push(`<b>Processed:</b> ${processed}/${targets.length} (${pct}%)`);
-          if (kicked.length) lines.push(`• Removed: <b>${kicked.length}</b>`);
-          if (alreadyGone) lines.push(`• Already absent: <b>${alreadyGone}</b>`);
-          if (failures.length) lines.push(`• Failures: <b>${failures.length}</b>`);
-          if (skippedAdmins) lines.push(`• Skipped admins: <b>${skippedAdmins}</b>`);
-          if (skippedBot) lines.push(`• Skipped bot: <b>${skippedBot}</b>`);
-          if (!final && currentState.abort) lines.push('⏳ Waiting for workers to stop…');
+          lines.push(t(final ? (aborted ? 'gka_stopped' : 'gka_complete') : 'gka_in_progress'));
+          lines.push(t('gka_chat', { title }));
+          lines.push(t('gka_processed', { done: processed, total: targets.length, pct }));
+          if (kicked.length) lines.push(t('gka_p_removed', { n: kicked.length }));
+          if (alreadyGone) lines.push(t('gka_p_absent', { n: alreadyGone }));
+          if (failures.length) lines.push(t('gka_p_failures', { n: failures.length }));
+          if (skippedAdmins) lines.push(t('gka_p_skipped_admins', { n: skippedAdmins }));
+          if (skippedBot) lines.push(t('gka_p_skipped_bot', { n: skippedBot }));
+          if (!final && currentState.abort) lines.push(t('gka_waiting'));
           return lines.join('\n');
         };
 
@@ -1088,31 +1094,31 @@ export function settingsMiddleware() {
           }
         }
         const summaryParts = [
-          `✅ <b>Removed:</b> ${kicked.length}`,
-          skippedAdmins ? `🛡️ <b>Skipped admins:</b> ${skippedAdmins}` : null,
-          skippedBot ? `🤖 <b>Skipped bot ID:</b> ${skippedBot}` : null,
-          alreadyGone ? `🚪 <b>Already absent:</b> ${alreadyGone}` : null,
-          failures.length ? `⚠️ <b>Failures:</b> ${failures.length}` : null,
+          t('gka_s_removed', { n: kicked.length }),
+          skippedAdmins ? t('gka_s_skipped_admins', { n: skippedAdmins }) : null,
+          skippedBot ? t('gka_s_skipped_bot', { n: skippedBot }) : null,
+          alreadyGone ? t('gka_s_absent', { n: alreadyGone }) : null,
+          failures.length ? t('gka_s_failures', { n: failures.length }) : null,
         ].filter(Boolean).join('\n');
         const failureLines = failures.slice(0, 5).map((f) => `• <code>${f.userId}</code> — ${esc(f.reason)}`);
         const extraLines = [];
         if (aborted) {
-          extraLines.push('⛔ <b>Operation aborted.</b> Remaining members were not processed.');
+          extraLines.push(t('gka_aborted'));
           if (currentState.abortedBy) {
-            extraLines.push(`⏹️ <b>Aborted by:</b> <code>${currentState.abortedBy}</code>`);
+            extraLines.push(t('gka_aborted_by', { id: currentState.abortedBy }));
           }
         }
         if (pruneIds.length) {
-          extraLines.push(`🗃️ <b>Presence records pruned:</b> ${presenceRemoved}`);
+          extraLines.push(t('gka_presence_pruned', { n: presenceRemoved }));
           if (presenceError) {
             const msg = String(presenceError?.message || presenceError || '').slice(0, 160);
-            extraLines.push(`⚠️ <b>Presence cleanup error:</b> <code>${esc(msg)}</code>`);
+            extraLines.push(t('gka_presence_error', { error: esc(msg) }));
           }
         }
         const body = (() => {
           const main = extraLines.length ? [summaryParts, ...extraLines].join('\n') : summaryParts;
           if (!failureLines.length) return main;
-          return [main, '', '<b>Failure samples</b>', ...failureLines].join('\n');
+          return [main, '', t('gka_failure_samples'), ...failureLines].join('\n');
         })();
         await ctx.reply(body, { parse_mode: 'HTML' });
         const noticeParts = [
@@ -1155,7 +1161,7 @@ export function settingsMiddleware() {
       },
       onError: (err) => {
         try {
-          ctx.reply(`❌ <b>Group purge failed:</b> <code>${esc(err?.message || err)}</code>`, { parse_mode: 'HTML' });
+          ctx.reply(t('gka_failed', { error: esc(err?.message || err) }), { parse_mode: 'HTML' });
         } catch {}
       },
     };
@@ -1163,25 +1169,26 @@ export function settingsMiddleware() {
     const idleBefore = isQueueIdle();
     enqueueTask(task, { priority: 'critical' });
     if (!idleBefore) {
-      await ctx.reply('⏳ Another task is running. Your purge has been queued with priority.', { parse_mode: 'HTML' });
+      await ctx.reply(t('gka_queued'), { parse_mode: 'HTML' });
     }
   });
 
   composer.command('group_kick_all_abort', async (ctx) => {
+    const t = await replyTranslator(ctx);
     if (ctx.chat?.type !== 'private') {
-      return ctx.reply('ℹ️ Run this command in a private chat with the bot.');
+      return ctx.reply(t('private_only'), { parse_mode: 'HTML' });
     }
     if (!(await isBotAdminOrOwner(ctx))) {
-      return ctx.reply('⛔ <b>Admins only</b>', { parse_mode: 'HTML' });
+      return ctx.reply(t('admins_only'), { parse_mode: 'HTML' });
     }
     const tokens = ctx.message.text.trim().split(/\s+/);
     const rawId = tokens[1];
     if (!rawId) {
-      return ctx.reply('⚠️ <b>Usage:</b> <code>/group_kick_all_abort &lt;chat_id&gt;</code>', { parse_mode: 'HTML' });
+      return ctx.reply(t('usage', { syntax: '/group_kick_all_abort &lt;chat_id&gt;' }), { parse_mode: 'HTML' });
     }
     const chatId = Number(rawId);
     if (!Number.isFinite(chatId)) {
-      return ctx.reply('❌ <b>Invalid chat ID.</b> Provide a numeric ID like <code>-1001234567890</code>.', { parse_mode: 'HTML' });
+      return ctx.reply(t('invalid_chat_id'), { parse_mode: 'HTML' });
     }
     const abortKey = String(chatId);
     const state = groupKickAbortState.get(abortKey);
@@ -1192,27 +1199,29 @@ export function settingsMiddleware() {
       queuedTask.cancel?.({ abortedBy: ctx.from?.id });
       queuedTask.cancelled = true;
       groupKickAbortState.delete(abortKey);
-      return ctx.reply('⛔ <b>Purge removed from queue before it started.</b>', { parse_mode: 'HTML' });
+      return ctx.reply(t('gka_dequeued'), { parse_mode: 'HTML' });
     }
     if (!state || state.completed) {
-      return ctx.reply('ℹ️ <b>No active /group_kick_all run found for that chat.</b>', { parse_mode: 'HTML' });
+      return ctx.reply(t('gka_none_active'), { parse_mode: 'HTML' });
     }
     if (state.abort) {
-      return ctx.reply('ℹ️ <b>An abort has already been requested.</b>', { parse_mode: 'HTML' });
+      return ctx.reply(t('gka_abort_pending'), { parse_mode: 'HTML' });
     }
     state.abort = true;
     state.abortedBy = ctx.from?.id ?? null;
     state.abortedAt = Date.now();
-    return ctx.reply('⛔ <b>Abort requested.</b> The purge will stop after the current member is processed.', { parse_mode: 'HTML' });
+    return ctx.reply(t('gka_abort_requested'), { parse_mode: 'HTML' });
   });
 
   composer.command('blacklist_add', async (ctx) => {
-    if (!(await isBotAdminOrOwner(ctx))) return ctx.reply('⛔ <b>Admins only</b>', { parse_mode: 'HTML' });
+    const t = await replyTranslator(ctx);
+    if (!(await isBotAdminOrOwner(ctx))) return ctx.reply(t('admins_only'), { parse_mode: 'HTML' });
     const replyFrom = ctx.message?.reply_to_message?.from;
     const raw = ctx.message?.text?.replace(/^\/blacklist_add(?:@\w+)?\s*/i, '') || '';
     const parts = raw.split(/\s+/).filter(Boolean);
     let targetId = replyFrom?.id;
     let action = 'kick';
+    let seconds = null;
     const reasonParts = [];
     for (const tok of parts) {
       const lower = tok.toLowerCase();
@@ -1225,10 +1234,15 @@ export function settingsMiddleware() {
         action = lower;
         continue;
       }
+      // Only the first duration (before the reason starts) sets the expiry
+      if (seconds == null && !reasonParts.length && parseDuration(lower)) {
+        seconds = parseDuration(lower);
+        continue;
+      }
       reasonParts.push(tok);
     }
     if (!Number.isFinite(targetId)) {
-      return ctx.reply('⚠️ <b>Usage:</b> <code>/blacklist_add &lt;user_id&gt; [kick|mute] [reason]</code> (or reply to a user).', { parse_mode: 'HTML' });
+      return ctx.reply(`${t('usage', { syntax: '/blacklist_add &lt;user_id&gt; [kick|mute] [duration] [reason]' })}${t('usage_or_reply')}`, { parse_mode: 'HTML' });
     }
     const reason = reasonParts.join(' ').trim();
     const entry = await setGlobalBlacklistEntry(targetId, {
@@ -1236,27 +1250,29 @@ export function settingsMiddleware() {
       reason,
       addedBy: ctx.from?.id,
       addedAt: new Date().toISOString(),
+      expiresAt: seconds ? new Date(Date.now() + seconds * 1000).toISOString() : null,
     });
-    const enforcement = await enforceBlacklistAcrossChats(ctx, targetId, entry.action);
+    const enforcement = await enforceBlacklistAcrossChats(ctx, targetId, entry);
     const lines = [
-      `✅ <b>Added user</b> <code>${targetId}</code> to global blacklist.`,
-      `• Action: <code>${esc(entry.action)}</code>`,
-      reason ? `• Reason: <i>${esc(reason)}</i>` : null,
-      enforcement.total ? `• Groups evaluated: <b>${enforcement.total}</b>` : '• No presence data; enforcement will trigger on next activity.',
-      enforcement.applied.length ? `• Applied in: <b>${enforcement.applied.length}</b> group(s)` : null,
-      enforcement.failures.length ? `• Failures: <b>${enforcement.failures.length}</b>` : null,
+      t('bl_added', { id: targetId }),
+      t('field_action', { value: esc(entry.action) }),
+      reason ? t('field_reason', { value: esc(reason) }) : null,
+      entry.expiresAt ? t('field_expires', { at: `<code>${esc(entry.expiresAt.slice(0, 16).replace('T', ' '))}</code>`, left: esc(formatDuration(seconds)) }) : null,
+      enforcement.total ? t('bl_groups', { n: enforcement.total }) : t('bl_no_presence'),
+      enforcement.applied.length ? t('bl_applied', { n: enforcement.applied.length }) : null,
+      enforcement.failures.length ? t('bl_failures', { n: enforcement.failures.length }) : null,
     ].filter(Boolean);
     if (enforcement.applied.length) {
       const sample = enforcement.applied.slice(0, 5).map((row) => `  ◦ ${esc(row.title || String(row.chatId))} (${row.mode})`);
-      lines.push('<b>Applied samples</b>');
+      lines.push(t('bl_applied_samples'));
       lines.push(...sample);
-      if (enforcement.applied.length > sample.length) lines.push(`  … ${enforcement.applied.length - sample.length} more`);
+      if (enforcement.applied.length > sample.length) lines.push(t('more_items', { n: enforcement.applied.length - sample.length }));
     }
     if (enforcement.failures.length) {
       const sampleFail = enforcement.failures.slice(0, 5).map((row) => `  ◦ ${esc(row.title || String(row.chatId))}: <code>${esc(row.reason)}</code>`);
-      lines.push('<b>Failures</b>');
+      lines.push(t('bl_failures_title'));
       lines.push(...sampleFail);
-      if (enforcement.failures.length > sampleFail.length) lines.push(`  … ${enforcement.failures.length - sampleFail.length} more`);
+      if (enforcement.failures.length > sampleFail.length) lines.push(t('more_items', { n: enforcement.failures.length - sampleFail.length }));
     }
     await ctx.reply(lines.join('\n'), { parse_mode: 'HTML', disable_web_page_preview: true });
     try {
@@ -1266,13 +1282,14 @@ export function settingsMiddleware() {
         violation: 'blacklist',
         user: { id: targetId },
         chat: ctx.chat,
-        content: `action=${entry.action}; reason=${reason || '-'}; groups_total=${enforcement.total}; applied=${enforcement.applied.length}; failures=${enforcement.failures.length}`,
+        content: `action=${entry.action}; reason=${reason || '-'}; expires=${entry.expiresAt || 'never'}; groups_total=${enforcement.total}; applied=${enforcement.applied.length}; failures=${enforcement.failures.length}`,
       });
     } catch {}
   });
 
   composer.command('blacklist_remove', async (ctx) => {
-    if (!(await isBotAdminOrOwner(ctx))) return ctx.reply('⛔ <b>Admins only</b>', { parse_mode: 'HTML' });
+    const t = await replyTranslator(ctx);
+    if (!(await isBotAdminOrOwner(ctx))) return ctx.reply(t('admins_only'), { parse_mode: 'HTML' });
     const replyFrom = ctx.message?.reply_to_message?.from;
     const raw = ctx.message?.text?.replace(/^\/blacklist_remove(?:@\w+)?\s*/i, '') || '';
     const parts = raw.split(/\s+/).filter(Boolean);
@@ -1284,14 +1301,14 @@ export function settingsMiddleware() {
       }
     }
     if (!Number.isFinite(targetId)) {
-      return ctx.reply('⚠️ <b>Usage:</b> <code>/blacklist_remove &lt;user_id&gt;</code> (or reply to a user).', { parse_mode: 'HTML' });
+      return ctx.reply(`${t('usage', { syntax: '/blacklist_remove &lt;user_id&gt;' })}${t('usage_or_reply')}`, { parse_mode: 'HTML' });
     }
     const existed = await getBlacklistEntry(targetId);
-    const removed = await removeGlobalBlacklistEntry(targetId);
+    const removed = await removeGlobalBlacklistEntry(targetId, { by: ctx.from?.id });
     if (!removed) {
-      return ctx.reply(`ℹ️ <b>User</b> <code>${targetId}</code> is not on the global blacklist.`, { parse_mode: 'HTML' });
+      return ctx.reply(t('bl_not_listed', { id: targetId }), { parse_mode: 'HTML' });
     }
-    await ctx.reply(`✅ <b>Removed</b> <code>${targetId}</code> from the global blacklist.`, { parse_mode: 'HTML' });
+    await ctx.reply(t('bl_removed', { id: targetId }), { parse_mode: 'HTML' });
     try {
       await logAction(ctx, {
         action: 'global_blacklist_remove',
@@ -1305,10 +1322,11 @@ export function settingsMiddleware() {
   });
 
   composer.command('blacklist_list', async (ctx) => {
-    if (!(await isBotAdminOrOwner(ctx))) return ctx.reply('⛔ <b>Admins only</b>', { parse_mode: 'HTML' });
+    const t = await replyTranslator(ctx);
+    if (!(await isBotAdminOrOwner(ctx))) return ctx.reply(t('admins_only'), { parse_mode: 'HTML' });
     const entries = await listGlobalBlacklist();
     if (!entries.length) {
-      return ctx.reply('ℹ️ <b>The global blacklist is empty.</b>', { parse_mode: 'HTML' });
+      return ctx.reply(t('bl_empty'), { parse_mode: 'HTML' });
     }
     const lines = entries
       .sort((a, b) => (a.userId > b.userId ? 1 : -1))
@@ -1316,12 +1334,56 @@ export function settingsMiddleware() {
       .map((entry) => {
         const ts = entry.addedAt ? new Date(entry.addedAt).toISOString() : '-';
         const reason = entry.reason ? ` — <i>${esc(entry.reason)}</i>` : '';
-        return `• <code>${entry.userId}</code> → <code>${esc(entry.action)}</code>${reason} (since ${esc(ts)})`;
+        const expires = entry.remainingSeconds != null ? t('bl_row_expires', { left: esc(formatDuration(entry.remainingSeconds)) }) : '';
+        return t('bl_row', { id: entry.userId, action: esc(entry.action), reason, since: esc(ts), expires });
       });
     if (entries.length > 50) {
-      lines.push(`… ${entries.length - 50} more not shown`);
+      lines.push(t('more_not_shown', { n: entries.length - 50 }));
     }
-    return ctx.reply(['<b>Global blacklist entries</b>', ...lines].join('\n'), { parse_mode: 'HTML', disable_web_page_preview: true });
+    return ctx.reply([t('bl_title'), ...lines].join('\n'), { parse_mode: 'HTML', disable_web_page_preview: true });
+  });
+
+  // A replaced entry is closed at the moment its successor is added; show that as one "updated" event
+  function blacklistHistoryEvents(rows) {
+    const events = [];
+    rows.forEach((row, i) => {
+      const replaces = i > 0 && rows[i - 1].revokedAt === row.addedAt;
+      events.push({ at: row.addedAt, kind: replaces ? 'updated' : 'added', by: row.addedBy, row });
+      const replaced = rows[i + 1]?.addedAt === row.revokedAt;
+      const expired = row.expiresAt && row.revokedBy === undefined && row.revokedAt >= row.expiresAt;
+      if (row.revokedAt && !replaced) events.push({ at: row.revokedAt, kind: expired ? 'expired' : 'removed', by: row.revokedBy, row });
+    });
+    return events;
+  }
+
+  composer.command('blacklist_history', async (ctx) => {
+    const t = await replyTranslator(ctx);
+    if (!(await isBotAdminOrOwner(ctx))) return ctx.reply(t('admins_only'), { parse_mode: 'HTML' });
+    const replyFrom = ctx.message?.reply_to_message?.from;
+    const arg = (ctx.message?.text || '').trim().split(/\s+/)[1];
+    const targetId = /^\d+$/.test(arg || '') ? Number(arg) : replyFrom?.id;
+    if (!Number.isFinite(targetId)) {
+      return ctx.reply(`${t('usage', { syntax: '/blacklist_history &lt;user_id&gt;' })}${t('usage_or_reply')}`, { parse_mode: 'HTML' });
+    }
+    const rows = await getBlacklistHistory(targetId);
+    if (!rows.length) return ctx.reply(t('bl_history_empty', { id: targetId }), { parse_mode: 'HTML' });
+    const when = (iso) => `<code>${esc(String(iso).slice(0, 16).replace('T', ' '))}</code>`;
+    const who = (id) => (Number.isFinite(id) ? `<code>${id}</code>` : t('bl_history_unknown'));
+    const events = blacklistHistoryEvents(rows);
+    const lines = events.slice(-30).map((e) => {
+      if (e.kind === 'removed') return t('bl_history_removed', { at: when(e.at), by: who(e.by) });
+      if (e.kind === 'expired') return t('bl_history_expired', { at: when(e.at) });
+      return t(`bl_history_${e.kind}`, {
+        at: when(e.at),
+        by: who(e.by),
+        action: esc(e.row.action),
+        reason: e.row.reason ? ` — <i>${esc(e.row.reason)}</i>` : '',
+        expires: e.row.expiresAt ? t('bl_history_until', { at: when(e.row.expiresAt) }) : '',
+      });
+    });
+    if (events.length > 30) lines.unshift(t('more_not_shown', { n: events.length - 30 }));
+    const status = (await getBlacklistEntry(targetId)) ? t('bl_history_listed') : t('bl_history_not_listed');
+    return ctx.reply([t('bl_history_title', { id: targetId }), status, ...lines].join('\n'), { parse_mode: 'HTML', disable_web_page_preview: true });
   });
   composer.callbackQuery(/^ugroups:(\d+):(\d+):(\d+)$/i, async (ctx) => {
     if (!(await isBotAdminOrOwner(ctx))) return ctx.answerCallbackQuery();
@@ -1330,25 +1392,11 @@ export function settingsMiddleware() {
     const offset = Number(off);
     const limit = Number(lim) || 20;
     try {
-      const count = await getUserGroupCount(userId);
-      const groups = await getUserGroupLinks(ctx, userId, { limit, offset });
-      const title = `User ${userId} is present in ${count} group(s).`;
-      const start = Math.min(offset + 1, Math.max(count, 1));
-      const end = Math.min(offset + groups.length, count);
-      const header = `${title}\nShowing ${start}-${end} of ${count}`;
-      const lines = groups.length ? groups.map((g, i) => `${offset + i + 1}. ${g.link || `chat:${g.chat_id}`}${g.title ? ` — ${g.title}` : ''}`) : ['No links available (bot may lack rights).'];
-      const prevOff = Math.max(0, offset - limit);
-      const nextOff = offset + limit < count ? offset + limit : offset;
-      const kb = {
-        inline_keyboard: [[
-          { text: '⏮️ Prev', callback_data: `ugroups:${userId}:${prevOff}:${limit}` },
-          { text: 'Next ⏭️', callback_data: `ugroups:${userId}:${nextOff}:${limit}` },
-        ]],
-      };
+      const page = await buildUserGroupsPage(ctx, await replyTranslator(ctx), userId, limit, offset);
       try {
-        await ctx.editMessageText(`<b>${esc(header)}</b>\n${esc(lines.join('\n'))}`, { parse_mode: 'HTML', reply_markup: kb, disable_web_page_preview: true });
+        await ctx.editMessageText(page.html, { parse_mode: 'HTML', reply_markup: page.reply_markup, disable_web_page_preview: true });
       } catch {
-        await replyEphemeral(ctx, `<b>${esc(header)}</b>\n${esc(lines.join('\n'))}`, { parse_mode: 'HTML', reply_markup: kb, disable_web_page_preview: true });
+        await replyEphemeral(ctx, page.html, { parse_mode: 'HTML', reply_markup: page.reply_markup, disable_web_page_preview: true });
       }
     } catch (_) { }
     return ctx.answerCallbackQuery();
@@ -1356,11 +1404,12 @@ export function settingsMiddleware() {
 
   composer.callbackQuery(/^gstats:(pretty|compact)$/i, async (ctx) => {
     const [, format] = ctx.match;
-    const html = await buildGroupStatsMessage(ctx, format);
+    const t = await replyTranslator(ctx);
+    const html = await buildGroupStatsMessage(ctx, t, format);
     try {
-      await ctx.editMessageText(html, { parse_mode: 'HTML', disable_web_page_preview: true, reply_markup: groupStatsKeyboard(format) });
+      await ctx.editMessageText(html, { parse_mode: 'HTML', disable_web_page_preview: true, reply_markup: groupStatsKeyboard(t, format) });
     } catch (_) {
-      await ctx.reply(html, { parse_mode: 'HTML', disable_web_page_preview: true, reply_markup: groupStatsKeyboard(format) });
+      await ctx.reply(html, { parse_mode: 'HTML', disable_web_page_preview: true, reply_markup: groupStatsKeyboard(t, format) });
     }
     return ctx.answerCallbackQuery();
   });
@@ -1380,11 +1429,12 @@ export function settingsMiddleware() {
     if (!Number.isFinite(targetId)) return;
     const scope = tokens.includes('global') ? 'global' : 'chat';
     const format = tokens.includes('compact') ? 'compact' : 'pretty';
-    const html = await buildUserStatsMessage(ctx, targetId, scope, format);
+    const t = await replyTranslator(ctx);
+    const html = await buildUserStatsMessage(ctx, t, targetId, scope, format);
     return ctx.reply(html, {
       parse_mode: 'HTML',
       disable_web_page_preview: true,
-      reply_markup: userStatsKeyboard(targetId, scope, format),
+      reply_markup: userStatsKeyboard(t, targetId, scope, format),
     });
   });
 
@@ -1399,29 +1449,31 @@ export function settingsMiddleware() {
     }
     if (!Number.isFinite(targetId)) targetId = ctx.from?.id;
     if (!Number.isFinite(targetId)) return;
-    const html = await buildUserStatsMessage(ctx, targetId, 'global', 'pretty');
+    const t = await replyTranslator(ctx);
+    const html = await buildUserStatsMessage(ctx, t, targetId, 'global', 'pretty');
     return ctx.reply(html, {
       parse_mode: 'HTML',
       disable_web_page_preview: true,
-      reply_markup: userStatsKeyboard(targetId, 'global', 'pretty'),
+      reply_markup: userStatsKeyboard(t, targetId, 'global', 'pretty'),
     });
   });
 
   // Interactive scope/format switcher via inline buttons
   composer.callbackQuery(/^ustats:(\d+):(chat|global):(pretty|compact)$/i, async (ctx) => {
     const [, uid, scope, format] = ctx.match;
-    const html = await buildUserStatsMessage(ctx, Number(uid), scope, format);
+    const t = await replyTranslator(ctx);
+    const html = await buildUserStatsMessage(ctx, t, Number(uid), scope, format);
     try {
       await ctx.editMessageText(html, {
         parse_mode: 'HTML',
         disable_web_page_preview: true,
-        reply_markup: userStatsKeyboard(Number(uid), scope, format),
+        reply_markup: userStatsKeyboard(t, Number(uid), scope, format),
       });
     } catch (_) {
       await ctx.reply(html, {
         parse_mode: 'HTML',
         disable_web_page_preview: true,
-        reply_markup: userStatsKeyboard(Number(uid), scope, format),
+        reply_markup: userStatsKeyboard(t, Number(uid), scope, format),
       });
     }
     return ctx.answerCallbackQuery();
@@ -1430,6 +1482,7 @@ export function settingsMiddleware() {
   // Admin management (owner only)
   composer.command('botadmin_add', async (ctx) => {
     if (!isBotOwner(ctx)) return;
+    const t = await replyTranslator(ctx);
     const replyFrom = ctx.message?.reply_to_message?.from;
     let id = replyFrom?.id;
     if (!Number.isFinite(id)) {
@@ -1437,18 +1490,19 @@ export function settingsMiddleware() {
       id = Number(idStr);
     }
     if (!Number.isFinite(id)) {
-      return ctx.reply('💡 <b>Usage:</b> Reply to a user with <code>/botadmin_add</code>, or provide <code>/botadmin_add &lt;user_id&gt;</code>', { parse_mode: 'HTML' });
+      return ctx.reply(t('usage_reply_or_id', { command: '/botadmin_add' }), { parse_mode: 'HTML' });
     }
     if (replyFrom?.is_bot) {
-      return ctx.reply('🤖 Bots cannot be promoted to bot admin.', { parse_mode: 'HTML' });
+      return ctx.reply(t('botadmin_no_bots'), { parse_mode: 'HTML' });
     }
     await addBotAdmin(id);
     await logAction(ctx, { action: 'botadmin_add', action_type: 'admin', user: replyFrom || { id }, chat: ctx.chat, violation: '-', content: `Added bot admin: ${id}` });
-    return ctx.reply(`✅ <b>Added bot admin:</b> <code>${id}</code>`, { parse_mode: 'HTML' });
+    return ctx.reply(t('botadmin_added', { id }), { parse_mode: 'HTML' });
   });
 
   composer.command('botadmin_remove', async (ctx) => {
     if (!isBotOwner(ctx)) return;
+    const t = await replyTranslator(ctx);
     const replyFrom = ctx.message?.reply_to_message?.from;
     let id = replyFrom?.id;
     if (!Number.isFinite(id)) {
@@ -1456,56 +1510,72 @@ export function settingsMiddleware() {
       id = Number(idStr);
     }
     if (!Number.isFinite(id)) {
-      return ctx.reply('💡 <b>Usage:</b> Reply to a user with <code>/botadmin_remove</code>, or provide <code>/botadmin_remove &lt;user_id&gt;</code>', { parse_mode: 'HTML' });
+      return ctx.reply(t('usage_reply_or_id', { command: '/botadmin_remove' }), { parse_mode: 'HTML' });
     }
     if (replyFrom?.is_bot) {
-      return ctx.reply('🤖 Bots are not in the bot admin list.', { parse_mode: 'HTML' });
+      return ctx.reply(t('botadmin_not_bots'), { parse_mode: 'HTML' });
     }
     await removeBotAdmin(id);
     await logAction(ctx, { action: 'botadmin_remove', action_type: 'admin', user: replyFrom || { id }, chat: ctx.chat, violation: '-', content: `Removed bot admin: ${id}` });
-    return ctx.reply(`🗑️ <b>Removed bot admin:</b> <code>${id}</code>`, { parse_mode: 'HTML' });
+    return ctx.reply(t('botadmin_removed', { id }), { parse_mode: 'HTML' });
   });
 
   // Global rule toggles (owner or bot admin)
   composer.command('rule_global_enable', async (ctx) => {
     if (!(await isBotAdminOrOwner(ctx))) return;
+    const t = await replyTranslator(ctx);
     const [, rule] = ctx.message.text.trim().split(/\s+/, 2);
-    if (!RULE_KEYS.includes(rule)) return ctx.reply(`❓ <b>Unknown rule.</b> Use one of: <code>${RULE_KEYS.join(', ')}</code>`, { parse_mode: 'HTML' });
+    if (!RULE_KEYS.includes(rule)) return ctx.reply(t('unknown_rule', { rules: RULE_KEYS.join(', ') }), { parse_mode: 'HTML' });
     await setGlobalRule(rule, true);
     await logAction(ctx, { action: 'rule_global_enable', action_type: 'settings', chat: ctx.chat, violation: '-', content: `Enabled ${rule} globally` });
-    return ctx.reply(`✅ <b>Enabled</b> <code>${rule}</code> globally.`, { parse_mode: 'HTML' });
+    return ctx.reply(t('rule_global_enabled', { rule }), { parse_mode: 'HTML' });
   });
 
   composer.command('rule_global_disable', async (ctx) => {
     if (!(await isBotAdminOrOwner(ctx))) return;
+    const t = await replyTranslator(ctx);
     const [, rule] = ctx.message.text.trim().split(/\s+/, 2);
-    if (!RULE_KEYS.includes(rule)) return ctx.reply(`❓ <b>Unknown rule.</b> Use one of: <code>${RULE_KEYS.join(', ')}</code>`, { parse_mode: 'HTML' });
+    if (!RULE_KEYS.includes(rule)) return ctx.reply(t('unknown_rule', { rules: RULE_KEYS.join(', ') }), { parse_mode: 'HTML' });
     await setGlobalRule(rule, false);
     await logAction(ctx, { action: 'rule_global_disable', action_type: 'settings', chat: ctx.chat, violation: '-', content: `Disabled ${rule} globally` });
-    return ctx.reply(`🚫 <b>Disabled</b> <code>${rule}</code> globally.`, { parse_mode: 'HTML' });
+    return ctx.reply(t('rule_global_disabled', { rule }), { parse_mode: 'HTML' });
   });
 
   // Chat rule toggles (chat admin with ban rights, or bot admin/owner)
   composer.command('rule_chat_enable', async (ctx) => {
     const rule = ctx.message.text.trim().split(/\s+/, 2)[1];
-    if (!RULE_KEYS.includes(rule)) return ctx.reply(`❓ <b>Unknown rule.</b> Use one of: <code>${RULE_KEYS.join(', ')}</code>`, { parse_mode: 'HTML' });
+    const isCustom = !RULE_KEYS.includes(rule) && (await listChatCustomRules(String(ctx.chat.id))).some((r) => r.name === String(rule || '').toLowerCase());
+    const t = await replyTranslator(ctx);
+    if (!RULE_KEYS.includes(rule) && !isCustom) return ctx.reply(t('unknown_rule_chat', { rules: RULE_KEYS.join(', ') }), { parse_mode: 'HTML' });
     const userId = ctx.from?.id;
     const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
     if (!ok) return;
+    if (isCustom) {
+      await setChatCustomRuleEnabled(String(ctx.chat.id), rule, true);
+      await logAction(ctx, { action: 'rule_chat_enable', action_type: 'settings', chat: ctx.chat, violation: '-', content: `Enabled custom rule ${rule} for chat` });
+      return ctx.reply(t('rule_custom_enabled', { rule: esc(rule.toLowerCase()) }), { parse_mode: 'HTML' });
+    }
     await setChatRule(String(ctx.chat.id), rule, true);
     await logAction(ctx, { action: 'rule_chat_enable', action_type: 'settings', chat: ctx.chat, violation: '-', content: `Enabled ${rule} for chat` });
-    return ctx.reply(`✅ <b>Enabled</b> <code>${rule}</code> for this chat.`, { parse_mode: 'HTML' });
+    return ctx.reply(t('rule_chat_enabled', { rule }), { parse_mode: 'HTML' });
   });
 
   composer.command('rule_chat_disable', async (ctx) => {
     const rule = ctx.message.text.trim().split(/\s+/, 2)[1];
-    if (!RULE_KEYS.includes(rule)) return ctx.reply(`❓ <b>Unknown rule.</b> Use one of: <code>${RULE_KEYS.join(', ')}</code>`, { parse_mode: 'HTML' });
+    const isCustom = !RULE_KEYS.includes(rule) && (await listChatCustomRules(String(ctx.chat.id))).some((r) => r.name === String(rule || '').toLowerCase());
+    const t = await replyTranslator(ctx);
+    if (!RULE_KEYS.includes(rule) && !isCustom) return ctx.reply(t('unknown_rule_chat', { rules: RULE_KEYS.join(', ') }), { parse_mode: 'HTML' });
     const userId = ctx.from?.id;
     const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
     if (!ok) return;
+    if (isCustom) {
+      await setChatCustomRuleEnabled(String(ctx.chat.id), rule, false);
+      await logAction(ctx, { action: 'rule_chat_disable', action_type: 'settings', chat: ctx.chat, violation: '-', content: `Disabled custom rule ${rule} for chat` });
+      return ctx.reply(t('rule_custom_disabled', { rule: esc(rule.toLowerCase()) }), { parse_mode: 'HTML' });
+    }
     await setChatRule(String(ctx.chat.id), rule, false);
     await logAction(ctx, { action: 'rule_chat_disable', action_type: 'settings', chat: ctx.chat, violation: '-', content: `Disabled ${rule} for chat` });
-    return ctx.reply(`🚫 <b>Disabled</b> <code>${rule}</code> for this chat.`, { parse_mode: 'HTML' });
+    return ctx.reply(t('rule_chat_disabled', { rule }), { parse_mode: 'HTML' });
   });
 
   // Status
@@ -1517,33 +1587,119 @@ export function settingsMiddleware() {
     const effectiveMax = await getEffectiveMaxLen(chatId);
     const globalMax = s.global_limits?.max_len ?? DEFAULT_LIMITS.max_len;
     const chatMax = await getChatMaxLen(chatId);
-    const msg = formatRulesStatus(s.global_rules, chatRules, effective, {
+    const customRules = await listChatCustomRules(chatId);
+    const t = await replyTranslator(ctx);
+    const msg = formatRulesStatus(t, s.global_rules, chatRules, effective, {
       effectiveMax,
       globalMax,
       chatMax,
-    });
-    return replyEphemeral(ctx, `📋 <b>Rules status</b>\n${esc(msg)}`, { parse_mode: 'HTML' });
+    }, customRules);
+    return replyEphemeral(ctx, `${t('rules_status_title')}\n${esc(msg)}`, { parse_mode: 'HTML' });
   });
 
   // Global and chat max_len setters
   composer.command('maxlen_global_set', async (ctx) => {
     if (!(await isBotAdminOrOwner(ctx))) return;
+    const t = await replyTranslator(ctx);
     const n = Number(ctx.message.text.trim().split(/\s+/, 2)[1]);
-    if (!Number.isFinite(n)) return ctx.reply('💡 <b>Usage:</b> <code>/maxlen_global_set &lt;number&gt;</code>', { parse_mode: 'HTML' });
+    if (!Number.isFinite(n)) return ctx.reply(t('usage', { syntax: '/maxlen_global_set &lt;number&gt;' }), { parse_mode: 'HTML' });
     await setGlobalMaxLenLimit(n);
     await logAction(ctx, { action: 'maxlen_global_set', action_type: 'settings', chat: ctx.chat, violation: '-', content: `Global max_len=${Math.trunc(n)}` });
-    return replyEphemeral(ctx, `✅ <b>Global max length limit:</b> <code>${Math.trunc(n)}</code>`, { parse_mode: 'HTML' });
+    return replyEphemeral(ctx, t('maxlen_global', { n: Math.trunc(n) }), { parse_mode: 'HTML' });
   });
 
   composer.command('maxlen_chat_set', async (ctx) => {
     const userId = ctx.from?.id;
     const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
     if (!ok) return;
+    const t = await replyTranslator(ctx);
     const n = Number(ctx.message.text.trim().split(/\s+/, 2)[1]);
-    if (!Number.isFinite(n)) return ctx.reply('💡 <b>Usage:</b> <code>/maxlen_chat_set &lt;number&gt;</code>', { parse_mode: 'HTML' });
+    if (!Number.isFinite(n)) return ctx.reply(t('usage', { syntax: '/maxlen_chat_set &lt;number&gt;' }), { parse_mode: 'HTML' });
     await setChatMaxLenLimit(String(ctx.chat.id), n);
     await logAction(ctx, { action: 'maxlen_chat_set', action_type: 'settings', chat: ctx.chat, violation: '-', content: `Chat max_len=${Math.trunc(n)}` });
-    return replyEphemeral(ctx, `✅ <b>Chat max length limit:</b> <code>${Math.trunc(n)}</code>`, { parse_mode: 'HTML' });
+    return replyEphemeral(ctx, t('maxlen_chat', { n: Math.trunc(n) }), { parse_mode: 'HTML' });
+  });
+
+  // -------- Numeric limits (flood/duplicate thresholds, probation, max_len) --------
+  // Effective value: chat override, else global setting, else default (env or built-in).
+  // *_seconds and *_minutes keys also accept durations such as 2m or 1h.
+  const LIMIT_KEYS = Object.keys(LIMIT_RANGES);
+
+  function parseLimitValue(key, raw) {
+    const n = Number(raw);
+    if (Number.isFinite(n)) return n;
+    const seconds = parseDuration(raw);
+    if (seconds == null) return null;
+    if (key.endsWith('_seconds')) return seconds;
+    if (key.endsWith('_minutes')) return Math.round(seconds / 60);
+    return null;
+  }
+
+  // Parses "<key> <value|default>"; replies with usage and returns null when invalid
+  async function parseLimitArgs(ctx, t, command) {
+    const [, key, raw] = ctx.message.text.trim().split(/\s+/);
+    if (!LIMIT_KEYS.includes(key)) {
+      await ctx.reply(t('limit_unknown', { keys: LIMIT_KEYS.join(', ') }), { parse_mode: 'HTML' });
+      return null;
+    }
+    if (String(raw || '').toLowerCase() === 'default') return { key, value: null };
+    const value = parseLimitValue(key, raw);
+    if (value == null) {
+      await ctx.reply(t('usage', { syntax: `/${command} &lt;limit&gt; &lt;number|default&gt;` }), { parse_mode: 'HTML' });
+      return null;
+    }
+    return { key, value };
+  }
+
+  composer.command('limits', async (ctx) => {
+    const userId = ctx.from?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    const chatId = String(ctx.chat.id);
+    const s = await getSettings();
+    const chat = await getChatLimits(chatId);
+    const effective = await getEffectiveLimits(chatId);
+    const rows = LIMIT_KEYS.map((key) => {
+      const source = Number.isFinite(chat[key]) ? 'chat' : Number.isFinite(s.global_limits[key]) ? 'global' : 'default';
+      return t('limits_row', { key, value: effective[key], source: t(`limits_source_${source}`) });
+    });
+    return replyEphemeral(ctx, [t('limits_title'), ...rows, t('limits_hint')].join('\n'), { parse_mode: 'HTML' });
+  });
+
+  composer.command('limit_chat_set', async (ctx) => {
+    const userId = ctx.from?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    const args = await parseLimitArgs(ctx, t, 'limit_chat_set');
+    if (!args) return;
+    const chatId = String(ctx.chat.id);
+    if (args.value == null) {
+      await clearChatLimit(chatId, args.key);
+      const value = (await getEffectiveLimits(chatId))[args.key];
+      await logAction(ctx, { action: 'limit_chat_set', action_type: 'settings', chat: ctx.chat, violation: '-', content: `Chat ${args.key} follows global (${value})` });
+      return replyEphemeral(ctx, t('limit_chat_cleared', { key: args.key, value }), { parse_mode: 'HTML' });
+    }
+    const value = await setChatLimit(chatId, args.key, args.value);
+    await logAction(ctx, { action: 'limit_chat_set', action_type: 'settings', chat: ctx.chat, violation: '-', content: `Chat ${args.key}=${value}` });
+    return replyEphemeral(ctx, t('limit_chat_set', { key: args.key, value }), { parse_mode: 'HTML' });
+  });
+
+  composer.command('limit_global_set', async (ctx) => {
+    if (!(await isBotAdminOrOwner(ctx))) return;
+    const t = await replyTranslator(ctx);
+    const args = await parseLimitArgs(ctx, t, 'limit_global_set');
+    if (!args) return;
+    if (args.value == null) {
+      await clearGlobalLimit(args.key);
+      const value = (await getSettings()).global_limits[args.key] ?? SPAM_LIMIT_DEFAULTS[args.key];
+      await logAction(ctx, { action: 'limit_global_set', action_type: 'settings', chat: ctx.chat, violation: '-', content: `Global ${args.key} reset to default (${value})` });
+      return replyEphemeral(ctx, t('limit_global_cleared', { key: args.key, value }), { parse_mode: 'HTML' });
+    }
+    const value = await setGlobalLimit(args.key, args.value);
+    await logAction(ctx, { action: 'limit_global_set', action_type: 'settings', chat: ctx.chat, violation: '-', content: `Global ${args.key}=${value}` });
+    return replyEphemeral(ctx, t('limit_global_set', { key: args.key, value }), { parse_mode: 'HTML' });
   });
 
   // (auto-delete settings removed)
@@ -1553,6 +1709,7 @@ export function settingsMiddleware() {
     const userId = ctx.from?.id;
     const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
     if (!ok) return;
+    const t = await replyTranslator(ctx);
     // Prefer reply target if command is used as a reply
     const replyFrom = ctx.message?.reply_to_message?.from;
     let targetId = replyFrom?.id;
@@ -1561,20 +1718,21 @@ export function settingsMiddleware() {
       targetId = Number(arg);
     }
     if (!Number.isFinite(targetId)) {
-      return ctx.reply('💡 <b>Usage:</b> Reply to a user with <code>/whitelist_add</code>, or provide <code>/whitelist_add &lt;user_id&gt;</code>', { parse_mode: 'HTML' });
+      return ctx.reply(t('usage_reply_or_id', { command: '/whitelist_add' }), { parse_mode: 'HTML' });
     }
     if (replyFrom?.is_bot) {
-      return ctx.reply('🤖 Bots cannot be whitelisted.', { parse_mode: 'HTML' });
+      return ctx.reply(t('whitelist_no_bots'), { parse_mode: 'HTML' });
     }
     await addChatWhitelistUser(String(ctx.chat.id), targetId);
     await logAction(ctx, { action: 'whitelist_add', action_type: 'settings', user: replyFrom || { id: targetId }, chat: ctx.chat, violation: '-', content: `Whitelisted user ${targetId}` });
-    return replyEphemeral(ctx, `✅ <b>Whitelisted</b> user <code>${targetId}</code> for this chat.`, { parse_mode: 'HTML' });
+    return replyEphemeral(ctx, t('whitelist_added', { id: targetId }), { parse_mode: 'HTML' });
   });
 
   composer.command('whitelist_remove', async (ctx) => {
     const userId = ctx.from?.id;
     const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
     if (!ok) return;
+    const t = await replyTranslator(ctx);
     // Prefer reply target if command is used as a reply
     const replyFrom = ctx.message?.reply_to_message?.from;
     let targetId = replyFrom?.id;
@@ -1583,54 +1741,743 @@ export function settingsMiddleware() {
       targetId = Number(arg);
     }
     if (!Number.isFinite(targetId)) {
-      return ctx.reply('💡 <b>Usage:</b> Reply to a user with <code>/whitelist_remove</code>, or provide <code>/whitelist_remove &lt;user_id&gt;</code>', { parse_mode: 'HTML' });
+      return ctx.reply(t('usage_reply_or_id', { command: '/whitelist_remove' }), { parse_mode: 'HTML' });
     }
     if (replyFrom?.is_bot) {
-      return ctx.reply('🤖 Bots cannot be whitelisted.', { parse_mode: 'HTML' });
+      return ctx.reply(t('whitelist_no_bots'), { parse_mode: 'HTML' });
     }
     await removeChatWhitelistUser(String(ctx.chat.id), targetId);
     await logAction(ctx, { action: 'whitelist_remove', action_type: 'settings', user: replyFrom || { id: targetId }, chat: ctx.chat, violation: '-', content: `Removed user ${targetId} from whitelist` });
-    return replyEphemeral(ctx, `🗑️ <b>Removed</b> user <code>${targetId}</code> from whitelist.`, { parse_mode: 'HTML' });
+    return replyEphemeral(ctx, t('whitelist_removed', { id: targetId }), { parse_mode: 'HTML' });
   });
 
   composer.command('whitelist_list', async (ctx) => {
     const userId = ctx.from?.id;
     const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
     if (!ok) return;
+    const t = await replyTranslator(ctx);
     const list = await getChatWhitelist(String(ctx.chat.id));
-    if (!list.length) return replyEphemeral(ctx, 'ℹ️ <b>Whitelist is empty for this chat.</b>', { parse_mode: 'HTML' });
-    return replyEphemeral(ctx, `✅ <b>Whitelisted user IDs:</b>\n${list.map((id)=>`• <code>${id}</code>`).join('\n')}`, { parse_mode: 'HTML' });
+    if (!list.length) return replyEphemeral(ctx, t('whitelist_empty'), { parse_mode: 'HTML' });
+    return replyEphemeral(ctx, `${t('whitelist_title')}\n${list.map((id)=>`• <code>${id}</code>`).join('\n')}`, { parse_mode: 'HTML' });
   });
 
-  // Bot command menu management
-  // Set up command list for users and for all chat administrators
-  composer.command('set_mycommands', async (ctx) => {
-    if (!(await isBotAdminOrOwner(ctx))) return;
+  // -------- Link domain allow/deny lists --------
+  // /links_allow|/links_deny [global] [remove] <domain…>; "*.example.com" covers subdomains.
+  // Chat lists: chat admin with ban rights, or bot admin/owner. Global lists: bot admin/owner.
+  async function handleLinkListCommand(ctx, list) {
+    const tokens = ctx.message.text.trim().split(/\s+/).slice(1);
+    const isGroup = ctx.chat?.type === 'group' || ctx.chat?.type === 'supergroup';
+    const global = tokens.some((t) => t.toLowerCase() === 'global') || !isGroup;
+    const remove = tokens.some((t) => t.toLowerCase() === 'remove');
+    const ok = global
+      ? await isBotAdminOrOwner(ctx)
+      : (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, ctx.from?.id));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    const raw = tokens.filter((tok) => !['global', 'remove'].includes(tok.toLowerCase()));
+    const domains = raw.map(normalizeDomainPattern).filter(Boolean);
+    const invalid = raw.filter((tok) => !normalizeDomainPattern(tok));
+    if (!domains.length) {
+      return ctx.reply(`${t('usage', { syntax: `/links_${list} [global] [remove] &lt;domain…&gt;` })}${t('usage_example', { example: 'youtube.com *.example.org' })}`, { parse_mode: 'HTML' });
+    }
+    const chatId = global ? null : String(ctx.chat.id);
+    await updateLinkPolicy(chatId, list, remove ? { remove: domains } : { add: domains });
+    const scopeLabel = global ? 'global' : 'chat';
+    await logAction(ctx, {
+      action: `links_${list}${remove ? '_remove' : ''}`,
+      action_type: 'settings',
+      chat: ctx.chat,
+      violation: '-',
+      content: `${scopeLabel} ${list}list: ${remove ? '-' : '+'}${domains.join(', ')}`,
+    });
+    const lines = [
+      t(remove ? 'links_removed' : 'links_added', {
+        list: t(`links_${scopeLabel}_${list}`),
+        domains: domains.map((d) => `<code>${esc(d)}</code>`).join(', '),
+      }),
+      invalid.length ? t('links_invalid', { domains: invalid.map((d) => `<code>${esc(d)}</code>`).join(', ') }) : null,
+    ].filter(Boolean);
+    return replyEphemeral(ctx, lines.join('\n'), { parse_mode: 'HTML' });
+  }
+
+  composer.command('links_allow', (ctx) => handleLinkListCommand(ctx, 'allow'));
+  composer.command('links_deny', (ctx) => handleLinkListCommand(ctx, 'deny'));
+
+  composer.command('links_list', async (ctx) => {
+    const isGroup = ctx.chat?.type === 'group' || ctx.chat?.type === 'supergroup';
+    const ok = (await isBotAdminOrOwner(ctx)) || (isGroup && (await isChatAdminWithBan(ctx, ctx.from?.id)));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    const fmt = (list) => (list.length ? list.map((d) => `<code>${esc(d)}</code>`).join(', ') : t('none'));
+    const g = await getGlobalLinkPolicy();
+    const lines = [t('links_title'), t('links_row_global_allow', { list: fmt(g.allow) }), t('links_row_global_deny', { list: fmt(g.deny) })];
+    if (isGroup) {
+      const c = await getChatLinkPolicy(String(ctx.chat.id));
+      lines.push(t('links_row_chat_allow', { list: fmt(c.allow) }), t('links_row_chat_deny', { list: fmt(c.deny) }));
+    }
+    lines.push('', t('links_footer'));
+    return replyEphemeral(ctx, lines.join('\n'), { parse_mode: 'HTML', disable_web_page_preview: true });
+  });
+
+  // -------- Media type policy (chat admin with ban rights, or bot admin/owner) --------
+  // /media_policy sticker=deny voice=7d photo=allow, or /media_policy reset
+  composer.command('media_policy', async (ctx) => {
+    const userId = ctx.from?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    if (ctx.chat?.type === 'private') return ctx.reply(t('group_only'), { parse_mode: 'HTML' });
+    const chatId = String(ctx.chat.id);
+    const tokens = ctx.message.text.trim().split(/\s+/).slice(1).map((x) => x.toLowerCase());
+    const usage = () => ctx.reply(
+      `${t('usage', { syntax: '/media_policy [type=allow|deny|7d …] | reset' })}\n${t('media_policy_types', { types: MEDIA_TYPES.join(', ') })}`,
+      { parse_mode: 'HTML' }
+    );
+    let patch = null;
+    if (tokens.length === 1 && tokens[0] === 'reset') {
+      patch = Object.fromEntries(MEDIA_TYPES.map((type) => [type, 'allow']));
+    } else if (tokens.length) {
+      patch = {};
+      for (const tok of tokens) {
+        const m = tok.match(/^([a-z_]+)=(allow|deny|(\d{1,3})d?)$/);
+        if (!m || !MEDIA_TYPES.includes(m[1])) return usage();
+        const days = Number(m[3]);
+        if (m[3] && (days < 1 || days > MEDIA_POLICY_MAX_DAYS)) return usage();
+        patch[m[1]] = m[3] ? days : m[2];
+      }
+    }
+    const policy = patch ? await setChatMediaPolicy(chatId, patch) : await getChatMediaPolicy(chatId);
+    const entries = Object.entries(policy);
+    if (patch) {
+      const summary = entries.map(([type, rule]) => `${type}=${rule === 'deny' ? 'deny' : `${rule}d`}`).join('; ');
+      await logAction(ctx, { action: 'media_policy_set', action_type: 'settings', chat: ctx.chat, violation: '-', content: summary || 'all allowed' });
+    }
+    const lines = [t('media_policy_title')];
+    for (const [type, rule] of entries) {
+      lines.push(t('media_policy_row', { type, rule: rule === 'deny' ? t('media_rule_deny') : t('media_rule_days', { days: rule }) }));
+    }
+    lines.push(entries.length ? t('media_policy_rest') : t('media_policy_all_allowed'), '', t('media_policy_hint'));
+    return replyEphemeral(ctx, lines.join('\n'), { parse_mode: 'HTML' });
+  });
+
+  // -------- Custom rules (chat admin with ban rights, or bot admin/owner) --------
+  // /customrule_add <name> <scopes|all> <delete|warn|mute[:1h]|ban> <pattern> (regex: bot admins only)
+  // Any following lines become the notice template ({user}, {rule}).
+  composer.command('customrule_add', async (ctx) => {
+    const userId = ctx.from?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    const raw = ctx.message?.text?.replace(/^\/customrule_add(?:@\w+)?[ \t]*/i, '') || '';
+    const [firstLine, ...noticeLines] = raw.split(/\r?\n/);
+    const m = firstLine.trim().match(/^(\S+)\s+(\S+)\s+(\S+)\s+(.+)$/);
+    const usage = t('cr_usage', { scopes: CUSTOM_RULE_SCOPES.join(','), actions: CUSTOM_RULE_ACTIONS.join('|') });
+    if (!m) return ctx.reply(usage, { parse_mode: 'HTML' });
+    const [, name, scopeTok, actionTok, pattern] = m;
+    const scope = scopeTok.toLowerCase() === 'all' ? CUSTOM_RULE_SCOPES.slice() : scopeTok.toLowerCase().split(',');
+    if (!scope.every((x) => CUSTOM_RULE_SCOPES.includes(x))) return ctx.reply(usage, { parse_mode: 'HTML' });
+    const [action, durationTok] = actionTok.toLowerCase().split(':');
+    if (!CUSTOM_RULE_ACTIONS.includes(action)) return ctx.reply(usage, { parse_mode: 'HTML' });
+    const muteSeconds = durationTok ? parseDuration(durationTok) : undefined;
+    if (durationTok && (action !== 'mute' || !muteSeconds)) return ctx.reply(usage, { parse_mode: 'HTML' });
+    // Regexes run for every message in the chat; chat admins get keyword rules only
+    if (isRegexPattern(pattern) && !(await isBotAdminOrOwner(ctx))) {
+      return ctx.reply(t('cr_regex_bot_admin'), { parse_mode: 'HTML' });
+    }
+    try {
+      compileCustomPattern(pattern);
+    } catch (e) {
+      return ctx.reply(t('cr_invalid_pattern', { error: esc(e?.message || String(e)) }), { parse_mode: 'HTML' });
+    }
+    let rule;
     try {
-      // Default (all users) concise commands
-      await ctx.api.setMyCommands(defaultCommands, { scope: { type: 'default' } });
+      rule = await setChatCustomRule(String(ctx.chat.id), name, {
+        pattern: pattern.trim(),
+        scope,
+        action,
+        mute_seconds: muteSeconds,
+        notice: noticeLines.join('\n').trim(),
+        enabled: true,
+        created_by: userId,
+      });
+    } catch (e) {
+      return ctx.reply(t('cr_save_failed', { error: esc(e?.message || String(e)) }), { parse_mode: 'HTML' });
+    }
+    await logAction(ctx, { action: 'customrule_add', action_type: 'settings', chat: ctx.chat, violation: '-', content: `${rule.name}: ${rule.action} ${rule.scope.join(',')} ${rule.pattern}` });
+    return replyEphemeral(ctx, [
+      t('cr_saved', { name: esc(rule.name) }),
+      t('field_action', { value: `${esc(rule.action)}${rule.mute_seconds ? ` ${esc(formatDuration(rule.mute_seconds))}` : ''}` }),
+      t('cr_scope', { scope: esc(rule.scope.join(', ')) }),
+      t('cr_pattern', { pattern: esc(rule.pattern) }),
+    ].join('\n'), { parse_mode: 'HTML' });
+  });
+
+  composer.command('customrule_remove', async (ctx) => {
+    const userId = ctx.from?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    const name = ctx.message.text.trim().split(/\s+/, 2)[1];
+    if (!name) return ctx.reply(t('usage', { syntax: '/customrule_remove &lt;name&gt;' }), { parse_mode: 'HTML' });
+    const removed = await removeChatCustomRule(String(ctx.chat.id), name);
+    if (!removed) return ctx.reply(t('cr_not_found', { name: esc(name) }), { parse_mode: 'HTML' });
+    await logAction(ctx, { action: 'customrule_remove', action_type: 'settings', chat: ctx.chat, violation: '-', content: `Removed custom rule ${name}` });
+    return replyEphemeral(ctx, t('cr_removed', { name: esc(name.toLowerCase()) }), { parse_mode: 'HTML' });
+  });
+
+  composer.command('customrule_list', async (ctx) => {
+    const userId = ctx.from?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    const rules = await listChatCustomRules(String(ctx.chat.id));
+    if (!rules.length) return replyEphemeral(ctx, t('cr_none'), { parse_mode: 'HTML' });
+    const lines = rules.map((rule) => {
+      const action = rule.mute_seconds ? `${rule.action} ${formatDuration(rule.mute_seconds)}` : rule.action;
+      return `• <code>${esc(rule.name)}</code> ${rule.enabled ? t('state_on_caps') : t('state_off')} — ${esc(action)}; ${esc(rule.scope.join(','))}\n  <code>${esc(rule.pattern)}</code>`;
+    });
+    return replyEphemeral(ctx, [t('cr_title'), ...lines].join('\n'), { parse_mode: 'HTML' });
+  });
+
+  // -------- Escalation ladder (chat admin with ban rights, or bot admin/owner) --------
+  function parseLadderSteps(tokens = []) {
+    const steps = [];
+    for (const tok of tokens) {
+      const lower = String(tok).toLowerCase();
+      if (lower === 'warn' || lower === 'ban') {
+        steps.push({ action: lower });
+        continue;
+      }
+      const m = lower.match(/^mute:(.+)$/);
+      const seconds = m ? parseDuration(m[1]) : null;
+      if (!seconds) return null;
+      steps.push({ action: 'mute', seconds });
+    }
+    return steps;
+  }
+
+  function strikeTarget(ctx) {
+    const replyFrom = ctx.message?.reply_to_message?.from;
+    if (Number.isFinite(replyFrom?.id)) return replyFrom.id;
+    const arg = ctx.message.text.trim().split(/\s+/, 2)[1];
+    const n = Number(arg);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  composer.command('escalation_show', async (ctx) => {
+    const userId = ctx.from?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    const cfg = await getChatEscalation(String(ctx.chat.id));
+    const lines = [
+      t('esc_title'),
+      cfg.steps.map((step, i) => `${i + 1}. <code>${esc(describeStep(step))}</code>`).join('\n'),
+      t('esc_decay_info', { days: cfg.decay_days }),
+    ];
+    return replyEphemeral(ctx, lines.join('\n'), { parse_mode: 'HTML' });
+  });
+
+  composer.command('escalation_set', async (ctx) => {
+    const userId = ctx.from?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    const tokens = ctx.message.text.trim().split(/\s+/).slice(1);
+    const chatId = String(ctx.chat.id);
+    if (tokens.length === 1 && tokens[0].toLowerCase() === 'default') {
+      const cfg = await resetChatEscalation(chatId);
+      await logAction(ctx, { action: 'escalation_set', action_type: 'settings', chat: ctx.chat, violation: '-', content: `Ladder reset to default: ${formatLadder(cfg.steps)}` });
+      return replyEphemeral(ctx, t('esc_reset', { ladder: esc(formatLadder(cfg.steps)) }), { parse_mode: 'HTML' });
+    }
+    const steps = tokens.length ? parseLadderSteps(tokens) : null;
+    if (!steps || !steps.length) {
+      return ctx.reply(`${t('usage', { syntax: '/escalation_set warn warn warn mute:1h mute:24h ban' })}${t('usage_or', { syntax: '/escalation_set default' })}`, { parse_mode: 'HTML' });
+    }
+    const cfg = await setChatEscalation(chatId, { steps });
+    await logAction(ctx, { action: 'escalation_set', action_type: 'settings', chat: ctx.chat, violation: '-', content: `Ladder: ${formatLadder(cfg.steps)}` });
+    return replyEphemeral(ctx, t('esc_set', { ladder: esc(formatLadder(cfg.steps)) }), { parse_mode: 'HTML' });
+  });
+
+  composer.command('escalation_decay', async (ctx) => {
+    const userId = ctx.from?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    const n = Number(ctx.message.text.trim().split(/\s+/, 2)[1]);
+    if (!Number.isFinite(n) || n < 1) return ctx.reply(t('usage', { syntax: '/escalation_decay &lt;days&gt;' }), { parse_mode: 'HTML' });
+    const cfg = await setChatEscalation(String(ctx.chat.id), { decay_days: Math.trunc(n) });
+    await logAction(ctx, { action: 'escalation_decay', action_type: 'settings', chat: ctx.chat, violation: '-', content: `Strike decay=${cfg.decay_days}d` });
+    return replyEphemeral(ctx, t('esc_decay_set', { days: cfg.decay_days }), { parse_mode: 'HTML' });
+  });
+
+  composer.command('strikes', async (ctx) => {
+    const userId = ctx.from?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    const targetId = strikeTarget(ctx);
+    if (!Number.isFinite(targetId)) {
+      return ctx.reply(t('usage_reply_or_id', { command: '/strikes' }), { parse_mode: 'HTML' });
+    }
+    const chatId = String(ctx.chat.id);
+    const cfg = await getChatEscalation(chatId);
+    const strikes = await getUserStrikes(chatId, targetId);
+    const nextStep = cfg.steps[Math.min(strikes, cfg.steps.length - 1)];
+    const lines = [
+      t('strikes_title', { id: targetId, strikes, days: cfg.decay_days }),
+      strikes ? t('strikes_current', { step: esc(describeStep(cfg.steps[Math.min(strikes, cfg.steps.length) - 1])) }) : null,
+      t('strikes_next', { step: esc(describeStep(nextStep)) }),
+    ].filter(Boolean);
+    return replyEphemeral(ctx, lines.join('\n'), { parse_mode: 'HTML' });
+  });
 
-      // Admin commands menu for all chat administrators
-      await ctx.api.setMyCommands(adminCommands, { scope: { type: 'all_chat_administrators' } });
+  composer.command('strikes_reset', async (ctx) => {
+    const userId = ctx.from?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    const targetId = strikeTarget(ctx);
+    if (!Number.isFinite(targetId)) {
+      return ctx.reply(t('usage_reply_or_id', { command: '/strikes_reset' }), { parse_mode: 'HTML' });
+    }
+    await resetUserStrikes(String(ctx.chat.id), targetId);
+    await logAction(ctx, { action: 'strikes_reset', action_type: 'settings', user: { id: targetId }, chat: ctx.chat, violation: '-', content: `Reset strikes for ${targetId}` });
+    return replyEphemeral(ctx, t('strikes_reset_done', { id: targetId }), { parse_mode: 'HTML' });
+  });
 
-      // Owner-level commands (optional): set for all private chats to reduce clutter in groups
-      await ctx.api.setMyCommands(ownerPrivateCommands, { scope: { type: 'all_private_chats' } });
+  // -------- Join captcha (chat admin with ban rights, or bot admin/owner) --------
+  composer.command('captcha', async (ctx) => {
+    const userId = ctx.from?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    if (ctx.chat?.type === 'private') return ctx.reply(t('group_only'), { parse_mode: 'HTML' });
+    const chatId = String(ctx.chat.id);
+    const tokens = ctx.message.text.trim().split(/\s+/).slice(1).map((tok) => tok.toLowerCase());
+    const patch = {};
+    for (const tok of tokens) {
+      if (tok === 'on' || tok === 'off') patch.enabled = tok === 'on';
+      else if (CAPTCHA_MODES.includes(tok)) patch.mode = tok;
+      else if (parseDuration(tok)) patch.timeout_seconds = parseDuration(tok);
+      else {
+        return ctx.reply(t('usage', { syntax: `/captcha [on|off] [${CAPTCHA_MODES.join('|')}] [timeout e.g. 2m]` }), { parse_mode: 'HTML' });
+      }
+    }
+    const cfg = tokens.length ? await setChatCaptcha(chatId, patch) : await getChatCaptcha(chatId);
+    const summary = `enabled=${cfg.enabled ? 'on' : 'off'}; mode=${cfg.mode}; timeout=${formatDuration(cfg.timeout_seconds)}`;
+    if (tokens.length) {
+      await logAction(ctx, { action: 'captcha_set', action_type: 'settings', chat: ctx.chat, violation: '-', content: summary });
+    }
+    const lines = [
+      t('captcha_title'),
+      t('field_status', { status: cfg.enabled ? t('state_on') : t('state_off') }),
+      t('captcha_mode', { mode: esc(cfg.mode) }),
+      t('captcha_timeout', { timeout: esc(formatDuration(cfg.timeout_seconds)) }),
+    ];
+    return replyEphemeral(ctx, lines.join('\n'), { parse_mode: 'HTML' });
+  });
 
-      return replyEphemeral(ctx, '✅ <b>Bot commands have been set.</b>', { parse_mode: 'HTML' });
+  // -------- Join request screening (chat admin with ban rights, or bot admin/owner) --------
+  composer.command('join_screening', async (ctx) => {
+    const userId = ctx.from?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    if (ctx.chat?.type === 'private') return ctx.reply(t('group_only'), { parse_mode: 'HTML' });
+    const chatId = String(ctx.chat.id);
+    const tokens = ctx.message.text.trim().split(/\s+/).slice(1).map((tok) => tok.toLowerCase());
+    const patch = {};
+    for (const tok of tokens) {
+      const [key, value] = tok.split('=');
+      if (tok === 'on' || tok === 'off') patch.enabled = tok === 'on';
+      else if (key === 'passed' && JOIN_REQUEST_PASSED_ACTIONS.includes(value)) patch.passed = value;
+      else if (key === 'flagged' && JOIN_REQUEST_FLAGGED_ACTIONS.includes(value)) patch.flagged = value;
+      else {
+        const syntax = `/join_screening [on|off] [passed=${JOIN_REQUEST_PASSED_ACTIONS.join('|')}] [flagged=${JOIN_REQUEST_FLAGGED_ACTIONS.join('|')}]`;
+        return ctx.reply(t('usage', { syntax }), { parse_mode: 'HTML' });
+      }
+    }
+    const cfg = tokens.length ? await setChatJoinRequests(chatId, patch) : await getChatJoinRequests(chatId);
+    const summary = `enabled=${cfg.enabled ? 'on' : 'off'}; passed=${cfg.passed}; flagged=${cfg.flagged}`;
+    if (tokens.length) {
+      await logAction(ctx, { action: 'join_screening_set', action_type: 'settings', chat: ctx.chat, violation: '-', content: summary });
+    }
+    const lines = [
+      t('join_screening_title'),
+      t('field_status', { status: cfg.enabled ? t('state_on') : t('state_off') }),
+      t('join_screening_passed', { action: esc(cfg.passed) }),
+      t('join_screening_flagged', { action: esc(cfg.flagged) }),
+      t('join_screening_blocked'),
+      t('join_screening_hint'),
+    ];
+    return replyEphemeral(ctx, lines.join('\n'), { parse_mode: 'HTML' });
+  });
+
+  // -------- Raid detection (chat admin with ban rights, or bot admin/owner) --------
+  composer.command('raid', async (ctx) => {
+    const userId = ctx.from?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    if (ctx.chat?.type === 'private') return ctx.reply(t('group_only'), { parse_mode: 'HTML' });
+    const chatId = String(ctx.chat.id);
+    const tokens = ctx.message.text.trim().split(/\s+/).slice(1).map((tok) => tok.toLowerCase());
+    const patch = {};
+    for (const tok of tokens) {
+      const [key, value = ''] = tok.split('=');
+      if (tok === 'on' || tok === 'off') patch.enabled = tok === 'on';
+      else if (key === 'joins' && /^\d+$/.test(value)) patch.joins = Number(value);
+      else if (key === 'window' && parseDuration(value)) patch.window_seconds = parseDuration(value);
+      else if (key === 'cooldown' && parseDuration(value)) patch.cooldown_seconds = parseDuration(value);
+      else if (key === 'probation' && (value === '0' || parseDuration(value))) patch.probation_minutes = Math.ceil((parseDuration(value) || 0) / 60);
+      else if (key === 'revoke' && (value === 'on' || value === 'off')) patch.revoke_link = value === 'on';
+      else {
+        return ctx.reply(t('usage', { syntax: '/raid [on|off] [joins=20] [window=1m] [cooldown=15m] [probation=1d] [revoke=on|off]' }), { parse_mode: 'HTML' });
+      }
+    }
+    const cfg = tokens.length ? await setChatRaid(chatId, patch) : await getChatRaid(chatId);
+    const summary = `enabled=${cfg.enabled ? 'on' : 'off'}; joins=${cfg.joins}; window=${formatDuration(cfg.window_seconds)}; cooldown=${formatDuration(cfg.cooldown_seconds)}; probation=${formatDuration(cfg.probation_minutes * 60)}; revoke_link=${cfg.revoke_link ? 'on' : 'off'}`;
+    if (tokens.length) {
+      await logAction(ctx, { action: 'raid_set', action_type: 'settings', chat: ctx.chat, violation: '-', content: summary });
+    }
+    const lines = [
+      t('raid_title'),
+      t('field_status', { status: cfg.enabled ? t('state_on') : t('state_off') }),
+      t('raid_threshold', { joins: cfg.joins, window: esc(formatDuration(cfg.window_seconds)) }),
+      t('raid_cooldown', { cooldown: esc(formatDuration(cfg.cooldown_seconds)) }),
+      t('raid_probation', { probation: esc(formatDuration(cfg.probation_minutes * 60)) }),
+      t('raid_revoke', { state: cfg.revoke_link ? t('state_on') : t('state_off') }),
+    ];
+    return replyEphemeral(ctx, lines.join('\n'), { parse_mode: 'HTML' });
+  });
+
+  const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+  composer.command('digest', async (ctx) => {
+    const userId = ctx.from?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    if (ctx.chat?.type === 'private') return ctx.reply(t('group_only'), { parse_mode: 'HTML' });
+    const chatId = String(ctx.chat.id);
+    const tokens = ctx.message.text.trim().split(/\s+/).slice(1);
+    if (tokens[0]?.toLowerCase() === 'now') {
+      const html = await buildDigestMessage(chatId, await getChatDigest(chatId), { title: ctx.chat.title });
+      return replyEphemeral(ctx, html, { parse_mode: 'HTML', disable_web_page_preview: true });
+    }
+    const patch = {};
+    for (const raw of tokens) {
+      const tok = raw.toLowerCase();
+      const tz = raw.replace(/^tz=/i, '');
+      if (tok === 'on' || tok === 'off') patch.enabled = tok === 'on';
+      else if (DIGEST_FREQUENCIES.includes(tok)) patch.frequency = tok;
+      else if (DIGEST_TARGETS.includes(tok)) patch.target = tok;
+      else if (/^([01]?\d|2[0-3]):[0-5]\d$/.test(tok)) patch.time = tok.padStart(5, '0');
+      else if (tok.length >= 3 && DAY_NAMES.some((d) => d.startsWith(tok))) patch.weekday = DAY_NAMES.findIndex((d) => d.startsWith(tok));
+      else if ((tok.startsWith('tz=') || tz.includes('/') || tz === 'UTC') && isValidTimeZone(tz)) patch.timezone = tz;
+      else {
+        return ctx.reply(
+          `${t('usage', { syntax: '/digest [on|off] [daily|weekly] [HH:MM] [mon…sun] [group|admins] [tz=Asia/Kolkata]' })}\n${t('digest_preview_hint')}`,
+          { parse_mode: 'HTML' }
+        );
+      }
+    }
+    const cfg = tokens.length ? await setChatDigest(chatId, patch) : await getChatDigest(chatId);
+    if (tokens.length) {
+      await logAction(ctx, { action: 'digest_set', action_type: 'settings', chat: ctx.chat, violation: '-', content: `enabled=${cfg.enabled ? 'on' : 'off'}; ${describeSchedule(cfg)}` });
+    }
+    const lines = [
+      t('digest_title'),
+      t('field_status', { status: cfg.enabled ? t('state_on') : t('state_off') }),
+      t('digest_schedule', { schedule: esc(describeSchedule(cfg)) }),
+    ];
+    if (cfg.target === 'admins') lines.push(t('digest_admins_hint'));
+    return replyEphemeral(ctx, lines.join('\n'), { parse_mode: 'HTML' });
+  });
+
+  composer.command('nightmode', async (ctx) => {
+    const userId = ctx.from?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    if (ctx.chat?.type === 'private') return ctx.reply(t('group_only'), { parse_mode: 'HTML' });
+    const chatId = String(ctx.chat.id);
+    const tokens = ctx.message.text.trim().split(/\s+/).slice(1);
+    const usage = () => ctx.reply(
+      `${t('usage', { syntax: `/nightmode [on|off] [HH:MM-HH:MM …] [block=${NIGHTMODE_TYPES.join(',')}] [${NIGHTMODE_ACTIONS.join('|')}] [tz=Area/City|default]` })}\n${t('nightmode_hint')}`,
+      { parse_mode: 'HTML' }
+    );
+    const patch = {};
+    const windows = [];
+    for (const raw of tokens) {
+      const tok = raw.toLowerCase();
+      const range = tok.match(/^([01]?\d|2[0-3]):([0-5]\d)-([01]?\d|2[0-3]):([0-5]\d)$/);
+      if (tok === 'on' || tok === 'off') patch.enabled = tok === 'on';
+      else if (NIGHTMODE_ACTIONS.includes(tok)) patch.action = tok;
+      else if (range) {
+        const start = `${range[1].padStart(2, '0')}:${range[2]}`;
+        const end = `${range[3].padStart(2, '0')}:${range[4]}`;
+        if (start === end) return usage();
+        windows.push({ start, end });
+      } else if (tok.startsWith('block=')) {
+        const types = tok.slice(6).split(',').filter(Boolean);
+        if (!types.length || types.some((k) => !NIGHTMODE_TYPES.includes(k))) return usage();
+        patch.block = types;
+      } else if (tok === 'tz=default') patch.timezone = null;
+      else if (tok.startsWith('tz=') && isValidTimeZone(raw.slice(3))) patch.timezone = raw.slice(3);
+      else return usage();
+    }
+    // Windows given replace the current ones
+    if (windows.length > NIGHTMODE_MAX_WINDOWS) return usage();
+    if (windows.length) patch.windows = windows;
+
+    let cfg = await getChatNightmode(chatId);
+    if (tokens.length) {
+      await setChatNightmode(chatId, patch);
+      cfg = await syncNightmode(ctx.api, chatId);
+    }
+    const timezone = await nightmodeTimezone(chatId, cfg);
+    const windowList = cfg.windows.map((w) => `${w.start}-${w.end}`).join(', ');
+    if (tokens.length) {
+      await logAction(ctx, {
+        action: 'nightmode_set',
+        action_type: 'settings',
+        chat: ctx.chat,
+        violation: '-',
+        content: `enabled=${cfg.enabled ? 'on' : 'off'}; windows=${windowList || '-'}; block=${cfg.block.join(',')}; action=${cfg.action}; tz=${timezone}`,
+      });
+    }
+    const lines = [
+      t('nightmode_title'),
+      t('field_status', { status: cfg.enabled ? t('state_on') : t('state_off') }),
+      t('nightmode_windows', {
+        windows: windowList ? cfg.windows.map((w) => `<code>${w.start}-${w.end}</code>`).join(', ') : t('nightmode_no_windows'),
+        tz: esc(timezone),
+      }),
+      t('nightmode_block', { types: cfg.block.map((k) => `<code>${k}</code>`).join(', ') }),
+      t(`nightmode_action_${cfg.action}`),
+      t('nightmode_now', { state: cfg.active ? t('state_on') : t('state_off') }),
+    ];
+    if (!cfg.windows.length) lines.push(t('nightmode_hint'));
+    return replyEphemeral(ctx, lines.join('\n'), { parse_mode: 'HTML' });
+  });
+
+  // -------- Bot language and notice templates --------
+  composer.command('language', async (ctx) => {
+    const userId = ctx.from?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    if (ctx.chat?.type === 'private') return ctx.reply(t('group_only'), { parse_mode: 'HTML' });
+    const chatId = String(ctx.chat.id);
+    const arg = (ctx.message.text.trim().split(/\s+/)[1] || '').toLowerCase();
+    const available = LOCALE_CODES.map((c) => `<code>${c}</code> (${esc(LOCALES[c].name)})`).join(', ');
+    if (!arg) {
+      const { locale } = await getChatNotices(chatId);
+      const current = resolveLocale(locale);
+      return replyEphemeral(
+        ctx,
+        `${t('lang_current', { locale: current })}${locale ? '' : t('lang_default_suffix')}\n${t('lang_available', { list: available })}`,
+        { parse_mode: 'HTML' }
+      );
+    }
+    if (!LOCALE_CODES.includes(arg) && arg !== 'default') {
+      return ctx.reply(`${t('usage', { syntax: `/language [${LOCALE_CODES.join('|')}|default]` })}\n${t('lang_available', { list: available })}`, { parse_mode: 'HTML' });
+    }
+    await setChatLocale(chatId, arg === 'default' ? null : arg);
+    const locale = arg === 'default' ? DEFAULT_LOCALE : arg;
+    await logAction(ctx, { action: 'language_set', action_type: 'settings', chat: ctx.chat, violation: '-', content: `locale=${arg}` });
+    // Confirm in the language just chosen
+    return replyEphemeral(ctx, translate(locale, 'lang_set', { locale, name: esc(LOCALES[locale].name) }), { parse_mode: 'HTML' });
+  });
+
+  composer.command('template_set', async (ctx) => {
+    const userId = ctx.from?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    if (ctx.chat?.type === 'private') return ctx.reply(t('group_only'), { parse_mode: 'HTML' });
+    const chatId = String(ctx.chat.id);
+    // Keep the template's own line breaks: only the command and key are split off
+    const m = ctx.message.text.match(/^\S+\s+(\S+)(?:[ \t]*\n?)([\s\S]*)$/);
+    const key = m?.[1]?.toLowerCase();
+    if (!key || !NOTICE_KEYS.includes(key)) {
+      return ctx.reply(
+        `${t('usage', { syntax: '/template_set &lt;key&gt; [text|default]' })}\n${t('tpl_keys_hint')}`,
+        { parse_mode: 'HTML' }
+      );
+    }
+    const text = m[2].trim();
+    const placeholders = templatePlaceholders(key).map((p) => `<code>{${p}}</code>`).join(' ') || t('none');
+    const cfg = await getChatNotices(chatId);
+    if (!text) {
+      const override = cfg.templates[key];
+      const lines = [
+        `${t('tpl_title', { key })}${override ? t('tpl_custom_suffix') : ''}`,
+        `<pre>${esc(override || builtinTemplate(cfg.locale, key))}</pre>`,
+        t('tpl_placeholders', { list: placeholders }),
+      ];
+      return replyEphemeral(ctx, lines.join('\n'), { parse_mode: 'HTML' });
+    }
+    const reset = text.toLowerCase() === 'default';
+    await setChatTemplate(chatId, key, reset ? null : text);
+    await logAction(ctx, {
+      action: 'template_set',
+      action_type: 'settings',
+      chat: ctx.chat,
+      violation: '-',
+      content: `key=${key}; ${reset ? 'default' : text.slice(0, 200)}`,
+    });
+    if (reset) return replyEphemeral(ctx, t('tpl_reset', { key }), { parse_mode: 'HTML' });
+    return replyEphemeral(
+      ctx,
+      `${t('tpl_saved', { key })}\n${t('tpl_placeholders', { list: placeholders })}\n${t('tpl_plain_hint')}`,
+      { parse_mode: 'HTML' }
+    );
+  });
+
+  composer.command('template_list', async (ctx) => {
+    const userId = ctx.from?.id;
+    const ok = (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, userId));
+    if (!ok) return;
+    const t = await replyTranslator(ctx);
+    if (ctx.chat?.type === 'private') return ctx.reply(t('group_only'), { parse_mode: 'HTML' });
+    const cfg = await getChatNotices(String(ctx.chat.id));
+    const lines = [t('tpl_list_title', { locale: resolveLocale(cfg.locale) })];
+    for (const key of NOTICE_KEYS) {
+      lines.push(`• <code>${key}</code>${cfg.templates[key] ? ' ✏️' : ''}`);
+    }
+    lines.push('', t('tpl_list_footer'));
+    return replyEphemeral(ctx, lines.join('\n'), { parse_mode: 'HTML' });
+  });
+
+  // -------- Moderation audit log search --------
+  const MODLOG_PAGE = 10;
+  const MODLOG_TTL_MS = 30 * 60 * 1000;
+  const modlogQueries = new Map(); // token -> { filters, requesterId, until }
+
+  function parseModlogDate(value, endOfDay = false) {
+    const rel = parseDuration(value);
+    if (rel) return new Date(Date.now() - rel * 1000);
+    if (!/^\d{4}-\d{2}-\d{2}(T.*)?$/.test(value)) return null;
+    const d = new Date(value);
+    if (Number.isNaN(d.getTime())) return null;
+    // A bare date as upper bound covers that whole day
+    if (endOfDay && value.length === 10) d.setUTCDate(d.getUTCDate() + 1);
+    return d;
+  }
+
+  function describeModlogFilters(f) {
+    const parts = [];
+    if (f.chatId != null) parts.push(`chat:${f.chatId}`);
+    if (f.userId != null) parts.push(`user:${f.userId}`);
+    if (f.violation) parts.push(`violation:${f.violation}`);
+    if (f.action) parts.push(`action:${f.action}`);
+    if (f.since) parts.push(`since:${f.since.toISOString().slice(0, 16).replace('T', ' ')}`);
+    if (f.until) parts.push(`until:${f.until.toISOString().slice(0, 16).replace('T', ' ')}`);
+    return parts.length ? parts.join(' ') : 'all';
+  }
+
+  async function buildModlogPage(t, token, offset) {
+    const q = modlogQueries.get(token);
+    const { rows, hasMore } = await queryModerationLogs(q.filters, { limit: MODLOG_PAGE, offset });
+    const lines = [t('modlog_title', { filters: esc(describeModlogFilters(q.filters)) })];
+    if (!rows.length) lines.push(offset ? t('modlog_no_more') : t('modlog_none'));
+    rows.forEach((r, i) => {
+      const when = String(r.ts || '').slice(0, 16).replace('T', ' ');
+      const who = r.user?.id ? t('modlog_user', { id: r.user.id }) : '';
+      const where = q.filters.chatId == null && r.chat?.id ? ` · ${esc(r.chat.title || r.chat.id)}` : '';
+      const content = r.content ? `\n   <i>${esc(String(r.content).slice(0, 80))}</i>` : '';
+      lines.push(`${offset + i + 1}. <code>${esc(when)}</code> <b>${esc(r.action)}</b> · ${esc(r.violation)}${who}${where}${content}`);
+    });
+    const nav = [];
+    if (offset > 0) nav.push({ text: t('kb_prev'), callback_data: `ml:${token}:${Math.max(0, offset - MODLOG_PAGE)}` });
+    if (hasMore) nav.push({ text: t('kb_next'), callback_data: `ml:${token}:${offset + MODLOG_PAGE}` });
+    return { html: lines.join('\n'), reply_markup: nav.length ? { inline_keyboard: [nav] } : undefined };
+  }
+
+  composer.command('modlog', async (ctx) => {
+    const userId = ctx.from?.id;
+    const botAdmin = await isBotAdminOrOwner(ctx);
+    const inGroup = ctx.chat?.type === 'group' || ctx.chat?.type === 'supergroup';
+    if (!botAdmin && !(inGroup && (await isChatAdminWithBan(ctx, userId)))) return;
+    const t = await replyTranslator(ctx);
+    const usage = t('usage', {
+      syntax: `/modlog [user:id] [violation:v] [action:a] [since:7d|YYYY-MM-DD] [until:YYYY-MM-DD]${botAdmin ? ' [chat:id|all]' : ''}`,
+    });
+    const filters = {};
+    if (inGroup) filters.chatId = String(ctx.chat.id);
+    const replyFrom = ctx.message?.reply_to_message?.from;
+    if (Number.isFinite(replyFrom?.id)) filters.userId = replyFrom.id;
+    for (const tok of ctx.message.text.trim().split(/\s+/).slice(1)) {
+      const m = tok.match(/^(user|chat|violation|action|since|until):(.+)$/i);
+      if (!m) return ctx.reply(usage, { parse_mode: 'HTML' });
+      const key = m[1].toLowerCase();
+      const value = m[2];
+      if (key === 'user') {
+        if (!/^\d+$/.test(value)) return ctx.reply(usage, { parse_mode: 'HTML' });
+        filters.userId = Number(value);
+      } else if (key === 'chat') {
+        // Chat admins only ever see their own chat
+        if (!botAdmin) return ctx.reply(t('modlog_other_chats'), { parse_mode: 'HTML' });
+        if (value.toLowerCase() === 'all') delete filters.chatId;
+        else if (/^-?\d+$/.test(value)) filters.chatId = value;
+        else return ctx.reply(usage, { parse_mode: 'HTML' });
+      } else if (key === 'violation' || key === 'action') {
+        filters[key] = value;
+      } else {
+        const d = parseModlogDate(value, key === 'until');
+        if (!d) return ctx.reply(usage, { parse_mode: 'HTML' });
+        filters[key] = d;
+      }
+    }
+    const now = Date.now();
+    for (const [tok, q] of modlogQueries) if (q.until < now) modlogQueries.delete(tok);
+    const token = crypto.randomBytes(6).toString('hex');
+    modlogQueries.set(token, { filters, requesterId: userId, until: now + MODLOG_TTL_MS });
+    const page = await buildModlogPage(t, token, 0);
+    return ctx.reply(page.html, { parse_mode: 'HTML', disable_web_page_preview: true, reply_markup: page.reply_markup });
+  });
+
+  composer.callbackQuery(/^ml:([0-9a-f]+):(\d+)$/, async (ctx) => {
+    const [, token, off] = ctx.match;
+    const t = await replyTranslator(ctx);
+    const q = modlogQueries.get(token);
+    if (!q || q.until < Date.now()) {
+      modlogQueries.delete(token);
+      return ctx.answerCallbackQuery({ text: t('modlog_expired') });
+    }
+    if (ctx.from?.id !== q.requesterId) return ctx.answerCallbackQuery({ text: t('modlog_requester_only') });
+    const page = await buildModlogPage(t, token, Number(off));
+    try {
+      await ctx.editMessageText(page.html, { parse_mode: 'HTML', disable_web_page_preview: true, reply_markup: page.reply_markup });
+    } catch {}
+    return ctx.answerCallbackQuery();
+  });
+
+  // Bot command menu management
+  // Publishes every scope (default, chat admins, private chats) once per language, see menu.js
+  composer.command('set_mycommands', async (ctx) => {
+    if (!(await isBotAdminOrOwner(ctx))) return;
+    const t = await replyTranslator(ctx);
+    try {
+      await publishCommandMenus(ctx.api);
+      return replyEphemeral(ctx, t('commands_set'), { parse_mode: 'HTML' });
     } catch (e) {
-      return replyEphemeral(ctx, `❌ <b>Failed to set commands:</b> <code>${esc(e?.description || e?.message || String(e))}</code>`, { parse_mode: 'HTML' });
+      return replyEphemeral(ctx, t('commands_set_failed', { error: esc(e?.description || e?.message || String(e)) }), { parse_mode: 'HTML' });
     }
   });
 
-  // Remove command menu (default and admin scopes)
+  // Remove command menu (default and admin scopes, all languages)
   composer.command('remove_mycommands', async (ctx) => {
     if (!(await isBotAdminOrOwner(ctx))) return;
+    const t = await replyTranslator(ctx);
     try {
-      await ctx.api.deleteMyCommands({ scope: { type: 'default' } });
-      await ctx.api.deleteMyCommands({ scope: { type: 'all_chat_administrators' } });
-      return replyEphemeral(ctx, '🗑️ <b>Bot commands have been removed.</b>', { parse_mode: 'HTML' });
+      await clearCommandMenus(ctx.api, [{ type: 'default' }, { type: 'all_chat_administrators' }]);
+      return replyEphemeral(ctx, t('commands_removed'), { parse_mode: 'HTML' });
     } catch (e) {
-      return ctx.reply(`Failed to remove commands: ${e?.description || e?.message || e}`);
+      return ctx.reply(t('commands_remove_failed', { error: e?.description || e?.message || e }));
     }
   });
 
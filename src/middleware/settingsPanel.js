@@ -0,0 +1,235 @@
+import { Composer } from 'grammy';
+import { logAction } from '../logger.js';
+import { RULE_KEYS } from '../rules.js';
+import {
+  getSettings,
+  getChatRules,
+  setChatRule,
+  getEffectiveLimits,
+  setChatMaxLenLimit,
+  setChatLimit,
+  getChatWhitelist,
+  removeChatWhitelistUser,
+} from '../store/settings.js';
+import { formatDuration } from '../moderation/duration.js';
+import { replyTranslator } from '../i18n/index.js';
+import { isChatAdminWithBan, isBotAdminOrOwner } from '../permissions.js';
+
+// Inline-keyboard settings panel opened by /settings in groups.
+// Callback data: sp:<view> | sp:r:<rule> | sp:l:<limit>:<+|-> | sp:wl:<user_id> | sp:close
+
+// Stepper stops per limit; +/- moves to the next stop above/below the current value
+const LIMIT_STEPS = {
+  max_len: [50, 100, 200, 300, 500, 1000, 2000, 4096],
+  flood_max_messages: [2, 3, 4, 5, 6, 8, 10, 15, 20, 30, 50],
+  flood_window_seconds: [5, 10, 15, 20, 30, 60, 120, 300],
+  flood_mute_seconds: [0, 30, 60, 300, 600, 1800, 3600, 6 * 3600, 24 * 3600],
+  dup_repeat_limit: [2, 3, 4, 5, 6, 8, 10, 15, 20],
+  dup_window_seconds: [30, 60, 120, 300, 600, 1800, 3600],
+  probation_minutes: [0, 5, 10, 15, 30, 60, 120, 360, 720, 1440],
+};
+
+// Submenu that shows each limit's stepper
+const LIMIT_VIEWS = {
+  max_len: 'main',
+  flood_max_messages: 'flood',
+  flood_window_seconds: 'flood',
+  flood_mute_seconds: 'flood',
+  dup_repeat_limit: 'duplicate',
+  dup_window_seconds: 'duplicate',
+  probation_minutes: 'probation',
+};
+
+function esc(s = '') {
+  return String(s).replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;');
+}
+
+function nextStep(key, value, dir) {
+  const steps = LIMIT_STEPS[key];
+  return dir === '+' ? steps.find((x) => x > value) : steps.filter((x) => x < value).pop();
+}
+
+function formatLimit(key, value) {
+  if (key.endsWith('_seconds')) return formatDuration(value);
+  if (key === 'probation_minutes') return formatDuration(value * 60);
+  return String(value);
+}
+
+async function canEdit(ctx) {
+  return (await isBotAdminOrOwner(ctx)) || (await isChatAdminWithBan(ctx, ctx.from?.id));
+}
+
+function stepperRow(t, key, label, value) {
+  return [
+    { text: '➖', callback_data: `sp:l:${key}:-` },
+    { text: t(label, { value: formatLimit(key, value) }), callback_data: 'sp:noop' },
+    { text: '➕', callback_data: `sp:l:${key}:+` },
+  ];
+}
+
+async function buildMainView(ctx, t) {
+  const chatId = String(ctx.chat.id);
+  const s = await getSettings();
+  const chatRules = await getChatRules(chatId);
+  const { max_len: maxLen } = await getEffectiveLimits(chatId);
+  const buttons = RULE_KEYS.map((rule) => {
+    const mark = s.global_rules[rule] === false ? '🚫' : chatRules[rule] === false ? '❌' : '✅';
+    return { text: `${mark} ${rule}`, callback_data: `sp:r:${rule}` };
+  });
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+  rows.push(stepperRow(t, 'max_len', 'panel_max_len', maxLen));
+  rows.push([
+    { text: t('panel_flood'), callback_data: 'sp:flood' },
+    { text: t('panel_duplicate'), callback_data: 'sp:duplicate' },
+  ]);
+  rows.push([
+    { text: t('panel_probation'), callback_data: 'sp:probation' },
+    { text: t('panel_whitelist'), callback_data: 'sp:whitelist' },
+  ]);
+  rows.push([{ text: t('panel_close'), callback_data: 'sp:close' }]);
+  const html = `${t('panel_title', { chat: esc(ctx.chat.title || chatId) })}\n${t('panel_hint')}`;
+  return { html, reply_markup: { inline_keyboard: rows } };
+}
+
+async function buildFloodView(ctx, t) {
+  const limits = await getEffectiveLimits(ctx.chat.id);
+  const html = t('panel_flood_title', {
+    max: limits.flood_max_messages,
+    window: formatLimit('flood_window_seconds', limits.flood_window_seconds),
+    mute: formatLimit('flood_mute_seconds', limits.flood_mute_seconds),
+  });
+  const rows = [
+    stepperRow(t, 'flood_max_messages', 'panel_flood_max', limits.flood_max_messages),
+    stepperRow(t, 'flood_window_seconds', 'panel_flood_window', limits.flood_window_seconds),
+    stepperRow(t, 'flood_mute_seconds', 'panel_flood_mute', limits.flood_mute_seconds),
+    [{ text: t('panel_back'), callback_data: 'sp:main' }],
+  ];
+  return { html, reply_markup: { inline_keyboard: rows } };
+}
+
+async function buildDuplicateView(ctx, t) {
+  const limits = await getEffectiveLimits(ctx.chat.id);
+  const html = t('panel_duplicate_title', {
+    repeat: limits.dup_repeat_limit,
+    window: formatLimit('dup_window_seconds', limits.dup_window_seconds),
+  });
+  const rows = [
+    stepperRow(t, 'dup_repeat_limit', 'panel_duplicate_repeat', limits.dup_repeat_limit),
+    stepperRow(t, 'dup_window_seconds', 'panel_duplicate_window', limits.dup_window_seconds),
+    [{ text: t('panel_back'), callback_data: 'sp:main' }],
+  ];
+  return { html, reply_markup: { inline_keyboard: rows } };
+}
+
+async function buildProbationView(ctx, t) {
+  const { probation_minutes: minutes } = await getEffectiveLimits(ctx.chat.id);
+  const html = t('panel_probation_title', { value: formatLimit('probation_minutes', minutes) });
+  const rows = [
+    stepperRow(t, 'probation_minutes', 'panel_probation_value', minutes),
+    [{ text: t('panel_back'), callback_data: 'sp:main' }],
+  ];
+  return { html, reply_markup: { inline_keyboard: rows } };
+}
+
+async function buildWhitelistView(ctx, t) {
+  const list = await getChatWhitelist(String(ctx.chat.id));
+  const lines = [t('panel_whitelist_title'), list.length ? '' : t('panel_whitelist_empty'), t('panel_whitelist_hint')].filter(Boolean);
+  const rows = list.slice(0, 30).map((id) => [{ text: `🗑️ ${id}`, callback_data: `sp:wl:${id}` }]);
+  rows.push([{ text: t('panel_back'), callback_data: 'sp:main' }]);
+  return { html: lines.join('\n'), reply_markup: { inline_keyboard: rows } };
+}
+
+const VIEWS = {
+  main: buildMainView,
+  flood: buildFloodView,
+  duplicate: buildDuplicateView,
+  probation: buildProbationView,
+  whitelist: buildWhitelistView,
+};
+
+async function showView(ctx, t, view) {
+  const page = await VIEWS[view](ctx, t);
+  try {
+    await ctx.editMessageText(page.html, { parse_mode: 'HTML', reply_markup: page.reply_markup });
+  } catch {}
+}
+
+export function settingsPanelMiddleware() {
+  const composer = new Composer();
+
+  // Group admins get the panel; everyone else (and private chats) falls through to the help text
+  composer.command('settings', async (ctx, next) => {
+    const isGroup = ctx.chat?.type === 'group' || ctx.chat?.type === 'supergroup';
+    if (!isGroup || !(await canEdit(ctx))) return next();
+    const t = await replyTranslator(ctx);
+    const page = await buildMainView(ctx, t);
+    return ctx.reply(page.html, { parse_mode: 'HTML', reply_markup: page.reply_markup });
+  });
+
+  composer.callbackQuery(/^sp:/, async (ctx, next) => {
+    const t = await replyTranslator(ctx);
+    if (!(await canEdit(ctx))) return ctx.answerCallbackQuery({ text: t('panel_admins_only'), show_alert: true });
+    const data = ctx.callbackQuery.data;
+    const chatId = String(ctx.chat.id);
+
+    if (data === 'sp:noop') return ctx.answerCallbackQuery();
+    if (data === 'sp:close') {
+      try { await ctx.deleteMessage(); } catch {}
+      return ctx.answerCallbackQuery();
+    }
+    const view = data.slice(3);
+    if (VIEWS[view]) {
+      await showView(ctx, t, view);
+      return ctx.answerCallbackQuery();
+    }
+
+    let m = data.match(/^sp:r:(\w+)$/);
+    if (m && RULE_KEYS.includes(m[1])) {
+      const rule = m[1];
+      const s = await getSettings();
+      if (s.global_rules[rule] === false) return ctx.answerCallbackQuery({ text: t('panel_rule_global_off'), show_alert: true });
+      const enabled = (await getChatRules(chatId))[rule] === false;
+      await setChatRule(chatId, rule, enabled);
+      await logAction(ctx, {
+        action: enabled ? 'rule_chat_enable' : 'rule_chat_disable',
+        action_type: 'settings',
+        chat: ctx.chat,
+        violation: '-',
+        content: `${enabled ? 'Enabled' : 'Disabled'} ${rule} for chat (panel)`,
+      });
+      await showView(ctx, t, 'main');
+      return ctx.answerCallbackQuery({ text: t('panel_saved') });
+    }
+
+    m = data.match(/^sp:l:(\w+):([+-])$/);
+    if (m && LIMIT_STEPS[m[1]]) {
+      const [, key, dir] = m;
+      const current = (await getEffectiveLimits(chatId))[key];
+      const value = nextStep(key, current, dir);
+      if (value === undefined) return ctx.answerCallbackQuery({ text: t('panel_limit_edge') });
+      if (key === 'max_len') {
+        await setChatMaxLenLimit(chatId, value);
+        await logAction(ctx, { action: 'maxlen_chat_set', action_type: 'settings', chat: ctx.chat, violation: '-', content: `Chat max_len=${value} (panel)` });
+      } else {
+        await setChatLimit(chatId, key, value);
+        await logAction(ctx, { action: 'limit_chat_set', action_type: 'settings', chat: ctx.chat, violation: '-', content: `Chat ${key}=${value} (panel)` });
+      }
+      await showView(ctx, t, LIMIT_VIEWS[key]);
+      return ctx.answerCallbackQuery({ text: t('panel_saved') });
+    }
+
+    m = data.match(/^sp:wl:(\d+)$/);
+    if (m) {
+      const targetId = Number(m[1]);
+      await removeChatWhitelistUser(chatId, targetId);
+      await logAction(ctx, { action: 'whitelist_remove', action_type: 'settings', user: { id: targetId }, chat: ctx.chat, violation: '-', content: `Removed user ${targetId} from whitelist (panel)` });
+      await showView(ctx, t, 'whitelist');
+      return ctx.answerCallbackQuery({ text: t('panel_saved') });
+    }
+
+    return next();
+  });
+
+  return composer;
+}
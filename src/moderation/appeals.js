@@ -0,0 +1,145 @@
+// Appeal cases for moderation actions.
+// A case is opened with every moderation notice and referenced by the notice's
+// deep link (t.me/<bot>?start=appeal_<id>). Cases are kept in the settings store,
+// so links keep working after a restart and on every worker, and expire after
+// APPEAL_TTL_MS (default 7 days). At most APPEAL_MAX_CASES unsubmitted ones are
+// kept; past that the oldest go first.
+import crypto from 'node:crypto';
+import {
+  removeGlobalBlacklistEntry,
+  setFederationOverride,
+  getAppealCase as readAppealCase,
+  listUserAppealCases,
+  putAppealCase,
+  updateAppealCase as writeAppealCase,
+  pruneAppealCases,
+} from '../store/settings.js';
+import { restoreMemberPermissions } from './members.js';
+import { renderNotice } from '../i18n/index.js';
+
+const APPEAL_TTL_MS = Number(process.env.APPEAL_TTL_MS || 7 * 24 * 60 * 60 * 1000);
+const APPEAL_MAX_CASES = Number(process.env.APPEAL_MAX_CASES || 5000);
+const REPOST_CAP = 3500;
+// Expired and surplus cases are cleared at most this often per process
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+let lastPruneAt = 0;
+
+function esc(s = '') {
+  return String(s).replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;');
+}
+
+async function pruneCases(now) {
+  if (now - lastPruneAt < PRUNE_INTERVAL_MS) return;
+  lastPruneAt = now;
+  try {
+    await pruneAppealCases(now, APPEAL_MAX_CASES);
+  } catch (e) {
+    console.warn('[appeals] could not prune cases:', e?.message || e);
+  }
+}
+
+// details: { chat, user, violation, repost?: string, muted?, banned?, blacklisted?, federated? }.
+// Returns the case id.
+export async function createAppealCase(details = {}) {
+  const now = Date.now();
+  await pruneCases(now);
+  const id = crypto.randomBytes(8).toString('hex');
+  const { chat, user } = details;
+  await putAppealCase({
+    id,
+    user_id: user?.id,
+    status: 'open',
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + APPEAL_TTL_MS).toISOString(),
+    chat: { id: chat?.id, title: chat?.title, username: chat?.username },
+    user: { id: user?.id, first_name: user?.first_name, last_name: user?.last_name, username: user?.username },
+    violation: details.violation || '-',
+    repost: details.repost ? String(details.repost).slice(0, REPOST_CAP) : '',
+    muted: Boolean(details.muted),
+    banned: Boolean(details.banned),
+    blacklisted: Boolean(details.blacklisted),
+    federated: Boolean(details.federated),
+  });
+  return id;
+}
+
+// { id, status, chat, user, violation, repost, ..., appeal_text, locale, awaiting_until }, or null
+export async function getAppealCase(id) {
+  return readAppealCase(id);
+}
+
+// Applies patch to the case if its status is still `fromStatus`. Returns the updated case, or
+// null when someone else (another reviewer, another worker) changed it first.
+export async function updateAppealCase(row, fromStatus, patch) {
+  const next = { ...row, ...patch };
+  return (await writeAppealCase(next, fromStatus)) ? next : null;
+}
+
+// The open case the user was last asked to write an appeal for, while that prompt is valid
+export async function getAwaitingAppealCase(userId, now = Date.now()) {
+  const rows = (await listUserAppealCases(userId, now))
+    .filter((row) => row.status === 'open' && row.awaiting_until && Date.parse(row.awaiting_until) > now)
+    .sort((a, b) => Date.parse(a.awaiting_until) - Date.parse(b.awaiting_until));
+  return rows.at(-1) || null;
+}
+
+export function appealDeepLink(botUsername, id) {
+  return botUsername ? `https://t.me/${botUsername}?start=appeal_${id}` : null;
+}
+
+// What approving a case would undo, for the log chat message
+export function describeRemedies(row) {
+  const out = [];
+  if (row.repost) out.push('repost message');
+  if (row.muted) out.push('lift mute');
+  if (row.banned) out.push('lift ban');
+  if (row.blacklisted) out.push('remove from blacklist');
+  if (row.federated) out.push('ignore federated blacklist entry');
+  return out;
+}
+
+// Undo the moderation action(s) recorded on the case. Returns what was done as remedy codes
+// (blacklist_removed, federated_ignored, ban_lifted, mute_lifted, message_reposted; locale
+// keys appeal_done_<code>). reviewerId is recorded as whoever lifted a blacklist entry.
+export async function applyAppealRemedies(api, row, reviewerId) {
+  const done = [];
+  const chatId = row.chat.id;
+  const userId = row.user.id;
+  if (row.blacklisted) {
+    try {
+      if (await removeGlobalBlacklistEntry(userId, { by: reviewerId })) done.push('blacklist_removed');
+    } catch {}
+  }
+  // Federated entries belong to another deployment; ignore the user here instead
+  if (row.federated) {
+    try {
+      await setFederationOverride(userId, 'ignore', { by: reviewerId });
+      done.push('federated_ignored');
+    } catch {}
+  }
+  if (row.banned) {
+    try {
+      await api.unbanChatMember(chatId, userId, { only_if_banned: true });
+      done.push('ban_lifted');
+    } catch {}
+  }
+  if (row.muted) {
+    try {
+      await restoreMemberPermissions(api, chatId, userId);
+      done.push('mute_lifted');
+    } catch {}
+  }
+  if (row.repost) {
+    const name = [row.user.first_name, row.user.last_name].filter(Boolean).join(' ') || String(userId);
+    try {
+      const text = await renderNotice(chatId, 'appeal_repost', {
+        user: `<a href="tg://user?id=${userId}">${esc(name)}</a>`,
+        content: esc(row.repost),
+      });
+      await api.sendMessage(chatId, text, { parse_mode: 'HTML', disable_web_page_preview: true });
+      done.push('message_reposted');
+    } catch {}
+  }
+  return done;
+}
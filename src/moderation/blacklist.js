@@ -0,0 +1,59 @@
+// Expiring global blacklist entries: a background sweeper closes entries whose time is up,
+// lifts blacklist mutes in every chat the user was seen in and reports it to the log chat.
+import { takeExpiredBlacklistEntries } from '../store/settings.js';
+import { logAction, getUserPresenceChatIds } from '../logger.js';
+import { restoreMemberPermissions } from './members.js';
+
+const TICK_MS = 60 * 1000;
+
+// Kicks end on their own (the user may rejoin); mutes are lifted chat by chat.
+// Returns { total, lifted, failures }.
+export async function liftExpiredBlacklistEntry(api, entry) {
+  const result = { total: 0, lifted: 0, failures: 0 };
+  if (entry.action !== 'mute') return result;
+  const chatIds = await getUserPresenceChatIds(entry.userId);
+  result.total = chatIds.length;
+  for (const chatId of chatIds) {
+    try {
+      await restoreMemberPermissions(api, chatId, Number(entry.userId));
+      result.lifted++;
+    } catch {
+      result.failures++;
+    }
+  }
+  return result;
+}
+
+export async function sweepExpiredBlacklist(api, now = Date.now()) {
+  const expired = await takeExpiredBlacklistEntries(now);
+  for (const entry of expired) {
+    const result = await liftExpiredBlacklistEntry(api, entry);
+    await logAction(api, {
+      action: 'global_blacklist_expired',
+      action_type: 'admin',
+      violation: 'blacklist',
+      user: { id: Number(entry.userId) },
+      content: `action=${entry.action}; reason=${entry.reason || '-'}; expired_at=${entry.expiresAt}; groups_total=${result.total}; lifted=${result.lifted}; failures=${result.failures}`,
+    });
+  }
+  return expired;
+}
+
+// Checks for expired entries once a minute. Returns a stop function.
+export function startBlacklistSweeper(api) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sweepExpiredBlacklist(api);
+    } catch (e) {
+      console.warn('[blacklist] sweep failed:', e?.message || e);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, TICK_MS);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,129 @@
+// Chat-specific custom rules: admin-defined keyword or /regex/flags patterns
+// evaluated against selected parts of a message (text, caption, name, bio, poll).
+
+// Longer fields are only scanned up to this length
+const MAX_SCAN_CHARS = 4096;
+
+const REGEX_PATTERN_RE = /^\/(.+)\/([a-z]*)$/i;
+
+// Map<pattern, RegExp|null>
+const compiledCache = new Map();
+
+function escapeRegex(s = '') {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(s = '') {
+  return String(s).replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;');
+}
+
+export function isRegexPattern(pattern = '') {
+  return REGEX_PATTERN_RE.test(String(pattern || '').trim());
+}
+
+// Regexes run on the shared event loop for every message, so patterns that can backtrack
+// exponentially are refused: backreferences, and repeated groups that contain a quantifier
+// or an alternation at any depth ((a+)+, (a?)+, (a|ab)*, (?:x(?:y|z))+). Returns the reason or null.
+// Polynomial cases such as .*.*x remain possible, which is why regex rules are bot-admin only.
+export function unsafeRegexReason(source = '') {
+  const stack = [{ quantified: false, alternates: false }];
+  let closed = null; // the group that just closed, if the next token quantifies it
+  for (let i = 0; i < source.length; i += 1) {
+    const c = source[i];
+    const top = stack[stack.length - 1];
+    if (c === '\\') {
+      const next = source[i + 1];
+      if (/[1-9]/.test(next) || next === 'k') return 'backreferences are not allowed';
+      i += 1;
+      closed = null;
+    } else if (c === '[') {
+      i += source[i + 1] === '^' ? 2 : 1;
+      if (source[i] === ']') i += 1;
+      while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+      closed = null;
+    } else if (c === '(') {
+      // Skip the group prefix: ?: ?= ?! ?<= ?<! ?<name>
+      const prefix = source.slice(i + 1).match(/^\?(?:[:=!]|<[=!]|<[A-Za-z_$][\w$]*>)/);
+      if (prefix) i += prefix[0].length;
+      stack.push({ quantified: false, alternates: false });
+      closed = null;
+    } else if (c === ')') {
+      if (stack.length < 2) return 'unbalanced parentheses';
+      closed = stack.pop();
+      const parent = stack[stack.length - 1];
+      parent.quantified ||= closed.quantified;
+      parent.alternates ||= closed.alternates;
+    } else if (c === '|') {
+      top.alternates = true;
+      closed = null;
+    } else if (c === '*' || c === '+' || c === '?' || (c === '{' && /^\{\d+(?:,\d*)?\}/.test(source.slice(i)))) {
+      let repeats = c !== '?';
+      if (c === '{') {
+        const [, min, comma, max] = source.slice(i).match(/^\{(\d+)(,?)(\d*)\}/);
+        repeats = comma ? max === '' || Number(max) > 1 : Number(min) > 1;
+        i = source.indexOf('}', i);
+      }
+      if (source[i + 1] === '?') i += 1; // lazy
+      if (repeats && closed && (closed.quantified || closed.alternates)) return 'nested quantifiers or repeated alternatives are not allowed';
+      top.quantified = true;
+      closed = null;
+    } else {
+      closed = null;
+    }
+  }
+  return stack.length === 1 ? null : 'unbalanced parentheses';
+}
+
+// Plain strings match as case-insensitive whole words; `/pattern/flags` is used as a regex.
+// Throws on an invalid or unsafe regex so commands can report it.
+export function compileCustomPattern(pattern = '') {
+  const src = String(pattern || '').trim();
+  if (!src) throw new Error('Empty pattern');
+  const m = src.match(REGEX_PATTERN_RE);
+  if (m) {
+    const unsafe = unsafeRegexReason(m[1]);
+    if (unsafe) throw new Error(unsafe);
+    const flags = Array.from(new Set(m[2].replace(/[gy]/g, '').split(''))).join('');
+    return new RegExp(m[1], flags);
+  }
+  return new RegExp(`(?:^|[^\\p{L}\\p{N}_])${escapeRegex(src)}(?=$|[^\\p{L}\\p{N}_])`, 'iu');
+}
+
+// Rules saved before the safety check that fail it are skipped
+function compiled(pattern) {
+  if (compiledCache.has(pattern)) return compiledCache.get(pattern);
+  let rx = null;
+  try { rx = compileCustomPattern(pattern); } catch {}
+  if (compiledCache.size > 2000) compiledCache.clear();
+  compiledCache.set(pattern, rx);
+  return rx;
+}
+
+export function customRulesNeedBio(rules = []) {
+  return rules.some((rule) => rule.enabled && rule.scope.includes('bio'));
+}
+
+// fields: { text, caption, name, bio, poll }
+// Returns { rule, scope, match } for the first enabled rule that matches, else null
+export function findCustomRuleMatch(rules = [], fields = {}) {
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    const rx = compiled(rule.pattern);
+    if (!rx) continue;
+    for (const scope of rule.scope) {
+      const value = fields[scope];
+      if (!value) continue;
+      const m = rx.exec(String(value).slice(0, MAX_SCAN_CHARS));
+      if (m) return { rule, scope, match: m[0].trim() };
+    }
+  }
+  return null;
+}
+
+// Notice templates accept {user} (already-rendered HTML) and {rule}; admin text is escaped.
+// fallback is the chat's localized default (trusted HTML), used when the rule has no notice.
+export function renderCustomNotice(rule, userHtml, fallback = '🚫 {user} <b>this content is not allowed here</b> ({rule}).') {
+  const template = rule.notice || fallback;
+  const safe = rule.notice ? escapeHtml(template) : template;
+  return safe.replaceAll('{user}', userHtml).replaceAll('{rule}', escapeHtml(rule.name));
+}
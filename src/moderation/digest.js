@@ -0,0 +1,179 @@
+// Scheduled per-chat moderation digest (daily or weekly), configured with /digest.
+// Periods are whole UTC days (the stats tables are keyed by UTC day); the schedule itself
+// follows the chat's local time. Without Supabase the stats cover the time since restart.
+import { getGroupStatsPeriod, getTopViolators } from '../logger.js';
+import { getSupabase } from '../store/supabase.js';
+import { listChatDigests, setChatDigest } from '../store/settings.js';
+
+const TICK_MS = 60 * 1000;
+// A digest missed by a restart is still sent if the bot is back within this window
+const CATCH_UP_MINUTES = 60;
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function esc(s = '') {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;');
+}
+
+// Local calendar date, minutes since midnight and weekday (0=Sunday) in a time zone
+export function localClock(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23',
+    }).formatToParts(date).map((p) => [p.type, p.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+  };
+}
+
+// Returns the period key to send now, or null when the digest isn't due
+export function dueDigestKey(cfg, now = new Date()) {
+  if (!cfg?.enabled) return null;
+  const clock = localClock(now, cfg.timezone);
+  if (cfg.frequency === 'weekly' && clock.weekday !== cfg.weekday) return null;
+  const [h, m] = cfg.time.split(':').map(Number);
+  const late = clock.minutes - (h * 60 + m);
+  if (late < 0 || late >= CATCH_UP_MINUTES) return null;
+  const key = `${cfg.frequency}:${clock.date}`;
+  return key === cfg.last_sent ? null : key;
+}
+
+export function describeSchedule(cfg) {
+  const when = cfg.frequency === 'weekly' ? `weekly on ${WEEKDAYS[cfg.weekday]}` : 'daily';
+  return `${when} at ${cfg.time} (${cfg.timezone}) → ${cfg.target === 'admins' ? "admins' DMs" : 'the group'}`;
+}
+
+// Moderation counts only: settings/admin actions are logged with violation '-'
+function violationCounts(stats) {
+  const out = {};
+  for (const [k, v] of Object.entries(stats?.byViolation || {})) {
+    if (k !== '-' && v) out[k] = v;
+  }
+  return out;
+}
+
+function sum(obj) {
+  return Object.values(obj).reduce((a, b) => a + b, 0);
+}
+
+function trend(current, previous, vs = ' vs previous period') {
+  const diff = current - previous;
+  if (!diff) return ` (no change${vs})`;
+  const pct = previous ? ` ${diff > 0 ? '+' : ''}${Math.round((diff / previous) * 100)}%` : '';
+  return ` (${diff > 0 ? '▲ +' : '▼ '}${diff}${pct}${vs})`;
+}
+
+function periodLabel(days) {
+  const end = new Date();
+  end.setUTCDate(end.getUTCDate() - 1);
+  const start = new Date(end);
+  start.setUTCDate(start.getUTCDate() - (days - 1));
+  const d = (x) => x.toISOString().slice(0, 10);
+  return days === 1 ? `${d(end)} (UTC)` : `${d(start)} → ${d(end)} (UTC)`;
+}
+
+export async function buildDigestMessage(chatId, cfg, { title } = {}) {
+  const days = cfg.frequency === 'weekly' ? 7 : 1;
+  const persisted = Boolean(getSupabase());
+  const current = await getGroupStatsPeriod(chatId, days, { offsetDays: 1 });
+  const previous = persisted ? await getGroupStatsPeriod(chatId, days, { offsetDays: days + 1 }) : null;
+  const now = violationCounts(current);
+  const before = previous ? violationCounts(previous) : null;
+
+  const lines = [`📊 <b>${cfg.frequency === 'weekly' ? 'Weekly' : 'Daily'} moderation digest</b>${title ? ` — ${esc(title)}` : ''}`];
+  lines.push(persisted ? `<i>${periodLabel(days)}</i>` : '<i>Since the last restart (no Supabase, no trend)</i>');
+  lines.push('');
+  lines.push(`Total violations: <b>${sum(now)}</b>${before ? trend(sum(now), sum(before)) : ''}`);
+  const rows = Object.entries(now).sort((a, b) => b[1] - a[1]).slice(0, 10);
+  for (const [k, v] of rows) {
+    lines.push(`• <code>${esc(k)}</code>: <b>${v}</b>${before ? trend(v, before[k] || 0, '') : ''}`);
+  }
+  if (before) {
+    const gone = Object.keys(before).filter((k) => !now[k]);
+    if (gone.length) lines.push(`• no more: ${gone.map((k) => `<code>${esc(k)}</code>`).join(', ')}`);
+  }
+
+  const actions = current?.byAction || {};
+  lines.push('');
+  lines.push(`⛔ Blacklist hits: <b>${now.blacklist || 0}</b>`);
+  const fp = actions.review_false_positive || 0;
+  const confirmed = actions.review_confirmed || 0;
+  lines.push(`🔎 Reviews: <b>${fp}</b> false positive(s), <b>${confirmed}</b> confirmed`);
+
+  if (persisted) {
+    const top = await getTopViolators(days, chatId, 5, { offsetDays: 1 });
+    lines.push('');
+    lines.push('<b>Top violators</b>');
+    if (!top.length) lines.push('None 🎉');
+    top.forEach((u, i) => {
+      const topV = Object.entries(u.byViolation || {}).sort((a, b) => b[1] - a[1])[0]?.[0] || '-';
+      lines.push(`${i + 1}. <a href="tg://user?id=${u.userId}">${esc(u.userId)}</a> — <b>${u.total}</b>, mostly <code>${esc(topV)}</code>`);
+    });
+  }
+  return lines.join('\n');
+}
+
+// Post to the group or DM each human admin; returns the number of messages delivered
+export async function deliverDigest(api, chatId, cfg) {
+  let title;
+  try { title = (await api.getChat(chatId))?.title; } catch {}
+  const html = await buildDigestMessage(chatId, cfg, { title });
+  const opts = { parse_mode: 'HTML', disable_web_page_preview: true };
+  if (cfg.target !== 'admins') {
+    await api.sendMessage(chatId, html, opts);
+    return 1;
+  }
+  let sent = 0;
+  const admins = await api.getChatAdministrators(chatId);
+  for (const m of admins) {
+    if (m.user?.is_bot) continue;
+    // Admins who never opened a private chat with the bot can't be messaged
+    try {
+      await api.sendMessage(m.user.id, html, opts);
+      sent += 1;
+    } catch {}
+  }
+  return sent;
+}
+
+// Checks subscriptions once a minute. Returns a stop function.
+export function startDigestScheduler(api) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const now = new Date();
+      for (const { chatId, digest } of await listChatDigests()) {
+        const key = dueDigestKey(digest, now);
+        if (!key) continue;
+        // Mark first so a slow send or a second instance doesn't post twice
+        await setChatDigest(chatId, { last_sent: key });
+        try {
+          await deliverDigest(api, chatId, digest);
+        } catch (e) {
+          console.warn(`[digest] ${chatId}:`, e?.message || e);
+        }
+      }
+    } catch (e) {
+      console.warn('[digest] tick failed:', e?.message || e);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, TICK_MS);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
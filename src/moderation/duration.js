@@ -0,0 +1,33 @@
+// Compact duration strings used by moderation commands: 30s, 15m, 1h, 7d, 2w
+
+const UNIT_SECONDS = {
+  s: 1,
+  m: 60,
+  h: 60 * 60,
+  d: 24 * 60 * 60,
+  w: 7 * 24 * 60 * 60,
+};
+
+// Returns seconds, or null if the input is not a duration
+export function parseDuration(input = '') {
+  const m = String(input || '').trim().toLowerCase().match(/^(\d{1,6})([smhdw])$/);
+  if (!m) return null;
+  const seconds = Number(m[1]) * UNIT_SECONDS[m[2]];
+  return seconds > 0 ? seconds : null;
+}
+
+// Largest two units, e.g. 1d 1h; negative, non-finite or garbage input formats as 0s
+export function formatDuration(seconds = 0) {
+  let rest = Math.max(0, Math.trunc(Number(seconds) || 0));
+  if (!rest || !Number.isFinite(rest)) return '0s';
+  const parts = [];
+  for (const unit of ['w', 'd', 'h', 'm', 's']) {
+    const size = UNIT_SECONDS[unit];
+    if (rest >= size) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+    if (parts.length === 2) break;
+  }
+  return parts.join(' ');
+}
@@ -0,0 +1,137 @@
+// Progressive warn → mute → ban ladder.
+// Strikes are derived from the per-user daily counters kept by logAction
+// (see getUserStatsPeriod), so they survive restarts when Supabase is configured
+// and decay naturally as days leave the chat's decay window.
+import { getChatEscalation, getStrikeReset, setStrikeReset } from '../store/settings.js';
+import { logAction, getUserStatsPeriod, removeChatPresenceUsers } from '../logger.js';
+import { formatDuration } from './duration.js';
+
+// Shared by every mute (escalation, blacklist, captcha, lockdown); muted members also lose
+// invite/pin/info rights
+export const MUTE_PERMISSIONS = {
+  can_send_messages: false,
+  can_send_audios: false,
+  can_send_documents: false,
+  can_send_photos: false,
+  can_send_videos: false,
+  can_send_video_notes: false,
+  can_send_voice_notes: false,
+  can_send_polls: false,
+  can_send_other_messages: false,
+  can_add_web_page_previews: false,
+  can_change_info: false,
+  can_invite_users: false,
+  can_pin_messages: false,
+};
+
+// Logged actions that count as a strike (escalation_* actions themselves do not)
+const STRIKE_ACTIONS = ['delete_message', 'restrict_member', 'warn_message'];
+// Rate rules delete whole bursts at once, so their deletions aren't strikes; otherwise one
+// burst could walk a user up the ladder to a ban within seconds
+const NON_STRIKE_VIOLATIONS = ['anti_flood', 'anti_duplicate', 'slowmode', 'nightmode'];
+
+function utcDay(d = new Date()) {
+  return d.toISOString().slice(0, 10);
+}
+
+function daysSince(day, today = utcDay()) {
+  const then = Date.parse(`${day}T00:00:00Z`);
+  const now = Date.parse(`${today}T00:00:00Z`);
+  if (!Number.isFinite(then)) return Infinity;
+  return Math.max(0, Math.round((now - then) / (24 * 60 * 60 * 1000)));
+}
+
+// Strikes in a period of per-user counters ({ byAction, byViolation }). The non-strike
+// violations only ever log strike actions, so their counts come straight off the total.
+export function countStrikes(periodStats) {
+  const byAction = periodStats?.byAction || {};
+  const byViolation = periodStats?.byViolation || {};
+  const actions = STRIKE_ACTIONS.reduce((sum, a) => sum + (Number(byAction[a]) || 0), 0);
+  const excluded = NON_STRIKE_VIOLATIONS.reduce((sum, v) => sum + (Number(byViolation[v]) || 0), 0);
+  return Math.max(0, actions - excluded);
+}
+
+export function describeStep(step) {
+  if (!step) return '-';
+  if (step.action === 'mute') return `mute ${formatDuration(step.seconds)}`;
+  if (step.action === 'ban') return 'ban';
+  return 'warning';
+}
+
+export function formatLadder(steps = []) {
+  return steps.map(describeStep).join(' → ');
+}
+
+// The days of counters that count and the strikes to subtract from them: the decay window, or
+// from a strike reset still inside it (minus the strikes its day already held). today is YYYY-MM-DD.
+export function strikeWindow(decayDays, reset, today = utcDay()) {
+  if (reset) {
+    const since = daysSince(reset.day, today);
+    if (since < decayDays) return { days: since + 1, offset: reset.offset };
+  }
+  return { days: decayDays, offset: 0 };
+}
+
+// The ladder step for a strike count (the last step repeats) and the one after it, or null
+export function ladderStep(steps, strikes) {
+  if (!strikes || !steps.length) return null;
+  const stepIndex = Math.min(strikes, steps.length) - 1;
+  return { stepIndex, step: steps[stepIndex], next: steps[Math.min(stepIndex + 1, steps.length - 1)] };
+}
+
+export async function getUserStrikes(chatId, userId) {
+  const { decay_days: decayDays } = await getChatEscalation(chatId);
+  const { days, offset } = strikeWindow(decayDays, await getStrikeReset(chatId, userId));
+  const period = await getUserStatsPeriod(userId, chatId, days);
+  return Math.max(0, countStrikes(period) - offset);
+}
+
+export async function resetUserStrikes(chatId, userId) {
+  const today = await getUserStatsPeriod(userId, chatId, 1);
+  await setStrikeReset(chatId, userId, { day: utcDay(), offset: countStrikes(today) });
+}
+
+// Applies the ladder step matching the user's current strike count.
+// Returns { strikes, stepIndex, step, next, warnNumber, warnings } or null when nothing was applied.
+export async function applyEscalation(ctx, user, violation) {
+  const chatId = ctx.chat?.id;
+  const userId = user?.id;
+  if (!Number.isFinite(chatId) || !Number.isFinite(userId)) return null;
+  const { steps } = await getChatEscalation(chatId);
+  const strikes = await getUserStrikes(chatId, userId);
+  const current = ladderStep(steps, strikes);
+  if (!current) return null;
+  const { stepIndex, step, next } = current;
+  try {
+    if (step.action === 'mute') {
+      await ctx.api.restrictChatMember(chatId, userId, MUTE_PERMISSIONS, {
+        until_date: Math.floor(Date.now() / 1000) + step.seconds,
+      });
+    } else if (step.action === 'ban') {
+      await ctx.api.banChatMember(chatId, userId);
+      try { await removeChatPresenceUsers(chatId, [userId]); } catch {}
+    }
+  } catch (err) {
+    const errMsg = String(err?.description || err?.message || err || '').slice(0, 160);
+    await logAction(ctx, {
+      action: 'escalation_failed',
+      action_type: 'escalation',
+      violation,
+      user,
+      chat: ctx.chat,
+      content: `strikes=${strikes}; step=${describeStep(step)}; error=${errMsg}`,
+    });
+    return null;
+  }
+  await logAction(ctx, {
+    action: `escalation_${step.action}`,
+    action_type: 'escalation',
+    violation,
+    user,
+    chat: ctx.chat,
+    content: `strikes=${strikes}; step=${stepIndex + 1}/${steps.length} (${describeStep(step)})`,
+  });
+  const warnings = steps.filter((s) => s.action === 'warn').length;
+  const warnNumber = steps.slice(0, stepIndex + 1).filter((s) => s.action === 'warn').length;
+  return { strikes, stepIndex, step, next, warnNumber, warnings };
+}
@@ -0,0 +1,288 @@
+// Federation: independent deployments share their global blacklists as signed JSON feeds.
+// Publishing: with FEDERATION_PRIVATE_KEY set, the HTTP server serves this deployment's own
+// open blacklist entries (never entries learned from other feeds) signed with Ed25519.
+// Subscribing: bot admins pin a feed URL and its public key with a trust level; feeds are
+// fetched every FEDERATION_SYNC_MINUTES and kept in memory (fetched again after a restart).
+//
+// Feed document: { payload: "<JSON string>", signature: "<base64 Ed25519 signature of payload>" }
+// payload: { version: 1, name, generated_at, entries: [{ user_id, action, reason, added_at, expires_at }] }
+import crypto from 'node:crypto';
+import { listGlobalBlacklist, listFederationSubscriptions, getFederationOverrides } from '../store/settings.js';
+import { logAction } from '../logger.js';
+import { counter } from '../metrics.js';
+
+const FEED_VERSION = 1;
+const FEED_MAX_BYTES = 5 * 1024 * 1024;
+const FEED_MAX_ENTRIES = 100000;
+const FETCH_TIMEOUT_MS = 15 * 1000;
+const SYNC_INTERVAL_MS = Math.max(1, Number(process.env.FEDERATION_SYNC_MINUTES) || 15) * 60 * 1000;
+// Observe-only feeds log a user at most once per chat in this window
+const SIGHTING_TTL_MS = 24 * 60 * 60 * 1000;
+
+export const FEDERATION_NAME = String(process.env.FEDERATION_NAME || 'unnamed').slice(0, 64);
+
+const syncTotal = counter('federation_sync_total', 'Federation feed fetches by result', ['feed', 'result']);
+
+// -------- Keys --------
+
+// FEDERATION_PRIVATE_KEY: PKCS#8 PEM (literal \n allowed) or base64 DER, Ed25519
+export function parsePrivateKey(raw) {
+  const text = String(raw).replace(/\\n/g, '\n').trim();
+  const key = text.startsWith('-----')
+    ? crypto.createPrivateKey(text)
+    : crypto.createPrivateKey({ key: Buffer.from(text, 'base64'), format: 'der', type: 'pkcs8' });
+  if (key.asymmetricKeyType !== 'ed25519') throw new Error('not an Ed25519 private key');
+  return key;
+}
+
+// Public keys are exchanged as base64 SPKI DER: one line that fits in a command
+export function parsePublicKey(b64) {
+  const key = crypto.createPublicKey({ key: Buffer.from(String(b64), 'base64'), format: 'der', type: 'spki' });
+  if (key.asymmetricKeyType !== 'ed25519') throw new Error('not an Ed25519 public key');
+  return key;
+}
+
+export function exportPublicKey(privateKey) {
+  return crypto.createPublicKey(privateKey).export({ format: 'der', type: 'spki' }).toString('base64');
+}
+
+let publishingKey;
+
+// The key this deployment signs its feed with, or null when publishing is off
+export function getPublishingKey() {
+  if (publishingKey !== undefined) return publishingKey;
+  publishingKey = null;
+  if (process.env.FEDERATION_PRIVATE_KEY) {
+    try {
+      publishingKey = parsePrivateKey(process.env.FEDERATION_PRIVATE_KEY);
+    } catch (e) {
+      console.warn('[federation] FEDERATION_PRIVATE_KEY is unusable, feed publishing is off:', e?.message || e);
+    }
+  }
+  return publishingKey;
+}
+
+// -------- Feed documents --------
+
+export async function buildSignedFeed(privateKey, { name = FEDERATION_NAME, now = Date.now() } = {}) {
+  const entries = (await listGlobalBlacklist()).map((e) => ({
+    user_id: e.userId,
+    action: e.action,
+    reason: e.reason || '',
+    added_at: e.addedAt || null,
+    expires_at: e.expiresAt || null,
+  }));
+  const payload = JSON.stringify({ version: FEED_VERSION, name, generated_at: new Date(now).toISOString(), entries });
+  const signature = crypto.sign(null, Buffer.from(payload), privateKey).toString('base64');
+  return { payload, signature };
+}
+
+// Checks the signature against the pinned key before reading anything from the payload.
+// Returns { name, generatedAt, entries: Map<userId, { action, reason, addedAt, expiresAt }> }.
+export function verifySignedFeed(doc, publicKey) {
+  if (typeof doc?.payload !== 'string' || typeof doc?.signature !== 'string') throw new Error('not a signed feed');
+  if (!crypto.verify(null, Buffer.from(doc.payload), publicKey, Buffer.from(doc.signature, 'base64'))) {
+    throw new Error('signature does not match the pinned key');
+  }
+  const payload = JSON.parse(doc.payload);
+  if (payload?.version !== FEED_VERSION || !Array.isArray(payload.entries)) throw new Error('unsupported feed version');
+  if (payload.entries.length > FEED_MAX_ENTRIES) throw new Error(`feed has more than ${FEED_MAX_ENTRIES} entries`);
+  const generated = Date.parse(payload.generated_at);
+  if (!Number.isFinite(generated)) throw new Error('feed has no generated_at');
+  const entries = new Map();
+  for (const row of payload.entries) {
+    const userId = String(row?.user_id ?? '');
+    if (!/^\d{1,20}$/.test(userId)) continue;
+    const expires = Date.parse(row.expires_at || '');
+    entries.set(userId, {
+      action: row.action === 'mute' ? 'mute' : 'kick',
+      reason: typeof row.reason === 'string' ? row.reason.slice(0, 200) : '',
+      addedAt: typeof row.added_at === 'string' ? row.added_at : null,
+      expiresAt: Number.isFinite(expires) ? new Date(expires).toISOString() : null,
+    });
+  }
+  return { name: String(payload.name || '').slice(0, 64), generatedAt: new Date(generated).toISOString(), entries };
+}
+
+async function fetchFeed(url) {
+  const res = await fetch(url, { headers: { accept: 'application/json' }, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  if (Number(res.headers.get('content-length')) > FEED_MAX_BYTES) throw new Error('feed is too large');
+  // Read the body in chunks and stop past the cap, so a feed without content-length can't fill memory
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > FEED_MAX_BYTES) {
+      await reader.cancel().catch(() => {});
+      throw new Error('feed is too large');
+    }
+    chunks.push(value);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+// -------- Subscribed feeds --------
+
+// name -> { url, publicKey, publisher, generatedAt, syncedAt, entries: Map, error, errorAt }
+const feeds = new Map();
+
+// Swaps a verified feed into the subscription's state. A replayed older copy must not bring back
+// entries the publisher already removed, so it throws and leaves the state as it was.
+// Returns { added, removed }.
+export function applyFeed(state, feed, now = Date.now()) {
+  if (state.generatedAt && feed.generatedAt < state.generatedAt) throw new Error('feed is older than the copy already applied');
+  const added = [...feed.entries.keys()].filter((id) => !state.entries.has(id)).length;
+  const removed = [...state.entries.keys()].filter((id) => !feed.entries.has(id)).length;
+  Object.assign(state, {
+    publisher: feed.name,
+    generatedAt: feed.generatedAt,
+    syncedAt: new Date(now).toISOString(),
+    entries: feed.entries,
+    error: null,
+    errorAt: null,
+  });
+  return { added, removed };
+}
+
+// Fetches one subscription and swaps in its entries. A failed fetch keeps the last good copy.
+// Returns { ok, entries, added, removed } or { ok: false, error }.
+export async function syncFederationFeed(api, sub) {
+  let state = feeds.get(sub.name);
+  // Re-subscribing with another URL or key starts over
+  if (!state || state.url !== sub.url || state.publicKey !== sub.publicKey) {
+    state = { url: sub.url, publicKey: sub.publicKey, entries: new Map(), generatedAt: null };
+    feeds.set(sub.name, state);
+  }
+  try {
+    const feed = verifySignedFeed(await fetchFeed(sub.url), parsePublicKey(sub.publicKey));
+    const { added, removed } = applyFeed(state, feed);
+    syncTotal.inc({ feed: sub.name, result: 'ok' });
+    if (api && (added || removed)) {
+      await logAction(api, {
+        action: 'federation_sync',
+        action_type: 'admin',
+        violation: 'blacklist',
+        content: `origin=federation:${sub.name}; publisher=${feed.name || '-'}; entries=${feed.entries.size}; added=${added}; removed=${removed}`,
+      });
+    }
+    return { ok: true, entries: feed.entries.size, added, removed };
+  } catch (e) {
+    state.error = String(e?.message || e).slice(0, 200);
+    state.errorAt = new Date().toISOString();
+    syncTotal.inc({ feed: sub.name, result: 'error' });
+    return { ok: false, error: state.error };
+  }
+}
+
+// Syncs every subscription and drops feeds that were unsubscribed. Returns { [name]: result }.
+export async function syncFederationFeeds(api) {
+  const subs = await listFederationSubscriptions();
+  for (const name of feeds.keys()) {
+    if (!subs.some((sub) => sub.name === name)) feeds.delete(name);
+  }
+  const out = {};
+  for (const sub of subs) out[sub.name] = await syncFederationFeed(api, sub);
+  return out;
+}
+
+export function forgetFederationFeed(name) {
+  feeds.delete(name);
+}
+
+// Subscriptions with their sync state, for /federation_list
+export async function describeFederationFeeds() {
+  return (await listFederationSubscriptions()).map((sub) => {
+    const state = feeds.get(sub.name);
+    return {
+      ...sub,
+      publisher: state?.publisher || null,
+      entries: state?.entries.size || 0,
+      generatedAt: state?.generatedAt || null,
+      syncedAt: state?.syncedAt || null,
+      error: state?.error || null,
+    };
+  });
+}
+
+// Every subscribed feed currently listing the user: [{ name, trust, action, reason, addedAt, expiresAt }]
+export async function listFederatedEntriesForUser(userId, now = Date.now()) {
+  const key = String(userId);
+  const out = [];
+  for (const sub of await listFederationSubscriptions()) {
+    const row = feeds.get(sub.name)?.entries.get(key);
+    if (!row || (row.expiresAt && Date.parse(row.expiresAt) <= now)) continue;
+    out.push({ name: sub.name, trust: sub.trust, ...row });
+  }
+  return out;
+}
+
+const ACTION_RANK = { mute: 1, kick: 2 };
+
+function effectiveAction(trust, action) {
+  return trust === 'mute' ? 'mute' : action;
+}
+
+// The federated entry to enforce on a user, or null: { action, reason, addedAt, expiresAt, origin, observe }.
+// Enforcing feeds win over observe-only ones and kicks over mutes; an admin override
+// ignores the user or replaces the action (which also enforces an observe-only entry).
+export async function getFederatedBlacklistEntry(userId, now = Date.now()) {
+  if (!feeds.size) return null;
+  let best = null;
+  for (const row of await listFederatedEntriesForUser(userId, now)) {
+    const candidate = {
+      action: effectiveAction(row.trust, row.action),
+      reason: row.reason,
+      addedAt: row.addedAt,
+      expiresAt: row.expiresAt,
+      origin: `federation:${row.name}`,
+      observe: row.trust === 'observe',
+    };
+    const better = !best
+      || (best.observe && !candidate.observe)
+      || (best.observe === candidate.observe && ACTION_RANK[candidate.action] > ACTION_RANK[best.action]);
+    if (better) best = candidate;
+  }
+  if (!best) return null;
+  const override = (await getFederationOverrides())[String(userId)];
+  if (override?.action === 'ignore') return null;
+  if (override) return { ...best, action: override.action, observe: false, overridden: true };
+  return best;
+}
+
+const sightings = new Map(); // `${chatId}:${userId}` -> logged at (ms)
+
+// True the first time an observe-only entry is seen in a chat within SIGHTING_TTL_MS
+export function noteFederatedSighting(chatId, userId, now = Date.now()) {
+  const key = `${chatId}:${userId}`;
+  const last = sightings.get(key);
+  if (last && now - last < SIGHTING_TTL_MS) return false;
+  if (sightings.size > 10000) {
+    for (const [k, at] of sightings) if (now - at >= SIGHTING_TTL_MS) sightings.delete(k);
+  }
+  sightings.set(key, now);
+  return true;
+}
+
+// Fetches all feeds now and then every FEDERATION_SYNC_MINUTES. Returns a stop function.
+export function startFederationSync(api) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await syncFederationFeeds(api);
+    } catch (e) {
+      console.warn('[federation] sync failed:', e?.message || e);
+    } finally {
+      running = false;
+    }
+  };
+  tick();
+  const timer = setInterval(tick, SYNC_INTERVAL_MS);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
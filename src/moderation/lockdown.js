@@ -0,0 +1,272 @@
+// Chat lockdown, started by raid detection or by an admin with /lockdown.
+// Raid detection: joins are counted per chat in the spam state store (so workers sharing a
+// Redis/Supabase backend see the same rate); when a chat with /raid on gets more than `joins`
+// members within `window_seconds`, it is locked down for `cooldown_seconds`: new joiners are
+// muted until the lockdown ends, probation is tightened, the primary invite link is optionally
+// replaced and admins are alerted. Further raid-level joins extend it.
+// A manual lockdown also makes the chat read-only and restores the previous default
+// permissions when it ends. The lockdown lives in the chat's settings and its end is a
+// persisted scheduler job, so a restart doesn't leave a group locked.
+import { getChatRaid, setChatRaid, getChatLockdown, setChatLockdown } from '../store/settings.js';
+import { getSpamStateStore } from '../store/spamState.js';
+import { logAction } from '../logger.js';
+import { MUTE_PERMISSIONS } from './escalation.js';
+import { restoreMemberPermissions } from './members.js';
+import { formatDuration } from './duration.js';
+import { registerJobHandler, scheduleJob, cancelJob } from './scheduler.js';
+import { noticeRenderer } from '../i18n/index.js';
+
+const END_JOB = 'lockdown_end';
+// A lockdown whose permissions couldn't be put back is ended again after this long
+const RESTORE_RETRY_MS = 5 * 60 * 1000;
+
+function errorText(err) {
+  return String(err?.description || err?.message || err || '').slice(0, 160);
+}
+
+// The chat's lockdown while it lasts, otherwise null (an expired one waits for its job)
+export async function getActiveLockdown(chatId, now = Date.now()) {
+  const lockdown = await getChatLockdown(chatId);
+  return lockdown && (!lockdown.until || Date.parse(lockdown.until) > now) ? lockdown : null;
+}
+
+// Posts the alert in the group and DMs each human admin; returns the number of admins reached
+async function alertAdmins(api, chat, text) {
+  const opts = { parse_mode: 'HTML', disable_web_page_preview: true };
+  try { await api.sendMessage(chat.id, text, opts); } catch {}
+  let sent = 0;
+  let admins = [];
+  try { admins = await api.getChatAdministrators(chat.id); } catch {}
+  for (const m of admins) {
+    if (m.user?.is_bot) continue;
+    // Admins who never opened a private chat with the bot can't be messaged
+    try {
+      await api.sendMessage(m.user.id, text, opts);
+      sent += 1;
+    } catch {}
+  }
+  return sent;
+}
+
+// Read-only chat: keeps the current default permissions so they can be put back. Refuses when
+// they can't be read, since ending the lockdown would then have nothing to restore.
+async function makeReadOnly(api, chatId) {
+  const permissions = (await api.getChat(chatId))?.permissions || null;
+  if (!permissions) throw new Error('current chat permissions unavailable');
+  await api.setChatPermissions(chatId, MUTE_PERMISSIONS);
+  return permissions;
+}
+
+async function scheduleEnd(chatId, lockdown) {
+  if (lockdown.until) await scheduleJob(END_JOB, chatId, Date.parse(lockdown.until));
+  else await cancelJob(END_JOB, chatId);
+}
+
+// Starts a lockdown, or updates the active one. Raid triggers extend it by the cooldown; a manual
+// lockdown takes over (read-only, with the admin's end time, or none when seconds is null).
+// Returns the stored lockdown. A manual lockdown that can't make the chat read-only is logged
+// and throws, leaving the chat as it was.
+export async function startLockdown(api, chat, { trigger = 'raid', by = null, seconds, joins = 0, now = Date.now() } = {}) {
+  const cfg = await getChatRaid(chat.id);
+  const manual = trigger === 'manual';
+  const duration = manual ? seconds : seconds || cfg.cooldown_seconds;
+  const until = duration ? new Date(now + duration * 1000).toISOString() : null;
+  const current = await getActiveLockdown(chat.id, now);
+  // An ended lockdown still waiting for its permissions to be restored keeps them (and its muted
+  // joiners) for the next one
+  const previous = current || (await getChatLockdown(chat.id));
+
+  if (current && !manual) {
+    // An open-ended lockdown stays open-ended
+    const extended = current.until && Date.parse(current.until) < Date.parse(until) ? until : current.until;
+    const next = await setChatLockdown(chat.id, { ...current, until: extended, joins: Math.max(current.joins, joins) });
+    if (extended !== current.until) await scheduleEnd(chat.id, next);
+    return next;
+  }
+
+  let readOnly = previous?.read_only || false;
+  let permissions = previous?.permissions || null;
+  if (manual && !readOnly) {
+    try {
+      permissions = await makeReadOnly(api, chat.id);
+      readOnly = true;
+    } catch (err) {
+      await logAction(api, {
+        action: 'lockdown_failed',
+        action_type: 'admin',
+        violation: 'raid',
+        chat,
+        user: by ? { id: by } : undefined,
+        content: `trigger=manual; error=${errorText(err)}`,
+      });
+      throw err;
+    }
+  }
+  const lockdown = await setChatLockdown(chat.id, {
+    since: current?.since || new Date(now).toISOString(),
+    until,
+    trigger,
+    by,
+    joins: Math.max(current?.joins || 0, joins),
+    restricted: previous?.restricted || [],
+    read_only: readOnly,
+    permissions,
+  });
+  await scheduleEnd(chat.id, lockdown);
+
+  const t = await noticeRenderer(chat.id);
+  const log = {
+    action: 'lockdown_started',
+    action_type: manual ? 'admin' : 'security',
+    violation: 'raid',
+    chat,
+    user: by ? { id: by } : undefined,
+  };
+  if (manual) {
+    const text = until ? t('lockdown_started', { duration: formatDuration(duration) }) : t('lockdown_started_open');
+    try { await api.sendMessage(chat.id, text, { parse_mode: 'HTML' }); } catch {}
+    await logAction(api, {
+      ...log,
+      content: [
+        'trigger=manual',
+        `until=${until || '-'}`,
+        `read_only=${readOnly ? 1 : 0}`,
+        current ? `replaced=${current.trigger}` : null,
+      ].filter(Boolean).join('; '),
+    });
+    return lockdown;
+  }
+
+  // exportChatInviteLink replaces the primary link, so links shared by the raiders stop working
+  let link = null;
+  let linkError = null;
+  if (cfg.revoke_link) {
+    try {
+      link = await api.exportChatInviteLink(chat.id);
+    } catch (err) {
+      linkError = errorText(err);
+    }
+  }
+  const text = [
+    t('raid_lockdown_started', { joins, window: formatDuration(cfg.window_seconds), duration: formatDuration(duration) }),
+    link ? t('raid_link_revoked') : null,
+  ].filter(Boolean).join('\n');
+  const admins = await alertAdmins(api, chat, text);
+  await logAction(api, {
+    ...log,
+    content: [
+      `trigger=${trigger}`,
+      `joins=${joins}`,
+      `until=${lockdown.until}`,
+      `admins_alerted=${admins}`,
+      cfg.revoke_link ? `invite_link=${link ? 'replaced' : `error: ${linkError}`}` : null,
+    ].filter(Boolean).join('; '),
+  });
+  return lockdown;
+}
+
+// Counts a batch of joins; starts or extends a lockdown when the chat's raid threshold is
+// crossed. Returns the active lockdown or null.
+export async function recordChatJoins(api, chat, count, now = Date.now()) {
+  const cfg = await getChatRaid(chat.id);
+  let lockdown = await getActiveLockdown(chat.id, now);
+  if (!cfg.enabled || count <= 0) return lockdown;
+  const store = await getSpamStateStore();
+  let joins = 0;
+  for (let i = 0; i < count; i += 1) {
+    joins = await store.floodHit(`${chat.id}:joins`, now, cfg.window_seconds * 1000);
+  }
+  // Joins counted before a lockdown ended don't start the next one
+  const settled = !cfg.last_ended_at || now - Date.parse(cfg.last_ended_at) >= cfg.window_seconds * 1000;
+  if (joins >= cfg.joins && (lockdown || settled)) {
+    lockdown = await startLockdown(api, chat, { trigger: 'raid', joins, now });
+  }
+  return lockdown;
+}
+
+// Mutes a member who joined during the lockdown until it ends (until lifted, for an open-ended
+// one), and remembers them so ending the lockdown can lift the mute.
+export async function restrictLockdownJoiner(api, chatId, userId, lockdown) {
+  const untilDate = lockdown.until ? Math.floor(Date.parse(lockdown.until) / 1000) : 0;
+  await api.restrictChatMember(chatId, userId, MUTE_PERMISSIONS, untilDate ? { until_date: untilDate } : undefined);
+  const current = await getChatLockdown(chatId);
+  if (current && !current.restricted.includes(String(userId))) {
+    await setChatLockdown(chatId, { ...current, restricted: [...current.restricted, String(userId)] });
+  }
+}
+
+// Ends the chat's lockdown: puts the default permissions back after a read-only lockdown and
+// lifts the joiner mutes. Returns the lockdown that ended, or null. Without saved permissions
+// the chat is left as it is (guessing would reset every permission not named) and that is logged.
+// When the permissions can't be put back the lockdown is kept (marked as ended, so the end job
+// takes it), the end is retried in RESTORE_RETRY_MS and the error is logged and thrown.
+export async function endLockdown(api, chatId, { by = null, reason = 'expired' } = {}) {
+  const lockdown = await getChatLockdown(chatId);
+  if (!lockdown) return null;
+  let restored = null;
+  if (lockdown.read_only && !lockdown.permissions) {
+    restored = 'skipped: no saved permissions';
+  } else if (lockdown.read_only) {
+    try {
+      await api.setChatPermissions(chatId, lockdown.permissions);
+      restored = 'ok';
+    } catch (err) {
+      const now = Date.now();
+      const until = lockdown.until && Date.parse(lockdown.until) <= now ? lockdown.until : new Date(now).toISOString();
+      await setChatLockdown(chatId, { ...lockdown, until });
+      await scheduleJob(END_JOB, chatId, now + RESTORE_RETRY_MS);
+      await logAction(api, {
+        action: 'lockdown_end_failed',
+        action_type: reason === 'manual' ? 'admin' : 'security',
+        violation: 'raid',
+        chat: { id: Number(chatId) },
+        user: by ? { id: by } : undefined,
+        content: `reason=${reason}; trigger=${lockdown.trigger}; error=${errorText(err)}; retry_in=${formatDuration(RESTORE_RETRY_MS / 1000)}`,
+      });
+      throw err;
+    }
+  }
+  await setChatLockdown(chatId, null);
+  await cancelJob(END_JOB, chatId);
+  await setChatRaid(chatId, { last_ended_at: new Date().toISOString() });
+  let lifted = 0;
+  let failures = 0;
+  for (const userId of lockdown.restricted) {
+    try {
+      await restoreMemberPermissions(api, chatId, Number(userId));
+      lifted += 1;
+    } catch {
+      failures += 1;
+    }
+  }
+  const t = await noticeRenderer(chatId);
+  try {
+    await api.sendMessage(chatId, t('lockdown_ended', { count: lifted }), { parse_mode: 'HTML' });
+  } catch {}
+  await logAction(api, {
+    action: 'lockdown_ended',
+    action_type: reason === 'manual' ? 'admin' : 'security',
+    violation: 'raid',
+    chat: { id: Number(chatId) },
+    user: by ? { id: by } : undefined,
+    content: [
+      `reason=${reason}`,
+      `trigger=${lockdown.trigger}`,
+      `since=${lockdown.since}`,
+      `joins=${lockdown.joins}`,
+      `lifted=${lifted}`,
+      `failures=${failures}`,
+      restored ? `permissions_restored=${restored}` : null,
+    ].filter(Boolean).join('; '),
+  });
+  return lockdown;
+}
+
+registerJobHandler(END_JOB, async (api, chatId) => {
+  const lockdown = await getChatLockdown(chatId);
+  if (!lockdown?.until) return;
+  // Extended after this job was taken: run again at the new end
+  if (Date.parse(lockdown.until) > Date.now()) return scheduleEnd(chatId, lockdown);
+  // A failed restore has already been logged and rescheduled
+  try { await endLockdown(api, chatId, { reason: 'expired' }); } catch {}
+});
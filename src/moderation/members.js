@@ -0,0 +1,55 @@
+// Member restriction helpers shared by captcha, appeals and other flows
+import { removeChatPresenceUsers } from '../logger.js';
+import { MUTE_PERMISSIONS } from './escalation.js';
+
+const FULL_PERMISSIONS = {
+  can_send_messages: true,
+  can_send_audios: true,
+  can_send_documents: true,
+  can_send_photos: true,
+  can_send_videos: true,
+  can_send_video_notes: true,
+  can_send_voice_notes: true,
+  can_send_polls: true,
+  can_send_other_messages: true,
+  can_add_web_page_previews: true,
+};
+
+// Lift a mute by giving the member the chat's default permissions back
+export async function restoreMemberPermissions(api, chatId, userId) {
+  let permissions;
+  try {
+    permissions = (await api.getChat(chatId))?.permissions;
+  } catch {}
+  await api.restrictChatMember(chatId, userId, permissions || FULL_PERMISSIONS);
+}
+
+// Remove without a lasting ban: the member may rejoin
+export async function kickMember(api, chatId, userId) {
+  await api.banChatMember(chatId, userId, { until_date: Math.floor(Date.now() / 1000) + 60 });
+  try { await api.unbanChatMember(chatId, userId); } catch {}
+  try { await removeChatPresenceUsers(chatId, [userId]); } catch {}
+}
+
+// Apply a global blacklist entry in one chat. Returns 'mute' or 'kick'.
+// Mutes of an expiring entry end at its expiry, so Telegram lifts them even if the sweeper doesn't run.
+export async function applyBlacklistAction(api, chatId, userId, entry) {
+  if (entry.action === 'mute') {
+    const untilDate = entry.expiresAt ? Math.floor(Date.parse(entry.expiresAt) / 1000) : 0;
+    await api.restrictChatMember(chatId, userId, MUTE_PERMISSIONS, untilDate ? { until_date: untilDate } : undefined);
+    return 'mute';
+  }
+  await kickMember(api, chatId, userId);
+  return 'kick';
+}
+
+// Apply a chat ban list entry. Returns 'mute' or 'ban'; both last until an admin lifts them.
+export async function applyChatBanAction(api, chatId, userId, entry) {
+  if (entry.action === 'mute') {
+    await api.restrictChatMember(chatId, userId, MUTE_PERMISSIONS);
+    return 'mute';
+  }
+  await api.banChatMember(chatId, userId);
+  try { await removeChatPresenceUsers(chatId, [userId]); } catch {}
+  return 'ban';
+}
@@ -0,0 +1,151 @@
+// Night mode (/nightmode): daily windows in the chat's local time during which some content
+// (media, stickers, GIFs, links or every message) is deleted. With action `restrict` the
+// group's default permissions are also tightened for the window and put back after it.
+// Each window start and end is a persisted scheduler job, so restarts don't skip one; the
+// deletion itself checks the clock, so it doesn't depend on the job having run.
+import { getChatNightmode, setChatNightmode, getChatDigest } from '../store/settings.js';
+import { logAction } from '../logger.js';
+import { localClock } from './digest.js';
+import { getActiveLockdown } from './lockdown.js';
+import { registerJobHandler, scheduleJob, cancelJob } from './scheduler.js';
+import { noticeRenderer } from '../i18n/index.js';
+
+const JOB = 'nightmode';
+const DAY_MINUTES = 24 * 60;
+// A window start/end that falls inside a read-only lockdown waits for it to end
+const LOCKDOWN_RETRY_MS = 5 * 60 * 1000;
+
+const MEDIA_PERMISSIONS = [
+  'can_send_audios',
+  'can_send_documents',
+  'can_send_photos',
+  'can_send_videos',
+  'can_send_video_notes',
+  'can_send_voice_notes',
+  'can_send_polls',
+  'can_send_other_messages',
+];
+
+// Permissions each blocked type takes away in a `restrict` window. Stickers and GIFs share
+// one permission; links can only lose their previews, so link messages are still deleted.
+const TYPE_PERMISSIONS = {
+  media: MEDIA_PERMISSIONS,
+  stickers: ['can_send_other_messages'],
+  gifs: ['can_send_other_messages'],
+  links: ['can_add_web_page_previews'],
+  all: ['can_send_messages', ...MEDIA_PERMISSIONS, 'can_add_web_page_previews'],
+};
+
+function errorText(err) {
+  return String(err?.description || err?.message || err || '').slice(0, 160);
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// Night mode follows the digest's time zone unless it has its own
+export async function nightmodeTimezone(chatId, cfg) {
+  return cfg.timezone || (await getChatDigest(chatId)).timezone;
+}
+
+// The window covering local minute `minutes` (windows may cross midnight), or null
+export function currentNightWindow(windows, minutes) {
+  return windows.find((w) => {
+    const start = toMinutes(w.start);
+    const end = toMinutes(w.end);
+    return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  }) || null;
+}
+
+// Next window start or end after `now` (ms). Local offsets are whole minutes, so counting
+// from the current UTC minute lands on the local boundary.
+export function nextBoundary(windows, clock, now) {
+  let ahead = DAY_MINUTES;
+  for (const w of windows) {
+    for (const b of [toMinutes(w.start), toMinutes(w.end)]) {
+      ahead = Math.min(ahead, (b - clock.minutes + DAY_MINUTES) % DAY_MINUTES || DAY_MINUTES);
+    }
+  }
+  return now - (now % 60000) + ahead * 60000;
+}
+
+function tightenPermissions(base, block) {
+  const out = { ...base };
+  for (const type of block) {
+    for (const key of TYPE_PERMISSIONS[type]) out[key] = false;
+  }
+  return out;
+}
+
+// The chat's night mode with the window in effect ({ ...cfg, window }), or null outside them
+export async function getActiveNightWindow(chatId, now = Date.now()) {
+  const cfg = await getChatNightmode(chatId);
+  if (!cfg.enabled || !cfg.windows.length) return null;
+  const clock = localClock(new Date(now), await nightmodeTimezone(chatId, cfg));
+  const window = currentNightWindow(cfg.windows, clock.minutes);
+  return window ? { ...cfg, window } : null;
+}
+
+// Brings the chat in line with its night mode: tightens or restores permissions, announces a
+// window starting or ending and schedules the next check. Runs on every window start/end and
+// after /nightmode changes. Returns the stored night mode.
+export async function syncNightmode(api, chatId, now = Date.now()) {
+  const cfg = await getChatNightmode(chatId);
+  const on = cfg.enabled && cfg.windows.length > 0;
+  const clock = on ? localClock(new Date(now), await nightmodeTimezone(chatId, cfg)) : null;
+  const window = on ? currentNightWindow(cfg.windows, clock.minutes) : null;
+  const restrict = Boolean(window) && cfg.action === 'restrict';
+
+  // During a read-only lockdown the permissions belong to the lockdown
+  if ((restrict || cfg.permissions) && (await getActiveLockdown(chatId, now))?.read_only) {
+    await scheduleJob(JOB, chatId, now + LOCKDOWN_RETRY_MS);
+    return cfg;
+  }
+
+  let permissions = cfg.permissions;
+  let error = null;
+  try {
+    if (restrict) {
+      permissions = permissions || (await api.getChat(chatId))?.permissions || null;
+      if (!permissions) throw new Error('current chat permissions unavailable');
+      await api.setChatPermissions(chatId, tightenPermissions(permissions, cfg.block));
+    } else if (permissions) {
+      await api.setChatPermissions(chatId, permissions);
+      permissions = null;
+    }
+  } catch (err) {
+    error = errorText(err);
+  }
+
+  const next = await setChatNightmode(chatId, { active: Boolean(window), permissions });
+  if (on) await scheduleJob(JOB, chatId, nextBoundary(cfg.windows, clock, now));
+  else await cancelJob(JOB, chatId);
+
+  const started = Boolean(window) && !cfg.active;
+  const ended = !window && cfg.active;
+  if (started || ended) {
+    const t = await noticeRenderer(chatId);
+    const types = cfg.block.map((k) => t(`nightmode_type_${k}`)).join(', ');
+    const text = started ? t('nightmode_started', { types, until: window.end }) : t('nightmode_ended', { types });
+    try { await api.sendMessage(chatId, text, { parse_mode: 'HTML' }); } catch {}
+  }
+  if (started || ended || error) {
+    await logAction(api, {
+      action: started ? 'nightmode_started' : ended ? 'nightmode_ended' : 'nightmode_failed',
+      action_type: 'security',
+      violation: 'nightmode',
+      chat: { id: Number(chatId) },
+      content: [
+        window ? `window=${window.start}-${window.end}` : null,
+        `block=${cfg.block.join(',')}`,
+        `action=${cfg.action}`,
+        error ? `error=${error}` : null,
+      ].filter(Boolean).join('; '),
+    });
+  }
+  return next;
+}
+
+registerJobHandler(JOB, (api, chatId) => syncNightmode(api, chatId));
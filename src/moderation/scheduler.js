@@ -0,0 +1,75 @@
+// Persisted one-shot jobs per chat (lockdown and slow mode expiry, night mode windows, captcha
+// timeouts). Jobs are stored in the settings backend's job table, so a job that falls due while
+// the bot is down runs right after it starts, and each due job is taken by one worker only.
+// Each job type has one handler, registered by the module that schedules it.
+import { putScheduledJob, removeScheduledJob, takeDueScheduledJobs } from '../store/settings.js';
+
+const TICK_MS = 15 * 1000;
+// A failed job is put back after 1, 2, 4 and 8 minutes, then dropped
+const RETRY_BASE_MS = 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+// type -> async (api, chatId, data) => void
+const handlers = new Map();
+
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+// Runs `type` for the chat at `runAt` (Date or ms), replacing a pending job of the same type
+export async function scheduleJob(type, chatId, runAt, data = {}) {
+  await putScheduledJob(type, chatId, runAt, data);
+}
+
+export async function cancelJob(type, chatId) {
+  return removeScheduledJob(type, chatId);
+}
+
+// Runs due jobs. A job whose handler fails is put back with a growing delay (replacing any job
+// the handler scheduled before failing) and dropped, with a warning, after MAX_ATTEMPTS runs.
+export async function runDueJobs(api, now = Date.now()) {
+  const due = await takeDueScheduledJobs(now);
+  for (const job of due) {
+    const handler = handlers.get(job.type);
+    if (!handler) {
+      console.warn(`[scheduler] no handler for ${job.type}; dropped job for ${job.chat_id}`);
+      continue;
+    }
+    try {
+      await handler(api, Number(job.chat_id), job.data);
+    } catch (e) {
+      const attempts = job.attempts + 1;
+      if (attempts >= MAX_ATTEMPTS) {
+        console.warn(`[scheduler] ${job.type} for ${job.chat_id} failed ${attempts} times; dropped:`, e?.message || e);
+        continue;
+      }
+      console.warn(`[scheduler] ${job.type} for ${job.chat_id} failed (attempt ${attempts}):`, e?.message || e);
+      try {
+        await putScheduledJob(job.type, job.chat_id, now + RETRY_BASE_MS * 2 ** (attempts - 1), job.data, attempts);
+      } catch (err) {
+        console.warn(`[scheduler] could not put back ${job.type} for ${job.chat_id}:`, err?.message || err);
+      }
+    }
+  }
+  return due;
+}
+
+// Checks for due jobs now and then every 15 seconds. Returns a stop function.
+export function startScheduler(api) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDueJobs(api);
+    } catch (e) {
+      console.warn('[scheduler] tick failed:', e?.message || e);
+    } finally {
+      running = false;
+    }
+  };
+  tick();
+  const timer = setInterval(tick, TICK_MS);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
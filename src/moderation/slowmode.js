@@ -0,0 +1,76 @@
+// Bot-side slow mode (/slowmode): each sender may post once per interval; faster messages are
+// deleted. Unlike Telegram's own slow mode it also covers chat admins (the bot's owner and
+// admins are exempt). The interval per sender is tracked in the spam state store, and the
+// optional end is a persisted scheduler job.
+import { getChatSlowmode, setChatSlowmode } from '../store/settings.js';
+import { getSpamStateStore } from '../store/spamState.js';
+import { logAction } from '../logger.js';
+import { formatDuration } from './duration.js';
+import { registerJobHandler, scheduleJob, cancelJob } from './scheduler.js';
+import { noticeRenderer } from '../i18n/index.js';
+
+const END_JOB = 'slowmode_end';
+
+// The chat's slow mode while it lasts, otherwise null
+export async function getActiveSlowmode(chatId, now = Date.now()) {
+  const slowmode = await getChatSlowmode(chatId);
+  return slowmode && (!slowmode.until || Date.parse(slowmode.until) > now) ? slowmode : null;
+}
+
+// Seconds the sender still has to wait, or 0 when the message may go through (which starts
+// the next interval). Only messages that go through count, like Telegram's slow mode.
+export async function slowmodeWait(chatId, userId, seconds, now = Date.now()) {
+  const store = await getSpamStateStore();
+  // One atomic claim, so two workers can't both let a message through in the same interval
+  const next = await store.claimProbation(`${chatId}:${userId}:slowmode`, now, now + seconds * 1000);
+  return Number.isFinite(next) && next > now ? Math.ceil((next - now) / 1000) : 0;
+}
+
+// Turns slow mode on (or changes it); duration in seconds, or null to keep it until /slowmode off
+export async function startSlowmode(api, chat, { seconds, duration = null, by = null, now = Date.now() }) {
+  const until = duration ? new Date(now + duration * 1000).toISOString() : null;
+  const slowmode = await setChatSlowmode(chat.id, { seconds, since: new Date(now).toISOString(), until, by });
+  if (until) await scheduleJob(END_JOB, chat.id, Date.parse(until));
+  else await cancelJob(END_JOB, chat.id);
+  const t = await noticeRenderer(chat.id);
+  const text = t('slowmode_started', {
+    interval: formatDuration(slowmode.seconds),
+    until: until ? t('slowmode_for', { duration: formatDuration(duration) }) : '',
+  });
+  try { await api.sendMessage(chat.id, text, { parse_mode: 'HTML' }); } catch {}
+  await logAction(api, {
+    action: 'slowmode_started',
+    action_type: 'admin',
+    violation: 'slowmode',
+    chat,
+    user: by ? { id: by } : undefined,
+    content: `interval=${slowmode.seconds}s; until=${until || '-'}`,
+  });
+  return slowmode;
+}
+
+// Returns the slow mode that ended, or null when it was off
+export async function endSlowmode(api, chatId, { by = null, reason = 'expired' } = {}) {
+  const slowmode = await getChatSlowmode(chatId);
+  if (!slowmode) return null;
+  await setChatSlowmode(chatId, null);
+  await cancelJob(END_JOB, chatId);
+  const t = await noticeRenderer(chatId);
+  try { await api.sendMessage(chatId, t('slowmode_ended'), { parse_mode: 'HTML' }); } catch {}
+  await logAction(api, {
+    action: 'slowmode_ended',
+    action_type: 'admin',
+    violation: 'slowmode',
+    chat: { id: Number(chatId) },
+    user: by ? { id: by } : undefined,
+    content: `reason=${reason}; interval=${slowmode.seconds}s; since=${slowmode.since}`,
+  });
+  return slowmode;
+}
+
+registerJobHandler(END_JOB, async (api, chatId) => {
+  const slowmode = await getChatSlowmode(chatId);
+  if (!slowmode?.until) return;
+  if (Date.parse(slowmode.until) > Date.now()) return scheduleJob(END_JOB, chatId, Date.parse(slowmode.until));
+  await endSlowmode(api, chatId, { reason: 'expired' });
+});
@@ -0,0 +1,39 @@
+import { getSettings } from './store/settings.js';
+
+// Permission checks shared by command and callback handlers
+
+// Group creator, or administrator allowed to restrict/ban members
+// chatId defaults to the update's chat (pass it for buttons pressed outside the group)
+export async function isChatAdminWithBan(ctx, userId, chatId = ctx.chat?.id) {
+  if (!chatId || !userId) return false;
+  try {
+    const member = await ctx.api.getChatMember(chatId, userId);
+    if (!member) return false;
+    if (member.status === 'creator') return true;
+    if (member.status === 'administrator') {
+      // Require explicit ban/restrict permission; default to false if unknown
+      return Boolean(member.can_restrict_members);
+    }
+    return false;
+  } catch (_) {
+    return false;
+  }
+}
+
+export function isBotOwner(ctx) {
+  const userId = ctx.from?.id;
+  const ownerId = Number(process.env.BOT_OWNER_ID || NaN);
+  return Number.isFinite(ownerId) && userId === ownerId;
+}
+
+export async function isBotAdminOrOwner(ctx) {
+  const userId = ctx.from?.id;
+  if (!userId) return false;
+  if (isBotOwner(ctx)) return true;
+  try {
+    const s = await getSettings();
+    return s.bot_admin_ids.includes(userId);
+  } catch {
+    return false;
+  }
+}
@@ -8,6 +8,7 @@ export const RULE_KEYS = [
   'anti_duplicate',
   'new_member_probation',
   'funny_suffix',
+  'escalation',
 ];
 
 export const DEFAULT_RULES = {
@@ -20,8 +21,51 @@ export const DEFAULT_RULES = {
   anti_duplicate: true,
   new_member_probation: true,
   funny_suffix: true,
+  // Opt-in per chat (/rule_chat_enable escalation): it mutes and bans automatically
+  escalation: false,
 };
 
 export const DEFAULT_LIMITS = {
   max_len: 300,
 };
+
+// Bounds for numeric limits; stored values are clamped into range
+export const LIMIT_RANGES = {
+  max_len: { min: 1, max: 4096 },
+  flood_max_messages: { min: 2, max: 50 },
+  flood_window_seconds: { min: 1, max: 300 },
+  flood_mute_seconds: { min: 0, max: 7 * 24 * 60 * 60 },
+  dup_repeat_limit: { min: 2, max: 20 },
+  dup_window_seconds: { min: 1, max: 3600 },
+  probation_minutes: { min: 0, max: 7 * 24 * 60 },
+};
+
+function envLimit(name, fallback, min) {
+  const raw = Number(process.env[name]);
+  return Number.isFinite(raw) ? Math.max(min, raw) : fallback;
+}
+
+// Anti-spam values used when neither the chat nor the global settings set one.
+// Env vars override the built-ins; they are not persisted, so changing them takes effect on restart.
+export const SPAM_LIMIT_DEFAULTS = {
+  flood_max_messages: Math.trunc(envLimit('FLOOD_MAX_MESSAGES', 6, 2)),
+  flood_window_seconds: envLimit('FLOOD_WINDOW_SECONDS', 10, 1),
+  flood_mute_seconds: Math.trunc(envLimit('FLOOD_MUTE_SECONDS', 60, 0)),
+  dup_repeat_limit: Math.trunc(envLimit('DUPLICATE_REPEAT_LIMIT', 3, 2)),
+  dup_window_seconds: envLimit('DUPLICATE_WINDOW_SECONDS', 120, 1),
+  probation_minutes: envLimit('NEW_MEMBER_PROBATION_MINUTES', 30, 0),
+};
+
+// Escalation ladder applied per strike: 3 warnings, 1h mute, 24h mute, then ban.
+// Strikes older than decay_days no longer count.
+export const DEFAULT_ESCALATION = {
+  steps: [
+    { action: 'warn' },
+    { action: 'warn' },
+    { action: 'warn' },
+    { action: 'mute', seconds: 60 * 60 },
+    { action: 'mute', seconds: 24 * 60 * 60 },
+    { action: 'ban' },
+  ],
+  decay_days: 7,
+};
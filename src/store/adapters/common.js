@@ -0,0 +1,121 @@
+// Shared document shapes for settings storage adapters.
+// Global settings are one document (admins, global rules/limits, link policy, flags).
+// Each chat has its own document: rules, limits, whitelist and one object per feature section.
+
+export const CHAT_SECTIONS = ['escalation', 'strike_resets', 'custom_rules', 'link_policy', 'captcha', 'digest', 'notices', 'bans', 'join_requests', 'raid', 'lockdown', 'slowmode', 'nightmode', 'media_policy'];
+
+// Top-level fields of a chat document
+export const CHAT_FIELDS = ['rules', 'limits', 'whitelist', ...CHAT_SECTIONS];
+
+export function emptyChatSettings() {
+  const out = { rules: {}, limits: {}, whitelist: [] };
+  for (const section of CHAT_SECTIONS) out[section] = {};
+  return out;
+}
+
+// Fill missing fields and drop unknown ones so every adapter returns the same shape
+export function normalizeChatSettings(doc = {}) {
+  const out = emptyChatSettings();
+  for (const field of CHAT_FIELDS) {
+    const value = doc?.[field];
+    if (field === 'whitelist') out.whitelist = Array.isArray(value) ? value.slice() : [];
+    else if (value && typeof value === 'object' && !Array.isArray(value)) out[field] = { ...value };
+  }
+  return out;
+}
+
+export function isEmptyChatSettings(doc) {
+  return CHAT_FIELDS.every((field) => {
+    const value = doc?.[field];
+    return Array.isArray(value) ? value.length === 0 : !value || Object.keys(value).length === 0;
+  });
+}
+
+export function clone(value) {
+  return value == null ? value : JSON.parse(JSON.stringify(value));
+}
+
+// Global documents keep only global fields; `chat_<field>` maps belong to per-chat storage
+// (older Supabase documents may still carry them and are read without them)
+export function stripChatMaps(doc) {
+  const out = {};
+  for (const [key, value] of Object.entries(doc || {})) if (!key.startsWith('chat_')) out[key] = value;
+  return out;
+}
+
+// Global blacklist rows: one row per grant, never deleted. Removing a user sets revoked_at/revoked_by
+// on the open row, so the rows of a user are their full history. At most one row per user is open.
+//   { user_id, action: 'kick'|'mute', reason, added_by, added_at, expires_at, revoked_at, revoked_by }
+export function normalizeBlacklistRow(row = {}) {
+  const iso = (v) => (v ? new Date(v).toISOString() : null);
+  const userId = (v) => (v == null || v === '' ? null : Number(v));
+  return {
+    user_id: String(row.user_id),
+    action: row.action === 'mute' ? 'mute' : 'kick',
+    reason: typeof row.reason === 'string' ? row.reason : '',
+    added_by: userId(row.added_by),
+    added_at: iso(row.added_at) || new Date().toISOString(),
+    expires_at: iso(row.expires_at),
+    revoked_at: iso(row.revoked_at),
+    revoked_by: userId(row.revoked_by),
+  };
+}
+
+export const byAddedAt = (a, b) => (a.added_at < b.added_at ? -1 : a.added_at > b.added_at ? 1 : 0);
+
+// Scheduled jobs (moderation/scheduler.js): at most one per (type, chat_id). Taking due jobs
+// deletes and returns them in one step, so with several workers each job runs once. attempts
+// counts the failed runs of a job the scheduler put back for a retry.
+//   { type, chat_id, run_at, data, attempts }
+export function normalizeScheduledJob(job = {}) {
+  const data = typeof job.data === 'string' ? JSON.parse(job.data) : job.data;
+  return {
+    type: String(job.type),
+    chat_id: String(job.chat_id),
+    run_at: new Date(job.run_at).toISOString(),
+    data: data && typeof data === 'object' ? data : {},
+    attempts: Math.max(0, Math.trunc(Number(job.attempts)) || 0),
+  };
+}
+
+export const byRunAt = (a, b) => (a.run_at < b.run_at ? -1 : a.run_at > b.run_at ? 1 : 0);
+
+// Appeal cases (moderation/appeals.js), keyed by id. Tables keep id, user_id, status and the two
+// times in columns and the rest in `data` (see appealCaseRow).
+//   { id, user_id, status, created_at, expires_at, chat, user, violation, repost, muted, banned,
+//     blacklisted, federated, appeal_text, locale, awaiting_until }
+export const APPEAL_STATUSES = ['open', 'submitted', 'approved', 'rejected'];
+
+export function normalizeAppealCase(row = {}) {
+  const { data: raw, ...columns } = row;
+  const data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  const src = { ...(data && typeof data === 'object' ? data : {}), ...columns };
+  const iso = (v) => (v ? new Date(v).toISOString() : null);
+  const pick = (obj, keys) => Object.fromEntries(keys.filter((k) => obj?.[k] != null).map((k) => [k, obj[k]]));
+  return {
+    id: String(src.id),
+    user_id: String(src.user_id ?? src.user?.id),
+    status: APPEAL_STATUSES.includes(src.status) ? src.status : 'open',
+    created_at: iso(src.created_at) || new Date().toISOString(),
+    expires_at: iso(src.expires_at) || new Date().toISOString(),
+    chat: pick(src.chat, ['id', 'title', 'username']),
+    user: pick(src.user, ['id', 'first_name', 'last_name', 'username']),
+    violation: typeof src.violation === 'string' && src.violation ? src.violation : '-',
+    repost: typeof src.repost === 'string' ? src.repost : '',
+    muted: Boolean(src.muted),
+    banned: Boolean(src.banned),
+    blacklisted: Boolean(src.blacklisted),
+    federated: Boolean(src.federated),
+    appeal_text: typeof src.appeal_text === 'string' ? src.appeal_text : '',
+    locale: typeof src.locale === 'string' ? src.locale : null,
+    awaiting_until: iso(src.awaiting_until),
+  };
+}
+
+// A normalized case as a table row
+export function appealCaseRow(row) {
+  const { id, user_id, status, created_at, expires_at, ...data } = normalizeAppealCase(row);
+  return { id, user_id, status, created_at, expires_at, data };
+}
+
+export const byCreatedAt = (a, b) => (a.created_at < b.created_at ? -1 : a.created_at > b.created_at ? 1 : 0);
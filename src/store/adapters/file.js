@@ -0,0 +1,262 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { CHAT_FIELDS, normalizeChatSettings, isEmptyChatSettings, stripChatMaps, normalizeBlacklistRow, byAddedAt, normalizeScheduledJob, byRunAt, normalizeAppealCase, byCreatedAt, clone } from './common.js';
+
+// JSON file adapter: the whole store is one document on disk.
+// Global fields sit at the top level; per-chat fields are `chat_<field>` maps keyed by chat id
+// (the layout data/settings.json has always used, so existing files keep working).
+// Global blacklist rows live next to it in blacklist.json, scheduled jobs in scheduled_jobs.json
+// and appeal cases in appeal_cases.json.
+
+const chatKey = (field) => `chat_${field}`;
+
+export function createFileSettingsAdapter({ file, blacklistFile, jobsFile, appealsFile } = {}) {
+  const FILE = file || process.env.SETTINGS_FILE || path.join(process.cwd(), 'data', 'settings.json');
+  const BLACKLIST_FILE = blacklistFile || path.join(path.dirname(FILE), 'blacklist.json');
+  const JOBS_FILE = jobsFile || path.join(path.dirname(FILE), 'scheduled_jobs.json');
+  const APPEALS_FILE = appealsFile || path.join(path.dirname(FILE), 'appeal_cases.json');
+  let doc = null;
+  let blacklist = null; // normalized rows, oldest first
+  let jobs = null; // normalized jobs, soonest first
+  let appeals = null; // normalized cases, oldest first
+
+  // Simple async mutex to serialize writes
+  let lock = Promise.resolve();
+  function withLock(fn) {
+    const next = lock.then(fn, fn);
+    lock = next.catch(() => {});
+    return next;
+  }
+
+  async function read() {
+    if (doc) return doc;
+    try {
+      doc = JSON.parse(await fs.readFile(FILE, 'utf8'));
+    } catch (e) {
+      if (e?.code !== 'ENOENT') throw e;
+      doc = {};
+    }
+    return doc;
+  }
+
+  async function readBlacklist() {
+    if (blacklist) return blacklist;
+    try {
+      blacklist = JSON.parse(await fs.readFile(BLACKLIST_FILE, 'utf8')).map(normalizeBlacklistRow).sort(byAddedAt);
+    } catch (e) {
+      if (e?.code !== 'ENOENT') throw e;
+      blacklist = [];
+    }
+    return blacklist;
+  }
+
+  async function readJobs() {
+    if (jobs) return jobs;
+    try {
+      jobs = JSON.parse(await fs.readFile(JOBS_FILE, 'utf8')).map(normalizeScheduledJob).sort(byRunAt);
+    } catch (e) {
+      if (e?.code !== 'ENOENT') throw e;
+      jobs = [];
+    }
+    return jobs;
+  }
+
+  async function readAppeals() {
+    if (appeals) return appeals;
+    try {
+      appeals = JSON.parse(await fs.readFile(APPEALS_FILE, 'utf8')).map(normalizeAppealCase).sort(byCreatedAt);
+    } catch (e) {
+      if (e?.code !== 'ENOENT') throw e;
+      appeals = [];
+    }
+    return appeals;
+  }
+
+  // Write to a temp file and rename so a crash never leaves half a document
+  function writeJson(target, value) {
+    return withLock(async () => {
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      const tmp = `${target}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(value, null, 2));
+      await fs.rename(tmp, target);
+    });
+  }
+
+  const flush = () => writeJson(FILE, doc);
+  const flushBlacklist = () => writeJson(BLACKLIST_FILE, blacklist);
+  const flushJobs = () => writeJson(JOBS_FILE, jobs);
+  const flushAppeals = () => writeJson(APPEALS_FILE, appeals);
+
+  function chatIds(current) {
+    const ids = new Set();
+    for (const field of CHAT_FIELDS) {
+      for (const id of Object.keys(current[chatKey(field)] || {})) ids.add(id);
+    }
+    return Array.from(ids);
+  }
+
+  function chatFrom(current, chatId) {
+    const raw = {};
+    for (const field of CHAT_FIELDS) raw[field] = current[chatKey(field)]?.[chatId];
+    return normalizeChatSettings(raw);
+  }
+
+  return {
+    name: 'file',
+    location: FILE,
+    async init() {
+      await read();
+      await readBlacklist();
+      await readJobs();
+      await readAppeals();
+    },
+    async loadGlobal() {
+      const current = await read();
+      const out = clone(stripChatMaps(current));
+      return Object.keys(out).length ? out : null;
+    },
+    async saveGlobal(globalDoc) {
+      const current = await read();
+      const next = clone(stripChatMaps(globalDoc));
+      for (const field of CHAT_FIELDS) if (current[chatKey(field)]) next[chatKey(field)] = current[chatKey(field)];
+      doc = next;
+      await flush();
+    },
+    async loadChat(chatId) {
+      const current = await read();
+      const id = String(chatId);
+      return chatIds(current).includes(id) ? clone(chatFrom(current, id)) : null;
+    },
+    async saveChat(chatId, chatDoc) {
+      const current = await read();
+      const id = String(chatId);
+      const normalized = normalizeChatSettings(clone(chatDoc));
+      for (const field of CHAT_FIELDS) {
+        const map = (current[chatKey(field)] ||= {});
+        if (isEmptyChatSettings({ [field]: normalized[field] })) delete map[id];
+        else map[id] = normalized[field];
+      }
+      await flush();
+    },
+    async deleteChat(chatId) {
+      const current = await read();
+      for (const field of CHAT_FIELDS) delete current[chatKey(field)]?.[String(chatId)];
+      await flush();
+    },
+    async listChatIds() {
+      return chatIds(await read());
+    },
+    async listChats() {
+      const current = await read();
+      return chatIds(current).map((id) => [id, clone(chatFrom(current, id))]);
+    },
+    async getBlacklistEntry(userId) {
+      const row = (await readBlacklist()).find((r) => r.user_id === String(userId) && !r.revoked_at);
+      return row ? clone(row) : null;
+    },
+    async listBlacklist() {
+      return clone((await readBlacklist()).filter((r) => !r.revoked_at));
+    },
+    async addBlacklistEntry(row) {
+      const rows = await readBlacklist();
+      const next = normalizeBlacklistRow(row);
+      for (const r of rows) {
+        if (r.user_id === next.user_id && !r.revoked_at) Object.assign(r, { revoked_at: next.added_at, revoked_by: next.added_by });
+      }
+      rows.push(next);
+      await flushBlacklist();
+      return clone(next);
+    },
+    async revokeBlacklistEntry(userId, { revoked_at, revoked_by } = {}) {
+      const row = (await readBlacklist()).find((r) => r.user_id === String(userId) && !r.revoked_at);
+      if (!row) return false;
+      Object.assign(row, normalizeBlacklistRow({ ...row, revoked_at: revoked_at || new Date(), revoked_by }));
+      await flushBlacklist();
+      return true;
+    },
+    async blacklistHistory(userId) {
+      return clone((await readBlacklist()).filter((r) => r.user_id === String(userId)));
+    },
+    async listBlacklistRows() {
+      return clone(await readBlacklist());
+    },
+    async importBlacklistRows(rows) {
+      blacklist = [...(await readBlacklist()), ...rows.map(normalizeBlacklistRow)].sort(byAddedAt);
+      await flushBlacklist();
+    },
+    async listScheduledJobs() {
+      return clone(await readJobs());
+    },
+    async putScheduledJob(job) {
+      const next = normalizeScheduledJob(clone(job));
+      await readJobs();
+      jobs = [...jobs.filter((j) => !(j.type === next.type && j.chat_id === next.chat_id)), next].sort(byRunAt);
+      await flushJobs();
+      return clone(next);
+    },
+    async removeScheduledJob(type, chatId) {
+      await readJobs();
+      const current = jobs;
+      const rest = current.filter((j) => !(j.type === String(type) && j.chat_id === String(chatId)));
+      if (rest.length === current.length) return false;
+      jobs = rest;
+      await flushJobs();
+      return true;
+    },
+    // Nothing awaits between reading `jobs` and replacing it, so two takes never share a job
+    async takeDueScheduledJobs(now) {
+      await readJobs();
+      const current = jobs;
+      const at = new Date(now).toISOString();
+      const due = current.filter((j) => j.run_at <= at);
+      if (!due.length) return [];
+      jobs = current.filter((j) => j.run_at > at);
+      await flushJobs();
+      return clone(due);
+    },
+    async getAppealCase(id) {
+      const row = (await readAppeals()).find((r) => r.id === String(id));
+      return row ? clone(row) : null;
+    },
+    async listAppealCases() {
+      return clone(await readAppeals());
+    },
+    async listUserAppealCases(userId) {
+      return clone((await readAppeals()).filter((r) => r.user_id === String(userId)));
+    },
+    async putAppealCase(row) {
+      const next = normalizeAppealCase(clone(row));
+      await readAppeals();
+      appeals = [...appeals.filter((r) => r.id !== next.id), next].sort(byCreatedAt);
+      await flushAppeals();
+      return clone(next);
+    },
+    // Nothing awaits between checking the status and replacing the case
+    async updateAppealCase(row, fromStatus) {
+      const next = normalizeAppealCase(clone(row));
+      await readAppeals();
+      const current = appeals;
+      const i = current.findIndex((r) => r.id === next.id);
+      if (i < 0 || current[i].status !== fromStatus) return false;
+      appeals = current.map((r, j) => (j === i ? next : r));
+      await flushAppeals();
+      return true;
+    },
+    async pruneAppealCases(now, keep) {
+      await readAppeals();
+      const current = appeals;
+      const at = new Date(now).toISOString();
+      const live = current.filter((r) => r.expires_at > at);
+      const unsubmitted = live.filter((r) => r.status !== 'submitted');
+      const drop = new Set(unsubmitted.slice(0, Math.max(0, unsubmitted.length - keep)));
+      const rest = live.filter((r) => !drop.has(r));
+      if (rest.length === current.length) return 0;
+      appeals = rest;
+      await flushAppeals();
+      return current.length - rest.length;
+    },
+    async close() {
+      await lock;
+    },
+  };
+}
@@ -0,0 +1,53 @@
+import { createFileSettingsAdapter } from './file.js';
+import { createSupabaseSettingsAdapter } from './supabase.js';
+import { createSqliteSettingsAdapter } from './sqlite.js';
+import { createPostgresSettingsAdapter } from './postgres.js';
+
+// Settings storage adapters. Each backend stores one global document and one document per chat
+// (see ./common.js) behind the same async interface:
+//   init()                         -> connect / create what the backend needs
+//   loadGlobal() / saveGlobal(doc) -> global document, or null when nothing is stored yet
+//   loadChat(chatId)               -> chat document, or null when the chat has no settings
+//   saveChat(chatId, doc) / deleteChat(chatId)
+//   listChatIds() / listChats()    -> ids / [chatId, doc] pairs of every stored chat
+// Global blacklist rows (see normalizeBlacklistRow in ./common.js):
+//   getBlacklistEntry(userId) / listBlacklist()  -> open rows
+//   addBlacklistEntry(row)                       -> closes the user's open row and inserts `row`
+//   revokeBlacklistEntry(userId, { revoked_at, revoked_by }) -> false when nothing was open
+//   blacklistHistory(userId) / listBlacklistRows() -> every row, oldest first
+//   importBlacklistRows(rows)                    -> append rows as they are (migrations)
+// Scheduled jobs (see normalizeScheduledJob in ./common.js), one per (type, chat_id):
+//   listScheduledJobs()                          -> every pending job, soonest first
+//   putScheduledJob(job)                         -> inserts or replaces the (type, chat_id) job
+//   removeScheduledJob(type, chatId)             -> false when there was none
+//   takeDueScheduledJobs(now)                    -> deletes and returns jobs with run_at <= now, atomically
+// Appeal cases (see normalizeAppealCase in ./common.js), keyed by id:
+//   getAppealCase(id)                            -> the case or null
+//   listAppealCases() / listUserAppealCases(userId) -> oldest first
+//   putAppealCase(row)                           -> inserts or replaces the case
+//   updateAppealCase(row, fromStatus)            -> replaces it only while its status is fromStatus; false otherwise
+//   pruneAppealCases(now, keep)                  -> deletes expired cases and unsubmitted ones past the newest `keep`
+//   close()
+// Drivers for SQLite and Postgres are only imported when that backend is selected.
+
+const FACTORIES = {
+  file: createFileSettingsAdapter,
+  supabase: createSupabaseSettingsAdapter,
+  sqlite: createSqliteSettingsAdapter,
+  postgres: createPostgresSettingsAdapter,
+};
+
+export const SETTINGS_BACKENDS = Object.keys(FACTORIES);
+
+// SETTINGS_BACKEND wins; otherwise Supabase when it is configured, else the JSON file
+export function resolveSettingsBackend(env = process.env) {
+  const kind = String(env.SETTINGS_BACKEND || '').trim().toLowerCase();
+  if (kind) return kind;
+  return env.SUPABASE_URL && env.SUPABASE_KEY ? 'supabase' : 'file';
+}
+
+export async function createSettingsAdapter(kind = resolveSettingsBackend(), options = {}) {
+  const factory = FACTORIES[kind];
+  if (!factory) throw new Error(`Unknown settings backend "${kind}" (expected ${SETTINGS_BACKENDS.join('|')})`);
+  return factory(options);
+}
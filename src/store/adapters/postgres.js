@@ -0,0 +1,175 @@
+import { CHAT_FIELDS, normalizeChatSettings, stripChatMaps, normalizeBlacklistRow, normalizeScheduledJob, byRunAt, normalizeAppealCase, appealCaseRow } from './common.js';
+
+// Generic Postgres adapter (node-postgres) over the same tables as Supabase (sql/schema.sql),
+// so a self-hosted database and a Supabase project can be migrated either way.
+
+function rowToChat(row) {
+  const raw = {};
+  for (const field of CHAT_FIELDS) raw[field] = row[field];
+  return normalizeChatSettings(raw);
+}
+
+// insert ... on conflict upsert over every chat column; values are bound as json text ($2..)
+const UPSERT_CHAT_SQL = `insert into chat_settings (chat_id, ${CHAT_FIELDS.join(', ')})
+values ($1, ${CHAT_FIELDS.map((_, i) => `$${i + 2}::jsonb`).join(', ')})
+on conflict (chat_id) do update set ${CHAT_FIELDS.map((f) => `${f} = excluded.${f}`).join(', ')}`;
+
+const BLACKLIST_COLUMNS = ['user_id', 'action', 'reason', 'added_by', 'added_at', 'expires_at', 'revoked_at', 'revoked_by'];
+const INSERT_BLACKLIST_SQL = `insert into global_blacklist (${BLACKLIST_COLUMNS.join(', ')})
+values (${BLACKLIST_COLUMNS.map((_, i) => `$${i + 1}`).join(', ')})`;
+const blacklistValues = (row) => BLACKLIST_COLUMNS.map((c) => row[c]);
+
+const UPSERT_JOB_SQL = `insert into scheduled_jobs (type, chat_id, run_at, data, attempts) values ($1, $2, $3, $4::jsonb, $5)
+on conflict (type, chat_id) do update set run_at = excluded.run_at, data = excluded.data, attempts = excluded.attempts`;
+
+const UPSERT_APPEAL_SQL = `insert into appeal_cases (id, user_id, status, created_at, expires_at, data)
+values ($1, $2, $3, $4, $5, $6::jsonb)
+on conflict (id) do update set user_id = excluded.user_id, status = excluded.status,
+  created_at = excluded.created_at, expires_at = excluded.expires_at, data = excluded.data`;
+
+// Expired cases, and unsubmitted ones past the newest $2
+const PRUNE_APPEALS_SQL = `delete from appeal_cases where expires_at <= $1 or id in (
+  select id from appeal_cases where status <> 'submitted' and expires_at > $1
+  order by created_at desc offset $2)`;
+
+export async function createPostgresSettingsAdapter({ connectionString, globalKey = 'settings' } = {}) {
+  const url = connectionString || process.env.DATABASE_URL;
+  if (!url) throw new Error('DATABASE_URL is not set');
+  const { default: pg } = await import('pg');
+  const pool = new pg.Pool({ connectionString: url, max: Number(process.env.DATABASE_POOL_SIZE || 5) });
+  pool.on('error', () => {}); // idle client errors surface on the next query
+
+  return {
+    name: 'postgres',
+    location: url.replace(/\/\/[^@/]*@/, '//***@'),
+    async init() {
+      await pool.query('select 1 from bot_settings limit 1');
+    },
+    async loadGlobal() {
+      const { rows } = await pool.query('select data from bot_settings where key = $1', [globalKey]);
+      return rows.length ? stripChatMaps(rows[0].data) : null;
+    },
+    async saveGlobal(doc) {
+      await pool.query(
+        'insert into bot_settings (key, data) values ($1, $2::jsonb) on conflict (key) do update set data = excluded.data',
+        [globalKey, JSON.stringify(stripChatMaps(doc))]
+      );
+    },
+    async loadChat(chatId) {
+      const { rows } = await pool.query('select * from chat_settings where chat_id = $1', [String(chatId)]);
+      return rows.length ? rowToChat(rows[0]) : null;
+    },
+    async saveChat(chatId, doc) {
+      const normalized = normalizeChatSettings(doc);
+      await pool.query(UPSERT_CHAT_SQL, [String(chatId), ...CHAT_FIELDS.map((f) => JSON.stringify(normalized[f]))]);
+    },
+    async deleteChat(chatId) {
+      await pool.query('delete from chat_settings where chat_id = $1', [String(chatId)]);
+    },
+    async listChatIds() {
+      const { rows } = await pool.query('select chat_id from chat_settings order by chat_id');
+      return rows.map((r) => String(r.chat_id));
+    },
+    async listChats() {
+      const { rows } = await pool.query('select * from chat_settings order by chat_id');
+      return rows.map((r) => [String(r.chat_id), rowToChat(r)]);
+    },
+    async getBlacklistEntry(userId) {
+      const { rows } = await pool.query('select * from global_blacklist where user_id = $1 and revoked_at is null', [String(userId)]);
+      return rows.length ? normalizeBlacklistRow(rows[0]) : null;
+    },
+    async listBlacklist() {
+      const { rows } = await pool.query('select * from global_blacklist where revoked_at is null order by added_at, id');
+      return rows.map(normalizeBlacklistRow);
+    },
+    // Replacing an entry closes the open row and inserts the new one in one transaction
+    async addBlacklistEntry(row) {
+      const next = normalizeBlacklistRow(row);
+      const client = await pool.connect();
+      try {
+        await client.query('begin');
+        await client.query(
+          'update global_blacklist set revoked_at = $2, revoked_by = $3 where user_id = $1 and revoked_at is null',
+          [next.user_id, next.added_at, next.added_by]
+        );
+        await client.query(INSERT_BLACKLIST_SQL, blacklistValues(next));
+        await client.query('commit');
+      } catch (e) {
+        await client.query('rollback').catch(() => {});
+        throw e;
+      } finally {
+        client.release();
+      }
+      return next;
+    },
+    async revokeBlacklistEntry(userId, { revoked_at, revoked_by } = {}) {
+      const { rowCount } = await pool.query(
+        'update global_blacklist set revoked_at = $2, revoked_by = $3 where user_id = $1 and revoked_at is null',
+        [String(userId), new Date(revoked_at || Date.now()).toISOString(), revoked_by ?? null]
+      );
+      return rowCount > 0;
+    },
+    async blacklistHistory(userId) {
+      const { rows } = await pool.query('select * from global_blacklist where user_id = $1 order by added_at, id', [String(userId)]);
+      return rows.map(normalizeBlacklistRow);
+    },
+    async listBlacklistRows() {
+      const { rows } = await pool.query('select * from global_blacklist order by added_at, id');
+      return rows.map(normalizeBlacklistRow);
+    },
+    async importBlacklistRows(rows) {
+      for (const row of rows) await pool.query(INSERT_BLACKLIST_SQL, blacklistValues(normalizeBlacklistRow(row)));
+    },
+    async listScheduledJobs() {
+      const { rows } = await pool.query('select * from scheduled_jobs order by run_at');
+      return rows.map(normalizeScheduledJob);
+    },
+    async putScheduledJob(job) {
+      const next = normalizeScheduledJob(job);
+      await pool.query(UPSERT_JOB_SQL, [next.type, next.chat_id, next.run_at, JSON.stringify(next.data), next.attempts]);
+      return next;
+    },
+    async removeScheduledJob(type, chatId) {
+      const { rowCount } = await pool.query('delete from scheduled_jobs where type = $1 and chat_id = $2', [String(type), String(chatId)]);
+      return rowCount > 0;
+    },
+    // One statement: a row is returned to exactly one of several workers taking at once
+    async takeDueScheduledJobs(now) {
+      const { rows } = await pool.query('delete from scheduled_jobs where run_at <= $1 returning *', [new Date(now).toISOString()]);
+      return rows.map(normalizeScheduledJob).sort(byRunAt);
+    },
+    async getAppealCase(id) {
+      const { rows } = await pool.query('select * from appeal_cases where id = $1', [String(id)]);
+      return rows[0] ? normalizeAppealCase(rows[0]) : null;
+    },
+    async listAppealCases() {
+      const { rows } = await pool.query('select * from appeal_cases order by created_at');
+      return rows.map(normalizeAppealCase);
+    },
+    async listUserAppealCases(userId) {
+      const { rows } = await pool.query('select * from appeal_cases where user_id = $1 order by created_at', [String(userId)]);
+      return rows.map(normalizeAppealCase);
+    },
+    async putAppealCase(row) {
+      const next = appealCaseRow(row);
+      await pool.query(UPSERT_APPEAL_SQL, [next.id, next.user_id, next.status, next.created_at, next.expires_at, JSON.stringify(next.data)]);
+      return normalizeAppealCase(next);
+    },
+    // The status check and the write are one statement, so one of two concurrent updates wins
+    async updateAppealCase(row, fromStatus) {
+      const next = appealCaseRow(row);
+      const { rowCount } = await pool.query(
+        'update appeal_cases set status = $2, expires_at = $3, data = $4::jsonb where id = $1 and status = $5',
+        [next.id, next.status, next.expires_at, JSON.stringify(next.data), String(fromStatus)]
+      );
+      return rowCount > 0;
+    },
+    async pruneAppealCases(now, keep) {
+      const { rowCount } = await pool.query(PRUNE_APPEALS_SQL, [new Date(now).toISOString(), Math.max(0, Math.trunc(keep))]);
+      return rowCount;
+    },
+    async close() {
+      await pool.end();
+    },
+  };
+}
@@ -0,0 +1,204 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { normalizeChatSettings, stripChatMaps, normalizeBlacklistRow, normalizeScheduledJob, byRunAt, normalizeAppealCase, appealCaseRow } from './common.js';
+
+// SQLite adapter (better-sqlite3): one JSON document per row, tables are created on init.
+//   bot_settings(key, data)       — the global document under `settings`
+//   chat_settings(chat_id, data)  — one document per chat
+//   global_blacklist              — one row per blacklist grant (see normalizeBlacklistRow)
+//   scheduled_jobs                — one row per pending job, keyed by (type, chat_id)
+//   appeal_cases                  — one row per appeal case (see normalizeAppealCase)
+
+export async function createSqliteSettingsAdapter({ file, globalKey = 'settings' } = {}) {
+  const FILE = file || process.env.SQLITE_PATH || path.join(process.cwd(), 'data', 'settings.sqlite');
+  const { default: Database } = await import('better-sqlite3');
+  let db = null;
+  let stmts = null;
+
+  return {
+    name: 'sqlite',
+    location: FILE,
+    async init() {
+      if (db) return;
+      fs.mkdirSync(path.dirname(FILE), { recursive: true });
+      db = new Database(FILE);
+      db.pragma('journal_mode = WAL');
+      db.exec(`
+        create table if not exists bot_settings (
+          key text primary key,
+          data text not null,
+          updated_at text not null default (datetime('now'))
+        );
+        create table if not exists chat_settings (
+          chat_id text primary key,
+          data text not null,
+          updated_at text not null default (datetime('now'))
+        );
+        create table if not exists global_blacklist (
+          id integer primary key autoincrement,
+          user_id text not null,
+          action text not null default 'kick',
+          reason text not null default '',
+          added_by integer,
+          added_at text not null,
+          expires_at text,
+          revoked_at text,
+          revoked_by integer
+        );
+        create index if not exists idx_global_blacklist_user on global_blacklist(user_id, added_at);
+        create unique index if not exists uq_global_blacklist_open on global_blacklist(user_id) where revoked_at is null;
+        create table if not exists scheduled_jobs (
+          type text not null,
+          chat_id text not null,
+          run_at text not null,
+          data text not null default '{}',
+          attempts integer not null default 0,
+          primary key (type, chat_id)
+        );
+        create index if not exists idx_scheduled_jobs_run_at on scheduled_jobs(run_at);
+        create table if not exists appeal_cases (
+          id text primary key,
+          user_id text not null,
+          status text not null default 'open',
+          created_at text not null,
+          expires_at text not null,
+          data text not null default '{}'
+        );
+        create index if not exists idx_appeal_cases_user on appeal_cases(user_id);
+        create index if not exists idx_appeal_cases_created on appeal_cases(created_at);`);
+      stmts = {
+        getGlobal: db.prepare('select data from bot_settings where key = ?'),
+        putGlobal: db.prepare(`insert into bot_settings (key, data) values (?, ?)
+          on conflict(key) do update set data = excluded.data, updated_at = datetime('now')`),
+        getChat: db.prepare('select data from chat_settings where chat_id = ?'),
+        putChat: db.prepare(`insert into chat_settings (chat_id, data) values (?, ?)
+          on conflict(chat_id) do update set data = excluded.data, updated_at = datetime('now')`),
+        deleteChat: db.prepare('delete from chat_settings where chat_id = ?'),
+        chatIds: db.prepare('select chat_id from chat_settings order by chat_id'),
+        chats: db.prepare('select chat_id, data from chat_settings order by chat_id'),
+        openEntry: db.prepare('select * from global_blacklist where user_id = ? and revoked_at is null'),
+        openEntries: db.prepare('select * from global_blacklist where revoked_at is null order by added_at, id'),
+        revoke: db.prepare('update global_blacklist set revoked_at = ?, revoked_by = ? where user_id = ? and revoked_at is null'),
+        insertEntry: db.prepare(`insert into global_blacklist
+          (user_id, action, reason, added_by, added_at, expires_at, revoked_at, revoked_by)
+          values (@user_id, @action, @reason, @added_by, @added_at, @expires_at, @revoked_at, @revoked_by)`),
+        history: db.prepare('select * from global_blacklist where user_id = ? order by added_at, id'),
+        allEntries: db.prepare('select * from global_blacklist order by added_at, id'),
+        jobs: db.prepare('select * from scheduled_jobs order by run_at'),
+        putJob: db.prepare(`insert into scheduled_jobs (type, chat_id, run_at, data, attempts)
+          values (@type, @chat_id, @run_at, @data, @attempts)
+          on conflict(type, chat_id) do update set run_at = excluded.run_at, data = excluded.data, attempts = excluded.attempts`),
+        removeJob: db.prepare('delete from scheduled_jobs where type = ? and chat_id = ?'),
+        takeJobs: db.prepare('delete from scheduled_jobs where run_at <= ? returning *'),
+        appeal: db.prepare('select * from appeal_cases where id = ?'),
+        appeals: db.prepare('select * from appeal_cases order by created_at'),
+        userAppeals: db.prepare('select * from appeal_cases where user_id = ? order by created_at'),
+        putAppeal: db.prepare(`insert into appeal_cases (id, user_id, status, created_at, expires_at, data)
+          values (@id, @user_id, @status, @created_at, @expires_at, @data)
+          on conflict(id) do update set user_id = excluded.user_id, status = excluded.status,
+            created_at = excluded.created_at, expires_at = excluded.expires_at, data = excluded.data`),
+        updateAppeal: db.prepare(`update appeal_cases set status = @status, expires_at = @expires_at, data = @data
+          where id = @id and status = @from`),
+        pruneAppeals: db.prepare(`delete from appeal_cases where expires_at <= @at or id in (
+          select id from appeal_cases where status <> 'submitted' and expires_at > @at
+          order by created_at desc limit -1 offset @keep)`),
+      };
+      // Replacing an entry closes the open row and inserts the new one atomically
+      stmts.addEntry = db.transaction((row) => {
+        stmts.revoke.run(row.added_at, row.added_by, row.user_id);
+        stmts.insertEntry.run(row);
+      });
+      stmts.importEntries = db.transaction((rows) => {
+        for (const row of rows) stmts.insertEntry.run(row);
+      });
+    },
+    async loadGlobal() {
+      const row = stmts.getGlobal.get(globalKey);
+      return row ? stripChatMaps(JSON.parse(row.data)) : null;
+    },
+    async saveGlobal(doc) {
+      stmts.putGlobal.run(globalKey, JSON.stringify(stripChatMaps(doc)));
+    },
+    async loadChat(chatId) {
+      const row = stmts.getChat.get(String(chatId));
+      return row ? normalizeChatSettings(JSON.parse(row.data)) : null;
+    },
+    async saveChat(chatId, doc) {
+      stmts.putChat.run(String(chatId), JSON.stringify(normalizeChatSettings(doc)));
+    },
+    async deleteChat(chatId) {
+      stmts.deleteChat.run(String(chatId));
+    },
+    async listChatIds() {
+      return stmts.chatIds.all().map((r) => r.chat_id);
+    },
+    async listChats() {
+      return stmts.chats.all().map((r) => [r.chat_id, normalizeChatSettings(JSON.parse(r.data))]);
+    },
+    async getBlacklistEntry(userId) {
+      const row = stmts.openEntry.get(String(userId));
+      return row ? normalizeBlacklistRow(row) : null;
+    },
+    async listBlacklist() {
+      return stmts.openEntries.all().map(normalizeBlacklistRow);
+    },
+    async addBlacklistEntry(row) {
+      const next = normalizeBlacklistRow(row);
+      stmts.addEntry(next);
+      return next;
+    },
+    async revokeBlacklistEntry(userId, { revoked_at, revoked_by } = {}) {
+      const at = new Date(revoked_at || Date.now()).toISOString();
+      return stmts.revoke.run(at, revoked_by ?? null, String(userId)).changes > 0;
+    },
+    async blacklistHistory(userId) {
+      return stmts.history.all(String(userId)).map(normalizeBlacklistRow);
+    },
+    async listBlacklistRows() {
+      return stmts.allEntries.all().map(normalizeBlacklistRow);
+    },
+    async importBlacklistRows(rows) {
+      stmts.importEntries(rows.map(normalizeBlacklistRow));
+    },
+    async listScheduledJobs() {
+      return stmts.jobs.all().map(normalizeScheduledJob);
+    },
+    async putScheduledJob(job) {
+      const next = normalizeScheduledJob(job);
+      stmts.putJob.run({ ...next, data: JSON.stringify(next.data) });
+      return next;
+    },
+    async removeScheduledJob(type, chatId) {
+      return stmts.removeJob.run(String(type), String(chatId)).changes > 0;
+    },
+    async takeDueScheduledJobs(now) {
+      return stmts.takeJobs.all(new Date(now).toISOString()).map(normalizeScheduledJob).sort(byRunAt);
+    },
+    async getAppealCase(id) {
+      const row = stmts.appeal.get(String(id));
+      return row ? normalizeAppealCase(row) : null;
+    },
+    async listAppealCases() {
+      return stmts.appeals.all().map(normalizeAppealCase);
+    },
+    async listUserAppealCases(userId) {
+      return stmts.userAppeals.all(String(userId)).map(normalizeAppealCase);
+    },
+    async putAppealCase(row) {
+      const next = appealCaseRow(row);
+      stmts.putAppeal.run({ ...next, data: JSON.stringify(next.data) });
+      return normalizeAppealCase(next);
+    },
+    async updateAppealCase(row, fromStatus) {
+      const next = appealCaseRow(row);
+      return stmts.updateAppeal.run({ ...next, data: JSON.stringify(next.data), from: String(fromStatus) }).changes > 0;
+    },
+    async pruneAppealCases(now, keep) {
+      return stmts.pruneAppeals.run({ at: new Date(now).toISOString(), keep: Math.max(0, Math.trunc(keep)) }).changes;
+    },
+    async close() {
+      db?.close();
+      db = null;
+    },
+  };
+}
@@ -0,0 +1,199 @@
+import { getSupabase } from '../supabase.js';
+import { CHAT_FIELDS, normalizeChatSettings, stripChatMaps, normalizeBlacklistRow, normalizeScheduledJob, byRunAt, normalizeAppealCase, appealCaseRow } from './common.js';
+
+// Supabase adapter: tables from sql/schema.sql.
+//   bot_settings  — the global document under key `settings`
+//   chat_settings — one row per chat, one jsonb column per chat field
+//   global_blacklist — one row per blacklist grant (see normalizeBlacklistRow)
+//   scheduled_jobs — one row per pending job, keyed by (type, chat_id)
+//   appeal_cases — one row per appeal case (see normalizeAppealCase)
+
+const PAGE_SIZE = 1000;
+// Ids per `in` filter when deleting by id (they go into the request URL)
+const DELETE_CHUNK = 100;
+
+function rowToChat(row) {
+  const raw = {};
+  for (const field of CHAT_FIELDS) raw[field] = row[field];
+  return normalizeChatSettings(raw);
+}
+
+export function createSupabaseSettingsAdapter({ client, globalKey = 'settings' } = {}) {
+  const supabase = client || getSupabase();
+
+  // query() starts a fresh select; it is paged with range()
+  async function pages(query) {
+    const out = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await query().range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+      out.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return out;
+    }
+  }
+
+  return {
+    name: 'supabase',
+    location: process.env.SUPABASE_URL || '',
+    async init() {
+      if (!supabase) throw new Error('SUPABASE_URL/SUPABASE_KEY are not set');
+    },
+    async loadGlobal() {
+      const { data, error } = await supabase.from('bot_settings').select('data').eq('key', globalKey).maybeSingle();
+      if (error) throw error;
+      return data ? stripChatMaps(data.data) : null;
+    },
+    async saveGlobal(doc) {
+      const { error } = await supabase
+        .from('bot_settings')
+        .upsert({ key: globalKey, data: stripChatMaps(doc) }, { onConflict: 'key' });
+      if (error) throw error;
+    },
+    async loadChat(chatId) {
+      const { data, error } = await supabase.from('chat_settings').select('*').eq('chat_id', String(chatId)).maybeSingle();
+      if (error) throw error;
+      return data ? rowToChat(data) : null;
+    },
+    async saveChat(chatId, doc) {
+      const row = { chat_id: String(chatId), ...normalizeChatSettings(doc) };
+      const { error } = await supabase.from('chat_settings').upsert(row, { onConflict: 'chat_id' });
+      if (error) throw error;
+    },
+    async deleteChat(chatId) {
+      const { error } = await supabase.from('chat_settings').delete().eq('chat_id', String(chatId));
+      if (error) throw error;
+    },
+    async listChatIds() {
+      return (await pages(() => supabase.from('chat_settings').select('chat_id').order('chat_id'))).map((r) => String(r.chat_id));
+    },
+    async listChats() {
+      return (await pages(() => supabase.from('chat_settings').select('*').order('chat_id'))).map((r) => [String(r.chat_id), rowToChat(r)]);
+    },
+    async getBlacklistEntry(userId) {
+      const { data, error } = await supabase
+        .from('global_blacklist')
+        .select('*')
+        .eq('user_id', String(userId))
+        .is('revoked_at', null)
+        .maybeSingle();
+      if (error) throw error;
+      return data ? normalizeBlacklistRow(data) : null;
+    },
+    async listBlacklist() {
+      const rows = await pages(() => supabase.from('global_blacklist').select('*').is('revoked_at', null).order('added_at').order('id'));
+      return rows.map(normalizeBlacklistRow);
+    },
+    // One transaction in the global_blacklist_add function (sql/schema.sql); a concurrent add for
+    // the same user fails on the open-row unique index instead of doubling up
+    async addBlacklistEntry(row) {
+      const next = normalizeBlacklistRow(row);
+      const { error } = await supabase.rpc('global_blacklist_add', {
+        p_user_id: next.user_id,
+        p_action: next.action,
+        p_reason: next.reason,
+        p_added_by: next.added_by,
+        p_added_at: next.added_at,
+        p_expires_at: next.expires_at,
+      });
+      if (error) throw error;
+      return next;
+    },
+    async revokeBlacklistEntry(userId, { revoked_at, revoked_by } = {}) {
+      const { data, error } = await supabase
+        .from('global_blacklist')
+        .update({ revoked_at: new Date(revoked_at || Date.now()).toISOString(), revoked_by: revoked_by ?? null })
+        .eq('user_id', String(userId))
+        .is('revoked_at', null)
+        .select('id');
+      if (error) throw error;
+      return (data || []).length > 0;
+    },
+    async blacklistHistory(userId) {
+      const rows = await pages(() => supabase.from('global_blacklist').select('*').eq('user_id', String(userId)).order('added_at').order('id'));
+      return rows.map(normalizeBlacklistRow);
+    },
+    async listBlacklistRows() {
+      const rows = await pages(() => supabase.from('global_blacklist').select('*').order('added_at').order('id'));
+      return rows.map(normalizeBlacklistRow);
+    },
+    async importBlacklistRows(rows) {
+      for (let i = 0; i < rows.length; i += PAGE_SIZE) {
+        const { error } = await supabase.from('global_blacklist').insert(rows.slice(i, i + PAGE_SIZE).map(normalizeBlacklistRow));
+        if (error) throw error;
+      }
+    },
+    async listScheduledJobs() {
+      return (await pages(() => supabase.from('scheduled_jobs').select('*').order('run_at'))).map(normalizeScheduledJob);
+    },
+    async putScheduledJob(job) {
+      const next = normalizeScheduledJob(job);
+      const { error } = await supabase.from('scheduled_jobs').upsert(next, { onConflict: 'type,chat_id' });
+      if (error) throw error;
+      return next;
+    },
+    async removeScheduledJob(type, chatId) {
+      const { data, error } = await supabase
+        .from('scheduled_jobs')
+        .delete()
+        .eq('type', String(type))
+        .eq('chat_id', String(chatId))
+        .select('type');
+      if (error) throw error;
+      return (data || []).length > 0;
+    },
+    // delete ... returning in one request: a row is returned to exactly one of several workers
+    async takeDueScheduledJobs(now) {
+      const { data, error } = await supabase.from('scheduled_jobs').delete().lte('run_at', new Date(now).toISOString()).select('*');
+      if (error) throw error;
+      return (data || []).map(normalizeScheduledJob).sort(byRunAt);
+    },
+    async getAppealCase(id) {
+      const { data, error } = await supabase.from('appeal_cases').select('*').eq('id', String(id)).maybeSingle();
+      if (error) throw error;
+      return data ? normalizeAppealCase(data) : null;
+    },
+    async listAppealCases() {
+      return (await pages(() => supabase.from('appeal_cases').select('*').order('created_at'))).map(normalizeAppealCase);
+    },
+    async listUserAppealCases(userId) {
+      const rows = await pages(() => supabase.from('appeal_cases').select('*').eq('user_id', String(userId)).order('created_at'));
+      return rows.map(normalizeAppealCase);
+    },
+    async putAppealCase(row) {
+      const next = appealCaseRow(row);
+      const { error } = await supabase.from('appeal_cases').upsert(next, { onConflict: 'id' });
+      if (error) throw error;
+      return normalizeAppealCase(next);
+    },
+    // The status filter is part of the update, so one of two concurrent updates wins
+    async updateAppealCase(row, fromStatus) {
+      const { id, status, expires_at, data } = appealCaseRow(row);
+      const res = await supabase
+        .from('appeal_cases')
+        .update({ status, expires_at, data })
+        .eq('id', id)
+        .eq('status', String(fromStatus))
+        .select('id');
+      if (res.error) throw res.error;
+      return (res.data || []).length > 0;
+    },
+    async pruneAppealCases(now, keep) {
+      const at = new Date(now).toISOString();
+      const expired = await supabase.from('appeal_cases').delete().lte('expires_at', at).select('id');
+      if (expired.error) throw expired.error;
+      const live = await pages(() => supabase
+        .from('appeal_cases')
+        .select('id')
+        .neq('status', 'submitted')
+        .gt('expires_at', at)
+        .order('created_at', { ascending: false }));
+      const ids = live.slice(Math.max(0, Math.trunc(keep))).map((r) => r.id);
+      for (let i = 0; i < ids.length; i += DELETE_CHUNK) {
+        const { error } = await supabase.from('appeal_cases').delete().in('id', ids.slice(i, i + DELETE_CHUNK));
+        if (error) throw error;
+      }
+      return (expired.data || []).length + ids.length;
+    },
+    async close() {},
+  };
+}
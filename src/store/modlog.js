@@ -0,0 +1,150 @@
+import fs from 'node:fs/promises';
+import { createReadStream } from 'node:fs';
+import readline from 'node:readline';
+import path from 'node:path';
+import { getSupabase } from './supabase.js';
+
+// Durable moderation audit log.
+// Supabase: one row per action in LOGS_TABLE (default moderation_logs).
+// Otherwise (or when the insert fails): append-only JSONL at MODLOG_FILE (default data/moderation_logs.jsonl).
+const DATA_DIR = path.join(process.cwd(), 'data');
+const FILE = process.env.MODLOG_FILE || path.join(DATA_DIR, 'moderation_logs.jsonl');
+const CONTENT_CAP = 1000;
+
+function table() {
+  return process.env.LOGS_TABLE || 'moderation_logs';
+}
+
+// Serialize appends so concurrent writers never interleave lines
+let lock = Promise.resolve();
+function withLock(fn) {
+  const next = lock.then(fn, fn);
+  lock = next.catch(() => {});
+  return next;
+}
+
+function toRow(entry) {
+  return {
+    ts: entry.ts || new Date().toISOString(),
+    action: entry.action || 'action',
+    action_type: entry.actionType || 'moderation',
+    violation: entry.violation || '-',
+    chat_id: entry.chat?.id ? String(entry.chat.id) : null,
+    chat_title: entry.chat?.title || null,
+    chat_username: entry.chat?.username || null,
+    user_id: entry.user?.id != null ? String(entry.user.id) : null,
+    user_first_name: entry.user?.first_name || null,
+    user_last_name: entry.user?.last_name || null,
+    user_username: entry.user?.username || null,
+    content: String(entry.content || '').slice(0, CONTENT_CAP),
+    group_link: entry.group_link || null,
+  };
+}
+
+function fromRow(r) {
+  return {
+    ts: r.ts || r.created_at || new Date().toISOString(),
+    action: r.action,
+    actionType: r.action_type,
+    violation: r.violation,
+    chat: { id: String(r.chat_id || ''), title: r.chat_title, username: r.chat_username },
+    user: r.user_id ? { id: Number(r.user_id), first_name: r.user_first_name, last_name: r.user_last_name, username: r.user_username } : undefined,
+    content: r.content || '',
+    group_link: r.group_link,
+  };
+}
+
+async function appendFile(row) {
+  await withLock(async () => {
+    await fs.mkdir(path.dirname(FILE), { recursive: true });
+    await fs.appendFile(FILE, `${JSON.stringify(row)}\n`);
+  });
+}
+
+// Best-effort: never throws
+export async function appendModerationLog(entry) {
+  const row = toRow(entry);
+  const sb = getSupabase();
+  if (sb) {
+    try {
+      const { error } = await sb.from(table()).insert(row);
+      if (!error) return;
+    } catch {}
+  }
+  try {
+    await appendFile(row);
+  } catch {}
+}
+
+function rowMatches(r, f) {
+  if (f.userId != null && r.user_id !== String(f.userId)) return false;
+  if (f.chatId != null && r.chat_id !== String(f.chatId)) return false;
+  if (f.violation && r.violation !== f.violation) return false;
+  if (f.action && r.action !== f.action) return false;
+  const t = Date.parse(r.ts);
+  if (f.since && !(t >= f.since.getTime())) return false;
+  if (f.until && !(t < f.until.getTime())) return false;
+  return true;
+}
+
+async function queryFile(filters, limit, offset) {
+  // Newest first: keep the last (offset + limit + 1) matches while streaming
+  const keep = offset + limit + 1;
+  const matches = [];
+  let stream;
+  try {
+    await fs.access(FILE);
+    stream = createReadStream(FILE, { encoding: 'utf8' });
+  } catch {
+    return { rows: [], hasMore: false };
+  }
+  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (!line) continue;
+    let r;
+    try {
+      r = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (!rowMatches(r, filters)) continue;
+    matches.push(r);
+    if (matches.length > keep) matches.shift();
+  }
+  matches.reverse();
+  const page = matches.slice(offset, offset + limit);
+  return { rows: page.map(fromRow), hasMore: matches.length > offset + limit };
+}
+
+async function querySupabase(sb, filters, limit, offset) {
+  let q = sb
+    .from(table())
+    .select('ts,created_at,action,action_type,violation,chat_id,chat_title,chat_username,user_id,user_first_name,user_last_name,user_username,content,group_link')
+    .order('ts', { ascending: false })
+    .range(offset, offset + limit); // one extra row tells us whether there is a next page
+  if (filters.userId != null) q = q.eq('user_id', String(filters.userId));
+  if (filters.chatId != null) q = q.eq('chat_id', String(filters.chatId));
+  if (filters.violation) q = q.eq('violation', filters.violation);
+  if (filters.action) q = q.eq('action', filters.action);
+  if (filters.since) q = q.gte('ts', filters.since.toISOString());
+  if (filters.until) q = q.lt('ts', filters.until.toISOString());
+  const { data, error } = await q;
+  if (error) return null;
+  const rows = data || [];
+  return { rows: rows.slice(0, limit).map(fromRow), hasMore: rows.length > limit };
+}
+
+// filters: { userId?, chatId?, violation?, action?, since?: Date, until?: Date (exclusive) }
+// Returns { rows, hasMore } with rows newest first, shaped like getRecentLogs() entries.
+export async function queryModerationLogs(filters = {}, { limit = 10, offset = 0 } = {}) {
+  const n = Math.max(1, Math.min(Number(limit) || 10, 100));
+  const skip = Math.max(0, Math.trunc(Number(offset) || 0));
+  const sb = getSupabase();
+  if (sb) {
+    try {
+      const res = await querySupabase(sb, filters, n, skip);
+      if (res) return res;
+    } catch {}
+  }
+  return queryFile(filters, n, skip);
+}
@@ -1,135 +1,107 @@
-import fs from 'node:fs/promises';
-import path from 'node:path';
-import { DEFAULT_RULES, RULE_KEYS, DEFAULT_LIMITS } from '../rules.js';
-import { getSupabase } from './supabase.js';
-
-const DATA_DIR = path.join(process.cwd(), 'data');
-const FILE = path.join(DATA_DIR, 'settings.json');
-
-// Simple async mutex to serialize writes
-let lock = Promise.resolve();
-function withLock(fn) {
-  const next = lock.then(fn, fn);
-  lock = next.catch(() => {});
-  return next;
+import { DEFAULT_RULES, RULE_KEYS, DEFAULT_LIMITS, LIMIT_RANGES, SPAM_LIMIT_DEFAULTS, DEFAULT_ESCALATION } from '../rules.js';
+import { createSettingsAdapter } from './adapters/index.js';
+import { emptyChatSettings } from './adapters/common.js';
+import { trackCache } from '../metrics.js';
+
+// Settings live in the storage adapter picked by SETTINGS_BACKEND (see ./adapters/index.js):
+// one global document (admins, global rules/limits, blacklist, ...) and one document per chat
+// (rules, limits, whitelist and the feature sections). Both are cached in-process.
+
+let adapterPromise = null;
+
+function getAdapter() {
+  adapterPromise ||= (async () => {
+    const adapter = await createSettingsAdapter();
+    try {
+      await adapter.init();
+    } catch (e) {
+      await adapter.close().catch(() => {});
+      throw e;
+    }
+    return adapter;
+  })().catch((e) => {
+    adapterPromise = null; // retry on the next call
+    throw e;
+  });
+  return adapterPromise;
 }
 
-async function ensureFile() {
-  try {
-    await fs.mkdir(DATA_DIR, { recursive: true });
-  } catch {}
-  try {
-    await fs.access(FILE);
-  } catch {
-    const initial = {
-      bot_admin_ids: [],
-      global_rules: { ...DEFAULT_RULES },
-      chat_rules: {},
-      global_limits: { ...DEFAULT_LIMITS },
-      chat_limits: {},
-      chat_whitelist: {},
-      global_blacklist: {},
-    };
-    await fs.writeFile(FILE, JSON.stringify(initial, null, 2));
-  }
+// Documents handed out after a failed read; saving one would overwrite the stored settings with defaults
+const unreadable = new WeakSet();
+
+function refuseUnreadable(doc) {
+  if (unreadable.has(doc)) throw new Error('Settings store is unavailable');
+}
+
+function warnUnavailable(what, e) {
+  console.warn(`[settings] could not load ${what}:`, e?.message || e);
 }
 
 let cache = null;
-const USE_SUPABASE = Boolean(process.env.SUPABASE_URL && process.env.SUPABASE_KEY);
 const CHAT_CACHE_TTL_MS = Number(process.env.CHAT_SETTINGS_TTL_MS || 30000);
 
-// Per-chat in-memory cache to reduce Supabase round trips
-// Map<chatId, { until: number, data: { rules: object, limits: object, whitelist: number[] } }>
+// Per-chat in-memory cache to reduce store round trips
+// Map<chatId, { until: number, data: { rules: object, limits: object, whitelist: number[], ...sections } }>
 const chatCache = new Map();
-
-// Supabase: global settings stored in table bot_settings, key='settings'
-async function sbLoad() {
-  const supabase = getSupabase();
-  if (!supabase) return null;
-  const { data, error } = await supabase
-    .from('bot_settings')
-    .select('data')
-    .eq('key', 'settings')
-    .maybeSingle();
-  if (error) {
-    // If table missing or other error, fallback to file
-    return null;
-  }
-  if (!data) return null;
-  return data.data;
-}
-
-async function sbSave(current) {
-  const supabase = getSupabase();
-  if (!supabase) return false;
-  const { error } = await supabase
-    .from('bot_settings')
-    .upsert({ key: 'settings', data: current }, { onConflict: 'key' });
-  return !error;
-}
-
-// Supabase: per-chat settings stored in table chat_settings (chat_id PK)
-async function sbLoadChat(chatId) {
-  const supabase = getSupabase();
-  if (!supabase) return null;
-  const { data, error } = await supabase
-    .from('chat_settings')
-    .select('rules, limits, whitelist')
-    .eq('chat_id', String(chatId))
-    .maybeSingle();
-  if (error) return null;
-  if (!data) return null;
-  return {
-    rules: data.rules || {},
-    limits: data.limits || {},
-    whitelist: data.whitelist || [],
-  };
-}
-
-async function sbSaveChat(chatId, payload) {
-  const supabase = getSupabase();
-  if (!supabase) return false;
-  const row = {
-    chat_id: String(chatId),
-    rules: payload.rules || {},
-    limits: payload.limits || {},
-    whitelist: payload.whitelist || [],
-  };
-  const { error } = await supabase
-    .from('chat_settings')
-    .upsert(row, { onConflict: 'chat_id' });
-  if (error) return false;
-  // write-through cache on success
-  const now = Date.now();
-  chatCache.set(String(chatId), { until: now + CHAT_CACHE_TTL_MS, data: { ...row, chat_id: undefined } });
-  return true;
-}
+const recordChatCacheLookup = trackCache('chat_settings', () => chatCache.size);
 
 async function getChatSettingsCached(chatId) {
   const key = String(chatId);
   const now = Date.now();
   const cached = chatCache.get(key);
+  recordChatCacheLookup(Boolean(cached && cached.until > now));
   if (cached && cached.until > now) return cached.data;
-  const fresh = (await sbLoadChat(chatId)) || { rules: {}, limits: {}, whitelist: [] };
+  let fresh;
+  try {
+    fresh = (await (await getAdapter()).loadChat(key)) || emptyChatSettings();
+  } catch (e) {
+    warnUnavailable(`chat ${key}`, e);
+    const fallback = emptyChatSettings();
+    unreadable.add(fallback);
+    return fallback;
+  }
   chatCache.set(key, { until: now + CHAT_CACHE_TTL_MS, data: fresh });
   return fresh;
 }
 
+async function saveChat(chatId, current) {
+  refuseUnreadable(current);
+  const key = String(chatId);
+  try {
+    await (await getAdapter()).saveChat(key, current);
+  } catch (e) {
+    chatCache.delete(key); // the cached copy was edited in place; reload what is stored
+    throw e;
+  }
+  chatCache.set(key, { until: Date.now() + CHAT_CACHE_TTL_MS, data: current });
+}
+
 async function load() {
   if (cache) return cache;
-  // Prefer Supabase if configured
-  if (USE_SUPABASE) {
-    const fromSb = await sbLoad();
-    if (fromSb) {
-      cache = normalize(fromSb);
-      return cache;
+  let stored;
+  try {
+    stored = await (await getAdapter()).loadGlobal();
+  } catch (e) {
+    warnUnavailable('global settings', e);
+    const fallback = normalize({});
+    unreadable.add(fallback);
+    return fallback;
+  }
+  const current = normalize(stored || {});
+  cache = current;
+  try {
+    if (stored?.global_blacklist) {
+      await migrateLegacyBlacklist(await getAdapter(), stored);
+      delete current.global_blacklist;
+      await save(current);
+    } else if (!stored) {
+      // First run: persist the defaults so the store shows what the bot is using
+      await save(current);
     }
+  } catch (e) {
+    console.warn('[settings] could not update stored settings:', e?.message || e);
   }
-  await ensureFile();
-  const raw = await fs.readFile(FILE, 'utf8');
-  cache = JSON.parse(raw);
-  cache = normalize(cache);
-  return cache;
+  return current;
 }
 
 function normalize(s) {
@@ -137,25 +109,23 @@ function normalize(s) {
   // Normalize missing fields
   out.bot_admin_ids ||= [];
   out.global_rules = { ...DEFAULT_RULES, ...(out.global_rules || {}) };
-  out.chat_rules ||= {};
   out.global_limits = { ...DEFAULT_LIMITS, ...(out.global_limits || {}) };
-  out.chat_limits ||= {};
-  out.chat_whitelist ||= {};
-  out.global_blacklist ||= {};
+  out.global_link_policy = normalizeLinkPolicy(out.global_link_policy);
   // Optional flags
   out.commands_initialized = Boolean(out.commands_initialized);
   return out;
 }
 
 async function save(current) {
-  cache = normalize(current);
-  // Try Supabase first if enabled
-  if (USE_SUPABASE) {
-    const ok = await sbSave(cache);
-    if (ok) return;
+  refuseUnreadable(current);
+  const next = normalize(current);
+  try {
+    await (await getAdapter()).saveGlobal(next);
+  } catch (e) {
+    cache = null; // callers edit the cached document in place; reload what is stored
+    throw e;
   }
-  await ensureFile();
-  await withLock(() => fs.writeFile(FILE, JSON.stringify(cache, null, 2)));
+  cache = next;
 }
 
 export async function getSettings() {
@@ -200,28 +170,24 @@ export async function setGlobalRule(rule, enabled) {
 
 export async function setChatRule(chatId, rule, enabled) {
   if (!RULE_KEYS.includes(rule)) throw new Error('Unknown rule');
-  if (USE_SUPABASE) {
-    const current = await getChatSettingsCached(chatId);
-    current.rules[rule] = Boolean(enabled);
-    await sbSaveChat(chatId, current);
-    return;
-  }
-  const s = await load();
-  if (!s.chat_rules[chatId]) s.chat_rules[chatId] = {};
-  s.chat_rules[chatId][rule] = Boolean(enabled);
-  await save(s);
+  const current = await getChatSettingsCached(chatId);
+  current.rules[rule] = Boolean(enabled);
+  await saveChat(chatId, current);
+}
+
+// Drop the chat override so the chat follows the global rule again
+export async function clearChatRule(chatId, rule) {
+  if (!RULE_KEYS.includes(rule)) throw new Error('Unknown rule');
+  const current = await getChatSettingsCached(chatId);
+  delete current.rules[rule];
+  await saveChat(chatId, current);
 }
 
 export async function isRuleEnabled(rule, chatId) {
   const s = await load();
   const globalOn = s.global_rules[rule] ?? true;
   if (!globalOn) return false;
-  if (USE_SUPABASE) {
-    const chat = (await getChatSettingsCached(chatId))?.rules || {};
-    const chatFlag = chat[rule];
-    return chatFlag === undefined ? true : Boolean(chatFlag);
-  }
-  const chat = s.chat_rules[String(chatId)] || {};
+  const chat = (await getChatSettingsCached(chatId))?.rules || {};
   const chatFlag = chat[rule];
   return chatFlag === undefined ? true : Boolean(chatFlag);
 }
@@ -262,28 +228,20 @@ export async function setGlobalMaxLenLimit(n) {
 
 export async function setChatMaxLenLimit(chatId, n) {
   const limit = normalizeLimit(n);
-  if (USE_SUPABASE) {
-    const current = await getChatSettingsCached(chatId);
-    current.limits.max_len = limit;
-    await sbSaveChat(chatId, current);
-    return;
-  }
-  const s = await load();
-  if (!s.chat_limits[String(chatId)]) s.chat_limits[String(chatId)] = {};
-  s.chat_limits[String(chatId)].max_len = limit;
-  await save(s);
+  const current = await getChatSettingsCached(chatId);
+  current.limits.max_len = limit;
+  await saveChat(chatId, current);
+}
+
+export async function clearChatMaxLenLimit(chatId) {
+  const current = await getChatSettingsCached(chatId);
+  delete current.limits.max_len;
+  await saveChat(chatId, current);
 }
 
 export async function getEffectiveMaxLen(chatId) {
   const s = await load();
-  let chatLimit;
-  if (USE_SUPABASE) {
-    const chat = (await getChatSettingsCached(chatId))?.limits || {};
-    chatLimit = chat.max_len;
-  } else {
-    const chat = s.chat_limits[String(chatId)] || {};
-    chatLimit = chat.max_len;
-  }
+  const chatLimit = (await getChatSettingsCached(chatId))?.limits?.max_len;
   const globalLimit = s.global_limits.max_len ?? DEFAULT_LIMITS.max_len;
   return Number.isFinite(chatLimit) ? chatLimit : globalLimit;
 }
@@ -296,122 +254,832 @@ function normalizeLimit(n) {
   return Math.max(MIN, Math.min(MAX, Math.trunc(num)));
 }
 
-// Whitelist API (per chat)
-export async function addChatWhitelistUser(chatId, userId) {
-  if (USE_SUPABASE) {
-    const current = await getChatSettingsCached(chatId);
-    if (!current.whitelist.includes(userId)) current.whitelist.push(userId);
-    await sbSaveChat(chatId, current);
-    return;
-  }
+// Generic limits (flood/duplicate thresholds, probation, ...) stored next to max_len.
+// Effective value: chat override, else global setting, else SPAM_LIMIT_DEFAULTS / DEFAULT_LIMITS.
+function clampLimit(key, n) {
+  const range = LIMIT_RANGES[key];
+  if (!range) throw new Error('Unknown limit');
+  const num = Math.trunc(Number(n));
+  if (!Number.isFinite(num)) throw new Error('Invalid limit');
+  return Math.max(range.min, Math.min(range.max, num));
+}
+
+export async function getChatLimits(chatId) {
+  return { ...((await getChatSettingsCached(chatId))?.limits || {}) };
+}
+
+export async function setChatLimit(chatId, key, n) {
+  const value = clampLimit(key, n);
+  const current = await getChatSettingsCached(chatId);
+  current.limits[key] = value;
+  await saveChat(chatId, current);
+  return value;
+}
+
+export async function setGlobalLimit(key, n) {
+  const value = clampLimit(key, n);
   const s = await load();
-  const key = String(chatId);
-  if (!s.chat_whitelist[key]) s.chat_whitelist[key] = [];
-  if (!s.chat_whitelist[key].includes(userId)) s.chat_whitelist[key].push(userId);
+  s.global_limits[key] = value;
   await save(s);
+  return value;
 }
 
-export async function removeChatWhitelistUser(chatId, userId) {
-  if (USE_SUPABASE) {
-    const current = await getChatSettingsCached(chatId);
-    current.whitelist = current.whitelist.filter((id) => id !== userId);
-    await sbSaveChat(chatId, current);
-    return;
-  }
+export async function clearGlobalLimit(key) {
+  if (!LIMIT_RANGES[key]) throw new Error('Unknown limit');
   const s = await load();
-  const key = String(chatId);
-  if (!s.chat_whitelist[key]) return;
-  s.chat_whitelist[key] = s.chat_whitelist[key].filter((id) => id !== userId);
+  delete s.global_limits[key];
   await save(s);
 }
 
-export async function isUserWhitelisted(chatId, userId) {
-  if (USE_SUPABASE) {
-    const list = (await getChatSettingsCached(chatId))?.whitelist || [];
-    return list.includes(userId);
-  }
+export async function getEffectiveLimits(chatId) {
   const s = await load();
-  const list = s.chat_whitelist[String(chatId)] || [];
+  const chat = await getChatLimits(chatId);
+  const out = {};
+  for (const key of Object.keys(LIMIT_RANGES)) {
+    const candidates = [chat[key], s.global_limits[key], SPAM_LIMIT_DEFAULTS[key], DEFAULT_LIMITS[key]];
+    out[key] = candidates.find((v) => Number.isFinite(v));
+  }
+  return out;
+}
+
+export async function clearChatLimit(chatId, key) {
+  if (!LIMIT_RANGES[key]) throw new Error('Unknown limit');
+  const current = await getChatSettingsCached(chatId);
+  delete current.limits[key];
+  await saveChat(chatId, current);
+}
+
+// Whitelist API (per chat)
+export async function addChatWhitelistUser(chatId, userId) {
+  const current = await getChatSettingsCached(chatId);
+  if (!current.whitelist.includes(userId)) current.whitelist.push(userId);
+  await saveChat(chatId, current);
+}
+
+export async function removeChatWhitelistUser(chatId, userId) {
+  const current = await getChatSettingsCached(chatId);
+  current.whitelist = current.whitelist.filter((id) => id !== userId);
+  await saveChat(chatId, current);
+}
+
+export async function isUserWhitelisted(chatId, userId) {
+  const list = (await getChatSettingsCached(chatId))?.whitelist || [];
   return list.includes(userId);
 }
 
 export async function getChatWhitelist(chatId) {
-  if (USE_SUPABASE) {
-    const list = (await getChatSettingsCached(chatId))?.whitelist || [];
-    return list.slice();
-  }
-  const s = await load();
-  return (s.chat_whitelist[String(chatId)] || []).slice();
+  const list = (await getChatSettingsCached(chatId))?.whitelist || [];
+  return list.slice();
 }
 
 // Additional helpers for status UIs
 export async function getChatRules(chatId) {
-  if (USE_SUPABASE) {
-    return ((await getChatSettingsCached(chatId))?.rules) || {};
-  }
-  const s = await load();
-  return s.chat_rules[String(chatId)] || {};
+  return ((await getChatSettingsCached(chatId))?.rules) || {};
 }
 
 export async function getChatMaxLen(chatId) {
-  if (USE_SUPABASE) {
-    return (await getChatSettingsCached(chatId))?.limits?.max_len;
+  return (await getChatSettingsCached(chatId))?.limits?.max_len;
+}
+
+// Chats with any stored per-chat settings (for admin UIs)
+export async function listConfiguredChatIds() {
+  return (await getAdapter()).listChatIds();
+}
+
+async function readChatSection(chatId, section) {
+  return { ...((await getChatSettingsCached(chatId))?.[section] || {}) };
+}
+
+async function writeChatSection(chatId, section, value) {
+  const current = await getChatSettingsCached(chatId);
+  current[section] = value;
+  await saveChat(chatId, current);
+}
+
+// -------- Escalation ladder API (per chat) --------
+
+const ESCALATION_ACTIONS = ['warn', 'mute', 'ban'];
+
+function normalizeEscalationStep(step = {}) {
+  const action = String(step.action || '').toLowerCase();
+  if (!ESCALATION_ACTIONS.includes(action)) return null;
+  if (action !== 'mute') return { action };
+  const seconds = Math.trunc(Number(step.seconds));
+  // Telegram treats restrictions shorter than 30s or longer than 366d as permanent
+  return { action, seconds: Number.isFinite(seconds) ? Math.max(30, Math.min(seconds, 366 * 24 * 60 * 60)) : 60 * 60 };
+}
+
+// decay_days up to 365 needs persisted counters (Supabase); in-memory ones keep 35 days (logger.js)
+function normalizeEscalation(cfg = {}) {
+  const steps = Array.isArray(cfg.steps) ? cfg.steps.map(normalizeEscalationStep).filter(Boolean) : [];
+  const decay = Math.trunc(Number(cfg.decay_days));
+  return {
+    steps: steps.length ? steps : DEFAULT_ESCALATION.steps.map((x) => ({ ...x })),
+    decay_days: Number.isFinite(decay) && decay > 0 ? Math.min(decay, 365) : DEFAULT_ESCALATION.decay_days,
+  };
+}
+
+export async function getChatEscalation(chatId) {
+  return normalizeEscalation(await readChatSection(chatId, 'escalation'));
+}
+
+export async function setChatEscalation(chatId, patch = {}) {
+  const current = await readChatSection(chatId, 'escalation');
+  const next = { ...current };
+  if (patch.steps !== undefined) {
+    const steps = (patch.steps || []).map(normalizeEscalationStep).filter(Boolean);
+    if (!steps.length) throw new Error('Escalation ladder needs at least one step');
+    next.steps = steps;
   }
+  if (patch.decay_days !== undefined) next.decay_days = patch.decay_days;
+  const normalized = normalizeEscalation(next);
+  await writeChatSection(chatId, 'escalation', normalized);
+  return normalized;
+}
+
+export async function resetChatEscalation(chatId) {
+  await writeChatSection(chatId, 'escalation', {});
+  return normalizeEscalation({});
+}
+
+// Strike resets: { day: 'YYYY-MM-DD', offset: number } per user. Strikes are
+// derived from daily counters, so a reset records the day and how many strikes
+// that day already held; only later strikes count until the day leaves the window.
+export async function getStrikeReset(chatId, userId) {
+  const map = await readChatSection(chatId, 'strike_resets');
+  const row = map[String(userId)];
+  if (!row || typeof row.day !== 'string') return null;
+  return { day: row.day, offset: Math.max(0, Number(row.offset) || 0) };
+}
+
+export async function setStrikeReset(chatId, userId, marker) {
+  const map = await readChatSection(chatId, 'strike_resets');
+  if (marker) map[String(userId)] = { day: String(marker.day), offset: Math.max(0, Number(marker.offset) || 0) };
+  else delete map[String(userId)];
+  await writeChatSection(chatId, 'strike_resets', map);
+}
+
+// -------- Custom rules API (per chat) --------
+
+export const CUSTOM_RULE_SCOPES = ['text', 'caption', 'name', 'bio', 'poll'];
+export const CUSTOM_RULE_ACTIONS = ['delete', 'warn', 'mute', 'ban'];
+
+function normalizeCustomRule(name, rule = {}) {
+  const scope = (Array.isArray(rule.scope) ? rule.scope : [])
+    .map((x) => String(x).toLowerCase())
+    .filter((x) => CUSTOM_RULE_SCOPES.includes(x));
+  const action = CUSTOM_RULE_ACTIONS.includes(rule.action) ? rule.action : 'delete';
+  const muteSeconds = Math.trunc(Number(rule.mute_seconds));
+  return {
+    name,
+    pattern: String(rule.pattern || '').slice(0, 200),
+    scope: scope.length ? Array.from(new Set(scope)) : ['text', 'caption'],
+    action,
+    mute_seconds: action === 'mute' ? (Number.isFinite(muteSeconds) && muteSeconds > 0 ? muteSeconds : 60 * 60) : undefined,
+    notice: typeof rule.notice === 'string' ? rule.notice.slice(0, 300) : '',
+    enabled: rule.enabled !== false,
+    created_by: rule.created_by,
+    created_at: rule.created_at || new Date().toISOString(),
+  };
+}
+
+export async function listChatCustomRules(chatId) {
+  const map = await readChatSection(chatId, 'custom_rules');
+  return Object.entries(map)
+    .map(([name, rule]) => normalizeCustomRule(name, rule))
+    .filter((rule) => rule.pattern);
+}
+
+export async function getChatCustomRule(chatId, name) {
+  const map = await readChatSection(chatId, 'custom_rules');
+  const rule = map[String(name).toLowerCase()];
+  return rule ? normalizeCustomRule(String(name).toLowerCase(), rule) : null;
+}
+
+export async function setChatCustomRule(chatId, name, rule) {
+  const key = String(name || '').toLowerCase();
+  if (!/^[a-z0-9_]{2,32}$/.test(key)) throw new Error('Invalid rule name');
+  if (RULE_KEYS.includes(key)) throw new Error('Name clashes with a built-in rule');
+  const map = await readChatSection(chatId, 'custom_rules');
+  const normalized = normalizeCustomRule(key, rule);
+  if (!normalized.pattern) throw new Error('Pattern is required');
+  const { name: _name, ...stored } = normalized;
+  map[key] = stored;
+  await writeChatSection(chatId, 'custom_rules', map);
+  return normalized;
+}
+
+export async function removeChatCustomRule(chatId, name) {
+  const key = String(name || '').toLowerCase();
+  const map = await readChatSection(chatId, 'custom_rules');
+  if (!map[key]) return false;
+  delete map[key];
+  await writeChatSection(chatId, 'custom_rules', map);
+  return true;
+}
+
+export async function setChatCustomRuleEnabled(chatId, name, enabled) {
+  const key = String(name || '').toLowerCase();
+  const map = await readChatSection(chatId, 'custom_rules');
+  if (!map[key]) return false;
+  map[key] = { ...map[key], enabled: Boolean(enabled) };
+  await writeChatSection(chatId, 'custom_rules', map);
+  return true;
+}
+
+// -------- Link domain allow/deny lists (global and per chat) --------
+
+function normalizeLinkPolicy(policy = {}) {
+  const clean = (list) => Array.from(new Set((Array.isArray(list) ? list : []).map((d) => String(d).toLowerCase()).filter(Boolean)));
+  return { allow: clean(policy?.allow), deny: clean(policy?.deny) };
+}
+
+export async function getGlobalLinkPolicy() {
   const s = await load();
-  return s.chat_limits[String(chatId)]?.max_len;
+  return normalizeLinkPolicy(s.global_link_policy);
+}
+
+export async function getChatLinkPolicy(chatId) {
+  return normalizeLinkPolicy(await readChatSection(chatId, 'link_policy'));
+}
+
+// Union of global and chat lists, as consumed by the no_links rule
+export async function getEffectiveLinkPolicy(chatId) {
+  const g = await getGlobalLinkPolicy();
+  const c = await getChatLinkPolicy(chatId);
+  return normalizeLinkPolicy({ allow: [...g.allow, ...c.allow], deny: [...g.deny, ...c.deny] });
+}
+
+// list: 'allow' | 'deny'; chatId null updates the global lists. Returns the updated policy.
+export async function updateLinkPolicy(chatId, list, { add = [], remove = [] } = {}) {
+  if (list !== 'allow' && list !== 'deny') throw new Error('Unknown link list');
+  const apply = (policy) => {
+    const next = normalizeLinkPolicy(policy);
+    const drop = new Set(remove.map((d) => String(d).toLowerCase()));
+    next[list] = next[list].filter((d) => !drop.has(d));
+    for (const d of add) if (!next[list].includes(d)) next[list].push(d);
+    return normalizeLinkPolicy(next);
+  };
+  if (chatId == null) {
+    const s = await load();
+    s.global_link_policy = apply(s.global_link_policy);
+    await save(s);
+    return s.global_link_policy;
+  }
+  const next = apply(await readChatSection(chatId, 'link_policy'));
+  await writeChatSection(chatId, 'link_policy', next);
+  return next;
+}
+
+// -------- Join captcha (per chat, off by default) --------
+
+export const CAPTCHA_MODES = ['button', 'math', 'emoji'];
+
+function normalizeCaptcha(cfg = {}) {
+  const timeout = Math.trunc(Number(cfg.timeout_seconds));
+  return {
+    enabled: Boolean(cfg.enabled),
+    mode: CAPTCHA_MODES.includes(cfg.mode) ? cfg.mode : 'button',
+    timeout_seconds: Number.isFinite(timeout) ? Math.max(15, Math.min(timeout, 60 * 60)) : 120,
+  };
+}
+
+export async function getChatCaptcha(chatId) {
+  return normalizeCaptcha(await readChatSection(chatId, 'captcha'));
+}
+
+export async function setChatCaptcha(chatId, patch = {}) {
+  return withCaptchaLock(chatId, async () => {
+    const current = await readChatSection(chatId, 'captcha');
+    const next = normalizeCaptcha({ ...current, ...patch });
+    await writeChatSection(chatId, 'captcha', { ...next, pending: normalizeCaptchaPending(current.pending) });
+    return next;
+  });
+}
+
+// Challenges waiting for an answer, kept with the chat's captcha settings so a restart still
+// times them out: { [userId]: { answer, message_id, expires_at, user } }. Capped; storing one
+// more evicts the soonest to expire, and the caller removes those members.
+const CAPTCHA_MAX_PENDING = 500;
+
+// Captcha updates per chat run one after another, so joins, answers and timeouts (which run
+// from the scheduler, outside the per-chat update queue) don't overwrite each other's challenges
+const captchaLocks = new Map();
+
+function withCaptchaLock(chatId, fn) {
+  const key = String(chatId);
+  const next = (captchaLocks.get(key) || Promise.resolve()).then(fn, fn);
+  const tail = next.catch(() => {});
+  captchaLocks.set(key, tail);
+  tail.then(() => {
+    if (captchaLocks.get(key) === tail) captchaLocks.delete(key);
+  });
+  return next;
+}
+
+function normalizeCaptchaPending(map = {}) {
+  const rows = Object.entries(map && typeof map === 'object' ? map : {})
+    .map(([userId, row]) => [userId, {
+      answer: Math.trunc(Number(row?.answer)),
+      message_id: Math.trunc(Number(row?.message_id)),
+      expires_at: Date.parse(row?.expires_at || ''),
+      user: row?.user && typeof row.user === 'object' ? row.user : { id: Number(userId) },
+    }])
+    .filter(([, row]) => Number.isFinite(row.answer) && Number.isFinite(row.message_id) && Number.isFinite(row.expires_at))
+    .sort((a, b) => a[1].expires_at - b[1].expires_at);
+  return Object.fromEntries(rows.map(([userId, row]) => [userId, { ...row, expires_at: new Date(row.expires_at).toISOString() }]));
+}
+
+export async function getCaptchaPending(chatId) {
+  return normalizeCaptchaPending((await readChatSection(chatId, 'captcha')).pending);
+}
+
+export async function getCaptchaChallenge(chatId, userId) {
+  return (await getCaptchaPending(chatId))[String(userId)] || null;
+}
+
+// Stores the member's challenge. Returns the challenges evicted to stay under the cap, soonest
+// to expire first; their members are still muted.
+export async function putCaptchaChallenge(chatId, userId, challenge) {
+  return withCaptchaLock(chatId, async () => {
+    const current = await readChatSection(chatId, 'captcha');
+    const pending = normalizeCaptchaPending({ ...current.pending, [String(userId)]: challenge });
+    const others = Object.keys(pending).filter((key) => key !== String(userId));
+    const evicted = others.slice(0, Math.max(0, others.length + 1 - CAPTCHA_MAX_PENDING)).map((key) => {
+      const row = pending[key];
+      delete pending[key];
+      return row;
+    });
+    await writeChatSection(chatId, 'captcha', { ...current, pending });
+    return evicted;
+  });
+}
+
+// Removes the member's challenge and returns it, or null when there was none
+export async function takeCaptchaChallenge(chatId, userId) {
+  return withCaptchaLock(chatId, async () => {
+    const current = await readChatSection(chatId, 'captcha');
+    const pending = normalizeCaptchaPending(current.pending);
+    const row = pending[String(userId)] || null;
+    if (!row) return null;
+    delete pending[String(userId)];
+    await writeChatSection(chatId, 'captcha', { ...current, pending });
+    return row;
+  });
+}
+
+// -------- Join request screening (per chat, off by default) --------
+
+// What happens to requests that pass every check, and to those flagged by the name/bio checks.
+// Blacklisted and chat-banned users are always declined.
+export const JOIN_REQUEST_PASSED_ACTIONS = ['approve', 'hold'];
+export const JOIN_REQUEST_FLAGGED_ACTIONS = ['decline', 'hold'];
+
+function normalizeJoinRequests(cfg = {}) {
+  return {
+    enabled: Boolean(cfg.enabled),
+    passed: JOIN_REQUEST_PASSED_ACTIONS.includes(cfg.passed) ? cfg.passed : 'approve',
+    flagged: JOIN_REQUEST_FLAGGED_ACTIONS.includes(cfg.flagged) ? cfg.flagged : 'hold',
+  };
+}
+
+export async function getChatJoinRequests(chatId) {
+  return normalizeJoinRequests(await readChatSection(chatId, 'join_requests'));
+}
+
+export async function setChatJoinRequests(chatId, patch = {}) {
+  const next = normalizeJoinRequests({ ...(await readChatSection(chatId, 'join_requests')), ...patch });
+  await writeChatSection(chatId, 'join_requests', next);
+  return next;
+}
+
+// -------- Raid detection (per chat, off by default) and lockdown state --------
+
+export const RAID_RANGES = {
+  joins: { min: 3, max: 1000 },
+  window_seconds: { min: 10, max: 60 * 60 },
+  cooldown_seconds: { min: 60, max: 7 * 24 * 60 * 60 },
+  probation_minutes: { min: 0, max: 7 * 24 * 60 },
+};
+const RAID_DEFAULTS = { joins: 20, window_seconds: 60, cooldown_seconds: 15 * 60, probation_minutes: 24 * 60 };
+// Joiners restricted during one lockdown that are remembered for lifting early
+const LOCKDOWN_MAX_RESTRICTED = 1000;
+
+function normalizeRaid(cfg = {}) {
+  const out = { enabled: Boolean(cfg.enabled), revoke_link: Boolean(cfg.revoke_link) };
+  for (const [key, { min, max }] of Object.entries(RAID_RANGES)) {
+    const n = Math.trunc(Number(cfg[key]));
+    out[key] = Number.isFinite(n) ? Math.max(min, Math.min(n, max)) : RAID_DEFAULTS[key];
+  }
+  // When the last lockdown ended; detection waits one window before it can trigger again
+  const ended = Date.parse(cfg.last_ended_at || '');
+  out.last_ended_at = Number.isFinite(ended) ? new Date(ended).toISOString() : null;
+  return out;
+}
+
+export async function getChatRaid(chatId) {
+  return normalizeRaid(await readChatSection(chatId, 'raid'));
+}
+
+export async function setChatRaid(chatId, patch = {}) {
+  const next = normalizeRaid({ ...(await readChatSection(chatId, 'raid')), ...patch });
+  await writeChatSection(chatId, 'raid', next);
+  return next;
+}
+
+// { since, until, trigger: 'raid'|'manual', by, joins, restricted: string[], read_only, permissions },
+// or null when the chat isn't locked down. until is null for a manual lockdown without an end;
+// permissions are the chat's default permissions from before a read-only lockdown.
+function normalizeLockdown(cfg = {}) {
+  const since = Date.parse(cfg.since || '');
+  const until = Date.parse(cfg.until || '');
+  if (!Number.isFinite(since)) return null;
+  const trigger = cfg.trigger === 'manual' ? 'manual' : 'raid';
+  if (!Number.isFinite(until) && trigger !== 'manual') return null;
+  return {
+    since: new Date(since).toISOString(),
+    until: Number.isFinite(until) ? new Date(until).toISOString() : null,
+    trigger,
+    by: Number.isFinite(cfg.by) ? cfg.by : null,
+    joins: Math.max(0, Math.trunc(Number(cfg.joins)) || 0),
+    restricted: Array.isArray(cfg.restricted) ? cfg.restricted.map(String).slice(-LOCKDOWN_MAX_RESTRICTED) : [],
+    read_only: Boolean(cfg.read_only),
+    permissions: cfg.permissions && typeof cfg.permissions === 'object' ? cfg.permissions : null,
+  };
+}
+
+export async function getChatLockdown(chatId) {
+  return normalizeLockdown(await readChatSection(chatId, 'lockdown'));
+}
+
+// Pass null to clear
+export async function setChatLockdown(chatId, lockdown) {
+  const next = lockdown ? normalizeLockdown(lockdown) : null;
+  await writeChatSection(chatId, 'lockdown', next || {});
+  return next;
+}
+
+// -------- Bot-side slow mode (per chat) --------
+
+export const SLOWMODE_RANGE = { min: 1, max: 24 * 60 * 60 };
+
+// { seconds, since, until, by }, or null when slow mode is off; until is null without an end
+function normalizeSlowmode(cfg = {}) {
+  const seconds = Math.trunc(Number(cfg.seconds));
+  const since = Date.parse(cfg.since || '');
+  if (!Number.isFinite(seconds) || seconds <= 0 || !Number.isFinite(since)) return null;
+  const until = Date.parse(cfg.until || '');
+  return {
+    seconds: Math.max(SLOWMODE_RANGE.min, Math.min(seconds, SLOWMODE_RANGE.max)),
+    since: new Date(since).toISOString(),
+    until: Number.isFinite(until) ? new Date(until).toISOString() : null,
+    by: Number.isFinite(cfg.by) ? cfg.by : null,
+  };
+}
+
+export async function getChatSlowmode(chatId) {
+  return normalizeSlowmode(await readChatSection(chatId, 'slowmode'));
+}
+
+// Pass null to turn slow mode off
+export async function setChatSlowmode(chatId, slowmode) {
+  const next = slowmode ? normalizeSlowmode(slowmode) : null;
+  await writeChatSection(chatId, 'slowmode', next || {});
+  return next;
+}
+
+// -------- Scheduled moderation digest (per chat, off by default) --------
+
+export const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+export const DIGEST_TARGETS = ['group', 'admins'];
+export const DEFAULT_DIGEST_TIMEZONE = process.env.LOG_TIME_ZONE || 'Asia/Kolkata';
+
+export function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function normalizeDigest(cfg = {}) {
+  const weekday = Math.trunc(Number(cfg.weekday));
+  return {
+    enabled: Boolean(cfg.enabled),
+    frequency: DIGEST_FREQUENCIES.includes(cfg.frequency) ? cfg.frequency : 'daily',
+    time: /^([01]\d|2[0-3]):[0-5]\d$/.test(cfg.time || '') ? cfg.time : '09:00',
+    weekday: Number.isFinite(weekday) && weekday >= 0 && weekday <= 6 ? weekday : 1, // 0=Sunday
+    timezone: cfg.timezone && isValidTimeZone(cfg.timezone) ? cfg.timezone : DEFAULT_DIGEST_TIMEZONE,
+    target: DIGEST_TARGETS.includes(cfg.target) ? cfg.target : 'group',
+    // Key of the last period delivered (e.g. `daily:2024-05-01`), so restarts don't resend
+    last_sent: typeof cfg.last_sent === 'string' ? cfg.last_sent : '',
+  };
+}
+
+export async function getChatDigest(chatId) {
+  return normalizeDigest(await readChatSection(chatId, 'digest'));
+}
+
+export async function setChatDigest(chatId, patch = {}) {
+  const next = normalizeDigest({ ...(await readChatSection(chatId, 'digest')), ...patch });
+  await writeChatSection(chatId, 'digest', next);
+  return next;
+}
+
+// Chats subscribed to a digest: [{ chatId, digest }]
+export async function listChatDigests() {
+  const out = [];
+  for (const [chatId, chat] of await (await getAdapter()).listChats()) {
+    const digest = normalizeDigest(chat.digest);
+    if (digest.enabled) out.push({ chatId, digest });
+  }
+  return out;
+}
+
+// -------- Night mode: daily time windows with content restrictions (per chat, off by default) --------
+
+// media is everything probation treats as media; all covers every message
+export const NIGHTMODE_TYPES = ['media', 'stickers', 'gifs', 'links', 'all'];
+export const NIGHTMODE_ACTIONS = ['delete', 'restrict'];
+export const NIGHTMODE_MAX_WINDOWS = 4;
+
+const NIGHTMODE_WINDOW_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Windows are local times ('HH:MM'); a window may cross midnight but can't be empty
+function normalizeNightWindows(windows) {
+  if (!Array.isArray(windows)) return [];
+  const out = [];
+  for (const w of windows) {
+    if (!NIGHTMODE_WINDOW_RE.test(w?.start || '') || !NIGHTMODE_WINDOW_RE.test(w?.end || '') || w.start === w.end) continue;
+    if (!out.some((o) => o.start === w.start && o.end === w.end)) out.push({ start: w.start, end: w.end });
+  }
+  return out.slice(0, NIGHTMODE_MAX_WINDOWS);
+}
+
+// timezone null follows the chat's digest time zone. active and permissions are runtime state:
+// whether a window is in effect, and the default permissions from before a `restrict` window.
+function normalizeNightmode(cfg = {}) {
+  const block = Array.isArray(cfg.block) ? NIGHTMODE_TYPES.filter((k) => cfg.block.includes(k)) : [];
+  return {
+    enabled: Boolean(cfg.enabled),
+    windows: normalizeNightWindows(cfg.windows),
+    block: block.length ? block : ['media'],
+    action: NIGHTMODE_ACTIONS.includes(cfg.action) ? cfg.action : 'delete',
+    timezone: cfg.timezone && isValidTimeZone(cfg.timezone) ? cfg.timezone : null,
+    active: Boolean(cfg.active),
+    permissions: cfg.permissions && typeof cfg.permissions === 'object' ? cfg.permissions : null,
+  };
+}
+
+export async function getChatNightmode(chatId) {
+  return normalizeNightmode(await readChatSection(chatId, 'nightmode'));
+}
+
+export async function setChatNightmode(chatId, patch = {}) {
+  const next = normalizeNightmode({ ...(await readChatSection(chatId, 'nightmode')), ...patch });
+  await writeChatSection(chatId, 'nightmode', next);
+  return next;
+}
+
+// -------- Media type policy (per chat, everything allowed by default) --------
+
+export const MEDIA_TYPES = ['photo', 'video', 'document', 'audio', 'voice', 'video_note', 'animation', 'sticker', 'contact', 'location', 'venue', 'poll', 'dice', 'game'];
+// Member age rules are capped, so join times only need to be kept this long
+export const MEDIA_POLICY_MAX_DAYS = 30;
+
+// { [type]: 'deny' | days }: days allows the type only for members who joined at least that
+// many days ago. Types not listed are allowed.
+function normalizeMediaPolicy(cfg = {}) {
+  const out = {};
+  for (const type of MEDIA_TYPES) {
+    const v = cfg?.[type];
+    const days = Math.trunc(Number(v));
+    if (v === 'deny') out[type] = 'deny';
+    else if (typeof v === 'number' && days >= 1) out[type] = Math.min(days, MEDIA_POLICY_MAX_DAYS);
+  }
+  return out;
+}
+
+export async function getChatMediaPolicy(chatId) {
+  return normalizeMediaPolicy(await readChatSection(chatId, 'media_policy'));
+}
+
+// patch: { [type]: 'allow' | 'deny' | days }; 'allow' drops the type's rule
+export async function setChatMediaPolicy(chatId, patch = {}) {
+  const next = normalizeMediaPolicy({ ...(await readChatSection(chatId, 'media_policy')), ...patch });
+  await writeChatSection(chatId, 'media_policy', next);
+  return next;
+}
+
+// -------- Notice language and template overrides (per chat) --------
+// Keys and locale codes are validated by src/i18n; the store only keeps the shape.
+
+const TEMPLATE_MAX_LEN = 1000;
+
+function normalizeNotices(cfg = {}) {
+  const templates = {};
+  for (const [key, value] of Object.entries(cfg.templates || {})) {
+    if (typeof value === 'string' && value.trim()) templates[key] = value.slice(0, TEMPLATE_MAX_LEN);
+  }
+  return {
+    locale: typeof cfg.locale === 'string' && cfg.locale ? cfg.locale : null,
+    templates,
+  };
+}
+
+export async function getChatNotices(chatId) {
+  return normalizeNotices(await readChatSection(chatId, 'notices'));
+}
+
+export async function setChatLocale(chatId, locale) {
+  const next = normalizeNotices({ ...(await readChatSection(chatId, 'notices')), locale });
+  await writeChatSection(chatId, 'notices', next);
+  return next;
+}
+
+// template = null removes the override
+export async function setChatTemplate(chatId, key, template) {
+  const current = normalizeNotices(await readChatSection(chatId, 'notices'));
+  if (template == null) delete current.templates[key];
+  else current.templates[key] = String(template);
+  const next = normalizeNotices(current);
+  await writeChatSection(chatId, 'notices', next);
+  return next;
+}
+
+// -------- Chat ban list (per chat, managed by the chat's admins) --------
+// bans: { [userId]: { action: 'ban'|'mute', reason, addedBy, addedAt } }
+
+export const CHAT_BAN_ACTIONS = ['ban', 'mute'];
+
+function normalizeChatBan(entry = {}) {
+  return {
+    action: CHAT_BAN_ACTIONS.includes(entry.action) ? entry.action : 'ban',
+    reason: typeof entry.reason === 'string' ? entry.reason.slice(0, 200) : '',
+    addedBy: Number.isFinite(entry.addedBy) ? entry.addedBy : undefined,
+    addedAt: entry.addedAt || new Date().toISOString(),
+  };
+}
+
+export async function getChatBans(chatId) {
+  const out = {};
+  for (const [userId, entry] of Object.entries(await readChatSection(chatId, 'bans'))) out[userId] = normalizeChatBan(entry);
+  return out;
+}
+
+export async function getChatBanEntry(chatId, userId) {
+  const entry = (await readChatSection(chatId, 'bans'))[String(userId)];
+  return entry ? normalizeChatBan(entry) : null;
+}
+
+export async function setChatBanEntry(chatId, userId, entry) {
+  if (!Number.isFinite(userId) && typeof userId !== 'string') throw new Error('Invalid user id');
+  const bans = await readChatSection(chatId, 'bans');
+  const normalized = normalizeChatBan(entry);
+  bans[String(userId)] = normalized;
+  await writeChatSection(chatId, 'bans', bans);
+  return normalized;
+}
+
+export async function removeChatBanEntry(chatId, userId) {
+  const bans = await readChatSection(chatId, 'bans');
+  if (!bans[String(userId)]) return false;
+  delete bans[String(userId)];
+  await writeChatSection(chatId, 'bans', bans);
+  return true;
+}
+
+// Adds entries in one write; users already on the list keep their entry unless `replace` is set.
+// entries: [{ userId, action, reason, addedBy, addedAt }]. Returns { added, updated, skipped }.
+export async function importChatBans(chatId, entries, { replace = false } = {}) {
+  const bans = await readChatSection(chatId, 'bans');
+  const result = { added: 0, updated: 0, skipped: 0 };
+  for (const { userId, ...entry } of entries) {
+    const key = String(userId);
+    if (bans[key] && !replace) {
+      result.skipped++;
+      continue;
+    }
+    result[bans[key] ? 'updated' : 'added']++;
+    bans[key] = normalizeChatBan(entry);
+  }
+  if (result.added || result.updated) await writeChatSection(chatId, 'bans', bans);
+  return result;
 }
 
 // -------- Global blacklist API --------
+// Entries are rows in the adapter's blacklist table (one per grant, kept as history).
+// Open entries are cached in-process like chat settings; writes update the cache.
+
+const BLACKLIST_CACHE_TTL_MS = CHAT_CACHE_TTL_MS;
+let blacklistCache = null; // { until, map: Map<userId, row> }
+const recordBlacklistLookup = trackCache('blacklist', () => blacklistCache?.map.size || 0);
+
+function isActiveBlacklistRow(row, now = Date.now()) {
+  return Boolean(row) && !row.revoked_at && (!row.expires_at || Date.parse(row.expires_at) > now);
+}
+
+function rowToBlacklistEntry(row) {
+  return {
+    action: row.action,
+    reason: row.reason,
+    addedBy: row.added_by ?? undefined,
+    addedAt: row.added_at,
+    expiresAt: row.expires_at,
+  };
+}
 
 function normalizeBlacklistEntry(entry = {}) {
   const action = (String(entry.action || 'kick').toLowerCase() === 'mute') ? 'mute' : 'kick';
   const reason = typeof entry.reason === 'string' ? entry.reason.slice(0, 200) : '';
   const addedBy = Number.isFinite(entry.addedBy) ? entry.addedBy : Number.isFinite(entry.added_by) ? entry.added_by : undefined;
   const addedAt = entry.addedAt || entry.added_at || new Date().toISOString();
+  const expires = Date.parse(entry.expiresAt || entry.expires_at || '');
+  const expiresAt = Number.isFinite(expires) ? new Date(expires).toISOString() : null;
   return {
     action,
     reason,
     addedBy,
     addedAt,
+    expiresAt,
   };
 }
 
+// load() moves a blacklist kept in the global document by earlier versions first
+async function getBlacklistAdapter() {
+  await load();
+  return getAdapter();
+}
+
+async function openBlacklist() {
+  const now = Date.now();
+  recordBlacklistLookup(Boolean(blacklistCache && blacklistCache.until > now));
+  if (blacklistCache && blacklistCache.until > now) return blacklistCache.map;
+  let rows;
+  try {
+    rows = await (await getBlacklistAdapter()).listBlacklist();
+  } catch (e) {
+    warnUnavailable('global blacklist', e);
+    return new Map();
+  }
+  blacklistCache = { until: now + BLACKLIST_CACHE_TTL_MS, map: new Map(rows.map((row) => [row.user_id, row])) };
+  return blacklistCache.map;
+}
+
+// Moves a blacklist kept inside the global document by earlier versions to the table (once, from load())
+async function migrateLegacyBlacklist(adapter, stored) {
+  const legacy = Object.entries(stored?.global_blacklist || {});
+  if (!legacy.length) return;
+  for (const [userId, value] of legacy) {
+    if (await adapter.getBlacklistEntry(userId)) continue;
+    const entry = normalizeBlacklistEntry(value);
+    await adapter.addBlacklistEntry({ user_id: userId, action: entry.action, reason: entry.reason, added_by: entry.addedBy, added_at: entry.addedAt });
+  }
+  console.log(`[settings] moved ${legacy.length} blacklist entr${legacy.length === 1 ? 'y' : 'ies'} to the blacklist table`);
+}
+
 export async function getGlobalBlacklistMap() {
-  const s = await load();
   const out = {};
-  for (const [key, value] of Object.entries(s.global_blacklist || {})) {
-    out[key] = normalizeBlacklistEntry(value);
+  for (const [key, row] of await openBlacklist()) {
+    if (isActiveBlacklistRow(row)) out[key] = rowToBlacklistEntry(row);
   }
   return out;
 }
 
 export async function getBlacklistEntry(userId) {
   if (!Number.isFinite(userId) && typeof userId !== 'string') return null;
-  const key = String(userId);
-  const s = await load();
-  const entry = s.global_blacklist?.[key];
-  return entry ? normalizeBlacklistEntry(entry) : null;
+  const row = (await openBlacklist()).get(String(userId));
+  return isActiveBlacklistRow(row) ? rowToBlacklistEntry(row) : null;
 }
 
 export async function setGlobalBlacklistEntry(userId, entry) {
   if (!Number.isFinite(userId) && typeof userId !== 'string') throw new Error('Invalid user id');
   const key = String(userId);
   const normalized = normalizeBlacklistEntry(entry);
-  const s = await load();
-  if (!s.global_blacklist) s.global_blacklist = {};
-  s.global_blacklist[key] = normalized;
-  await save(s);
+  const row = await (await getBlacklistAdapter()).addBlacklistEntry({
+    user_id: key,
+    action: normalized.action,
+    reason: normalized.reason,
+    added_by: normalized.addedBy,
+    added_at: normalized.addedAt,
+    expires_at: normalized.expiresAt,
+  });
+  blacklistCache?.map.set(key, row);
   return normalized;
 }
 
-export async function removeGlobalBlacklistEntry(userId) {
+// by: user id of whoever lifted the entry, recorded in the history
+export async function removeGlobalBlacklistEntry(userId, { by } = {}) {
   if (!Number.isFinite(userId) && typeof userId !== 'string') return false;
   const key = String(userId);
-  const s = await load();
-  if (!s.global_blacklist || !s.global_blacklist[key]) return false;
-  delete s.global_blacklist[key];
-  await save(s);
-  return true;
+  const adapter = await getBlacklistAdapter();
+  // Read the store, not the cache: another instance may have added the entry
+  const current = await adapter.getBlacklistEntry(key);
+  if (!isActiveBlacklistRow(current)) return false;
+  const removed = await adapter.revokeBlacklistEntry(key, { revoked_at: new Date().toISOString(), revoked_by: Number.isFinite(by) ? by : null });
+  blacklistCache?.map.delete(key);
+  return removed;
 }
 
 export async function isUserBlacklisted(userId) {
@@ -419,7 +1087,167 @@ export async function isUserBlacklisted(userId) {
   return Boolean(entry);
 }
 
+// remainingSeconds: time left on an expiring entry, null for permanent ones
 export async function listGlobalBlacklist() {
   const map = await getGlobalBlacklistMap();
-  return Object.entries(map).map(([userId, meta]) => ({ userId, ...meta }));
+  const now = Date.now();
+  return Object.entries(map).map(([userId, meta]) => ({
+    userId,
+    ...meta,
+    remainingSeconds: meta.expiresAt ? Math.max(0, Math.ceil((Date.parse(meta.expiresAt) - now) / 1000)) : null,
+  }));
+}
+
+// Closes every open entry whose expiry has passed and returns the ones this call closed
+// ([{ userId, ...entry }]), so with several instances each expiry is handled once.
+export async function takeExpiredBlacklistEntries(now = Date.now()) {
+  const adapter = await getBlacklistAdapter();
+  const out = [];
+  for (const row of await adapter.listBlacklist()) {
+    if (!row.expires_at || Date.parse(row.expires_at) > now) continue;
+    // The entry may have been replaced since the list was read
+    const current = await adapter.getBlacklistEntry(row.user_id);
+    if (!current || current.added_at !== row.added_at || isActiveBlacklistRow(current, now)) continue;
+    if (await adapter.revokeBlacklistEntry(row.user_id, { revoked_at: current.expires_at, revoked_by: null })) {
+      blacklistCache?.map.delete(row.user_id);
+      out.push({ userId: row.user_id, ...rowToBlacklistEntry(current) });
+    }
+  }
+  return out;
+}
+
+// Every entry a user ever had, oldest first: [{ action, reason, addedBy, addedAt, expiresAt, revokedAt, revokedBy }]
+export async function getBlacklistHistory(userId) {
+  const rows = await (await getBlacklistAdapter()).blacklistHistory(String(userId));
+  return rows.map((row) => ({ ...rowToBlacklistEntry(row), revokedAt: row.revoked_at, revokedBy: row.revoked_by ?? undefined }));
+}
+
+// -------- Federation (subscriptions to other deployments' blacklist feeds) --------
+// Subscriptions and per-user overrides live in the global document; the fetched feed
+// entries are kept in memory by moderation/federation.js.
+
+// full: apply entries as published; mute: downgrade kicks to mutes; observe: only log sightings
+export const FEDERATION_TRUST_LEVELS = ['full', 'mute', 'observe'];
+export const FEDERATION_OVERRIDE_ACTIONS = ['ignore', 'kick', 'mute'];
+
+function normalizeFederation(cfg = {}) {
+  const subscriptions = {};
+  for (const [name, sub] of Object.entries(cfg?.subscriptions || {})) {
+    if (!sub?.url || !sub?.publicKey) continue;
+    subscriptions[name] = {
+      url: String(sub.url),
+      publicKey: String(sub.publicKey),
+      trust: FEDERATION_TRUST_LEVELS.includes(sub.trust) ? sub.trust : 'full',
+      addedBy: Number.isFinite(sub.addedBy) ? sub.addedBy : undefined,
+      addedAt: sub.addedAt || undefined,
+    };
+  }
+  const overrides = {};
+  for (const [userId, row] of Object.entries(cfg?.overrides || {})) {
+    if (!FEDERATION_OVERRIDE_ACTIONS.includes(row?.action)) continue;
+    overrides[userId] = { action: row.action, by: Number.isFinite(row.by) ? row.by : undefined, at: row.at || undefined };
+  }
+  return { subscriptions, overrides };
+}
+
+// [{ name, url, publicKey, trust, addedBy, addedAt }] sorted by name
+export async function listFederationSubscriptions() {
+  const s = await load();
+  const { subscriptions } = normalizeFederation(s.federation);
+  return Object.keys(subscriptions).sort().map((name) => ({ name, ...subscriptions[name] }));
+}
+
+export async function setFederationSubscription(name, sub) {
+  if (!/^[a-z0-9][a-z0-9_-]{0,31}$/.test(String(name))) throw new Error('Invalid feed name');
+  const s = await load();
+  s.federation = normalizeFederation(s.federation);
+  s.federation.subscriptions[name] = { ...sub, addedAt: sub.addedAt || new Date().toISOString() };
+  await save(s);
+  return normalizeFederation(s.federation).subscriptions[name];
+}
+
+export async function removeFederationSubscription(name) {
+  const s = await load();
+  s.federation = normalizeFederation(s.federation);
+  if (!s.federation.subscriptions[name]) return false;
+  delete s.federation.subscriptions[name];
+  await save(s);
+  return true;
+}
+
+// { [userId]: { action: 'ignore'|'kick'|'mute', by, at } }
+export async function getFederationOverrides() {
+  const s = await load();
+  return normalizeFederation(s.federation).overrides;
+}
+
+// action null clears the override. Returns false when there was nothing to clear.
+export async function setFederationOverride(userId, action, { by } = {}) {
+  if (!Number.isFinite(userId) && typeof userId !== 'string') throw new Error('Invalid user id');
+  if (action != null && !FEDERATION_OVERRIDE_ACTIONS.includes(action)) throw new Error('Unknown override action');
+  const key = String(userId);
+  const s = await load();
+  s.federation = normalizeFederation(s.federation);
+  if (action == null) {
+    if (!s.federation.overrides[key]) return false;
+    delete s.federation.overrides[key];
+  } else {
+    s.federation.overrides[key] = { action, by: Number.isFinite(by) ? by : undefined, at: new Date().toISOString() };
+  }
+  await save(s);
+  return true;
+}
+
+// -------- Scheduled jobs (see moderation/scheduler.js) --------
+// Rows in the adapter's job table, one per (type, chat); never cached, since other workers take them.
+
+export async function listScheduledJobs() {
+  return (await getAdapter()).listScheduledJobs();
+}
+
+// Adds the job, replacing the chat's pending job of the same type. attempts is the number of
+// failed runs so far (scheduler retries).
+export async function putScheduledJob(type, chatId, runAt, data = {}, attempts = 0) {
+  await (await getAdapter()).putScheduledJob({ type, chat_id: chatId, run_at: runAt, data, attempts });
+}
+
+// Returns false when there was no such job
+export async function removeScheduledJob(type, chatId) {
+  return (await getAdapter()).removeScheduledJob(type, chatId);
+}
+
+// Removes and returns the jobs that are due; a job is returned to one caller only
+export async function takeDueScheduledJobs(now = Date.now()) {
+  return (await getAdapter()).takeDueScheduledJobs(now);
+}
+
+// -------- Appeal cases (see moderation/appeals.js) --------
+// Rows in the adapter's appeal table; never cached, since a user's DM and the reviewer's click
+// may reach other workers than the one that opened the case.
+
+// The case, or null when there is none or it has expired
+export async function getAppealCase(id, now = Date.now()) {
+  const row = await (await getAdapter()).getAppealCase(id);
+  return row && Date.parse(row.expires_at) > now ? row : null;
+}
+
+// The user's cases that haven't expired, oldest first
+export async function listUserAppealCases(userId, now = Date.now()) {
+  const rows = await (await getAdapter()).listUserAppealCases(userId);
+  return rows.filter((row) => Date.parse(row.expires_at) > now);
+}
+
+export async function putAppealCase(row) {
+  return (await getAdapter()).putAppealCase(row);
+}
+
+// Stores the changed case only while its status is still fromStatus; false when another update
+// (possibly on another worker) changed it first
+export async function updateAppealCase(row, fromStatus) {
+  return (await getAdapter()).updateAppealCase(row, fromStatus);
+}
+
+// Deletes expired cases and the unsubmitted ones past the newest `keep`; returns how many
+export async function pruneAppealCases(now, keep) {
+  return (await getAdapter()).pruneAppealCases(now, keep);
 }
@@ -0,0 +1,270 @@
+import crypto from 'node:crypto';
+import { getSupabase } from './supabase.js';
+import { counter, trackCache } from '../metrics.js';
+
+// Anti-spam state (flood timestamps, duplicate counters, new member probation).
+// SPAM_STATE_BACKEND picks where it lives:
+//   memory   — process-local Maps (default; lost on restart, not shared between workers)
+//   redis    — any Redis-compatible server at REDIS_URL; counters are updated by Lua scripts
+//   supabase — tables/functions from sql/schema.sql; counters are updated by row-locking upserts
+// Keys are `${chatId}:${userId}` (raid detection counts joins under `${chatId}:joins`; slow mode
+// and the media policy's join times use the probation calls with `:slowmode` / `:joined` suffixes).
+// Every backend exposes the same async API:
+//   floodHit(key, now, windowMs)             -> messages in the window, including this one
+//   duplicateHit(key, text, now, windowMs)   -> consecutive copies of `text`, including this one
+//   setProbation(key, untilMs) / getProbation(key) -> until timestamp (ms) or null
+//   claimProbation(key, now, untilMs)        -> null when the key was free (now held until untilMs),
+//                                               else its current until; atomic across workers
+//   prune(now)                               -> drop expired entries
+//   close()                                  -> release the connection
+
+const backendErrors = counter('spam_state_errors_total', 'Shared anti-spam state calls that failed and fell back to memory', ['backend', 'operation']);
+
+function textHash(text) {
+  return crypto.createHash('sha1').update(String(text)).digest('hex');
+}
+
+export const SPAM_STATE_BACKENDS = ['memory', 'redis', 'supabase'];
+
+export function createMemorySpamState() {
+  const flood = new Map(); // key -> number[] timestamps (ms)
+  const duplicate = new Map(); // key -> { hash, count, lastTs, windowMs }
+  const probation = new Map(); // key -> until timestamp (ms)
+  const floodWindows = new Map(); // key -> windowMs of the last hit, for pruning
+  return {
+    name: 'memory',
+    async floodHit(key, now, windowMs) {
+      const recent = (flood.get(key) || []).filter((ts) => now - ts <= windowMs);
+      recent.push(now);
+      flood.set(key, recent);
+      floodWindows.set(key, windowMs);
+      return recent.length;
+    },
+    async duplicateHit(key, text, now, windowMs) {
+      const hash = textHash(text);
+      const cur = duplicate.get(key);
+      const count = cur && cur.hash === hash && now - cur.lastTs <= windowMs ? cur.count + 1 : 1;
+      duplicate.set(key, { hash, count, lastTs: now, windowMs });
+      return count;
+    },
+    async setProbation(key, untilMs) {
+      probation.set(key, untilMs);
+    },
+    async getProbation(key) {
+      const until = probation.get(key);
+      if (!Number.isFinite(until)) return null;
+      if (until <= Date.now()) {
+        probation.delete(key);
+        return null;
+      }
+      return until;
+    },
+    async claimProbation(key, now, untilMs) {
+      const until = probation.get(key);
+      if (Number.isFinite(until) && until > now) return until;
+      probation.set(key, untilMs);
+      return null;
+    },
+    async prune(now) {
+      for (const [key, arr] of flood.entries()) {
+        const windowMs = floodWindows.get(key) || 0;
+        const recent = arr.filter((ts) => now - ts <= windowMs);
+        if (recent.length) flood.set(key, recent);
+        else {
+          flood.delete(key);
+          floodWindows.delete(key);
+        }
+      }
+      for (const [key, row] of duplicate.entries()) {
+        if (now - row.lastTs > row.windowMs) duplicate.delete(key);
+      }
+      for (const [key, until] of probation.entries()) {
+        if (until <= now) probation.delete(key);
+      }
+    },
+    async close() {},
+  };
+}
+
+// Sliding window: sorted set of hit timestamps, trimmed and counted in one script
+const REDIS_FLOOD_SCRIPT = `
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', tonumber(ARGV[1]) - tonumber(ARGV[2]) - 1)
+redis.call('ZADD', KEYS[1], ARGV[1], ARGV[3])
+redis.call('PEXPIRE', KEYS[1], ARGV[2])
+return redis.call('ZCARD', KEYS[1])`;
+
+const REDIS_DUPLICATE_SCRIPT = `
+local cur = redis.call('HMGET', KEYS[1], 'hash', 'count', 'last')
+local count = 1
+if cur[1] == ARGV[1] and tonumber(ARGV[2]) - tonumber(cur[3]) <= tonumber(ARGV[3]) then
+  count = tonumber(cur[2]) + 1
+end
+redis.call('HSET', KEYS[1], 'hash', ARGV[1], 'count', count, 'last', ARGV[2])
+redis.call('PEXPIRE', KEYS[1], ARGV[3])
+return count`;
+
+// Holds the key unless it is held already; returns the current until, or nil when claimed
+const REDIS_CLAIM_SCRIPT = `
+local cur = redis.call('GET', KEYS[1])
+if cur and tonumber(cur) > tonumber(ARGV[1]) then return cur end
+redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+return false`;
+
+async function createRedisSpamState() {
+  const url = process.env.REDIS_URL;
+  if (!url) throw new Error('REDIS_URL is not set');
+  const { default: Redis } = await import('ioredis');
+  const redis = new Redis(url, { maxRetriesPerRequest: 2, enableOfflineQueue: false, lazyConnect: false });
+  redis.on('error', () => {}); // surfaced per call through the memory fallback
+  redis.defineCommand('spamFloodHit', { numberOfKeys: 1, lua: REDIS_FLOOD_SCRIPT });
+  redis.defineCommand('spamDuplicateHit', { numberOfKeys: 1, lua: REDIS_DUPLICATE_SCRIPT });
+  redis.defineCommand('spamClaimProbation', { numberOfKeys: 1, lua: REDIS_CLAIM_SCRIPT });
+  const prefix = process.env.REDIS_KEY_PREFIX || 'tgsb:';
+  return {
+    name: 'redis',
+    async floodHit(key, now, windowMs) {
+      const member = `${now}:${crypto.randomBytes(4).toString('hex')}`;
+      return Number(await redis.spamFloodHit(`${prefix}flood:${key}`, now, windowMs, member));
+    },
+    async duplicateHit(key, text, now, windowMs) {
+      return Number(await redis.spamDuplicateHit(`${prefix}dup:${key}`, textHash(text), now, windowMs));
+    },
+    async setProbation(key, untilMs) {
+      const ttl = Math.max(1, Math.trunc(untilMs - Date.now()));
+      await redis.set(`${prefix}probation:${key}`, String(untilMs), 'PX', ttl);
+    },
+    async getProbation(key) {
+      const raw = await redis.get(`${prefix}probation:${key}`);
+      const until = Number(raw);
+      return raw != null && until > Date.now() ? until : null;
+    },
+    async claimProbation(key, now, untilMs) {
+      const ttl = Math.max(1, Math.trunc(untilMs - now));
+      const raw = await redis.spamClaimProbation(`${prefix}probation:${key}`, now, String(untilMs), ttl);
+      return raw == null ? null : Number(raw);
+    },
+    async prune() {}, // keys expire on their own
+    async close() {
+      await redis.quit();
+    },
+  };
+}
+
+function createSupabaseSpamState() {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error('SUPABASE_URL/SUPABASE_KEY are not set');
+  let lastPruneAt = 0;
+  return {
+    name: 'supabase',
+    async floodHit(key, now, windowMs) {
+      const { data, error } = await supabase.rpc('spam_flood_hit', { p_key: key, p_now: now, p_window_ms: windowMs });
+      if (error) throw error;
+      return Number(data);
+    },
+    async duplicateHit(key, text, now, windowMs) {
+      const { data, error } = await supabase.rpc('spam_duplicate_hit', { p_key: key, p_hash: textHash(text), p_now: now, p_window_ms: windowMs });
+      if (error) throw error;
+      return Number(data);
+    },
+    async setProbation(key, untilMs) {
+      const { error } = await supabase
+        .from('member_probation')
+        .upsert({ key, until_at: new Date(untilMs).toISOString() }, { onConflict: 'key' });
+      if (error) throw error;
+    },
+    async getProbation(key) {
+      const { data, error } = await supabase.from('member_probation').select('until_at').eq('key', key).maybeSingle();
+      if (error) throw error;
+      const until = data ? Date.parse(data.until_at) : NaN;
+      return until > Date.now() ? until : null;
+    },
+    async claimProbation(key, now, untilMs) {
+      const { data, error } = await supabase.rpc('spam_claim_probation', { p_key: key, p_now: now, p_until: untilMs });
+      if (error) throw error;
+      return data == null ? null : Number(data);
+    },
+    // Expired rows are harmless (every read checks the time); clear them every 10 minutes
+    async prune(now) {
+      if (now - lastPruneAt < 10 * 60 * 1000) return;
+      lastPruneAt = now;
+      const cutoff = new Date(now).toISOString();
+      await supabase.from('spam_state').delete().lt('expires_at', cutoff);
+      await supabase.from('member_probation').delete().lt('until_at', cutoff);
+    },
+    async close() {},
+  };
+}
+
+// Wraps a shared backend so a failing call is served from memory instead of skipping moderation.
+// Probation lookups run for every message, so keys found on probation are cached in-process for a
+// short while; misses and claims are never cached, since other workers set and claim the same keys.
+const PROBATION_CACHE_MS = 30 * 1000;
+
+export function withMemoryFallback(backend) {
+  const memory = createMemorySpamState();
+  const probationCache = new Map(); // key -> { until, cachedUntil }
+  const recordProbationLookup = trackCache('spam_probation', () => probationCache.size);
+  const call = async (op, args) => {
+    try {
+      return await backend[op](...args);
+    } catch {
+      backendErrors.inc({ backend: backend.name, operation: op });
+      return memory[op](...args);
+    }
+  };
+  return {
+    name: backend.name,
+    floodHit: (...args) => call('floodHit', args),
+    duplicateHit: (...args) => call('duplicateHit', args),
+    async setProbation(key, untilMs) {
+      probationCache.set(key, { until: untilMs, cachedUntil: Date.now() + PROBATION_CACHE_MS });
+      return call('setProbation', [key, untilMs]);
+    },
+    async getProbation(key) {
+      const now = Date.now();
+      const cached = probationCache.get(key);
+      recordProbationLookup(Boolean(cached && cached.cachedUntil > now));
+      if (cached && cached.cachedUntil > now) return cached.until > now ? cached.until : null;
+      probationCache.delete(key);
+      const until = await call('getProbation', [key]);
+      if (until != null) probationCache.set(key, { until, cachedUntil: now + PROBATION_CACHE_MS });
+      return until;
+    },
+    async claimProbation(key, now, untilMs) {
+      probationCache.delete(key);
+      return call('claimProbation', [key, now, untilMs]);
+    },
+    async prune(now) {
+      for (const [key, row] of probationCache.entries()) {
+        if (row.cachedUntil <= now) probationCache.delete(key);
+      }
+      await memory.prune(now);
+      return call('prune', [now]);
+    },
+    close: () => backend.close(),
+  };
+}
+
+// The backend itself, without the memory fallback (used by the conformance checks)
+export async function createSpamState(kind) {
+  if (kind === 'memory') return createMemorySpamState();
+  if (kind === 'redis') return createRedisSpamState();
+  if (kind === 'supabase') return createSupabaseSpamState();
+  throw new Error(`Unknown spam state backend: ${kind} (expected ${SPAM_STATE_BACKENDS.join('|')})`);
+}
+
+let storePromise = null;
+
+export function getSpamStateStore() {
+  if (storePromise) return storePromise;
+  const kind = String(process.env.SPAM_STATE_BACKEND || 'memory').toLowerCase();
+  storePromise = (async () => {
+    try {
+      if (kind === 'redis' || kind === 'supabase') return withMemoryFallback(await createSpamState(kind));
+    } catch (e) {
+      console.warn(`[spamState] SPAM_STATE_BACKEND=${kind} unavailable, using memory:`, e?.message || e);
+    }
+    return createMemorySpamState();
+  })();
+  return storePromise;
+}